@@ -0,0 +1,366 @@
+/**
+ * LeadMiner Dashboard - Browse, filter and triage scored leads
+ * Talks only to the local API served by src/server.js.
+ */
+
+const state = {
+  filters: {},
+  sort: '-score',
+  page: 1,
+  pageSize: 25,
+  selectedId: null,
+  statuses: [],
+};
+
+const $ = selector => document.querySelector(selector);
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+  ));
+}
+
+/**
+ * A link only for http(s) URLs; anything else (javascript:, data:, junk) is shown as text
+ */
+function externalLink(url) {
+  let protocol = null;
+  try {
+    protocol = new URL(url).protocol;
+  } catch {
+    // Not an absolute URL
+  }
+  return protocol === 'http:' || protocol === 'https:'
+    ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(url)}</a>`
+    : escapeHtml(url);
+}
+
+function badge(kind, value) {
+  return `<span class="badge ${kind}-${escapeHtml(value)}">${escapeHtml(value)}</span>`;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : '—';
+}
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+function statusLabel(status) {
+  return status === 'new' ? 'Reset to new' : status[0].toUpperCase() + status.slice(1).replace(/-/g, ' ');
+}
+
+async function api(path, options = {}) {
+  const response = await fetch(path, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error || `Request failed (${response.status})`);
+  }
+  return body;
+}
+
+/**
+ * Fill a filter <select> once, keeping its "All" option
+ */
+function fillSelect(name, values) {
+  const select = $(`#filters [name="${name}"]`);
+  if (select.options.length > 1) return;
+
+  values.forEach(value => select.add(new Option(value, value)));
+}
+
+async function loadLeads() {
+  const params = new URLSearchParams({
+    ...state.filters,
+    sort: state.sort,
+    page: state.page,
+    pageSize: state.pageSize,
+  });
+
+  try {
+    const { data, pagination, facets } = await api(`/leads?${params}`);
+
+    fillSelect('priority', facets.priorities);
+    fillSelect('category', facets.categories);
+    fillSelect('city', facets.cities);
+    fillSelect('status', facets.statuses);
+    state.statuses = facets.statuses;
+
+    renderLeads(data);
+    renderPager(pagination);
+  } catch (error) {
+    $('#leads').innerHTML = `<tr><td colspan="7" class="empty error">${escapeHtml(error.message)}</td></tr>`;
+  }
+}
+
+function renderLeads(leads) {
+  if (leads.length === 0) {
+    $('#leads').innerHTML = '<tr><td colspan="7" class="empty">No leads match. Run the pipeline (npm run demo) or clear the filters.</td></tr>';
+    return;
+  }
+
+  $('#leads').innerHTML = leads.map(lead => `
+    <tr data-id="${escapeHtml(lead.id)}" class="${lead.id === state.selectedId ? 'selected' : ''} ${lead.hidden ? 'hidden-lead' : ''}"
+        title="${lead.hidden ? `Hidden from exports${lead.hiddenUntil ? ` until ${formatDate(lead.hiddenUntil)}` : ''}` : ''}">
+      <td>${escapeHtml(lead.name)}</td>
+      <td>${escapeHtml(lead.category)}</td>
+      <td>${escapeHtml(lead.city || '—')}</td>
+      <td>${escapeHtml(lead.score)}</td>
+      <td>${badge('priority', lead.priority)}</td>
+      <td>${escapeHtml(lead.rating ?? '—')}</td>
+      <td>${badge('status', lead.status)}</td>
+    </tr>
+  `).join('');
+}
+
+function renderPager({ page, totalPages, total }) {
+  $('#summary').textContent = `${total} leads`;
+  $('#page').textContent = `Page ${totalPages === 0 ? 0 : page} of ${totalPages}`;
+  $('#prev').disabled = page <= 1;
+  $('#next').disabled = page >= totalPages;
+
+  document.querySelectorAll('th[data-sort]').forEach(th => {
+    const field = state.sort.replace(/^-/, '');
+    th.classList.toggle('sorted-asc', th.dataset.sort === field && !state.sort.startsWith('-'));
+    th.classList.toggle('sorted-desc', th.dataset.sort === field && state.sort.startsWith('-'));
+  });
+}
+
+async function showLead(id) {
+  state.selectedId = id;
+  document.querySelectorAll('#leads tr').forEach(row => row.classList.toggle('selected', row.dataset.id === id));
+
+  const panel = $('#detail');
+  panel.hidden = false;
+  panel.innerHTML = 'Loading…';
+
+  try {
+    const { data: lead } = await api(`/leads/${encodeURIComponent(id)}`);
+    panel.innerHTML = renderDetail(lead);
+  } catch (error) {
+    panel.innerHTML = `<p class="error">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+function renderDetail(lead) {
+  const enrichment = lead.enrichment || {};
+  const contact = enrichment.contactInfo || {};
+  const trend = enrichment.reviewTrend || {};
+  const responseRate = enrichment.responseRate || {};
+  const benchmark = enrichment.benchmark || {};
+  const details = Object.entries(lead.scoringDetails || {});
+
+  const statusButtons = state.statuses.map(status => `
+    <button type="button" data-status="${escapeHtml(status)}" aria-pressed="${lead.status === status}">
+      ${escapeHtml(statusLabel(status))}
+    </button>
+  `).join('');
+
+  const activity = [...(lead.activity || [])].reverse().map(item => `
+    <li>
+      <span class="review-meta">${formatDateTime(item.at)}</span>
+      ${item.type === 'status' ? `${badge('status', item.from)} → ${badge('status', item.status)}` : ''}
+      ${item.note ? `<div>${escapeHtml(item.note)}</div>` : ''}
+    </li>
+  `).join('');
+
+  const scoreRows = details.map(([factor, detail]) => {
+    const metrics = Object.entries(detail)
+      .filter(([key]) => key !== 'points')
+      .map(([key, value]) => `${escapeHtml(key)}: ${escapeHtml(value)}`)
+      .join(', ');
+    return `<tr><td>${escapeHtml(factor)}</td><td>${metrics}</td><td>${escapeHtml(detail.points)}</td></tr>`;
+  }).join('');
+
+  const complaints = (enrichment.complaintAspects?.aspects || []).map(aspect => `
+    <li>
+      <strong>${escapeHtml(aspect.label)}</strong>
+      <span class="review-meta">${escapeHtml(aspect.count)} of ${escapeHtml(enrichment.complaintAspects.reviewsAnalyzed)} negative reviews · ${escapeHtml(Object.keys(aspect.terms).join(', '))}</span>
+      ${aspect.examples.map(example => `<blockquote>${escapeHtml(example.quote)}</blockquote>`).join('')}
+    </li>
+  `).join('');
+
+  const competitors = (benchmark.topCompetitors || []).map(peer => `
+    <tr><td>${escapeHtml(peer.name)}</td><td>${escapeHtml(peer.rating)}</td><td>${escapeHtml(peer.totalReviews)}</td></tr>
+  `).join('');
+
+  const reviews = (lead.reviews || []).map(review => {
+    const sentiment = review.sentiment || {};
+    // Tint each sentence by its own sentiment when the analysis has them
+    const text = sentiment.sentences?.length
+      ? sentiment.sentences.map(sentence => `<span class="sentiment-${escapeHtml(sentence.sentiment)}">${escapeHtml(sentence.text)}</span>`).join(' ')
+      : escapeHtml(review.text);
+    return `
+      <div class="review">
+        <div class="review-meta">
+          <span>${'★'.repeat(Math.round(review.rating || 0))}${'☆'.repeat(5 - Math.round(review.rating || 0))}</span>
+          <span>${formatDate(review.date)}</span>
+          <span class="sentiment-${escapeHtml(sentiment.sentiment || 'neutral')}">
+            ${escapeHtml(sentiment.sentiment || 'neutral')} (${escapeHtml(sentiment.score ?? 0)})
+          </span>
+        </div>
+        <div>${text || '<em>No text</em>'}</div>
+        ${review.ownerResponse ? `<blockquote class="owner-response">Owner, ${formatDate(review.ownerResponse.date)}: ${escapeHtml(review.ownerResponse.text)}</blockquote>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <button type="button" class="close" aria-label="Close">✕</button>
+    <h2>${escapeHtml(lead.name)}</h2>
+    <div>${badge('priority', lead.priority)} Score ${escapeHtml(lead.score)} · ${badge('status', lead.status)}</div>
+    ${lead.outreach?.hidden ? `<p class="review-meta">Hidden from exports and digests${lead.outreach.hiddenUntil ? ` until ${formatDate(lead.outreach.hiddenUntil)}` : ''}</p>` : ''}
+    <div class="actions">${statusButtons}</div>
+    <form class="note-form">
+      <textarea name="note" rows="2" placeholder="Add a note (call outcome, who you spoke to…)"></textarea>
+      <button type="submit">Add note</button>
+    </form>
+
+    <h3>Business</h3>
+    <dl>
+      <dt>Category</dt><dd>${escapeHtml(lead.category)}</dd>
+      <dt>Rating</dt><dd>${escapeHtml(lead.rating ?? '—')} (${escapeHtml(lead.totalReviews)} reviews)</dd>
+      <dt>Address</dt><dd>${escapeHtml(lead.address || '—')}</dd>
+      <dt>Location</dt><dd>${lead.coordinates ? `<a href="https://www.openstreetmap.org/?mlat=${escapeHtml(lead.coordinates.lat)}&mlon=${escapeHtml(lead.coordinates.lng)}&zoom=15" target="_blank" rel="noopener">${escapeHtml(lead.coordinates.lat)}, ${escapeHtml(lead.coordinates.lng)}</a>` : '—'}</dd>
+      <dt>Territory</dt><dd>${lead.territory ? `${escapeHtml(lead.territory.name)}${lead.territory.rep ? ` · ${escapeHtml(lead.territory.rep)}` : ''}` : '—'}</dd>
+      <dt>Phone</dt><dd>${escapeHtml(contact.phone || lead.phone || '—')}</dd>
+      <dt>Email</dt><dd>${escapeHtml(contact.email || lead.email || '—')} ${contact.emailType ? `(${escapeHtml(contact.emailType)})` : ''}</dd>
+      <dt>Website</dt><dd>${lead.website ? externalLink(lead.website) : '—'}</dd>
+      <dt>Sources</dt><dd>${escapeHtml((lead.sources || [lead.source]).join(', '))}</dd>
+    </dl>
+
+    <h3>Trend</h3>
+    <dl>
+      <dt>Trend</dt><dd>${escapeHtml((trend.category || trend.trend || '—').replace(/_/g, ' '))} (${escapeHtml(trend.trendScore || '—')})</dd>
+      <dt>Slope</dt><dd>${trend.slope === undefined ? '—' : `${escapeHtml(trend.slope)} ★/month, ${escapeHtml(trend.slopeConfidence)} confidence`}</dd>
+      <dt>Spike</dt><dd>${trend.spike?.detected ? `${escapeHtml(trend.spike.count)} bad reviews in ${escapeHtml(trend.spike.windowDays)} days (${formatDate(trend.spike.start)}–${formatDate(trend.spike.end)})` : '—'}</dd>
+      <dt>Recent avg</dt><dd>${escapeHtml(trend.recentAvg ?? '—')}</dd>
+      <dt>Older avg</dt><dd>${escapeHtml(trend.olderAvg ?? '—')}</dd>
+      <dt>Change</dt><dd>${escapeHtml(trend.change ?? '—')}</dd>
+      <dt>Monthly avg</dt><dd>${escapeHtml((trend.monthly || []).map(month => `${month.month}: ${month.rollingAverage}`).join(', ') || '—')}</dd>
+      <dt>Response rate</dt><dd>${escapeHtml(responseRate.percentage || '—')} overall, ${escapeHtml(responseRate.negative?.percentage || '—')} on negative reviews</dd>
+      <dt>Reply time</dt><dd>${responseRate.medianLatencyDays === null || responseRate.medianLatencyDays === undefined ? '—' : `${escapeHtml(responseRate.medianLatencyDays)} days (median)`}</dd>
+      <dt>Reply tone</dt><dd>${escapeHtml(responseRate.tone?.label || '—')}</dd>
+      <dt>Last negative</dt><dd>${formatDate(enrichment.lastNegativeReview?.date)}</dd>
+    </dl>
+
+    <h3>Local competitors</h3>
+    ${benchmark.scope ? `
+      <dl>
+        <dt>Compared with</dt><dd>${escapeHtml(benchmark.peers)} ${escapeHtml(lead.category)} businesses ${benchmark.scope === 'city' ? `in ${escapeHtml(benchmark.city)}` : 'across all scraped cities'}</dd>
+        <dt>Rating percentile</dt><dd>${escapeHtml(benchmark.ratingPercentile)} (median ${escapeHtml(benchmark.medianRating)}, gap ${escapeHtml(benchmark.ratingGap)})</dd>
+        <dt>Review volume percentile</dt><dd>${escapeHtml(benchmark.reviewVolumePercentile)}</dd>
+      </dl>
+      <table>
+        <thead><tr><th>Top rated nearby</th><th>Rating</th><th>Reviews</th></tr></thead>
+        <tbody>${competitors}</tbody>
+      </table>
+    ` : '<p>Not enough comparable businesses scraped.</p>'}
+
+    <h3>Complaints</h3>
+    ${complaints ? `<ul class="complaints">${complaints}</ul>` : '<p>No recognisable complaints.</p>'}
+
+    <h3>Score breakdown</h3>
+    <table>
+      <thead><tr><th>Factor</th><th>Metrics</th><th>Points</th></tr></thead>
+      <tbody>${scoreRows}</tbody>
+      <tfoot><tr><th colspan="2">Total</th><th>${escapeHtml(lead.score)}</th></tr></tfoot>
+    </table>
+
+    <h3>Activity</h3>
+    ${activity ? `<ul class="activity">${activity}</ul>` : '<p>No activity yet.</p>'}
+
+    <h3>Reviews (${(lead.reviews || []).length})</h3>
+    ${reviews || '<p>No reviews captured.</p>'}
+  `;
+}
+
+async function setStatus(status) {
+  const id = state.selectedId;
+  const note = $('#detail [name="note"]')?.value.trim();
+
+  try {
+    await api(`/leads/${encodeURIComponent(id)}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, note: note || undefined }),
+    });
+    await Promise.all([loadLeads(), showLead(id)]);
+  } catch (error) {
+    alert(`Could not update status: ${error.message}`);
+  }
+}
+
+async function addNote(note) {
+  const id = state.selectedId;
+
+  try {
+    await api(`/leads/${encodeURIComponent(id)}/notes`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+    await showLead(id);
+  } catch (error) {
+    alert(`Could not add note: ${error.message}`);
+  }
+}
+
+$('#filters').addEventListener('change', event => {
+  const { name, value } = event.target;
+  if (value === '') {
+    delete state.filters[name];
+  } else {
+    state.filters[name] = value;
+  }
+  state.page = 1;
+  loadLeads();
+});
+
+$('#filters').addEventListener('reset', () => {
+  state.filters = {};
+  state.page = 1;
+  setTimeout(loadLeads);
+});
+
+document.querySelector('thead').addEventListener('click', event => {
+  const field = event.target.dataset.sort;
+  if (!field) return;
+
+  // First click sorts high-to-low for numbers, A-Z for text; clicking again flips it
+  const descendingFirst = ['score', 'priority', 'rating'].includes(field);
+  const current = state.sort.replace(/^-/, '');
+  state.sort = current === field
+    ? (state.sort.startsWith('-') ? field : `-${field}`)
+    : (descendingFirst ? `-${field}` : field);
+  loadLeads();
+});
+
+$('#leads').addEventListener('click', event => {
+  const row = event.target.closest('tr[data-id]');
+  if (row) showLead(row.dataset.id);
+});
+
+$('#detail').addEventListener('click', event => {
+  if (event.target.closest('.close')) {
+    $('#detail').hidden = true;
+    state.selectedId = null;
+    return;
+  }
+
+  const button = event.target.closest('button[data-status]');
+  if (button) setStatus(button.dataset.status);
+});
+
+$('#detail').addEventListener('submit', event => {
+  event.preventDefault();
+  const note = event.target.elements.note.value.trim();
+  if (note) addNote(note);
+});
+
+$('#prev').addEventListener('click', () => { state.page -= 1; loadLeads(); });
+$('#next').addEventListener('click', () => { state.page += 1; loadLeads(); });
+
+loadLeads();
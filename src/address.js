@@ -0,0 +1,40 @@
+/**
+ * Address helpers shared by the API server, outreach generator and CRM exports
+ */
+
+/**
+ * "12 Main St, Austin, TX 78701, USA" -> "Austin"
+ */
+export function cityFromAddress(address) {
+  if (!address) return null;
+
+  const parts = address.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length > 2 && /^(usa|us|united states)$/i.test(parts[parts.length - 1])) parts.pop();
+  if (parts.length < 2) return null;
+
+  // The last part is usually the state/postcode, the one before it the city
+  return parts[parts.length - 2];
+}
+
+/**
+ * "12 Main St, Austin, TX 78701, USA" -> { street: "12 Main St", city: "Austin", region: "TX", postalCode: "78701" }
+ * Fields that can't be told apart are null; the street keeps everything before the city.
+ */
+export function addressParts(address) {
+  const empty = { street: null, city: null, region: null, postalCode: null };
+  if (!address) return empty;
+
+  const parts = address.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length > 2 && /^(usa|us|united states)$/i.test(parts[parts.length - 1])) parts.pop();
+  if (parts.length < 2) return { ...empty, street: parts[0] || null };
+
+  const [, region = null, postalCode = null] = parts[parts.length - 1].match(/^(.*?)\s*(\d{5}(?:-\d{4})?)?$/) || [];
+  return {
+    street: parts.slice(0, -2).join(', ') || null,
+    city: cityFromAddress(address),
+    region: region || null,
+    postalCode,
+  };
+}
+
+export default cityFromAddress;
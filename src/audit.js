@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { basename, join } from 'path';
+import { cityFromAddress } from './address.js';
+import LeadStatusTracker from './lead-status.js';
+
+/**
+ * Reputation Audit - Branded one-page HTML audit of a scored lead, for pitches
+ * Rating vs local competitors, the monthly rating trend (inline SVG), complaint
+ * themes with quotes, reply findings and recommended actions, all from
+ * `enrichment` and `scoringDetails`. Print styles keep it to one A4/Letter page,
+ * so "Save as PDF" in a browser gives the PDF.
+ */
+
+export const AUDIT_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+const RISK_LABELS = { critical: 'Urgent', high: 'High', medium: 'Moderate', low: 'Low' };
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatMonth(month) {
+  return new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' });
+}
+
+function ordinal(number) {
+  const suffix = [11, 12, 13].includes(number % 100) ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th';
+  return `${number}${suffix}`;
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+class ReputationAudit {
+  constructor(options = {}) {
+    this.brand = {
+      company: options.company || process.env.OUTREACH_COMPANY || 'Your Agency',
+      name: options.senderName || process.env.OUTREACH_FROM_NAME || null,
+      email: options.senderEmail || process.env.OUTREACH_FROM_EMAIL || null,
+      color: options.color || process.env.AUDIT_BRAND_COLOR || '#1f4e79',
+      logoUrl: options.logoUrl || process.env.AUDIT_LOGO_URL || null,
+    };
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Leads at or above a priority, leaving out ones hidden by status rules
+   */
+  selectLeads(leads, minPriority = process.env.AUDIT_MIN_PRIORITY || 'high', statusTracker = new LeadStatusTracker()) {
+    const cutoff = AUDIT_PRIORITIES.indexOf(minPriority);
+    if (cutoff === -1) {
+      throw new Error(`Unknown priority "${minPriority}". Use: ${AUDIT_PRIORITIES.join(', ')}`);
+    }
+
+    return statusTracker.applyRules(leads)
+      .filter(lead => AUDIT_PRIORITIES.indexOf(lead.priority) !== -1 && AUDIT_PRIORITIES.indexOf(lead.priority) <= cutoff);
+  }
+
+  /**
+   * The full HTML document for one lead
+   */
+  render(lead) {
+    const enrichment = lead.enrichment || {};
+    const trend = enrichment.reviewTrend || {};
+    const benchmark = enrichment.benchmark || {};
+    const responses = enrichment.responseRate || {};
+    const city = lead.city || cityFromAddress(lead.address);
+    const { color } = this.brand;
+
+    const cards = [
+      ['Rating', `${lead.rating ?? '—'}★`, `${lead.totalReviews || 0} reviews`],
+      ['Local standing', benchmark.ratingPercentile == null ? '—' : ordinal(benchmark.ratingPercentile), benchmark.ratingPercentile == null ? 'percentile' : `percentile of ${benchmark.peers} peers`],
+      ['Trend', (trend.category || 'insufficient_data').replace(/_/g, ' '), trend.slope === undefined ? '' : `${trend.slope > 0 ? '+' : ''}${trend.slope}★ / month`],
+      ['Negative reviews answered', responses.negative?.percentage || '—', responses.negative?.total ? `${responses.negative.responded} of ${responses.negative.total}` : 'none found'],
+      ['Risk', RISK_LABELS[lead.priority] || '—', 'to reputation'],
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Reputation audit – ${escapeHtml(lead.name)}</title>
+<style>
+  @page { size: auto; margin: 12mm; }
+  * { box-sizing: border-box; }
+  body { font: 12px/1.45 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #222; margin: 0 auto; max-width: 210mm; padding: 14px 18px; }
+  header { display: flex; justify-content: space-between; align-items: flex-end; border-bottom: 3px solid ${color}; padding-bottom: 8px; }
+  header img { max-height: 36px; }
+  h1 { font-size: 20px; margin: 0; color: ${color}; }
+  h2 { font-size: 13px; margin: 12px 0 4px; color: ${color}; text-transform: uppercase; letter-spacing: .04em; }
+  .meta, .muted { color: #666; }
+  .cards { display: grid; grid-template-columns: repeat(5, 1fr); gap: 6px; margin-top: 10px; }
+  .card { border: 1px solid #ddd; border-radius: 6px; padding: 6px 8px; }
+  .card b { display: block; font-size: 16px; text-transform: capitalize; }
+  .card span { font-size: 10px; color: #666; }
+  .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 0 18px; }
+  blockquote { margin: 3px 0 3px 0; padding: 2px 8px; border-left: 3px solid #ddd; color: #444; font-style: italic; }
+  ol { margin: 4px 0; padding-left: 18px; }
+  li { margin-bottom: 3px; }
+  .share { display: inline-block; height: 6px; background: ${color}; border-radius: 3px; vertical-align: middle; margin-right: 6px; }
+  footer { margin-top: 12px; border-top: 1px solid #ddd; padding-top: 6px; font-size: 10px; color: #666; display: flex; justify-content: space-between; }
+  @media print { body { padding: 0; } section, .card { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<header>
+  <div>
+    <h1>Reputation audit: ${escapeHtml(lead.name)}</h1>
+    <div class="meta">${escapeHtml([lead.category, lead.address].filter(Boolean).join(' · '))}</div>
+  </div>
+  <div>${this.brand.logoUrl ? `<img src="${escapeHtml(this.brand.logoUrl)}" alt="${escapeHtml(this.brand.company)}">` : `<strong>${escapeHtml(this.brand.company)}</strong>`}<div class="meta">${formatDate(this.now())}</div></div>
+</header>
+
+<div class="cards">
+${cards.map(([label, value, note]) => `  <div class="card">${escapeHtml(label)}<b>${escapeHtml(value)}</b><span>${escapeHtml(note)}</span></div>`).join('\n')}
+</div>
+
+<div class="grid">
+<section>
+  <h2>Rating vs local competitors</h2>
+  ${this.renderBenchmark(lead, benchmark, city)}
+</section>
+<section>
+  <h2>Review trend</h2>
+  ${this.renderTrend(trend)}
+</section>
+<section>
+  <h2>What customers complain about</h2>
+  ${this.renderComplaints(enrichment.complaintAspects)}
+</section>
+<section>
+  <h2>How reviews are answered</h2>
+  ${this.renderResponses(responses)}
+</section>
+</div>
+
+<section>
+  <h2>Recommended actions</h2>
+  <ol>
+${this.recommendations(lead).map(action => `    <li>${escapeHtml(action)}</li>`).join('\n')}
+  </ol>
+</section>
+
+<footer>
+  <span>Based on ${escapeHtml(lead.reviews?.length || 0)} recent public reviews${lead.sources ? ` from ${escapeHtml(lead.sources.join(', '))}` : ''}.</span>
+  <span>${escapeHtml([this.brand.name, this.brand.company, this.brand.email].filter(Boolean).join(' · '))}</span>
+</footer>
+</body>
+</html>
+`;
+  }
+
+  renderBenchmark(lead, benchmark, city) {
+    if (!benchmark.scope) {
+      return '<p class="muted">Not enough comparable businesses were found nearby to compare against.</p>';
+    }
+
+    const where = benchmark.scope === 'city' && city ? ` in ${city}` : '';
+    const gap = benchmark.ratingGap;
+    const peers = `${benchmark.peers} ${(lead.category || 'local').toLowerCase()} businesses${where}`;
+    let summary = `At or above the median of ${peers}.`;
+    if (gap == null) summary = `No rating yet to compare with the median of ${peers}.`;
+    else if (gap < 0) summary = `${Math.abs(gap)}★ below the median of ${peers}.`;
+
+    const bars = [
+      { label: lead.name, rating: lead.rating, highlight: true },
+      { label: 'Local median', rating: benchmark.medianRating },
+      ...(benchmark.topCompetitors || []).map(peer => ({ label: peer.name, rating: peer.rating })),
+    ];
+
+    return `<p>${escapeHtml(summary)}</p>\n  ${this.ratingBars(bars)}`;
+  }
+
+  /**
+   * Horizontal bars on a 0-5 star scale
+   */
+  ratingBars(bars) {
+    const rowHeight = 18;
+    const labelWidth = 130;
+    const barWidth = 190;
+    const height = bars.length * rowHeight;
+
+    const rows = bars.map((bar, idx) => {
+      const y = idx * rowHeight;
+      const width = Math.max(0, Math.min(5, bar.rating || 0)) / 5 * barWidth;
+      const fill = bar.highlight ? this.brand.color : '#b8c2cc';
+      const label = bar.label.length > 22 ? `${bar.label.slice(0, 21)}…` : bar.label;
+      return `<text x="0" y="${y + 12}" font-size="10"${bar.highlight ? ' font-weight="bold"' : ''}>${escapeHtml(label)}</text>`
+        + `<rect x="${labelWidth}" y="${y + 3}" width="${width.toFixed(1)}" height="11" rx="2" fill="${fill}"/>`
+        + `<text x="${(labelWidth + width + 4).toFixed(1)}" y="${y + 12}" font-size="10">${escapeHtml(bar.rating ?? '—')}★</text>`;
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${labelWidth + barWidth + 30} ${height}" width="100%" role="img" aria-label="Rating compared with local competitors">${rows.join('')}</svg>`;
+  }
+
+  renderTrend(trend) {
+    const monthly = trend.monthly || [];
+    if (monthly.length < 2) {
+      return '<p class="muted">Not enough dated reviews yet to chart a trend.</p>';
+    }
+
+    const sentence = {
+      sudden_drop: `A burst of ${trend.spike?.count} one- and two-star reviews in ${trend.spike?.windowDays} days (${trend.spike?.start ? formatDate(trend.spike.start) : ''}–${trend.spike?.end ? formatDate(trend.spike.end) : ''}).`,
+      declining: `Ratings are slipping by about ${Math.abs(trend.slope)}★ a month.`,
+      improving: `Ratings are recovering by about ${trend.slope}★ a month.`,
+      stable: 'Ratings have held roughly steady.',
+    }[trend.category] || '';
+
+    return `<p>${escapeHtml(sentence)}</p>\n  ${this.trendChart(monthly)}`;
+  }
+
+  /**
+   * Monthly average (solid, with points) and rolling average (dashed) on a 1-5 star axis
+   */
+  trendChart(monthly) {
+    const width = 340;
+    const height = 130;
+    const left = 24;
+    const bottom = 18;
+    const plotWidth = width - left - 8;
+    const plotHeight = height - bottom - 6;
+    const x = idx => left + (monthly.length === 1 ? plotWidth / 2 : (idx / (monthly.length - 1)) * plotWidth);
+    const y = rating => 6 + ((5 - rating) / 4) * plotHeight;
+    const line = field => monthly.map((month, idx) => `${x(idx).toFixed(1)},${y(month[field]).toFixed(1)}`).join(' ');
+
+    const grid = [1, 2, 3, 4, 5].map(star => (
+      `<line x1="${left}" x2="${width - 8}" y1="${y(star).toFixed(1)}" y2="${y(star).toFixed(1)}" stroke="#eee"/>`
+      + `<text x="0" y="${(y(star) + 3).toFixed(1)}" font-size="9" fill="#888">${star}★</text>`
+    )).join('');
+    // Label every month when few, otherwise about five evenly spaced
+    const step = Math.ceil(monthly.length / 5);
+    const labels = monthly
+      .map((month, idx) => (idx % step === 0 || idx === monthly.length - 1
+        ? `<text x="${x(idx).toFixed(1)}" y="${height - 4}" font-size="9" fill="#888" text-anchor="middle">${formatMonth(month.month)}</text>`
+        : ''))
+      .join('');
+    const points = monthly
+      .map((month, idx) => `<circle cx="${x(idx).toFixed(1)}" cy="${y(month.average).toFixed(1)}" r="2.5" fill="${this.brand.color}"><title>${escapeHtml(`${month.month}: ${month.average}★ from ${month.count} reviews`)}</title></circle>`)
+      .join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Monthly average rating">`
+      + grid
+      + `<polyline points="${line('rollingAverage')}" fill="none" stroke="#b8c2cc" stroke-width="2" stroke-dasharray="4 3"/>`
+      + `<polyline points="${line('average')}" fill="none" stroke="${this.brand.color}" stroke-width="2"/>`
+      + points + labels
+      + '</svg>\n  <div class="muted">Solid: monthly average · dashed: rolling average</div>';
+  }
+
+  renderComplaints(profile) {
+    const aspects = (profile?.aspects || []).slice(0, 3);
+    if (aspects.length === 0) {
+      return '<p class="muted">No recurring complaint themes in the recent negative reviews.</p>';
+    }
+
+    return aspects.map(aspect => {
+      const percent = Math.round(aspect.share * 100);
+      const quotes = [...new Set(aspect.examples.map(example => example.quote))].slice(0, 2);
+      return `<div><span class="share" style="width:${Math.max(4, percent * 0.6)}px"></span><strong>${escapeHtml(aspect.label)}</strong> `
+        + `<span class="muted">${percent}% of negative reviews</span>`
+        + quotes.map(quote => `<blockquote>“${escapeHtml(quote)}”</blockquote>`).join('')
+        + '</div>';
+    }).join('\n  ');
+  }
+
+  renderResponses(responses) {
+    if (!responses.total) {
+      return '<p class="muted">No reviews to assess.</p>';
+    }
+
+    const negative = responses.negative || {};
+    const unanswered = (negative.total || 0) - (negative.responded || 0);
+    const tone = responses.tone?.label;
+    const lines = [
+      `${responses.percentage} of recent reviews have an owner reply.`,
+      negative.total ? `${negative.responded} of ${negative.total} negative reviews were answered${unanswered > 0 ? `, so ${unanswered} complaints sit unanswered in public` : ''}.` : null,
+      responses.medianLatencyDays !== null && responses.medianLatencyDays !== undefined ? `Replies take ${responses.medianLatencyDays} days (median).` : null,
+      tone === 'canned' ? 'Most replies are templated and don\'t address what the reviewer said.' : null,
+      tone === 'defensive' ? 'Several replies argue with or blame the reviewer, which future customers read too.' : null,
+      tone === 'personal' ? 'Replies are personal and specific, which is worth keeping.' : null,
+    ].filter(Boolean);
+
+    return `<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`;
+  }
+
+  /**
+   * Recommended actions, most urgent first: candidates are ordered by the points
+   * the scoring factors that looked at the same metrics gave
+   */
+  recommendations(lead) {
+    const enrichment = lead.enrichment || {};
+    const trend = enrichment.reviewTrend || {};
+    const responses = enrichment.responseRate || {};
+    const benchmark = enrichment.benchmark || {};
+    const [topAspect] = enrichment.complaintAspects?.aspects || [];
+    const unanswered = (responses.negative?.total || 0) - (responses.negative?.responded || 0);
+
+    const candidates = [
+      unanswered > 0 && {
+        metrics: ['negativeResponseRate', 'rate', 'responseLatencyDays', 'responseTone'],
+        text: `Reply to the ${unanswered} unanswered negative review${unanswered === 1 ? '' : 's'}, newest first, and answer new ones within two days.`,
+      },
+      responses.tone?.label === 'canned' && {
+        metrics: ['responseTone'],
+        text: 'Replace copy-paste replies with short personal ones that name the problem and what was done about it.',
+      },
+      responses.tone?.label === 'defensive' && {
+        metrics: ['responseTone'],
+        text: 'Stop disputing reviews in public; acknowledge, apologise once, and move the conversation offline.',
+      },
+      trend.category === 'sudden_drop' && {
+        metrics: ['trendCategory', 'trendScore', 'negativeSpike'],
+        text: `Find out what changed around ${formatDate(trend.spike.start)}: ${trend.spike.count} bad reviews arrived in ${trend.spike.windowDays} days.`,
+      },
+      trend.category === 'declining' && {
+        metrics: ['trendCategory', 'trendScore', 'trendSlope'],
+        text: `Review staffing, suppliers or processes that changed recently: ratings are falling about ${Math.abs(trend.slope)}★ a month.`,
+      },
+      topAspect && {
+        metrics: ['count', 'recentNegatives'],
+        text: `Fix ${topAspect.label.toLowerCase()} first: ${Math.round(topAspect.share * 100)}% of negative reviews mention ${topAspect.mention}.`,
+      },
+      benchmark.ratingGap < 0 && {
+        metrics: ['ratingPercentile', 'ratingGap'],
+        text: `Close the ${Math.abs(benchmark.ratingGap)}★ gap to the local median (${benchmark.medianRating}★) by asking happy customers for a review after each visit.`,
+      },
+      benchmark.reviewVolumePercentile != null && benchmark.reviewVolumePercentile < 50 && {
+        metrics: ['reviewVolumePercentile'],
+        text: 'Collect more reviews: competitors have more, so each bad one weighs more here.',
+      },
+    ].filter(Boolean);
+
+    const urgency = candidate => Object.values(lead.scoringDetails || {})
+      .filter(detail => candidate.metrics.some(metric => Object.hasOwn(detail, metric)))
+      .reduce((sum, detail) => sum + (detail.points || 0), 0);
+
+    const ranked = candidates
+      .map((candidate, idx) => ({ ...candidate, idx, urgency: urgency(candidate) }))
+      .sort((a, b) => b.urgency - a.urgency || a.idx - b.idx)
+      .map(candidate => candidate.text);
+
+    return ranked.length > 0 ? ranked : ['Keep replying to reviews and asking satisfied customers to leave one.'];
+  }
+
+  slugify(text) {
+    return String(text).replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Write one lead's audit; returns the file path
+   */
+  writeAudit(lead, dir = 'output/audits') {
+    mkdirSync(dir, { recursive: true });
+    const filepath = join(dir, `${this.slugify(lead.id || lead.name)}.html`);
+    writeFileSync(filepath, this.render(lead));
+    return filepath;
+  }
+
+  /**
+   * Write one audit per lead plus an index.html linking them
+   */
+  writeAudits(leads, dir = 'output/audits') {
+    const files = leads.map(lead => ({ lead, file: basename(this.writeAudit(lead, dir)) }));
+
+    const index = `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>Reputation audits</title></head>
+<body style="font-family: sans-serif">
+<h1>Reputation audits (${files.length})</h1>
+<ul>
+${files.map(({ lead, file }) => `  <li><a href="${escapeHtml(file)}">${escapeHtml(lead.name)}</a> – ${escapeHtml(lead.priority)} (score ${escapeHtml(lead.score)})</li>`).join('\n')}
+</ul>
+</body></html>
+`;
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(join(dir, 'index.html'), index);
+
+    console.log(`📄 Wrote ${files.length} reputation audits to ${dir}/`);
+    return files.map(({ file }) => join(dir, file));
+  }
+}
+
+// CLI execution: `npm run audit -- [lead-id]` (all high/critical leads without one)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [leadId] = process.argv.slice(2);
+  const audit = new ReputationAudit();
+
+  if (!existsSync('output/scored-leads.json')) {
+    console.error('❌ No scored leads found. Run scorer first: npm run score');
+    process.exit(1);
+  }
+  const leads = JSON.parse(readFileSync('output/scored-leads.json', 'utf8'));
+
+  if (leadId) {
+    const lead = leads.find(candidate => candidate.id === leadId);
+    if (!lead) {
+      console.error(`❌ Lead not found: ${leadId}`);
+      process.exit(1);
+    }
+    console.log(`📄 Wrote ${audit.writeAudit(lead)}`);
+  } else {
+    audit.writeAudits(audit.selectLeads(leads));
+  }
+}
+
+export default ReputationAudit;
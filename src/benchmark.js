@@ -0,0 +1,132 @@
+import { cityFromAddress } from './address.js';
+
+/**
+ * Competitor Benchmark - Compares each lead with other businesses of the same
+ * category in the same city (falling back to the same category anywhere scraped)
+ * The market includes well-rated places the scraper filtered out of the leads.
+ */
+
+function round(value, digits = 1) {
+  return parseFloat(value.toFixed(digits));
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Share of peers below a value, counting ties as half (0-100)
+ */
+export function percentileRank(value, peerValues) {
+  if (typeof value !== 'number' || peerValues.length === 0) return null;
+  const below = peerValues.filter(peer => peer < value).length;
+  const ties = peerValues.filter(peer => peer === value).length;
+  return Math.round(((below + ties / 2) / peerValues.length) * 100);
+}
+
+/**
+ * The slim record kept for every scraped place, lead or not
+ */
+export function toMarketPlace(place) {
+  return {
+    id: place.id,
+    source: place.source,
+    name: place.name,
+    category: place.category,
+    rating: place.rating ?? null,
+    totalReviews: place.totalReviews || 0,
+    address: place.address || null,
+  };
+}
+
+class CompetitorBenchmark {
+  constructor(options = {}) {
+    // Fewer city peers than this and the lead is compared across all scraped cities
+    this.minPeers = options.minPeers ?? 3;
+    this.topCount = options.topCount ?? 3;
+  }
+
+  /**
+   * Index market places by category and by category + city
+   * Places listed on several sources are counted once (same name and city).
+   */
+  buildMarket(places) {
+    const byCategory = new Map();
+    const byCity = new Map();
+    const seen = new Set();
+
+    places.forEach(place => {
+      if (typeof place.rating !== 'number' || !place.category) return;
+
+      const category = place.category.toLowerCase();
+      const city = (cityFromAddress(place.address) || '').toLowerCase();
+      const identity = `${place.name}|${city}`.toLowerCase();
+      if (seen.has(identity)) return;
+      seen.add(identity);
+
+      const entry = { ...toMarketPlace(place), city };
+      if (!byCategory.has(category)) byCategory.set(category, []);
+      byCategory.get(category).push(entry);
+
+      if (city) {
+        const key = `${category}|${city}`;
+        if (!byCity.has(key)) byCity.set(key, []);
+        byCity.get(key).push(entry);
+      }
+    });
+
+    return { byCategory, byCity };
+  }
+
+  /**
+   * Rating and review-volume standing of one lead among its local competitors
+   */
+  compare(lead, market) {
+    const category = (lead.category || '').toLowerCase();
+    const city = (cityFromAddress(lead.address) || '').toLowerCase();
+    const ownIds = new Set([lead.id, ...(lead.mergedIds || [])]);
+    const isPeer = place => !ownIds.has(place.id) && `${place.name}|${place.city}`.toLowerCase() !== `${lead.name}|${city}`.toLowerCase();
+
+    const local = (market.byCity.get(`${category}|${city}`) || []).filter(isPeer);
+    const wide = (market.byCategory.get(category) || []).filter(isPeer);
+    const [scope, peers] = local.length >= this.minPeers
+      ? ['city', local]
+      : wide.length >= this.minPeers ? ['category', wide] : [null, wide];
+
+    if (!scope) {
+      return { scope: null, category: lead.category, city: cityFromAddress(lead.address), peers: peers.length };
+    }
+
+    const ratings = peers.map(peer => peer.rating);
+    const medianRating = median(ratings);
+
+    return {
+      scope,
+      category: lead.category,
+      city: cityFromAddress(lead.address),
+      peers: peers.length,
+      ratingPercentile: percentileRank(lead.rating, ratings),
+      reviewVolumePercentile: percentileRank(lead.totalReviews || 0, peers.map(peer => peer.totalReviews)),
+      medianRating: round(medianRating),
+      averageRating: round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length),
+      ratingGap: typeof lead.rating === 'number' ? round(lead.rating - medianRating) : null,
+      topCompetitors: [...peers]
+        .sort((a, b) => b.rating - a.rating || b.totalReviews - a.totalReviews)
+        .slice(0, this.topCount)
+        .map(({ name, rating, totalReviews, address }) => ({ name, rating, totalReviews, address })),
+    };
+  }
+
+  /**
+   * Benchmark every lead; leads are part of their own market
+   */
+  compareAll(leads, marketPlaces = []) {
+    const market = this.buildMarket([...marketPlaces, ...leads]);
+    return leads.map(lead => this.compare(lead, market));
+  }
+}
+
+export default CompetitorBenchmark;
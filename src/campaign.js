@@ -0,0 +1,159 @@
+import { mapWithConcurrency } from './concurrency.js';
+
+/**
+ * Campaign - Runs every query × location search with bounded concurrency
+ * Tags leads with the campaign and the searches that found them, dedupes
+ * across the whole campaign, and reports per-search yield.
+ */
+
+/**
+ * Expand settings into the list of searches to run
+ * `searches` entries override the limit of a matching pair or add extra pairs.
+ */
+export function buildSearches(settings) {
+  const key = search => `${search.query.toLowerCase()}|${search.location.toLowerCase()}`;
+  const searches = new Map();
+
+  settings.queries.forEach(query => {
+    settings.locations.forEach(location => {
+      const search = { query, location, maxResults: settings.maxResults };
+      searches.set(key(search), search);
+    });
+  });
+
+  (settings.searches || []).forEach(entry => {
+    if (!entry?.query || !entry?.location) {
+      throw new Error(`Campaign searches need a query and a location (got ${JSON.stringify(entry)})`);
+    }
+    const search = {
+      query: entry.query,
+      location: entry.location,
+      maxResults: Number(entry.maxResults ?? settings.maxResults),
+    };
+    searches.set(key(search), { ...searches.get(key(search)), ...search });
+  });
+
+  return [...searches.values()];
+}
+
+/**
+ * Stable key for comparing runs of the same campaign
+ */
+export function searchKey(searches) {
+  return searches
+    .map(search => `${search.query}|${search.location}`.toLowerCase())
+    .sort()
+    .join('; ');
+}
+
+/**
+ * Run the searches described by resolved settings with a scraper
+ */
+export async function scrapeCampaign(scraper, settings) {
+  const searches = buildSearches(settings);
+  const runner = new CampaignRunner(scraper, {
+    name: settings.campaign,
+    concurrency: settings.concurrency,
+  });
+
+  const result = await runner.run(searches);
+  return { searches, ...result, market: scraper.getMarketPlaces() };
+}
+
+class CampaignRunner {
+  constructor(scraper, options = {}) {
+    this.scraper = scraper;
+    this.name = options.name || 'ad-hoc';
+    this.concurrency = options.concurrency ?? 2;
+  }
+
+  /**
+   * Run all searches and return campaign-wide unique leads plus per-search yield
+   */
+  async run(searches) {
+    console.log(`\n📣 Campaign "${this.name}": ${searches.length} searches (concurrency ${this.concurrency})\n`);
+
+    const results = await mapWithConcurrency(searches, this.concurrency, async search => {
+      try {
+        const leads = await this.scraper.scrapeAll(search.query, search.location, search.maxResults, null);
+        return { search, leads, error: null };
+      } catch (error) {
+        console.error(`❌ Search "${search.query}" in ${search.location} failed:`, error.message);
+        return { search, leads: [], error: error.message };
+      }
+    });
+
+    const tagged = results.flatMap(({ search, leads }) => leads.map(lead => ({
+      ...lead,
+      campaign: this.name,
+      searches: [{ query: search.query, location: search.location }],
+    })));
+
+    const leads = this.scraper.deduplicateLeads(this.mergeSameId(tagged))
+      .map(lead => ({ ...lead, searches: this.uniqueSearches(lead.searches) }));
+
+    const yieldReport = this.buildYieldReport(results, leads);
+    this.printYieldReport(yieldReport, leads.length);
+
+    return { leads, yieldReport };
+  }
+
+  /**
+   * The same listing found by two searches keeps one copy with both searches
+   */
+  mergeSameId(leads) {
+    const byId = new Map();
+
+    leads.forEach(lead => {
+      const existing = byId.get(lead.id);
+      if (existing) {
+        existing.searches.push(...lead.searches);
+      } else {
+        byId.set(lead.id, { ...lead, searches: [...lead.searches] });
+      }
+    });
+
+    return [...byId.values()];
+  }
+
+  uniqueSearches(searches = []) {
+    const seen = new Set();
+    return searches.filter(search => {
+      const key = `${search.query}|${search.location}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Per search: leads found, leads in the final set, and leads only it found
+   */
+  buildYieldReport(results, leads) {
+    return results.map(({ search, leads: found, error }) => {
+      const matches = lead => lead.searches.some(s => s.query === search.query && s.location === search.location);
+      const attributed = leads.filter(matches);
+
+      return {
+        query: search.query,
+        location: search.location,
+        maxResults: search.maxResults,
+        found: found.length,
+        unique: attributed.length,
+        exclusive: attributed.filter(lead => lead.searches.length === 1).length,
+        error,
+      };
+    });
+  }
+
+  printYieldReport(report, total) {
+    console.log(`\n📊 Campaign "${this.name}" yield:`);
+    report.forEach(row => {
+      const status = row.error ? ` ❌ ${row.error}` : '';
+      console.log(`   ${row.query} in ${row.location}: ${row.found} found, ${row.unique} kept, ${row.exclusive} only here${status}`);
+    });
+    console.log(`   Campaign total: ${total} unique leads\n`);
+  }
+}
+
+export default CampaignRunner;
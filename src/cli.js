@@ -0,0 +1,538 @@
+#!/usr/bin/env node
+import { existsSync, realpathSync } from 'fs';
+import { basename, extname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { config } from 'dotenv';
+import { resolveConfig } from './config.js';
+import { outputPaths, exportLeads } from './pipeline.js';
+import LeadEnricher from './enricher.js';
+import LeadScorer from './scorer.js';
+import LeadStore from './lead-store.js';
+import LeadStatusTracker, { LEAD_STATUSES } from './lead-status.js';
+import runPipeline from './index.js';
+import runDemo from './demo.js';
+import { runImport } from './importer.js';
+import { scrapeCampaign } from './campaign.js';
+import LeadServer from './server.js';
+import OutreachGenerator from './outreach.js';
+import ReputationAudit, { AUDIT_PRIORITIES } from './audit.js';
+import { Notifier, DeliveryLog } from './notify/index.js';
+import Scheduler from './scheduler.js';
+import PlaceCache from './place-cache.js';
+
+config();
+
+/**
+ * LeadMiner CLI - `lead-miner <command> [options]`
+ */
+
+const OPTIONS = {
+  help: { type: 'boolean', short: 'h' },
+  config: { type: 'string', short: 'c' },
+  input: { type: 'string', short: 'i' },
+  output: { type: 'string', short: 'o' },
+  'output-dir': { type: 'string' },
+  query: { type: 'string', short: 'q', multiple: true },
+  location: { type: 'string', short: 'l', multiple: true },
+  'max-results': { type: 'string', short: 'n' },
+  sources: { type: 'string' },
+  campaign: { type: 'string' },
+  concurrency: { type: 'string' },
+  'max-rating': { type: 'string' },
+  profile: { type: 'string', short: 'p' },
+  format: { type: 'string', short: 'f', multiple: true },
+  'min-score': { type: 'string' },
+  'min-priority': { type: 'string' },
+  territories: { type: 'string' },
+  territory: { type: 'string', multiple: true },
+  near: { type: 'string' },
+  radius: { type: 'string' },
+  crm: { type: 'string' },
+  push: { type: 'boolean' },
+  notifications: { type: 'string' },
+  channel: { type: 'string' },
+  schedules: { type: 'string' },
+  top: { type: 'string' },
+  'skip-crawl': { type: 'boolean' },
+  refresh: { type: 'boolean' },
+  'max-spend': { type: 'string' },
+  'max-items': { type: 'string' },
+  'run-timeout': { type: 'string' },
+  demo: { type: 'boolean' },
+  seed: { type: 'string' },
+  count: { type: 'string' },
+  mapping: { type: 'string' },
+  source: { type: 'string' },
+  note: { type: 'string' },
+  offering: { type: 'string' },
+  template: { type: 'string' },
+  port: { type: 'string' },
+  host: { type: 'string' },
+};
+
+const COMMANDS = {
+  run: {
+    summary: 'Scrape, enrich, score and export in one go',
+    usage: 'run [-q query]... [-l location]... [--demo]',
+    handler: settings => runPipeline(settings),
+  },
+  campaign: {
+    summary: 'Run every search in a campaign file through the pipeline',
+    usage: 'campaign <campaign.yaml> [--concurrency n]',
+    handler: campaignCommand,
+  },
+  scrape: {
+    summary: 'Scrape review sites for low-rated businesses',
+    usage: 'scrape [-q query]... [-l location]... [-n max] [--sources list] [-o file]',
+    handler: scrapeCommand,
+  },
+  enrich: {
+    summary: 'Add contact info, trends and keywords to scraped leads',
+    usage: 'enrich [-i scraped.json] [-o enriched.json] [--skip-crawl]',
+    handler: enrichCommand,
+  },
+  score: {
+    summary: 'Score and rank enriched leads',
+    usage: 'score [-i enriched.json] [-o scored.json] [-p profile]',
+    handler: scoreCommand,
+  },
+  export: {
+    summary: 'Export scored leads (json, csv, delta, digest, geojson)',
+    usage: 'export [-i scored.json] [-o leads.csv] [-f csv,geojson] [--min-score n] [--territory name] [--near lat,lng --radius km]',
+    handler: exportCommand,
+  },
+  crm: {
+    summary: 'Export scored leads as CRM import files, optionally pushing them',
+    usage: 'crm <hubspot|salesforce|pipedrive|mapping.yaml> [--push] [-o dir] [--min-score n]',
+    handler: crmCommand,
+  },
+  demo: {
+    summary: 'Run the full pipeline on generated demo data (no API keys)',
+    usage: 'demo [--seed n] [--count n]',
+    handler: settings => runDemo(settings),
+  },
+  import: {
+    summary: 'Run a CSV/JSON review export through the pipeline',
+    usage: 'import <file> [--mapping mapping.json] [--source name] [--max-rating n]',
+    handler: importCommand,
+  },
+  schedule: {
+    summary: 'Run campaigns on cron schedules (daemon), or run what is due once',
+    usage: 'schedule [start|once|list|runs] [--schedules schedules.yaml]',
+    handler: scheduleCommand,
+  },
+  cache: {
+    summary: 'Inspect or clear the place/review cache',
+    usage: 'cache [stats|show <place-or-lead-id>|clear [source]]',
+    handler: cacheCommand,
+  },
+  runs: {
+    summary: 'List recorded pipeline runs',
+    usage: 'runs',
+    handler: () => new LeadStore().printRunHistory(),
+  },
+  outreach: {
+    summary: 'Write personalized outreach drafts (.eml, .md, mail-merge CSV)',
+    usage: 'outreach [preview <lead-id>] [--offering name] [--template id] [--min-score n] [--top n] [-o dir]',
+    handler: outreachCommand,
+  },
+  notify: {
+    summary: 'List notification channels, send a test or the digest, show deliveries',
+    usage: 'notify [test|send|log] [--channel name] [--notifications file]',
+    handler: notifyCommand,
+  },
+  audit: {
+    summary: 'Write one-page HTML reputation audits to attach to pitches',
+    usage: `audit [<lead-id>] [--min-priority ${AUDIT_PRIORITIES.join('|')}] [-o dir]`,
+    handler: auditCommand,
+  },
+  status: {
+    summary: 'Show or set a lead\'s outreach status and activity',
+    usage: `status <lead-id> [${LEAD_STATUSES.join('|')}] [--note text]`,
+    handler: statusCommand,
+  },
+  note: {
+    summary: 'Add a timestamped activity note to a lead',
+    usage: 'note <lead-id> <text>',
+    handler: noteCommand,
+  },
+  serve: {
+    summary: 'Serve the dashboard and a local HTTP API for leads and runs',
+    usage: 'serve [--port 3000] [--host 127.0.0.1]',
+    handler: serveCommand,
+  },
+};
+
+function printHelp(command) {
+  if (command && COMMANDS[command]) {
+    console.log(`Usage: lead-miner ${COMMANDS[command].usage}\n\n${COMMANDS[command].summary}\n`);
+  } else {
+    console.log('Usage: lead-miner <command> [options]\n\nCommands:');
+    Object.entries(COMMANDS).forEach(([name, { summary }]) => {
+      console.log(`  ${name.padEnd(9)} ${summary}`);
+    });
+    console.log('');
+  }
+
+  console.log(`Options:
+  -c, --config <file>       JSON/YAML config file (flags override it, it overrides .env)
+  -i, --input <file>        Input file for enrich/score/export
+  -o, --output <file>       Output file for scrape/enrich/score (CSV path for export)
+      --output-dir <dir>    Directory for all pipeline files (default: output)
+  -q, --query <text>        Business type to search for; repeat for several (default: restaurants)
+  -l, --location <place>    Location to search; repeat for several
+  -n, --max-results <n>     Max places per source and search (default: 50)
+      --campaign <name>     Campaign name recorded on leads and runs
+      --concurrency <n>     Searches to run at once (default: 2)
+      --sources <list>      Comma-separated sources (default: all registered)
+      --max-rating <n>      Only keep businesses rated at or below n (default: 3.0)
+  -p, --profile <name>      Scoring profile name or file
+  -f, --format <list>       Exports: json, csv, delta, digest (default), geojson, crm (opt-in)
+      --min-score <n>       Only export leads scoring at least n
+      --territories <file>  Territory definitions (YAML/JSON) used to assign reps
+      --territory <name>    Only export leads in this territory; repeat for several
+      --near <lat,lng>      Only export leads within --radius km of this point
+      --radius <km>         Radius for --near
+      --crm <name|file>     CRM format for crm exports: hubspot, salesforce, pipedrive or a mapping file
+      --push                Also send CRM records to CRM_PUSH_URL
+      --notifications <file> Notification channels (YAML/JSON) for the digest
+      --channel <name>      Only use this notification channel (notify)
+      --schedules <file>    Schedules file for schedule (default: schedules.yaml)
+      --top <n>             Leads in top-leads.json (default: 10)
+      --skip-crawl          Don't crawl websites for contact details
+      --refresh             Ignore the place cache's TTL (reviews still fetched incrementally)
+      --max-spend <usd>     Stop starting Apify runs once this much is spent
+      --max-items <n>       Most dataset items read across all Apify runs
+      --run-timeout <time>  Apify run timeout, e.g. 10m (partial results are kept)
+      --demo               Use demo data (run)
+      --seed <n>            Demo data seed (default: 42)
+      --count <n>           Number of demo leads (default: 50)
+      --mapping <file>      Column mapping for import
+      --source <name>       Source name recorded on imported leads
+      --offering <name>     Outreach offering (default: reputation-management)
+      --template <id>       Use one outreach template for every lead
+      --min-priority <p>    Audit leads at or above this priority (default: high)
+      --note <text>         Activity note to log with a status change
+      --port <n>            API server port (default: 3000)
+      --host <addr>         API server host (default: 127.0.0.1)
+  -h, --help                Show help`);
+}
+
+async function scrapeCommand(settings, flags) {
+  const apiToken = process.env.APIFY_TOKEN;
+  if (!apiToken) {
+    throw new Error('APIFY_TOKEN not found in .env file');
+  }
+
+  const { default: ReviewScraper } = await import('./review-scraper.js');
+  const scraper = new ReviewScraper(apiToken, {
+    sources: settings.sources,
+    badReviewThreshold: settings.maxRating,
+    cacheTtl: settings.cacheTtl,
+    refresh: settings.refresh,
+    runTimeout: settings.runTimeout,
+    maxSpendUsd: settings.maxSpendUsd,
+    maxItems: settings.maxItems,
+  });
+
+  const { leads, market } = await scrapeCampaign(scraper, settings);
+  scraper.printRunReport();
+  scraper.saveRunReport(outputPaths(settings.outputDir).scrapeReport);
+  scraper.saveResults(leads, flags.output || outputPaths(settings.outputDir).scraped);
+  scraper.saveMarketPlaces(market, outputPaths(settings.outputDir).market);
+}
+
+async function campaignCommand(settings, flags, positionals) {
+  const [filepath] = positionals;
+  if (!filepath) {
+    throw new Error('campaign needs a file: lead-miner campaign <campaign.yaml>');
+  }
+
+  // The campaign file takes the place of --config; it is named after the file unless it says otherwise
+  const campaignSettings = resolveConfig({ ...flags, config: filepath });
+  await runPipeline({
+    ...campaignSettings,
+    campaign: campaignSettings.campaign || basename(filepath, extname(filepath)),
+  });
+}
+
+async function scheduleCommand(settings, flags, [action = 'start']) {
+  const scheduler = new Scheduler(flags.schedules);
+
+  if (action === 'list') {
+    scheduler.printSchedules();
+  } else if (action === 'runs') {
+    const outcomes = scheduler.listOutcomes();
+    if (outcomes.length === 0) {
+      console.log('No scheduled runs yet.');
+    }
+    outcomes.forEach(outcome => {
+      const icon = { success: '✅', failed: '❌', missed: '⏭️ ', waiting: '⏳' }[outcome.status] || '•';
+      const detail = outcome.error || (outcome.runId ? `${outcome.runId}, ${outcome.leadCount} leads` : '');
+      console.log(`${icon} ${outcome.schedule.padEnd(16)} ${outcome.scheduledFor} ${outcome.status}${outcome.catchUp ? ' (catch-up)' : ''}${detail ? ` — ${detail}` : ''}`);
+    });
+  } else if (action === 'once') {
+    // For a system crontab entry: run whatever is due, then exit
+    const outcomes = await scheduler.tick();
+    if (outcomes.length === 0) {
+      console.log('Nothing due.');
+    }
+  } else if (action === 'start') {
+    await scheduler.stopOnSignals().start();
+  } else {
+    throw new Error(`Unknown schedule action "${action}". Usage: lead-miner ${COMMANDS.schedule.usage}`);
+  }
+}
+
+function cacheCommand(settings, flags, [action = 'stats', target]) {
+  const cache = new PlaceCache({ ttl: settings.cacheTtl });
+
+  if (action === 'stats') {
+    cache.printStats();
+  } else if (action === 'show') {
+    const place = target && cache.find(target);
+    if (!place) {
+      throw new Error(`Not in the cache: ${target || '(missing id)'}. Usage: lead-miner ${COMMANDS.cache.usage}`);
+    }
+    const fresh = cache.isFresh(place.source, place.reviewsFetchedAt);
+    console.log(`🗃️  ${place.item.title || place.item.name} (${place.source} ${place.key})`);
+    console.log(`   Fetched ${place.fetchedAt}, reviews ${place.reviewsFetchedAt || 'never'} (${fresh ? 'fresh' : 'expired'})`);
+    console.log(`   ${place.reviews.length} reviews cached, latest ${place.lastReviewDate || 'n/a'}`);
+  } else if (action === 'clear') {
+    const cleared = cache.clear(target || null);
+    console.log(cleared.length > 0 ? `🧹 Cleared cache for ${cleared.join(', ')}` : 'Cache already empty.');
+  } else {
+    throw new Error(`Unknown cache action "${action}". Usage: lead-miner ${COMMANDS.cache.usage}`);
+  }
+}
+
+async function enrichCommand(settings, flags) {
+  const paths = outputPaths(settings.outputDir);
+  const enricher = new LeadEnricher();
+  const leads = requireLeads(enricher.loadLeads(flags.input || paths.scraped), 'scrape');
+
+  const crawled = settings.crawl ? await enricher.discoverContacts(leads) : leads;
+  const market = existsSync(paths.market) ? enricher.loadLeads(paths.market) : [];
+  enricher.saveEnrichedLeads(enricher.enrichLeads(crawled, { market }), flags.output || paths.enriched);
+}
+
+async function scoreCommand(settings, flags) {
+  const paths = outputPaths(settings.outputDir);
+  const scorer = new LeadScorer(settings.profile || null, {
+    statusTracker: new LeadStatusTracker({ rules: settings.statusRules }),
+  });
+  const leads = requireLeads(scorer.loadLeads(flags.input || paths.enriched), 'enrich');
+
+  const scored = scorer.scoreAllLeads(leads, { includeSuppressed: true });
+  scorer.saveScoredLeads(scored, flags.output || paths.scored);
+  scorer.saveTopLeads(scored.filter(lead => !lead.outreach.hidden), paths.top, settings.top);
+}
+
+async function exportCommand(settings, flags) {
+  const scorer = new LeadScorer(settings.profile || null);
+  const leads = requireLeads(scorer.loadLeads(flags.input || outputPaths(settings.outputDir).scored), 'score');
+
+  await exportLeads(leads, {
+    ...settings,
+    scorer,
+    paths: flags.output ? { csv: flags.output } : {},
+  });
+}
+
+async function crmCommand(settings, flags, [crm]) {
+  const paths = outputPaths(settings.outputDir);
+  const selection = crm || settings.crm;
+  if (!selection) {
+    throw new Error(`crm needs a CRM: lead-miner ${COMMANDS.crm.usage}`);
+  }
+
+  const scorer = new LeadScorer(settings.profile || null);
+  const leads = requireLeads(scorer.loadLeads(flags.input || paths.scored), 'score');
+
+  await exportLeads(leads, {
+    ...settings,
+    scorer,
+    crm: selection,
+    formats: ['crm'],
+    paths: flags.output ? { crm: flags.output } : {},
+  });
+}
+
+async function importCommand(settings, flags, positionals) {
+  const [filepath] = positionals;
+  if (!filepath) {
+    throw new Error('import needs a file: lead-miner import <file.csv|file.json>');
+  }
+
+  await runImport(filepath, {
+    ...settings,
+    mapping: flags.mapping,
+    source: flags.source,
+    // Imports keep every business unless a rating cap is asked for explicitly
+    maxRating: flags['max-rating'] !== undefined ? settings.maxRating : null,
+  });
+}
+
+async function outreachCommand(settings, flags, [action, leadId]) {
+  const paths = outputPaths(settings.outputDir);
+  const scorer = new LeadScorer(settings.profile || null);
+  const leads = requireLeads(scorer.loadLeads(flags.input || paths.scored), 'score');
+  const generator = new OutreachGenerator({ offering: settings.offering });
+  const options = { templateId: settings.template };
+
+  if (action === 'preview') {
+    const lead = leads.find(candidate => candidate.id === leadId);
+    if (!lead) {
+      throw new Error(`Lead not found: ${leadId || '(missing id)'}. Usage: lead-miner outreach preview <lead-id>`);
+    }
+    generator.printPreview(generator.generate(lead, options));
+    return;
+  }
+  if (action) {
+    throw new Error(`Unknown outreach action "${action}". Usage: lead-miner ${COMMANDS.outreach.usage}`);
+  }
+
+  // Same leads the exports show: status rules applied, then score/top limits
+  const tracker = new LeadStatusTracker({ rules: settings.statusRules });
+  const actionable = tracker.applyRules(leads).filter(lead => (lead.score || 0) >= settings.minScore);
+  const selected = flags.top !== undefined ? actionable.slice(0, settings.top) : actionable;
+
+  await generator.writeMessages(generator.generateAll(selected, options), flags.output || join(settings.outputDir, 'outreach'));
+}
+
+function auditCommand(settings, flags, [leadId]) {
+  const paths = outputPaths(settings.outputDir);
+  const scorer = new LeadScorer(settings.profile || null);
+  const leads = requireLeads(scorer.loadLeads(flags.input || paths.scored), 'score');
+  const audit = new ReputationAudit();
+  const dir = flags.output || join(settings.outputDir, 'audits');
+
+  if (leadId) {
+    const lead = leads.find(candidate => candidate.id === leadId);
+    if (!lead) {
+      throw new Error(`Lead not found: ${leadId}. Usage: lead-miner ${COMMANDS.audit.usage}`);
+    }
+    console.log(`📄 Wrote ${audit.writeAudit(lead, dir)}`);
+    return;
+  }
+
+  const tracker = new LeadStatusTracker({ rules: settings.statusRules });
+  audit.writeAudits(audit.selectLeads(leads, settings.minPriority, tracker), dir);
+}
+
+async function notifyCommand(settings, flags, [action]) {
+  if (action === 'log') {
+    const deliveries = new DeliveryLog().recent(20, flags.channel || null);
+    if (deliveries.length === 0) {
+      console.log('No notifications delivered yet.');
+    }
+    deliveries.forEach(entry => {
+      const icon = { sent: '✅', failed: '❌', skipped: '⏭️ ' }[entry.status] || '•';
+      const detail = entry.error ? ` — ${entry.error}` : '';
+      console.log(`${entry.at} ${icon} ${entry.channel} (${entry.type}) ${entry.event}: ${entry.leads} leads, ${entry.attempts} attempt(s)${detail}`);
+    });
+    return;
+  }
+
+  const notifier = new Notifier(settings.notifications);
+  if (flags.channel) notifier.only(flags.channel);
+
+  if (!action) {
+    if (notifier.size === 0) {
+      console.log('No notification channels configured. Set NOTIFICATIONS or pass --notifications <file>.');
+    }
+    notifier.channels.forEach(({ config, channel }) => {
+      const rules = Object.entries(config.when).map(([key, value]) => `${key}=${[].concat(value).join('|')}`);
+      console.log(`  ${channel.name.padEnd(16)} ${channel.type.padEnd(9)} ${rules.join(' ') || 'all leads'}`);
+    });
+    return;
+  }
+
+  if (action === 'test') {
+    await notifier.sendTest();
+    return;
+  }
+  if (action !== 'send') {
+    throw new Error(`Unknown notify action "${action}". Usage: lead-miner ${COMMANDS.notify.usage}`);
+  }
+
+  // The digest of the current scored leads, without writing any other export
+  const scorer = new LeadScorer(settings.profile || null);
+  const leads = requireLeads(scorer.loadLeads(flags.input || outputPaths(settings.outputDir).scored), 'score');
+  await exportLeads(leads, { ...settings, scorer, notifier, formats: ['digest'] });
+}
+
+function statusCommand(settings, flags, [leadId, status]) {
+  if (!leadId) {
+    throw new Error(`status needs a lead id: lead-miner ${COMMANDS.status.usage}`);
+  }
+
+  const tracker = new LeadStatusTracker({ rules: settings.statusRules });
+  if (status) {
+    tracker.setStatus(leadId, status, flags.note || null);
+  } else if (flags.note) {
+    tracker.addNote(leadId, flags.note);
+  }
+  tracker.printActivity(leadId);
+}
+
+function noteCommand(settings, flags, [leadId, ...words]) {
+  if (!leadId || words.length === 0) {
+    throw new Error(`note needs a lead id and text: lead-miner ${COMMANDS.note.usage}`);
+  }
+
+  const tracker = new LeadStatusTracker({ rules: settings.statusRules });
+  tracker.addNote(leadId, words.join(' '));
+  tracker.printActivity(leadId);
+}
+
+async function serveCommand(settings, flags) {
+  const { port, host, ...configFlags } = flags;
+  await new LeadServer({ flags: configFlags, port, host }).listen();
+}
+
+function requireLeads(leads, previousStep) {
+  if (leads.length === 0) {
+    throw new Error(`No leads found. Run the previous step first: lead-miner ${previousStep}`);
+  }
+  return leads;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    printHelp();
+    process.exit(1);
+  }
+
+  const { values: flags, positionals } = parsed;
+  const [command, ...rest] = positionals;
+
+  if (!command || flags.help || command === 'help') {
+    printHelp(command === 'help' ? rest[0] : command);
+    return;
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(`❌ Unknown command "${command}"\n`);
+    printHelp();
+    process.exit(1);
+  }
+
+  const settings = resolveConfig(flags);
+  await COMMANDS[command].handler(settings, flags, rest);
+}
+
+// Resolve symlinks so this also runs through the npm `lead-miner` bin link
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error(`\n❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export default main;
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+import { readFileSync, existsSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { matchesCategory } from './sentiment.js';
+
+/**
+ * Complaint Classifier - Sorts negative reviews into complaint aspects
+ * (service, wait time, cleanliness, price, quality, booking, management)
+ * using whole-word lexicons from complaint-aspects.yaml, with negation
+ * handling and per-category overrides.
+ */
+
+const DEFAULT_CONFIG = join(dirname(fileURLToPath(import.meta.url)), '..', 'complaint-aspects.yaml');
+
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'without', 'hardly', 'barely', 'nothing', 'none', 'nobody', 'neither', 'nor',
+  'isnt', 'wasnt', 'arent', 'werent', 'dont', 'didnt', 'doesnt', 'cant', 'couldnt', 'wont', 'wouldnt',
+  'hasnt', 'havent', 'hadnt', 'shouldnt', 'aint',
+]);
+const COPULAS = new Set(['is', 'was', 'are', 'were', 'be', 'been', 'seemed', 'felt']);
+const NEGATED_COPULAS = new Set(['isnt', 'wasnt', 'arent', 'werent']);
+
+// Words looked at either side of a match when checking for negation
+const NEGATION_WINDOW = 3;
+const MAX_EXAMPLES = 3;
+const MAX_QUOTE_LENGTH = 160;
+
+export class ComplaintAspectsError extends Error {
+  constructor(source, issues) {
+    super(`Invalid complaint aspects ${source}:\n  - ${issues.join('\n  - ')}`);
+    this.name = 'ComplaintAspectsError';
+    this.source = source;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Load and validate a complaint aspects file
+ */
+export function loadComplaintAspects(filepath = process.env.COMPLAINT_ASPECTS || DEFAULT_CONFIG) {
+  const resolved = resolve(filepath);
+  if (!existsSync(resolved)) {
+    throw new ComplaintAspectsError(filepath, [`file not found: ${resolved}`]);
+  }
+
+  let config;
+  try {
+    config = yaml.load(readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new ComplaintAspectsError(resolved, [`could not parse file: ${error.message}`]);
+  }
+
+  const issues = validateComplaintAspects(config);
+  if (issues.length > 0) {
+    throw new ComplaintAspectsError(resolved, issues);
+  }
+
+  return { ...config, categories: config.categories || [], path: resolved };
+}
+
+/**
+ * Collect every problem in a config instead of stopping at the first
+ */
+export function validateComplaintAspects(config) {
+  const issues = [];
+  const isTermList = value => value === undefined || (Array.isArray(value) && value.every(term => typeof term === 'string' && term.trim()));
+
+  if (!config || typeof config.aspects !== 'object' || Object.keys(config.aspects || {}).length === 0) {
+    return ['`aspects` must map aspect names to { label, terms }'];
+  }
+
+  Object.entries(config.aspects).forEach(([name, aspect]) => {
+    if (!aspect?.label) issues.push(`aspect "${name}" needs a label`);
+    if (!Array.isArray(aspect?.terms) || aspect.terms.length === 0) issues.push(`aspect "${name}" needs at least one term`);
+    if (!isTermList(aspect?.terms) || !isTermList(aspect?.positiveTerms)) {
+      issues.push(`aspect "${name}" terms must be non-empty strings`);
+    }
+  });
+
+  if (config.categories !== undefined && !Array.isArray(config.categories)) {
+    issues.push('`categories` must be a list of { match, aspects }');
+  }
+
+  (Array.isArray(config.categories) ? config.categories : []).forEach((override, idx) => {
+    if (!Array.isArray(override?.match) || override.match.length === 0) {
+      issues.push(`categories[${idx}] needs a \`match\` list of category names`);
+    }
+    Object.entries(override?.aspects || {}).forEach(([name, changes]) => {
+      if (!config.aspects[name]) {
+        issues.push(`categories[${idx}] overrides unknown aspect "${name}"`);
+      }
+      ['add', 'addPositive', 'remove', 'removePositive'].forEach(key => {
+        if (!isTermList(changes?.[key])) issues.push(`categories[${idx}].aspects.${name}.${key} must be a list of terms`);
+      });
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Turn a lexicon term into a whole-word regex ("overcharg*" matches any ending)
+ */
+export function compileTerm(term) {
+  const prefix = term.endsWith('*');
+  const body = term.replace(/\*$/, '').trim()
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/'/g, "['’]")
+    .replace(/\s+/g, '\\s+');
+
+  return new RegExp(`(?<![\\w'’-])${body}${prefix ? "[\\w'’-]*" : ''}(?![\\w'’-])`, 'gi');
+}
+
+function words(text) {
+  return (text.toLowerCase().match(/[a-z'’]+/g) || []).map(word => word.replace(/['’]/g, ''));
+}
+
+class ComplaintClassifier {
+  constructor(options = {}) {
+    this.config = options.config || loadComplaintAspects(options.path);
+    this.lexicons = new Map();
+  }
+
+  /**
+   * Compiled aspect lexicons for a business category (cached per category)
+   */
+  lexiconFor(category = '') {
+    const key = String(category || '').toLowerCase();
+    if (this.lexicons.has(key)) return this.lexicons.get(key);
+
+    const overrides = this.config.categories.filter(override => matchesCategory(key, override.match));
+
+    const lexicon = Object.entries(this.config.aspects).map(([aspect, base]) => {
+      const changes = overrides.map(override => override.aspects?.[aspect]).filter(Boolean);
+      const pick = (list, addKey, removeKey) => {
+        const removed = new Set(changes.flatMap(change => change[removeKey] || []).map(term => term.toLowerCase()));
+        const terms = [...(list || []), ...changes.flatMap(change => change[addKey] || [])];
+        return [...new Set(terms.map(term => term.toLowerCase()))].filter(term => !removed.has(term));
+      };
+      const last = changes.reduce((merged, change) => ({ ...merged, ...change }), {});
+
+      return {
+        aspect,
+        label: last.label || base.label,
+        mention: last.mention || base.mention || base.label.toLowerCase(),
+        terms: pick(base.terms, 'add', 'remove').map(term => ({ term, regex: compileTerm(term) })),
+        positiveTerms: pick(base.positiveTerms, 'addPositive', 'removePositive').map(term => ({ term, regex: compileTerm(term) })),
+      };
+    });
+
+    this.lexicons.set(key, lexicon);
+    return lexicon;
+  }
+
+  /**
+   * Is the match at `index` negated? Looks a few words back in the same
+   * clause ("wasn't dirty", "no wait") and just after it ("the wait wasn't long")
+   */
+  isNegated(sentence, index, length) {
+    const before = sentence.slice(0, index).split(/[,;:]|\bbut\b/i).pop();
+    const preceding = words(before).slice(-NEGATION_WINDOW);
+    const negatedBefore = preceding.some((word, idx) => (
+      NEGATORS.has(word) && !(word === 'not' && preceding[idx + 1] === 'only')
+    ));
+    if (negatedBefore) return true;
+
+    const after = sentence.slice(index + length).split(/[,;:]|\bbut\b|\band\b/i)[0];
+    const [first, second] = words(after);
+    return NEGATED_COPULAS.has(first) || (COPULAS.has(first) && NEGATORS.has(second));
+  }
+
+  /**
+   * Find every aspect a single review complains about
+   * Returns [{ aspect, terms: [matched words], quote }]
+   */
+  classifyReview(review, category) {
+    const text = (review?.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) return [];
+
+    const sentences = text.split(/(?<=[.!?])\s+/);
+    const hits = new Map();
+
+    this.lexiconFor(category).forEach(({ aspect, terms, positiveTerms }) => {
+      sentences.forEach(sentence => {
+        const matches = [
+          ...terms.flatMap(({ regex }) => [...sentence.matchAll(regex)].map(match => ({ match, negate: false }))),
+          ...positiveTerms.flatMap(({ regex }) => [...sentence.matchAll(regex)].map(match => ({ match, negate: true }))),
+        ];
+
+        // Longest match wins where terms overlap ("wait time" over "wait")
+        const taken = [];
+        matches.sort((a, b) => b.match[0].length - a.match[0].length).forEach(({ match, negate }) => {
+          const start = match.index;
+          const end = start + match[0].length;
+          if (taken.some(span => start < span.end && end > span.start)) return;
+          taken.push({ start, end });
+
+          // Complaint terms count unless negated; praise counts only when negated
+          if (this.isNegated(sentence, start, match[0].length) !== negate) return;
+
+          const hit = hits.get(aspect) || { aspect, terms: [], quote: sentence };
+          const word = (negate ? `not ${match[0]}` : match[0]).toLowerCase();
+          if (!hit.terms.includes(word)) hit.terms.push(word);
+          hits.set(aspect, hit);
+        });
+      });
+    });
+
+    return [...hits.values()].map(hit => ({
+      ...hit,
+      quote: hit.quote.length > MAX_QUOTE_LENGTH ? `${hit.quote.slice(0, MAX_QUOTE_LENGTH - 1)}…` : hit.quote,
+    }));
+  }
+
+  /**
+   * Build a lead's complaint profile from its negative reviews: per aspect,
+   * how many reviews mention it, which words, and a few example quotes (newest first)
+   */
+  buildProfile(reviews = [], category) {
+    const newestFirst = [...reviews].sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+    const lexicon = this.lexiconFor(category);
+    const aspects = new Map(lexicon.map(({ aspect, label, mention }) => [aspect, {
+      aspect, label, mention, count: 0, share: 0, terms: {}, examples: [],
+    }]));
+    let classified = 0;
+
+    newestFirst.forEach(review => {
+      const hits = this.classifyReview(review, category);
+      if (hits.length > 0) classified++;
+
+      hits.forEach(hit => {
+        const entry = aspects.get(hit.aspect);
+        entry.count++;
+        hit.terms.forEach(term => { entry.terms[term] = (entry.terms[term] || 0) + 1; });
+        if (entry.examples.length < MAX_EXAMPLES) {
+          entry.examples.push({ quote: hit.quote, rating: review.rating ?? null, date: review.date || null });
+        }
+      });
+    });
+
+    const ranked = [...aspects.values()]
+      .filter(entry => entry.count > 0)
+      .map(entry => ({ ...entry, share: parseFloat((entry.count / reviews.length).toFixed(2)) }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      reviewsAnalyzed: reviews.length,
+      reviewsClassified: classified,
+      topAspect: ranked[0]?.aspect || null,
+      aspects: ranked,
+    };
+  }
+
+  /**
+   * Print a lead's complaint profile
+   */
+  printProfile(profile) {
+    if (profile.aspects.length === 0) {
+      console.log(`   No recognisable complaints in ${profile.reviewsAnalyzed} negative reviews`);
+      return;
+    }
+
+    profile.aspects.forEach(entry => {
+      console.log(`   ${entry.label}: ${entry.count}/${profile.reviewsAnalyzed} reviews (${Object.keys(entry.terms).join(', ')})`);
+      entry.examples.forEach(example => console.log(`      "${example.quote}"`));
+    });
+  }
+}
+
+// CLI execution: classify a single piece of text
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [category, ...textWords] = process.argv.slice(2);
+
+  if (!category || textWords.length === 0) {
+    console.error('❌ Usage: node src/complaint-classifier.js <category> <review text>');
+    process.exit(1);
+  }
+
+  try {
+    const classifier = new ComplaintClassifier();
+    classifier.printProfile(classifier.buildProfile([{ rating: 1, text: textWords.join(' ') }], category));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+export default ComplaintClassifier;
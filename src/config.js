@@ -0,0 +1,197 @@
+import { readFileSync, existsSync } from 'fs';
+import { extname } from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * Config - Resolves run settings from CLI flags, a config file, env vars and defaults
+ * (in that order of precedence)
+ */
+
+export const DEFAULT_FORMATS = ['json', 'csv', 'delta', 'digest'];
+// Opt-in formats, written only when asked for
+export const KNOWN_FORMATS = [...DEFAULT_FORMATS, 'geojson', 'crm'];
+
+export const DEFAULTS = {
+  queries: ['restaurants'],
+  locations: ['New York, NY'],
+  maxResults: 50,
+  searches: [],
+  concurrency: 2,
+  sources: [],
+  maxRating: 3.0,
+  outputDir: 'output',
+  formats: DEFAULT_FORMATS,
+  minScore: 0,
+  top: 10,
+  crawl: true,
+  seed: 42,
+  count: 50,
+  // Per-status outreach rules laid over lead-status.js DEFAULT_STATUS_RULES
+  statusRules: {},
+  // Export filters: territory names, and/or a "lat,lng" point with a radius
+  territory: [],
+  near: null,
+  radiusKm: null,
+  // CRM import format for the `crm` export: hubspot, salesforce, pipedrive or a mapping file
+  crm: null,
+  crmPush: false,
+  // Notification channels: a YAML/JSON file path or inline `{ channels: [...] }`
+  notifications: null,
+  // Place cache freshness ("12h" or { google_maps: 12h, tripadvisor: 7d }); refresh ignores it once
+  cacheTtl: null,
+  refresh: false,
+  // Apify budget for a scrape (null: unlimited) and per-run timeout ("10m")
+  maxSpendUsd: null,
+  maxItems: null,
+  runTimeout: null,
+};
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Load a JSON or YAML config file
+ */
+export function loadConfigFile(filepath) {
+  if (!existsSync(filepath)) {
+    throw new ConfigError(`Config file not found: ${filepath}`);
+  }
+
+  try {
+    const raw = readFileSync(filepath, 'utf8');
+    const data = extname(filepath).toLowerCase() === '.json' ? JSON.parse(raw) : yaml.load(raw);
+    return data || {};
+  } catch (error) {
+    throw new ConfigError(`Could not parse config file ${filepath}: ${error.message}`);
+  }
+}
+
+/**
+ * Settings taken from environment variables (.env)
+ */
+export function configFromEnv(env = process.env) {
+  const config = {};
+
+  // Several queries/locations can be separated with ";" ("Austin, TX; Denver, CO")
+  if (env.SEARCH_QUERY) config.queries = splitList(env.SEARCH_QUERY, ';');
+  if (env.SEARCH_LOCATION) config.locations = splitList(env.SEARCH_LOCATION, ';');
+  if (env.MAX_RESULTS) config.maxResults = env.MAX_RESULTS;
+  if (env.CAMPAIGN_CONCURRENCY) config.concurrency = env.CAMPAIGN_CONCURRENCY;
+  if (env.SOURCES) config.sources = env.SOURCES;
+  if (env.SCORING_PROFILE) config.profile = env.SCORING_PROFILE;
+  if (env.OUTPUT_DIR) config.outputDir = env.OUTPUT_DIR;
+  if (env.DEMO_SEED) config.seed = env.DEMO_SEED;
+  if (env.CRAWL_WEBSITES === '0') config.crawl = false;
+  if (env.CRM_ADAPTER) config.crm = env.CRM_ADAPTER;
+  if (env.NOTIFICATIONS) config.notifications = env.NOTIFICATIONS;
+  if (env.APIFY_MAX_SPEND_USD) config.maxSpendUsd = env.APIFY_MAX_SPEND_USD;
+  if (env.APIFY_MAX_ITEMS) config.maxItems = env.APIFY_MAX_ITEMS;
+  if (env.APIFY_RUN_TIMEOUT) config.runTimeout = env.APIFY_RUN_TIMEOUT;
+
+  return config;
+}
+
+/**
+ * Merge flags > config file > env > defaults and normalize types
+ */
+export function resolveConfig(flags = {}, env = process.env) {
+  const fileConfig = flags.config ? loadConfigFile(flags.config) : {};
+  const explicit = { ...normalizeKeys(fileConfig), ...normalizeKeys(flags) };
+  const merged = { ...DEFAULTS, ...configFromEnv(env), ...explicit };
+
+  // A campaign that only lists explicit searches doesn't also run the default grid
+  if (explicit.searches?.length > 0 && !explicit.queries && !explicit.locations) {
+    merged.queries = [];
+    merged.locations = [];
+  }
+
+  const queries = splitList(merged.queries, ';');
+
+  const config = {
+    ...merged,
+    queries,
+    query: queries[0],
+    locations: splitList(merged.locations, ';'),
+    searches: merged.searches || [],
+    concurrency: toNumber(merged.concurrency, 'concurrency'),
+    sources: splitList(merged.sources, ','),
+    formats: splitList(merged.formats, ','),
+    maxResults: toNumber(merged.maxResults, 'maxResults'),
+    maxRating: toNumber(merged.maxRating, 'maxRating'),
+    minScore: toNumber(merged.minScore, 'minScore'),
+    top: toNumber(merged.top, 'top'),
+    seed: toNumber(merged.seed, 'seed'),
+    count: toNumber(merged.count, 'count'),
+    crawl: merged.crawl !== false && merged.crawl !== 'false',
+    territory: splitList(merged.territory, ','),
+    radiusKm: merged.radiusKm === null || merged.radiusKm === undefined ? null : toNumber(merged.radiusKm, 'radiusKm'),
+    crmPush: merged.crmPush === true || merged.crmPush === 'true',
+    refresh: merged.refresh === true || merged.refresh === 'true',
+    maxSpendUsd: merged.maxSpendUsd === null || merged.maxSpendUsd === undefined ? null : toNumber(merged.maxSpendUsd, 'maxSpendUsd'),
+    maxItems: merged.maxItems === null || merged.maxItems === undefined ? null : toNumber(merged.maxItems, 'maxItems'),
+  };
+
+  const unknownFormats = config.formats.filter(format => !KNOWN_FORMATS.includes(format));
+  if (unknownFormats.length > 0) {
+    throw new ConfigError(`Unknown format(s): ${unknownFormats.join(', ')}. Use: ${KNOWN_FORMATS.join(', ')}`);
+  }
+  if (config.formats.includes('crm') && !config.crm) {
+    throw new ConfigError('The crm format needs a CRM: --crm hubspot|salesforce|pipedrive|mapping.yaml (or CRM_ADAPTER)');
+  }
+  if (config.locations.length === 0 && config.searches.length === 0) {
+    throw new ConfigError('At least one location is required');
+  }
+  if (!Array.isArray(config.searches)) {
+    throw new ConfigError('searches must be a list of { query, location, maxResults } entries');
+  }
+  if (config.concurrency < 1) {
+    throw new ConfigError('concurrency must be at least 1');
+  }
+  if (config.near && !/^\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*$/.test(String(config.near))) {
+    throw new ConfigError(`near must be "lat,lng" (got "${config.near}")`);
+  }
+  if (config.near && !config.radiusKm) {
+    throw new ConfigError('near needs a radius (--radius km)');
+  }
+
+  return config;
+}
+
+/**
+ * Accept both CLI-style (max-results) and camelCase keys; map singular aliases
+ */
+function normalizeKeys(source) {
+  const result = {};
+
+  Object.entries(source || {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+    const camel = key.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+    const aliases = { query: 'queries', location: 'locations', format: 'formats', skipCrawl: 'crawl', radius: 'radiusKm', push: 'crmPush', maxSpend: 'maxSpendUsd' };
+    const target = aliases[camel] || camel;
+    result[target] = camel === 'skipCrawl' ? !value : value;
+  });
+
+  return result;
+}
+
+function splitList(value, separator) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value : [value];
+  return items
+    .flatMap(item => (separator === ',' ? String(item).split(',') : [String(item)]))
+    .flatMap(item => (separator === ';' ? item.split(';') : [item]))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function toNumber(value, name) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  if (Number.isNaN(number)) {
+    throw new ConfigError(`${name} must be a number (got "${value}")`);
+  }
+  return number;
+}
@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+import { mapWithConcurrency } from './concurrency.js';
+
+/**
+ * Contact Crawler - Finds real contact details on a business website
+ * Fetches the homepage plus likely contact/about pages and extracts
+ * emails (incl. mailto: and "name [at] domain [dot] com"), phones and social profiles.
+ * Pages the site's robots.txt disallows for us are skipped, and bodies are read
+ * only up to `maxBodyBytes`.
+ */
+
+const CONTACT_LINK_PATTERN = /contact|about|team|get-in-touch|reach-us|impressum|kontakt/i;
+const FALLBACK_PATHS = ['/contact', '/contact-us', '/about'];
+const IGNORED_EMAIL_PATTERN = /\.(png|jpe?g|gif|svg|webp|css|js)$|@(example\.|sentry|.*wixpress\.com)/i;
+
+const SOCIAL_HOSTS = {
+  facebook: /(^|\.)facebook\.com$/,
+  instagram: /(^|\.)instagram\.com$/,
+  twitter: /(^|\.)(twitter|x)\.com$/,
+  linkedin: /(^|\.)linkedin\.com$/,
+  youtube: /(^|\.)youtube\.com$/,
+  tiktok: /(^|\.)tiktok\.com$/,
+  yelp: /(^|\.)yelp\.com$/,
+};
+const SOCIAL_SHARE_PATTERN = /sharer|\/share|intent\/|\/dialog\//i;
+
+class ContactCrawler {
+  constructor(options = {}) {
+    this.fetch = options.fetch || globalThis.fetch;
+    this.timeoutMs = options.timeoutMs ?? parseInt(process.env.CRAWL_TIMEOUT_MS || '8000', 10);
+    this.maxPages = options.maxPages ?? parseInt(process.env.CRAWL_MAX_PAGES || '4', 10);
+    this.concurrency = options.concurrency ?? parseInt(process.env.CRAWL_CONCURRENCY || '3', 10);
+    this.maxBodyBytes = options.maxBodyBytes ?? 1024 * 1024;
+    this.userAgent = options.userAgent || 'LeadMinerBot/1.0 (+contact discovery)';
+
+    this.patterns = {
+      email: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,24}/g,
+      // "name [at] domain [dot] com", "name (at) domain.com", "name {at} domain {dot} com"
+      bracketObfuscated: /([a-z0-9._%+-]+)\s*[[({]\s*at\s*[\])}]\s*([a-z0-9-]+(?:\s*(?:[[({]\s*dot\s*[\])}]|\.)\s*[a-z0-9-]+)+)/gi,
+      // "name at domain dot com" (spelled-out dot required to avoid "visit us at site.com")
+      wordObfuscated: /([a-z0-9._%+-]+)\s+at\s+([a-z0-9-]+(?:\s+dot\s+[a-z0-9-]+)+)/gi,
+      phone: /(\+?1[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/g,
+      href: /<a\b[^>]*?href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi,
+    };
+  }
+
+  /**
+   * Crawl a website and return discovered contacts with provenance
+   */
+  async crawl(website) {
+    const result = {
+      website,
+      emails: [],
+      phones: [],
+      socialProfiles: {},
+      pagesCrawled: [],
+      errors: [],
+    };
+
+    const homeUrl = this.normalizeUrl(website);
+    if (!homeUrl) {
+      result.errors.push({ url: website, error: 'invalid website URL' });
+      return result;
+    }
+
+    const queue = [homeUrl.href];
+    const visited = new Set();
+    const robots = await this.fetchRobots(homeUrl);
+
+    while (queue.length > 0 && visited.size < this.maxPages) {
+      const url = queue.shift();
+      if (visited.has(url)) continue;
+      visited.add(url);
+
+      if (!this.isAllowed(robots, new URL(url))) {
+        result.errors.push({ url, error: 'disallowed by robots.txt' });
+        continue;
+      }
+
+      const html = await this.fetchPage(url, result);
+      if (html === null) continue;
+
+      result.pagesCrawled.push(url);
+      this.extractFromPage(html, url, result);
+
+      // Only the homepage seeds further pages
+      if (url === homeUrl.href) {
+        this.findContactPages(html, homeUrl).forEach(link => queue.push(link));
+        FALLBACK_PATHS
+          .map(path => new URL(path, homeUrl).href)
+          .forEach(link => queue.push(link));
+      }
+    }
+
+    result.emails = this.rankEmails(result.emails, homeUrl.hostname);
+    return result;
+  }
+
+  /**
+   * Crawl the websites of many leads with bounded concurrency
+   */
+  async crawlLeads(leads) {
+    const withWebsite = leads.filter(lead => lead.website);
+    console.log(`\n🕸️  Crawling ${withWebsite.length} websites for contact details...\n`);
+
+    // One broken site must not sink the batch
+    const results = await mapWithConcurrency(withWebsite, this.concurrency, async lead => {
+      try {
+        return [lead.id, await this.crawl(lead.website)];
+      } catch (error) {
+        const found = { website: lead.website, emails: [], phones: [], socialProfiles: {}, pagesCrawled: [], errors: [] };
+        found.errors.push({ url: lead.website, error: error.message });
+        return [lead.id, found];
+      }
+    });
+
+    const byId = new Map(results);
+    const withEmail = results.filter(([, found]) => found.emails.length > 0).length;
+    console.log(`✅ Found emails on ${withEmail}/${withWebsite.length} websites\n`);
+
+    return leads.map(lead => (
+      byId.has(lead.id) ? { ...lead, discoveredContacts: byId.get(lead.id) } : lead
+    ));
+  }
+
+  /**
+   * Fetch a page as text, recording failures instead of throwing
+   */
+  async fetchPage(url, result) {
+    try {
+      const response = await this.fetch(url, {
+        headers: { 'user-agent': this.userAgent, accept: 'text/html' },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const type = response.headers.get('content-type') || '';
+      if (type && !type.includes('html') && !type.includes('text')) {
+        throw new Error(`unsupported content-type ${type}`);
+      }
+
+      return await this.readBody(response);
+    } catch (error) {
+      result.errors.push({ url, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Read a response body up to maxBodyBytes, dropping the connection after that
+   */
+  async readBody(response) {
+    if (!response.body?.getReader) {
+      return (await response.text()).slice(0, this.maxBodyBytes);
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+
+    while (size < this.maxBodyBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.length;
+    }
+    if (size >= this.maxBodyBytes) await reader.cancel();
+
+    return new TextDecoder().decode(Buffer.concat(chunks).subarray(0, this.maxBodyBytes));
+  }
+
+  /**
+   * Allow/Disallow rules that apply to us from the site's robots.txt
+   * (our own user-agent group, else `*`); a missing or unreadable file allows everything
+   */
+  async fetchRobots(homeUrl) {
+    const url = new URL('/robots.txt', homeUrl).href;
+    const text = await this.fetchPage(url, { errors: [] });
+    if (text === null) return [];
+
+    const agent = this.userAgent.split('/')[0].toLowerCase();
+    const groups = [];
+    let current = null;
+    let inRules = false;
+
+    text.split(/\r?\n/).forEach(line => {
+      const [, key, value] = line.replace(/#.*/, '').match(/^\s*([a-z-]+)\s*:\s*(.*?)\s*$/i) || [];
+      if (!key) return;
+
+      const field = key.toLowerCase();
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!current || inRules) {
+          current = { agents: [], rules: [] };
+          groups.push(current);
+          inRules = false;
+        }
+        current.agents.push(value.toLowerCase());
+      } else if ((field === 'allow' || field === 'disallow') && current) {
+        inRules = true;
+        if (value) current.rules.push({ allow: field === 'allow', path: value });
+      }
+    });
+
+    const group = groups.find(candidate => candidate.agents.some(name => name !== '*' && agent.includes(name)))
+      || groups.find(candidate => candidate.agents.includes('*'));
+    return group ? group.rules : [];
+  }
+
+  /**
+   * The longest matching rule wins; Allow wins a tie
+   */
+  isAllowed(rules, url) {
+    const path = url.pathname + url.search;
+    const matching = rules
+      .filter(rule => path.startsWith(rule.path))
+      .sort((a, b) => b.path.length - a.path.length || Number(b.allow) - Number(a.allow));
+    return matching.length === 0 || matching[0].allow;
+  }
+
+  /**
+   * Extract emails, phones and social links from one page
+   */
+  extractFromPage(html, pageUrl, result) {
+    const decoded = this.decodeEntities(html);
+    const text = this.visibleText(decoded);
+
+    this.extractLinks(decoded).forEach(({ href }) => {
+      if (/^mailto:/i.test(href)) {
+        const address = this.decodeHref(href.replace(/^mailto:/i, '').split('?')[0], pageUrl, result);
+        if (address !== null) this.addEmail(result, address.trim(), pageUrl, 'mailto');
+      } else if (/^tel:/i.test(href)) {
+        const phone = this.decodeHref(href.replace(/^tel:/i, ''), pageUrl, result);
+        if (phone !== null) this.addPhone(result, phone.trim(), pageUrl, 'tel_link');
+      } else {
+        this.addSocialProfile(result, href, pageUrl);
+      }
+    });
+
+    (text.match(this.patterns.email) || []).forEach(address => (
+      this.addEmail(result, address, pageUrl, 'text')
+    ));
+
+    [this.patterns.bracketObfuscated, this.patterns.wordObfuscated].forEach(pattern => {
+      for (const match of text.matchAll(pattern)) {
+        const domain = match[2]
+          .replace(/\s*[[({]\s*dot\s*[\])}]\s*/gi, '.')
+          .replace(/\s+dot\s+/gi, '.')
+          .replace(/\s*\.\s*/g, '.');
+        this.addEmail(result, `${match[1]}@${domain}`, pageUrl, 'obfuscated');
+      }
+    });
+
+    (text.match(this.patterns.phone) || []).forEach(phone => (
+      this.addPhone(result, phone.trim(), pageUrl, 'text')
+    ));
+  }
+
+  /**
+   * Percent-decode a mailto:/tel: link; a malformed one is recorded and skipped
+   */
+  decodeHref(value, pageUrl, result) {
+    try {
+      return decodeURIComponent(value);
+    } catch {
+      result.errors.push({ url: pageUrl, error: `malformed link "${value}"` });
+      return null;
+    }
+  }
+
+  addEmail(result, address, pageUrl, method) {
+    const normalized = address.toLowerCase().replace(/^[._-]+|[._-]+$/g, '');
+    if (!/^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,24}$/.test(normalized)) return;
+    if (IGNORED_EMAIL_PATTERN.test(normalized)) return;
+    if (result.emails.some(email => email.address === normalized)) return;
+
+    result.emails.push({ address: normalized, foundOn: pageUrl, method, emailType: 'found_on_page' });
+  }
+
+  addPhone(result, phone, pageUrl, method) {
+    const digits = phone.replace(/\D/g, '');
+    if (digits.length < 10 || digits.length > 15) return;
+    if (result.phones.some(existing => existing.number.replace(/\D/g, '') === digits)) return;
+
+    result.phones.push({ number: phone, foundOn: pageUrl, method });
+  }
+
+  addSocialProfile(result, href, pageUrl) {
+    let url;
+    try {
+      url = new URL(href, pageUrl);
+    } catch {
+      return;
+    }
+
+    if (SOCIAL_SHARE_PATTERN.test(url.pathname + url.search)) return;
+
+    const host = url.hostname.toLowerCase();
+    const network = Object.keys(SOCIAL_HOSTS).find(name => SOCIAL_HOSTS[name].test(host));
+    if (network && !result.socialProfiles[network] && url.pathname.length > 1) {
+      result.socialProfiles[network] = { url: url.href, foundOn: pageUrl };
+    }
+  }
+
+  /**
+   * Find same-site links that look like contact/about pages
+   */
+  findContactPages(html, homeUrl) {
+    const links = [];
+
+    this.extractLinks(html).forEach(({ href, label }) => {
+      if (!CONTACT_LINK_PATTERN.test(href) && !CONTACT_LINK_PATTERN.test(label)) return;
+
+      try {
+        const url = new URL(href, homeUrl);
+        url.hash = '';
+        if (url.hostname === homeUrl.hostname && /^https?:$/.test(url.protocol)) {
+          links.push(url.href);
+        }
+      } catch {
+        // Ignore malformed links
+      }
+    });
+
+    return [...new Set(links)];
+  }
+
+  extractLinks(html) {
+    return [...html.matchAll(this.patterns.href)].map(match => ({
+      href: match[1].trim(),
+      label: this.visibleText(match[2]),
+    }));
+  }
+
+  /**
+   * Prefer addresses on the business's own domain, then mailto links
+   */
+  rankEmails(emails, hostname) {
+    const domain = hostname.replace(/^www\./, '');
+    const rank = email => (
+      (email.address.endsWith(`@${domain}`) ? 0 : 2) + (email.method === 'mailto' ? 0 : 1)
+    );
+    return [...emails].sort((a, b) => rank(a) - rank(b));
+  }
+
+  normalizeUrl(website) {
+    if (!website) return null;
+    try {
+      return new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+    } catch {
+      return null;
+    }
+  }
+
+  decodeEntities(html) {
+    return html
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+      .replace(/&commat;/gi, '@')
+      .replace(/&period;/gi, '.')
+      .replace(/&amp;/gi, '&')
+      .replace(/&nbsp;/gi, ' ');
+  }
+
+  visibleText(html) {
+    return html
+      .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const website = process.argv[2];
+
+  if (!website) {
+    console.error('❌ Usage: npm run crawl -- <website-url>');
+    process.exit(1);
+  }
+
+  const crawler = new ContactCrawler();
+  const found = await crawler.crawl(website);
+  console.log(JSON.stringify(found, null, 2));
+}
+
+export default ContactCrawler;
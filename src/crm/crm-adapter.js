@@ -0,0 +1,90 @@
+import LeadExporter from '../exporter.js';
+import { addressParts } from '../address.js';
+import ExternalIdStore from './external-ids.js';
+
+/**
+ * CRM Adapter - Contract every CRM import format implements
+ *
+ * An adapter is a class with a static `id` (used with --crm / CRM_ADAPTER) and a
+ * static `label`, constructed with a shared context `{ externalIds, exporter }`.
+ * It must implement:
+ *   - objects() -> [{ object, file, idProperty, columns: [{ property, title, value(view) }], include?(view) }]
+ * One object per CRM import file (e.g. HubSpot companies + contacts). `property` is
+ * the CRM field name used as the record key when pushing; `title` is the CSV header.
+ */
+
+function domainOf(website) {
+  if (!website) return null;
+  return website.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split('/')[0].toLowerCase() || null;
+}
+
+class CrmAdapter {
+  static id = null;
+  static label = null;
+
+  constructor(context = {}) {
+    this.externalIds = context.externalIds || new ExternalIdStore();
+    this.exporter = context.exporter || new LeadExporter();
+  }
+
+  get id() {
+    return this.constructor.id;
+  }
+
+  get label() {
+    return this.constructor.label || this.constructor.id;
+  }
+
+  objects() {
+    throw new Error(`CRM adapter "${this.id}" does not implement objects()`);
+  }
+
+  /**
+   * Everything a column can read: the CSV fields, address parts, domain,
+   * the stable external id, a one-line summary, and the raw lead
+   */
+  view(lead) {
+    const flat = this.exporter.flattenLeadForCsv(lead);
+    return {
+      ...flat,
+      ...addressParts(lead.address),
+      domain: domainOf(lead.website),
+      externalId: this.externalIds.idFor(lead),
+      summary: this.summarize(lead),
+      lead,
+    };
+  }
+
+  /**
+   * Why this business is a lead, in one line for a CRM description/notes field
+   */
+  summarize(lead) {
+    const trend = lead.enrichment?.reviewTrend?.category;
+    const [topAspect] = lead.enrichment?.complaintAspects?.aspects || [];
+
+    return [
+      `${lead.rating ?? '?'}★ from ${lead.totalReviews || 0} reviews`,
+      `LeadMiner score ${lead.score ?? '?'} (${lead.priority || 'unscored'})`,
+      topAspect && `most complaints about ${topAspect.label.toLowerCase()}`,
+      ['declining', 'sudden_drop'].includes(trend) && `ratings ${trend.replace('_', ' ')}`,
+    ].filter(Boolean).join('; ');
+  }
+
+  /**
+   * Rows for every object, keyed by CRM property
+   */
+  build(leads) {
+    const views = leads.map(lead => this.view(lead));
+
+    return this.objects().map(({ columns, include, ...object }) => ({
+      ...object,
+      adapter: this.id,
+      header: columns.map(({ property, title }) => ({ id: property, title })),
+      records: views
+        .filter(view => !include || include(view))
+        .map(view => Object.fromEntries(columns.map(column => [column.property, column.value(view) ?? '']))),
+    }));
+  }
+}
+
+export default CrmAdapter;
@@ -0,0 +1,58 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * External IDs - One stable CRM id per business, across runs
+ * Every listing id a lead has ever been seen under maps to the id it was first
+ * exported with, so a lead whose primary listing changes (say TripAdvisor found
+ * first, Google Maps merged in later) still updates the same CRM record.
+ */
+
+class ExternalIdStore {
+  constructor(options = {}) {
+    this.file = options.file || process.env.CRM_EXTERNAL_IDS || 'data/crm-external-ids.json';
+    this.ids = null;
+  }
+
+  load() {
+    if (this.ids) return this.ids;
+
+    // Never fall back to {}: re-exports would create a duplicate of every CRM record
+    try {
+      this.ids = existsSync(this.file) ? JSON.parse(readFileSync(this.file, 'utf8')) : {};
+    } catch (error) {
+      throw new Error(`Could not read CRM external ids from ${this.file} (${error.message}). Repair or restore the file; nothing was overwritten`);
+    }
+    return this.ids;
+  }
+
+  /**
+   * Was the lead (under any of its listings) exported before?
+   */
+  has(lead) {
+    const ids = this.load();
+    return [lead.id, ...(lead.mergedIds || [])].some(id => id && ids[id]);
+  }
+
+  /**
+   * The lead's external id, assigned on first export and remembered for all its listings
+   */
+  idFor(lead) {
+    const ids = this.load();
+    const listingIds = [lead.id, ...(lead.mergedIds || [])].filter(Boolean);
+    const externalId = listingIds.map(id => ids[id]).find(Boolean) || `lm_${lead.id}`;
+
+    listingIds.forEach(id => {
+      ids[id] = externalId;
+    });
+    return externalId;
+  }
+
+  save() {
+    if (!this.ids) return;
+    mkdirSync(dirname(this.file), { recursive: true });
+    writeFileSync(this.file, JSON.stringify(this.ids, null, 2));
+  }
+}
+
+export default ExternalIdStore;
@@ -0,0 +1,73 @@
+import CrmAdapter from './crm-adapter.js';
+
+/**
+ * HubSpot - Companies + contacts import files
+ * Import both files together in HubSpot ("Multiple files with associations") with
+ * "LeadMiner ID" as the common column, and create `leadminer_*` as custom company
+ * properties first. `leadminer_id` should be a unique property so re-imports update.
+ */
+
+// LeadMiner outreach status -> HubSpot `hs_lead_status`
+const LEAD_STATUS = {
+  new: 'NEW',
+  queued: 'OPEN',
+  contacted: 'ATTEMPTED_TO_CONTACT',
+  replied: 'CONNECTED',
+  meeting: 'IN_PROGRESS',
+  won: 'OPEN_DEAL',
+  lost: 'UNQUALIFIED',
+  'do-not-contact': 'UNQUALIFIED',
+};
+
+class HubSpotAdapter extends CrmAdapter {
+  static id = 'hubspot';
+  static label = 'HubSpot';
+
+  objects() {
+    return [
+      {
+        object: 'companies',
+        file: 'hubspot-companies.csv',
+        idProperty: 'leadminer_id',
+        columns: [
+          { property: 'leadminer_id', title: 'LeadMiner ID', value: view => view.externalId },
+          { property: 'name', title: 'Company name', value: view => view.name },
+          { property: 'domain', title: 'Company Domain Name', value: view => view.domain },
+          { property: 'website', title: 'Website URL', value: view => view.website },
+          { property: 'phone', title: 'Phone Number', value: view => view.phone },
+          { property: 'address', title: 'Street Address', value: view => view.street },
+          { property: 'city', title: 'City', value: view => view.city },
+          { property: 'state', title: 'State/Region', value: view => view.region },
+          { property: 'zip', title: 'Postal Code', value: view => view.postalCode },
+          { property: 'hs_lead_status', title: 'Lead Status', value: view => LEAD_STATUS[view.status] || 'NEW' },
+          { property: 'description', title: 'Description', value: view => view.summary },
+          { property: 'leadminer_category', title: 'LeadMiner Category', value: view => view.category },
+          { property: 'leadminer_score', title: 'LeadMiner Score', value: view => view.score },
+          { property: 'leadminer_priority', title: 'LeadMiner Priority', value: view => view.priority },
+          { property: 'leadminer_rating', title: 'Review Rating', value: view => view.rating },
+          { property: 'leadminer_review_count', title: 'Review Count', value: view => view.totalReviews },
+          { property: 'leadminer_territory', title: 'Territory', value: view => view.territory },
+          { property: 'leadminer_listing_url', title: 'Listing URL', value: view => view.url },
+        ],
+      },
+      {
+        object: 'contacts',
+        file: 'hubspot-contacts.csv',
+        // HubSpot dedupes contacts on email
+        idProperty: 'email',
+        include: view => !!view.email,
+        columns: [
+          { property: 'email', title: 'Email', value: view => view.email },
+          { property: 'phone', title: 'Phone Number', value: view => view.phone },
+          { property: 'company', title: 'Company Name', value: view => view.name },
+          { property: 'leadminer_id', title: 'LeadMiner ID', value: view => view.externalId },
+          { property: 'lifecyclestage', title: 'Lifecycle Stage', value: () => 'lead' },
+          { property: 'hs_lead_status', title: 'Lead Status', value: view => LEAD_STATUS[view.status] || 'NEW' },
+          { property: 'leadminer_email_type', title: 'Email Type', value: view => view.emailType },
+        ],
+      },
+    ];
+  }
+}
+
+export default HubSpotAdapter;
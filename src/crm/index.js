@@ -0,0 +1,87 @@
+import { mkdirSync } from 'fs';
+import { extname, join } from 'path';
+import { createObjectCsvWriter } from 'csv-writer';
+import CrmAdapter from './crm-adapter.js';
+import HubSpotAdapter from './hubspot.js';
+import SalesforceAdapter from './salesforce.js';
+import PipedriveAdapter from './pipedrive.js';
+import MappingCrmAdapter from './mapping.js';
+import ExternalIdStore from './external-ids.js';
+import CrmPusher from './push.js';
+
+/**
+ * CRM registry - Import formats leads can be exported in
+ * Select one by id (hubspot, salesforce, pipedrive) or pass a mapping profile file.
+ */
+
+const registry = new Map();
+
+/**
+ * Register a CRM adapter class under its static `id`
+ */
+export function registerCrmAdapter(Adapter) {
+  if (!Adapter?.id) {
+    throw new Error('CRM adapters need a static `id`');
+  }
+  if (typeof Adapter.prototype.objects !== 'function') {
+    throw new Error(`CRM adapter "${Adapter.id}" must implement objects()`);
+  }
+
+  registry.set(Adapter.id, Adapter);
+}
+
+export function listCrmAdapters() {
+  return [...registry.keys()];
+}
+
+/**
+ * Instantiate an adapter from an id or a mapping profile path (.yaml/.yml/.json)
+ */
+export function createCrmAdapter(selection = process.env.CRM_ADAPTER, context = {}) {
+  if (registry.has(selection)) {
+    return new (registry.get(selection))(context);
+  }
+  if (selection && ['.yaml', '.yml', '.json'].includes(extname(selection).toLowerCase())) {
+    return new MappingCrmAdapter(selection, context);
+  }
+
+  throw new Error(`Unknown CRM "${selection || ''}". Use: ${listCrmAdapters().join(', ')}, or a mapping file (.yaml/.json)`);
+}
+
+/**
+ * Write a lead's CRM import files into `dir`, and push them when asked
+ * `statusUpdates` are leads left out of the export (hidden by their outreach
+ * status); those already in the CRM are still sent so it learns the new status,
+ * e.g. Salesforce DoNotCall for a lead marked do-not-contact.
+ */
+export async function exportToCrm(leads, options = {}) {
+  const externalIds = options.externalIds || new ExternalIdStore();
+  const adapter = options.adapter || createCrmAdapter(options.crm, { externalIds, exporter: options.exporter });
+  const updates = (options.statusUpdates || []).filter(lead => externalIds.has(lead));
+  if (updates.length > 0) {
+    console.log(`🔁 Sending the outreach status of ${updates.length} hidden leads already in the CRM`);
+  }
+  const objects = adapter.build([...leads, ...updates]);
+  const dir = options.dir || join('output', 'crm');
+
+  mkdirSync(dir, { recursive: true });
+  for (const object of objects) {
+    const filepath = join(dir, object.file);
+    await createObjectCsvWriter({ path: filepath, header: object.header }).writeRecords(object.records);
+    console.log(`💾 Exported ${object.records.length} ${adapter.label} ${object.object} records to ${filepath}`);
+  }
+
+  const pushed = options.push
+    ? await (options.pusher || new CrmPusher({ url: options.pushUrl })).push(objects)
+    : null;
+
+  // Only remember ids once the export went through
+  externalIds.save();
+  return { adapter: adapter.id, objects, pushed };
+}
+
+registerCrmAdapter(HubSpotAdapter);
+registerCrmAdapter(SalesforceAdapter);
+registerCrmAdapter(PipedriveAdapter);
+
+export { CrmAdapter, MappingCrmAdapter, ExternalIdStore, CrmPusher };
@@ -0,0 +1,147 @@
+import { readFileSync, existsSync } from 'fs';
+import { extname, basename } from 'path';
+import yaml from 'js-yaml';
+import CrmAdapter from './crm-adapter.js';
+
+/**
+ * Mapping profiles - User-defined CRM columns in a YAML/JSON file
+ *
+ *   name: close
+ *   objects:                      # or a single top-level `columns:` list
+ *     - object: leads
+ *       file: close-leads.csv
+ *       idProperty: external_id
+ *       requires: [email]         # skip leads missing any of these fields
+ *       columns:
+ *         - { title: External ID, property: external_id, field: externalId }
+ *         - { title: Company, field: name }
+ *         - { title: Status, field: status, map: { new: Potential, won: Won }, default: Potential }
+ *         - { title: Source, value: LeadMiner }
+ *
+ * `field` reads the adapter view (CSV fields, street/city/region/postalCode, domain,
+ * externalId, summary) or a dotted path into the lead (enrichment.reviewTrend.slope).
+ */
+
+export class CrmMappingError extends Error {
+  constructor(source, issues) {
+    super(`Invalid CRM mapping ${source}:\n  - ${issues.join('\n  - ')}`);
+    this.name = 'CrmMappingError';
+    this.source = source;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Read a field from the view, falling back to a dotted path into the raw lead
+ */
+export function readField(view, field) {
+  if (Object.hasOwn(view, field)) return view[field];
+  const value = field.split('.').reduce((obj, part) => obj?.[part], view.lead);
+  return Array.isArray(value) ? value.join(', ') : value;
+}
+
+/**
+ * Check a mapping profile and normalize it to `{ name, label, objects: [...] }`
+ */
+export function validateMapping(profile, source = 'mapping') {
+  const issues = [];
+  if (!profile || typeof profile !== 'object') {
+    throw new CrmMappingError(source, ['expected an object with `columns` or `objects`']);
+  }
+
+  const name = profile.name || basename(source, extname(source));
+  const objects = profile.objects || (profile.columns ? [{ object: name, columns: profile.columns }] : null);
+  if (!Array.isArray(objects) || objects.length === 0) {
+    issues.push('needs a `columns` list or an `objects` list');
+  }
+
+  (objects || []).forEach((object, idx) => {
+    const label = object.object ? `object "${object.object}"` : `object #${idx + 1}`;
+    if (!object.object) issues.push(`${label}: object name is required`);
+    if (!Array.isArray(object.columns) || object.columns.length === 0) {
+      issues.push(`${label}: columns must be a non-empty list`);
+      return;
+    }
+
+    object.columns.forEach((column, columnIdx) => {
+      const where = `${label} column ${column?.title ? `"${column.title}"` : `#${columnIdx + 1}`}`;
+      if (!column?.title) issues.push(`${where}: title is required`);
+      if (column?.field === undefined && column?.value === undefined) issues.push(`${where}: needs field or value`);
+      if (column?.map !== undefined && (typeof column.map !== 'object' || Array.isArray(column.map))) {
+        issues.push(`${where}: map must be an object of value: replacement`);
+      }
+    });
+
+    const properties = object.columns.map(column => column?.property || column?.title);
+    if (object.idProperty && !properties.includes(object.idProperty)) {
+      issues.push(`${label}: idProperty "${object.idProperty}" is not one of its columns`);
+    }
+  });
+
+  if (issues.length > 0) {
+    throw new CrmMappingError(source, issues);
+  }
+
+  return { name, label: profile.label || name, objects };
+}
+
+/**
+ * Load a mapping profile file
+ */
+export function loadMapping(filepath) {
+  if (!existsSync(filepath)) {
+    throw new CrmMappingError(filepath, ['file not found']);
+  }
+
+  let profile;
+  try {
+    const raw = readFileSync(filepath, 'utf8');
+    profile = extname(filepath).toLowerCase() === '.json' ? JSON.parse(raw) : yaml.load(raw);
+  } catch (error) {
+    throw new CrmMappingError(filepath, [error.message]);
+  }
+
+  return validateMapping(profile, filepath);
+}
+
+class MappingCrmAdapter extends CrmAdapter {
+  static id = 'mapping';
+  static label = 'Custom mapping';
+
+  constructor(mapping, context = {}) {
+    super(context);
+    this.mapping = typeof mapping === 'string' ? loadMapping(mapping) : validateMapping(mapping);
+  }
+
+  get id() {
+    return this.mapping.name;
+  }
+
+  get label() {
+    return this.mapping.label;
+  }
+
+  objects() {
+    return this.mapping.objects.map(object => ({
+      object: object.object,
+      file: object.file || `${this.mapping.name}-${object.object}.csv`,
+      idProperty: object.idProperty || null,
+      include: object.requires
+        ? view => [].concat(object.requires).every(field => ![null, undefined, ''].includes(readField(view, field)))
+        : null,
+      columns: object.columns.map(column => ({
+        property: column.property || column.title,
+        title: column.title,
+        value: view => this.columnValue(column, view),
+      })),
+    }));
+  }
+
+  columnValue(column, view) {
+    const value = column.field !== undefined ? readField(view, column.field) : column.value;
+    if (!column.map) return value ?? column.default;
+    return Object.hasOwn(column.map, String(value)) ? column.map[String(value)] : column.default ?? value;
+  }
+}
+
+export default MappingCrmAdapter;
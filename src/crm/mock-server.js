@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+import { createServer } from 'http';
+
+/**
+ * Mock CRM - Local stand-in for a CRM push endpoint
+ * Upserts pushed records in memory on their `idProperty` and answers with
+ * created/updated counts, so `lead-miner crm <adapter> --push` can be tried
+ * (and re-run to see updates instead of duplicates) without a real CRM.
+ *
+ *   npm run crm-mock                   # listens on 127.0.0.1:4010
+ *   CRM_PUSH_URL=http://127.0.0.1:4010/records lead-miner crm hubspot --push
+ *   GET /records                       # everything stored, per object
+ */
+
+export function createMockCrmServer(options = {}) {
+  const token = options.token ?? null;
+  const store = new Map();
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = createServer((req, res) => {
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      send(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      send(res, 200, Object.fromEntries([...store.entries()].map(([object, records]) => [object, [...records.values()]])));
+      return;
+    }
+    if (req.method !== 'POST') {
+      send(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      let batch;
+      try {
+        batch = JSON.parse(raw);
+      } catch {
+        send(res, 400, { error: 'Body must be JSON' });
+        return;
+      }
+      if (!batch.object || !batch.idProperty || !Array.isArray(batch.records)) {
+        send(res, 400, { error: 'Expected { object, idProperty, records: [] }' });
+        return;
+      }
+
+      const records = store.get(batch.object) || new Map();
+      store.set(batch.object, records);
+
+      let created = 0;
+      let updated = 0;
+      batch.records.forEach(record => {
+        const key = record[batch.idProperty];
+        if (records.has(key)) updated++;
+        else created++;
+        records.set(key, { ...records.get(key), ...record });
+      });
+
+      console.log(`📥 ${batch.adapter || 'crm'} ${batch.object}: ${created} created, ${updated} updated (${records.size} stored)`);
+      send(res, 200, { created, updated });
+    });
+  });
+
+  server.records = store;
+  return server;
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = parseInt(process.argv[2] || process.env.CRM_MOCK_PORT || '4010', 10);
+  createMockCrmServer({ token: process.env.CRM_PUSH_TOKEN || null }).listen(port, '127.0.0.1', () => {
+    console.log(`🧪 Mock CRM listening on http://127.0.0.1:${port}/records`);
+  });
+}
+
+export default createMockCrmServer;
@@ -0,0 +1,57 @@
+import CrmAdapter from './crm-adapter.js';
+
+/**
+ * Pipedrive - Organizations + deals import files
+ * Add "LeadMiner ID" as a custom field on organizations and deals and pick it
+ * as the merge field in the import wizard so re-imports update existing records.
+ */
+
+// LeadMiner outreach status -> deal status
+const DEAL_STATUS = {
+  won: 'won',
+  lost: 'lost',
+  'do-not-contact': 'lost',
+};
+
+class PipedriveAdapter extends CrmAdapter {
+  static id = 'pipedrive';
+  static label = 'Pipedrive';
+
+  objects() {
+    return [
+      {
+        object: 'organizations',
+        file: 'pipedrive-organizations.csv',
+        idProperty: 'leadminer_id',
+        columns: [
+          { property: 'leadminer_id', title: 'LeadMiner ID', value: view => view.externalId },
+          { property: 'name', title: 'Organization - Name', value: view => view.name },
+          { property: 'address', title: 'Organization - Address', value: view => view.address },
+          { property: 'phone', title: 'Organization - Phone', value: view => view.phone },
+          { property: 'website', title: 'Organization - Website', value: view => view.website },
+          { property: 'category', title: 'Organization - Category', value: view => view.category },
+          { property: 'rating', title: 'Organization - Review Rating', value: view => view.rating },
+          { property: 'territory', title: 'Organization - Territory', value: view => view.territory },
+        ],
+      },
+      {
+        object: 'deals',
+        file: 'pipedrive-deals.csv',
+        idProperty: 'leadminer_id',
+        columns: [
+          { property: 'leadminer_id', title: 'LeadMiner ID', value: view => `${view.externalId}-deal` },
+          { property: 'title', title: 'Deal - Title', value: view => `${view.name} (${view.category || 'Business'})` },
+          { property: 'org_leadminer_id', title: 'Organization - LeadMiner ID', value: view => view.externalId },
+          { property: 'org_name', title: 'Organization - Name', value: view => view.name },
+          { property: 'status', title: 'Deal - Status', value: view => DEAL_STATUS[view.status] || 'open' },
+          { property: 'label', title: 'Deal - Label', value: view => view.priority },
+          { property: 'owner', title: 'Deal - Owner', value: view => view.rep },
+          { property: 'score', title: 'Deal - LeadMiner Score', value: view => view.score },
+          { property: 'note', title: 'Note - Content', value: view => view.summary },
+        ],
+      },
+    ];
+  }
+}
+
+export default PipedriveAdapter;
@@ -0,0 +1,90 @@
+import { createHash } from 'crypto';
+
+/**
+ * CRM Push - Sends built CRM records to a REST endpoint in batches
+ *
+ *   POST CRM_PUSH_URL
+ *   { "adapter": "hubspot", "object": "companies", "idProperty": "leadminer_id", "records": [...] }
+ *
+ * The endpoint is expected to upsert on `idProperty`, so pushing the same leads
+ * twice updates them. Each batch carries an `idempotency-key` (a hash of the body)
+ * for endpoints that dedupe retried requests. A JSON reply with `created`/`updated`
+ * counts is summed into the result.
+ */
+
+export class CrmPushError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'CrmPushError';
+    this.status = status;
+  }
+}
+
+class CrmPusher {
+  constructor(options = {}) {
+    this.url = options.url || process.env.CRM_PUSH_URL;
+    this.token = options.token || process.env.CRM_PUSH_TOKEN || null;
+    this.batchSize = options.batchSize || parseInt(process.env.CRM_PUSH_BATCH_SIZE || '100', 10);
+    this.timeoutMs = options.timeoutMs ?? 30000;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  /**
+   * Push every object's records; stops at the first failed batch
+   */
+  async push(objects) {
+    if (!this.url) {
+      throw new CrmPushError('CRM_PUSH_URL not set');
+    }
+
+    const results = [];
+    for (const object of objects) {
+      const result = { object: object.object, records: object.records.length, batches: 0, created: 0, updated: 0 };
+
+      for (let start = 0; start < object.records.length; start += this.batchSize) {
+        const reply = await this.sendBatch(object, object.records.slice(start, start + this.batchSize));
+        result.batches++;
+        result.created += reply.created || 0;
+        result.updated += reply.updated || 0;
+      }
+
+      console.log(`📡 Pushed ${result.records} ${object.object} to ${this.url} (${result.created} created, ${result.updated} updated)`);
+      results.push(result);
+    }
+    return results;
+  }
+
+  async sendBatch(object, records) {
+    const body = JSON.stringify({
+      adapter: object.adapter,
+      object: object.object,
+      idProperty: object.idProperty,
+      records,
+    });
+
+    let response;
+    try {
+      response = await this.fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'idempotency-key': createHash('sha256').update(body).digest('hex'),
+          ...(this.token && { authorization: `Bearer ${this.token}` }),
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      throw new CrmPushError(`Could not reach ${this.url}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => '')).slice(0, 200);
+      throw new CrmPushError(`${this.url} answered HTTP ${response.status} for ${object.object}${detail ? `: ${detail}` : ''}`, response.status);
+    }
+
+    return response.json().catch(() => ({}));
+  }
+}
+
+export default CrmPusher;
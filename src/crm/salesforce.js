@@ -0,0 +1,66 @@
+import CrmAdapter from './crm-adapter.js';
+
+/**
+ * Salesforce - Lead records for Data Loader / the Data Import Wizard
+ * Headers are API field names so they map automatically. Create
+ * `LeadMiner_Id__c` as an External ID text field and upsert on it;
+ * `LeadMiner_*__c` fields are optional custom fields.
+ */
+
+// LeadMiner outreach status -> default Lead Status picklist
+const LEAD_STATUS = {
+  new: 'Open - Not Contacted',
+  queued: 'Open - Not Contacted',
+  contacted: 'Working - Contacted',
+  replied: 'Working - Contacted',
+  meeting: 'Working - Contacted',
+  won: 'Closed - Converted',
+  lost: 'Closed - Not Converted',
+  'do-not-contact': 'Closed - Not Converted',
+};
+
+const RATING = { critical: 'Hot', high: 'Hot', medium: 'Warm', low: 'Cold' };
+
+class SalesforceAdapter extends CrmAdapter {
+  static id = 'salesforce';
+  static label = 'Salesforce';
+
+  objects() {
+    const doNotContact = view => view.status === 'do-not-contact';
+
+    return [
+      {
+        object: 'Lead',
+        file: 'salesforce-leads.csv',
+        idProperty: 'LeadMiner_Id__c',
+        columns: [
+          { property: 'LeadMiner_Id__c', title: 'LeadMiner_Id__c', value: view => view.externalId },
+          { property: 'Company', title: 'Company', value: view => view.name },
+          // LastName is required on Leads; the owner's name is rarely known
+          { property: 'LastName', title: 'LastName', value: () => '[not provided]' },
+          { property: 'Email', title: 'Email', value: view => view.email },
+          { property: 'Phone', title: 'Phone', value: view => view.phone },
+          { property: 'Website', title: 'Website', value: view => view.website },
+          { property: 'Street', title: 'Street', value: view => view.street },
+          { property: 'City', title: 'City', value: view => view.city },
+          { property: 'State', title: 'State', value: view => view.region },
+          { property: 'PostalCode', title: 'PostalCode', value: view => view.postalCode },
+          { property: 'Latitude', title: 'Latitude', value: view => view.latitude },
+          { property: 'Longitude', title: 'Longitude', value: view => view.longitude },
+          { property: 'Status', title: 'Status', value: view => LEAD_STATUS[view.status] || LEAD_STATUS.new },
+          { property: 'Rating', title: 'Rating', value: view => RATING[view.priority] || 'Cold' },
+          { property: 'LeadSource', title: 'LeadSource', value: () => 'LeadMiner' },
+          { property: 'Description', title: 'Description', value: view => view.summary },
+          { property: 'DoNotCall', title: 'DoNotCall', value: doNotContact },
+          { property: 'HasOptedOutOfEmail', title: 'HasOptedOutOfEmail', value: doNotContact },
+          { property: 'LeadMiner_Category__c', title: 'LeadMiner_Category__c', value: view => view.category },
+          { property: 'LeadMiner_Score__c', title: 'LeadMiner_Score__c', value: view => view.score },
+          { property: 'LeadMiner_Review_Rating__c', title: 'LeadMiner_Review_Rating__c', value: view => view.rating },
+          { property: 'LeadMiner_Territory__c', title: 'LeadMiner_Territory__c', value: view => view.territory },
+        ],
+      },
+    ];
+  }
+}
+
+export default SalesforceAdapter;
@@ -0,0 +1,138 @@
+/**
+ * Cron - Five-field cron expressions ("minute hour day-of-month month day-of-week")
+ * Supports *, lists, ranges, steps (*\/15, 1-5/2), month and weekday names, 7 as
+ * Sunday, and @hourly/@daily/@weekly/@monthly/@yearly. Times are the machine's
+ * local time, like cron. As in cron, when both day fields are restricted a day
+ * matching either one is due.
+ */
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+// Give up looking for a match after this many years (e.g. "0 0 31 2 *" never fires)
+const SEARCH_YEARS = 5;
+
+export class CronError extends Error {
+  constructor(expression, message) {
+    super(`Invalid cron "${expression}": ${message}`);
+    this.name = 'CronError';
+    this.expression = expression;
+  }
+}
+
+function parseValue(value, field, expression) {
+  const named = field.names?.indexOf(value.toLowerCase());
+  // Number('') is 0, so an empty value ("-5", "/15") must be caught first
+  const number = named >= 0 ? named + field.min : value.trim() === '' ? NaN : Number(value);
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new CronError(expression, `${field.name} "${value}" is not between ${field.min} and ${field.max}`);
+  }
+  return number;
+}
+
+function parseField(text, field, expression) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    if (part === '') throw new CronError(expression, `${field.name} has an empty list entry in "${text}"`);
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new CronError(expression, `${field.name} step "${stepText}" must be a positive whole number`);
+    }
+
+    let [from, to] = [field.min, field.max];
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field, expression);
+      // "5/15" means every 15 starting at 5
+      to = end !== undefined ? parseValue(end, field, expression) : stepText !== undefined ? field.max : from;
+      if (to < from) throw new CronError(expression, `${field.name} range "${range}" is backwards`);
+    }
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+
+  return values;
+}
+
+/**
+ * Parse an expression into sets of allowed values per field
+ */
+export function parseCron(expression) {
+  const source = String(expression ?? '').trim();
+  const fields = (ALIASES[source.toLowerCase()] || source).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new CronError(source, 'expected 5 fields (minute hour day-of-month month day-of-week) or an @alias');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, idx) => parseField(text, FIELDS[idx], source));
+  // 7 and 0 are both Sunday
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*',
+  };
+}
+
+function dayMatches(cron, date) {
+  const dayOk = cron.days.has(date.getDate());
+  const weekdayOk = cron.weekdays.has(date.getDay());
+  if (cron.anyDay) return weekdayOk;
+  if (cron.anyWeekday) return dayOk;
+  return dayOk || weekdayOk;
+}
+
+/**
+ * The first time strictly after `after` the expression fires, or null if it never does
+ */
+export function nextRun(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(after.getTime());
+  limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+export default parseCron;
@@ -0,0 +1,118 @@
+/**
+ * Lead Delta - Compares the current run against the previous one
+ * Classifies leads as new, escalated, de-escalated, dropped or unchanged
+ */
+
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+class LeadDelta {
+  constructor(options = {}) {
+    this.scoreJumpThreshold = options.scoreJumpThreshold
+      ?? parseInt(process.env.DELTA_SCORE_THRESHOLD || '10', 10);
+  }
+
+  /**
+   * Compare previous vs current scored leads (matched by `id`)
+   */
+  compare(previousLeads, currentLeads, previousRun = null) {
+    const previousById = new Map(previousLeads.map(lead => [lead.id, lead]));
+    const currentIds = new Set(currentLeads.map(lead => lead.id));
+
+    const delta = {
+      previousRunId: previousRun?.id || null,
+      previousRunAt: previousRun?.finishedAt || null,
+      new: [],
+      escalated: [],
+      deescalated: [],
+      dropped: [],
+      unchanged: [],
+    };
+
+    currentLeads.forEach(lead => {
+      const previous = previousById.get(lead.id);
+      const change = this.classifyChange(previous, lead);
+      delta[change].push(this.toEntry(change, previous, lead));
+    });
+
+    previousLeads
+      .filter(lead => !currentIds.has(lead.id))
+      .forEach(lead => delta.dropped.push(this.toEntry('dropped', lead, null)));
+
+    // Biggest movers first
+    delta.escalated.sort((a, b) => b.scoreChange - a.scoreChange);
+    delta.deescalated.sort((a, b) => a.scoreChange - b.scoreChange);
+
+    return delta;
+  }
+
+  /**
+   * Decide how a lead changed between two runs
+   */
+  classifyChange(previous, current) {
+    if (!previous) return 'new';
+
+    const rankChange = this.priorityRank(current.priority) - this.priorityRank(previous.priority);
+    const scoreChange = (current.score || 0) - (previous.score || 0);
+
+    if (rankChange > 0 || scoreChange >= this.scoreJumpThreshold) return 'escalated';
+    if (rankChange < 0 || scoreChange <= -this.scoreJumpThreshold) return 'deescalated';
+    return 'unchanged';
+  }
+
+  /**
+   * Build a flat delta entry, keeping the lead for downstream use
+   */
+  toEntry(change, previous, current) {
+    const lead = current || previous;
+
+    return {
+      change,
+      id: lead.id,
+      name: lead.name,
+      score: current?.score ?? null,
+      previousScore: previous?.score ?? null,
+      scoreChange: current && previous ? (current.score || 0) - (previous.score || 0) : null,
+      priority: current?.priority ?? null,
+      previousPriority: previous?.priority ?? null,
+      lead,
+    };
+  }
+
+  priorityRank(priority) {
+    return PRIORITY_RANK[priority] ?? -1;
+  }
+
+  /**
+   * Count leads per change type
+   */
+  summarize(delta) {
+    return {
+      new: delta.new.length,
+      escalated: delta.escalated.length,
+      deescalated: delta.deescalated.length,
+      dropped: delta.dropped.length,
+      unchanged: delta.unchanged.length,
+    };
+  }
+
+  /**
+   * Print delta summary statistics
+   */
+  printDeltaSummary(delta) {
+    const counts = this.summarize(delta);
+
+    console.log('🔀 Changes since last run:');
+    if (!delta.previousRunId) {
+      console.log('   No previous run found — every lead is new.');
+    } else {
+      console.log(`   Compared with ${delta.previousRunId}`);
+    }
+    console.log(`   🆕 New: ${counts.new}`);
+    console.log(`   📈 Escalated: ${counts.escalated}`);
+    console.log(`   📉 De-escalated: ${counts.deescalated}`);
+    console.log(`   🗑️  Dropped: ${counts.dropped}`);
+    console.log('');
+  }
+}
+
+export default LeadDelta;
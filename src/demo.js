@@ -1,15 +1,17 @@
 #!/usr/bin/env node
 import { existsSync, mkdirSync, writeFileSync } from 'fs';
-import Sentiment from 'sentiment';
-import LeadEnricher from './enricher.js';
-import LeadScorer from './scorer.js';
-import LeadExporter from './exporter.js';
-
-const sentiment = new Sentiment();
-
-function ensureOutputDir() {
-  if (!existsSync('output')) {
-    mkdirSync('output', { recursive: true });
+import { createHash } from 'crypto';
+import { dirname } from 'path';
+import { analyzeSentiment } from './sentiment.js';
+import processLeads, { outputPaths } from './pipeline.js';
+import { resolveConfig } from './config.js';
+
+// Review dates count back from here, so a seed always produces the same data
+export const DEMO_REFERENCE_DATE = '2026-10-01T12:00:00.000Z';
+
+function ensureOutputDir(dir = 'output') {
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
   }
 }
 
@@ -39,6 +41,14 @@ function slugify(text) {
     .replace(/^-|-$/g, '');
 }
 
+/**
+ * Id from the business itself, so a business another seed also generates keeps its id
+ * and unrelated businesses never share one
+ */
+function demoLeadId(name, city) {
+  return `demo_${createHash('sha1').update(`${name}|${city}`.toLowerCase()).digest('hex').slice(0, 10)}`;
+}
+
 function generatePhone(rng) {
   const area = randInt(rng, 200, 989);
   const prefix = randInt(rng, 200, 999);
@@ -74,9 +84,55 @@ function reviewTextForRating(rng, rating) {
   return pick(rng, positive);
 }
 
-function generateReviews(rng, count, baseRating) {
+// Rough city centers; demo leads are scattered up to ~15 km around them
+const CITY_CENTERS = {
+  'Austin, TX': { lat: 30.2672, lng: -97.7431 },
+  'Denver, CO': { lat: 39.7392, lng: -104.9903 },
+  'Seattle, WA': { lat: 47.6062, lng: -122.3321 },
+  'Miami, FL': { lat: 25.7617, lng: -80.1918 },
+  'Chicago, IL': { lat: 41.8781, lng: -87.6298 },
+  'Portland, OR': { lat: 45.5152, lng: -122.6784 },
+  'San Diego, CA': { lat: 32.7157, lng: -117.1611 },
+  'Nashville, TN': { lat: 36.1627, lng: -86.7816 },
+  'Phoenix, AZ': { lat: 33.4484, lng: -112.074 },
+  'Boston, MA': { lat: 42.3601, lng: -71.0589 },
+};
+
+function demoCoordinates(rng, city) {
+  const center = CITY_CENTERS[city];
+  return {
+    lat: parseFloat((center.lat + (rng() - 0.5) * 0.25).toFixed(5)),
+    lng: parseFloat((center.lng + (rng() - 0.5) * 0.3).toFixed(5)),
+    source: 'demo',
+  };
+}
+
+/**
+ * Give some demo businesses owner replies: personal, copy-paste or defensive
+ */
+function addOwnerResponses(rng, reviews) {
+  const style = pick(rng, ['none', 'none', 'personal', 'canned', 'canned', 'defensive']);
+  if (style === 'none') return reviews;
+
+  const replyChance = style === 'personal' ? 0.7 : 0.5;
+  const canned = 'Thank you for your feedback. We apologize for any inconvenience, please contact us so we can make it right.';
+  const defensive = 'This never happened. Our records show you were served on time and our staff followed policy.';
+
+  return reviews.map(review => {
+    if (rng() > replyChance) return review;
+
+    const date = new Date(new Date(review.date).getTime() + randInt(rng, 0, 10) * 24 * 60 * 60 * 1000).toISOString();
+    const text = style === 'personal'
+      ? `Thanks for the ${review.rating}-star review. "${review.text}" is on our list for this week's team meeting.`
+      : style === 'canned' ? canned : (review.rating <= 2 ? defensive : canned);
+
+    return { ...review, ownerResponse: { text, date } };
+  });
+}
+
+function generateReviews(rng, count, baseRating, category) {
   const reviews = [];
-  const now = Date.now();
+  const now = new Date(DEMO_REFERENCE_DATE).getTime();
 
   for (let i = 0; i < count; i += 1) {
     let rating;
@@ -92,35 +148,28 @@ function generateReviews(rng, count, baseRating) {
     const daysAgo = randInt(rng, 1, 120);
     const date = new Date(now - daysAgo * 24 * 60 * 60 * 1000).toISOString();
     const text = reviewTextForRating(rng, rating);
-    const analyzed = sentiment.analyze(text);
 
     reviews.push({
       rating,
       text,
       date,
-      sentiment: {
-        score: analyzed.score,
-        comparative: analyzed.comparative,
-        sentiment: analyzed.score > 0 ? 'positive' : analyzed.score < 0 ? 'negative' : 'neutral',
-        positive: analyzed.positive,
-        negative: analyzed.negative,
-      },
+      sentiment: analyzeSentiment(text, { category }),
     });
   }
 
   return reviews;
 }
 
-function generateDemoLeads(count = 50) {
-  const rng = createRng(42);
+export function generateDemoLeads(count = 50, seed = 42) {
+  const rng = createRng(seed);
+  // Separate stream so owner replies don't reshuffle the rest of the demo data
+  const responseRng = createRng(seed + 1);
+  const geoRng = createRng(seed + 3);
 
   const adjectives = ['Sunrise', 'Maple', 'Silver', 'Golden', 'Copper', 'Urban', 'Coastal', 'Evergreen', 'River', 'Harbor'];
   const nouns = ['Bistro', 'Cafe', 'Auto', 'Dental', 'Fitness', 'Grill', 'Hotel', 'Salon', 'Bakery', 'Market'];
   const categories = ['Restaurant', 'Cafe', 'Auto Repair', 'Dentist', 'Gym', 'Hotel', 'Salon', 'Bakery', 'Market', 'Barber'];
-  const cities = [
-    'Austin, TX', 'Denver, CO', 'Seattle, WA', 'Miami, FL', 'Chicago, IL',
-    'Portland, OR', 'San Diego, CA', 'Nashville, TN', 'Phoenix, AZ', 'Boston, MA',
-  ];
+  const cities = Object.keys(CITY_CENTERS);
   const streets = ['Main St', 'Market St', 'Broadway', '2nd Ave', 'Pine St', 'Oak St', 'Maple Ave', 'Sunset Blvd'];
 
   const leads = [];
@@ -140,59 +189,86 @@ function generateDemoLeads(count = 50) {
     const city = pick(rng, cities);
     const address = `${randInt(rng, 100, 999)} ${pick(rng, streets)}, ${city}`;
     const website = `https://${slugify(name)}.com`;
-    const reviews = generateReviews(rng, reviewCount, baseRating);
+    const reviews = generateReviews(rng, reviewCount, baseRating, category);
 
     leads.push({
-      id: `demo_${i + 1}`,
+      id: demoLeadId(name, city),
       source: 'demo',
       name,
       rating: baseRating,
       totalReviews,
       category,
       address,
+      coordinates: demoCoordinates(geoRng, city),
       phone: generatePhone(rng),
       website,
       email: `info@${slugify(name)}.com`,
-      reviews,
+      emailType: 'estimated',
+      reviews: addOwnerResponses(responseRng, reviews),
       url: website,
-      scrapedAt: new Date().toISOString(),
+      scrapedAt: DEMO_REFERENCE_DATE,
     });
   }
 
   return leads;
 }
 
-async function runDemo() {
-  console.log('🧪 LeadMiner Demo\n');
-  ensureOutputDir();
-
-  const leads = generateDemoLeads(50);
-  writeFileSync('output/scraped-leads.json', JSON.stringify(leads, null, 2));
-  console.log(`💾 Saved ${leads.length} demo leads to output/scraped-leads.json`);
-
-  const enricher = new LeadEnricher();
-  const scorer = new LeadScorer();
-  const exporter = new LeadExporter();
-
-  const enriched = enricher.enrichLeads(leads);
-  enricher.saveEnrichedLeads(enriched, 'output/enriched-leads.json');
+/**
+ * Better-rated local competitors for each demo lead, like the places a live
+ * scrape sees but filters out of the leads
+ */
+function generateDemoMarket(leads, seed = 42) {
+  const rng = createRng(seed + 2);
+  const prefixes = ['Prime', 'Elite', 'Neighborhood', 'Corner', 'Family', 'Main Street', 'Downtown', 'Premier'];
+  const places = [];
+
+  leads.forEach(lead => {
+    const city = lead.address.split(', ').slice(1).join(', ');
+    const competitors = randInt(rng, 2, 5);
+
+    for (let i = 0; i < competitors; i += 1) {
+      places.push({
+        id: `demo_peer_${places.length + 1}`,
+        source: 'demo',
+        name: `${pick(rng, prefixes)} ${lead.category} ${places.length + 1}`,
+        category: lead.category,
+        rating: parseFloat((3 + rng() * 1.9).toFixed(1)),
+        totalReviews: randInt(rng, 10, 600),
+        address: `${randInt(rng, 100, 999)} Elm St, ${city}`,
+      });
+    }
+  });
 
-  const scored = scorer.scoreAllLeads(enriched);
-  scorer.saveScoredLeads(scored, 'output/scored-leads.json');
-  scorer.saveTopLeads(scored, 'output/top-leads.json', 10);
+  return places;
+}
 
-  await exporter.exportToCsv(scored, 'output/leads.csv');
+async function runDemo(settings = resolveConfig()) {
+  console.log('🧪 LeadMiner Demo\n');
 
-  const digest = exporter.generateDigest(scored);
-  const result = await exporter.sendWhatsappAlert(digest);
-  if (result.sent) {
-    console.log('✅ WhatsApp digest sent');
-  } else {
-    console.log(`ℹ️ WhatsApp digest not sent (${result.reason}). Saved locally instead.`);
-  }
-  exporter.saveDigest(digest, 'output/whatsapp-digest.txt');
+  // Another seed (DEMO_SEED / --seed) generates another market; businesses both seeds produce keep their ids
+  const { seed, count } = settings;
+  const scrapedPath = outputPaths(settings.outputDir).scraped;
+  ensureOutputDir(dirname(scrapedPath));
+
+  const leads = generateDemoLeads(count, seed);
+  writeFileSync(scrapedPath, JSON.stringify(leads, null, 2));
+  console.log(`💾 Saved ${leads.length} demo leads to ${scrapedPath}`);
+
+  const market = generateDemoMarket(leads, seed);
+  writeFileSync(outputPaths(settings.outputDir).market, JSON.stringify(market, null, 2));
+
+  const result = await processLeads(leads, {
+    ...settings,
+    crawl: false,
+    mode: 'demo',
+    market,
+    // Review ages and "recent" windows are measured from the date the reviews were generated against
+    now: () => new Date(DEMO_REFERENCE_DATE),
+    meta: { seed },
+  });
 
   console.log('✅ Demo pipeline complete!');
+  return result;
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
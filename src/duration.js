@@ -0,0 +1,19 @@
+/**
+ * Duration - "90s", "30m", "12h", "7d" settings as milliseconds
+ */
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * "90s", "30m", "12h", "7d" (or plain milliseconds) -> milliseconds
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value ?? '').trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/i);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}". Use e.g. 30m, 12h or 7d`);
+  }
+  return Math.round(parseFloat(match[1]) * (match[2] ? DURATION_UNITS[match[2].toLowerCase()] : 1));
+}
+
+export default parseDuration;
@@ -1,5 +1,11 @@
 #!/usr/bin/env node
-import { readFileSync, writeFileSync } from 'fs';
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+import ContactCrawler from './contact-crawler.js';
+import ComplaintClassifier from './complaint-classifier.js';
+import ReviewTrendAnalyzer from './review-trend.js';
+import OwnerResponseAnalyzer from './owner-responses.js';
+import CompetitorBenchmark from './benchmark.js';
 
 /**
  * Lead Enricher - Adds business intelligence to scraped leads
@@ -7,7 +13,12 @@ import { readFileSync, writeFileSync } from 'fs';
  */
 
 class LeadEnricher {
-  constructor() {
+  constructor(options = {}) {
+    this.now = options.now || (() => new Date());
+    this.classifier = options.classifier || new ComplaintClassifier({ path: options.complaintAspects });
+    this.trendAnalyzer = options.trendAnalyzer || new ReviewTrendAnalyzer({ now: this.now });
+    this.responseAnalyzer = options.responseAnalyzer || new OwnerResponseAnalyzer();
+    this.benchmark = options.benchmark || new CompetitorBenchmark();
     this.contactPatterns = {
       email: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g,
       phone: /(\+?1?[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/g,
@@ -16,15 +27,20 @@ class LeadEnricher {
 
   /**
    * Enrich all leads with additional intelligence
+   * `market` is every scraped place (leads or not), used for competitor benchmarks.
    */
-  enrichLeads(leads) {
+  enrichLeads(leads, options = {}) {
     console.log(`\n🔧 Enriching ${leads.length} leads...\n`);
 
+    const benchmarks = this.benchmark.compareAll(leads, options.market || []);
+
     const enriched = leads.map((lead, idx) => {
       if ((idx + 1) % 10 === 0) {
         console.log(`   Processed ${idx + 1}/${leads.length}...`);
       }
 
+      const complaintAspects = this.classifyComplaints(lead.reviews, lead.category);
+
       return {
         ...lead,
         enrichment: {
@@ -32,8 +48,10 @@ class LeadEnricher {
           reviewTrend: this.calculateReviewTrend(lead.reviews),
           businessSize: this.estimateBusinessSize(lead),
           responseRate: this.calculateResponseRate(lead.reviews),
-          negativeReviewKeywords: this.extractNegativeKeywords(lead.reviews),
+          negativeReviewKeywords: this.extractNegativeKeywords(complaintAspects),
+          complaintAspects,
           lastNegativeReview: this.getLastNegativeReviewDate(lead.reviews),
+          benchmark: benchmarks[idx],
         },
       };
     });
@@ -42,10 +60,19 @@ class LeadEnricher {
     return enriched;
   }
 
+  /**
+   * Crawl lead websites for real contact details (async, run before enrichLeads)
+   */
+  async discoverContacts(leads, crawler = new ContactCrawler()) {
+    return crawler.crawlLeads(leads);
+  }
+
   /**
    * Enrich contact information
+   * Prefers details found on the business website over estimated ones.
    */
   enrichContactInfo(lead) {
+    const discovered = lead.discoveredContacts;
     const contact = {
       phone: lead.phone || null,
       email: lead.email || null,
@@ -53,13 +80,30 @@ class LeadEnricher {
       hasContact: false,
     };
 
+    if (contact.email) {
+      contact.emailType = lead.emailType || 'provided';
+    }
+
+    // Emails found on the website beat anything estimated
+    if (discovered?.emails?.length > 0 && contact.emailType !== 'provided') {
+      const [best] = discovered.emails;
+      contact.email = best.address;
+      contact.emailType = 'found_on_page';
+      contact.emailSource = best.foundOn;
+    }
+
+    if (!contact.phone && discovered?.phones?.length > 0) {
+      contact.phone = discovered.phones[0].number;
+      contact.phoneSource = discovered.phones[0].foundOn;
+    }
+
     // Try to extract phone from various fields
     if (!contact.phone && lead.address) {
       const phoneMatch = lead.address.match(this.contactPatterns.phone);
       if (phoneMatch) contact.phone = phoneMatch[0];
     }
 
-    // Validate email or generate likely pattern
+    // Fall back to a likely pattern when nothing was found
     if (!contact.email && contact.website) {
       const domain = this.extractDomain(contact.website);
       if (domain) {
@@ -68,38 +112,23 @@ class LeadEnricher {
       }
     }
 
+    if (discovered) {
+      contact.emails = discovered.emails;
+      contact.phones = discovered.phones;
+      contact.socialProfiles = discovered.socialProfiles;
+      contact.pagesCrawled = discovered.pagesCrawled;
+    }
+
     contact.hasContact = !!(contact.phone || contact.email || contact.website);
 
     return contact;
   }
 
   /**
-   * Calculate review trend (getting better or worse?)
+   * Calculate review trend over time (getting better or worse?)
    */
   calculateReviewTrend(reviews) {
-    if (!reviews || reviews.length < 5) {
-      return { trend: 'insufficient_data', change: 0 };
-    }
-
-    // Sort by date (newest first)
-    const sorted = [...reviews].sort((a, b) => 
-      new Date(b.date) - new Date(a.date)
-    );
-
-    // Compare recent half vs older half
-    const mid = Math.floor(sorted.length / 2);
-    const recentAvg = this.averageRating(sorted.slice(0, mid));
-    const olderAvg = this.averageRating(sorted.slice(mid));
-
-    const change = recentAvg - olderAvg;
-
-    return {
-      trend: change < -0.3 ? 'worsening' : change > 0.3 ? 'improving' : 'stable',
-      change: parseFloat(change.toFixed(2)),
-      recentAvg: parseFloat(recentAvg.toFixed(2)),
-      olderAvg: parseFloat(olderAvg.toFixed(2)),
-      trendScore: change < -0.5 ? 'critical' : change < -0.3 ? 'high' : 'moderate',
-    };
+    return this.trendAnalyzer.analyze(reviews || []);
   }
 
   /**
@@ -136,55 +165,32 @@ class LeadEnricher {
   }
 
   /**
-   * Calculate how often the business responds to reviews
+   * How often, how fast and how well the business answers reviews
    */
   calculateResponseRate(reviews) {
-    if (!reviews || reviews.length === 0) {
-      return { rate: 0, responded: 0, total: 0, percentage: '0%' };
-    }
-
-    // Count reviews with owner responses (if available)
-    // Note: This data might not be in scraped reviews, using placeholder logic
-    const responded = reviews.filter(r => r.ownerResponse || r.response).length;
-    const total = reviews.length;
-    const rate = responded / total;
-
-    return {
-      rate: parseFloat(rate.toFixed(2)),
-      responded,
-      total,
-      percentage: `${Math.round(rate * 100)}%`,
-      engagement: rate > 0.7 ? 'high' : rate > 0.3 ? 'moderate' : 'low',
-    };
+    return this.responseAnalyzer.analyze(reviews || []);
   }
 
   /**
-   * Extract common keywords from negative reviews
+   * Sort negative reviews into complaint aspects (see complaint-aspects.yaml)
    */
-  extractNegativeKeywords(reviews) {
+  classifyComplaints(reviews = [], category) {
     const negativeReviews = reviews.filter(r => r.rating <= 2 || r.sentiment?.sentiment === 'negative');
-    
-    if (negativeReviews.length === 0) return [];
-
-    // Common complaint keywords
-    const keywords = [
-      'slow', 'rude', 'dirty', 'cold', 'wait', 'poor', 'terrible', 'worst',
-      'disappointed', 'never', 'avoid', 'bad', 'horrible', 'disgusting',
-      'unprofessional', 'delayed', 'broken', 'outdated', 'overpriced'
-    ];
+    return this.classifier.buildProfile(negativeReviews, category);
+  }
 
+  /**
+   * Most common complaint words across all aspects (top 5)
+   */
+  extractNegativeKeywords(complaintAspects) {
     const found = new Map();
 
-    negativeReviews.forEach(review => {
-      const text = (review.text || '').toLowerCase();
-      keywords.forEach(keyword => {
-        if (text.includes(keyword)) {
-          found.set(keyword, (found.get(keyword) || 0) + 1);
-        }
+    (complaintAspects?.aspects || []).forEach(aspect => {
+      Object.entries(aspect.terms).forEach(([word, count]) => {
+        found.set(word, (found.get(word) || 0) + count);
       });
     });
 
-    // Return top 5 most common keywords
     return Array.from(found.entries())
       .sort((a, b) => b[1] - a[1])
       .slice(0, 5)
@@ -202,7 +208,7 @@ class LeadEnricher {
     if (negative.length === 0) return null;
 
     const date = new Date(negative[0].date);
-    const daysAgo = Math.floor((Date.now() - date.getTime()) / (1000 * 60 * 60 * 24));
+    const daysAgo = Math.floor((this.now().getTime() - date.getTime()) / (1000 * 60 * 60 * 24));
 
     return {
       date: negative[0].date,
@@ -249,6 +255,7 @@ class LeadEnricher {
    * Save enriched leads
    */
   saveEnrichedLeads(leads, filepath) {
+    mkdirSync(dirname(filepath), { recursive: true });
     writeFileSync(filepath, JSON.stringify(leads, null, 2));
     console.log(`💾 Saved ${leads.length} enriched leads to ${filepath}`);
   }
@@ -267,7 +274,11 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     process.exit(1);
   }
 
-  const enriched = enricher.enrichLeads(leads);
+  const crawled = process.env.CRAWL_WEBSITES === '0'
+    ? leads
+    : await enricher.discoverContacts(leads);
+  const market = existsSync('output/market-places.json') ? enricher.loadLeads('output/market-places.json') : [];
+  const enriched = enricher.enrichLeads(crawled, { market });
   enricher.saveEnrichedLeads(enriched, 'output/enriched-leads.json');
   
   console.log('✅ Enrichment complete!');
@@ -0,0 +1,346 @@
+/**
+ * Entity Resolver - Fuzzy cross-source deduplication
+ * Matches leads on normalized names, phone numbers, website domains and
+ * address tokens, then merges each matched group into a single lead.
+ */
+
+const NAME_STOPWORDS = new Set([
+  'the', 'and', 'of', 'a', 'an', 'inc', 'llc', 'ltd', 'co', 'corp', 'company',
+]);
+
+const ADDRESS_ABBREVIATIONS = {
+  st: 'street', ave: 'avenue', av: 'avenue', blvd: 'boulevard', rd: 'road', dr: 'drive',
+  ln: 'lane', ct: 'court', pl: 'place', hwy: 'highway', pkwy: 'parkway', sq: 'square',
+  n: 'north', s: 'south', e: 'east', w: 'west', ste: 'suite',
+};
+
+// Earlier sources win when choosing which listing's id/fields a merged lead keeps
+const SOURCE_PRIORITY = ['google_maps', 'tripadvisor'];
+
+const SIGNAL_WEIGHTS = {
+  name: 0.4,
+  phone: 0.25,
+  address: 0.2,
+  domain: 0.15,
+};
+
+class EntityResolver {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? parseFloat(process.env.DEDUPE_THRESHOLD || '0.75');
+  }
+
+  /**
+   * Group matching leads and merge each group into one lead
+   * Groups only join when every listing in one matches every listing in the
+   * other, so A~B and B~C don't pull in a C that doesn't match A. The closest
+   * pairs are joined first.
+   */
+  resolve(leads) {
+    const keys = leads.map(lead => this.buildMatchKeys(lead));
+    const matches = new Map();
+    const pairs = [];
+
+    for (let i = 0; i < leads.length; i += 1) {
+      for (let j = i + 1; j < leads.length; j += 1) {
+        const match = this.compareKeys(keys[i], keys[j]);
+        if (match.score >= this.threshold) {
+          matches.set(`${i}:${j}`, match);
+          pairs.push([i, j, match.score]);
+        }
+      }
+    }
+
+    const groupOf = leads.map((_, idx) => [idx]);
+    const matched = (i, j) => matches.has(i < j ? `${i}:${j}` : `${j}:${i}`);
+
+    pairs
+      .sort((a, b) => b[2] - a[2] || a[0] - b[0] || a[1] - b[1])
+      .forEach(([i, j]) => {
+        const left = groupOf[i];
+        const right = groupOf[j];
+        if (left === right || !left.every(a => right.every(b => matched(a, b)))) return;
+
+        left.push(...right);
+        right.forEach(idx => {
+          groupOf[idx] = left;
+        });
+      });
+
+    return [...new Set(groupOf)]
+      .map(indexes => indexes.sort((a, b) => a - b))
+      .sort((a, b) => a[0] - b[0])
+      .map(indexes => {
+        if (indexes.length === 1) return leads[indexes[0]];
+
+        const groupMatches = [...matches.entries()]
+          .filter(([pair]) => pair.split(':').every(idx => indexes.includes(Number(idx))))
+          .map(([, match]) => match);
+
+        return this.mergeLeads(indexes.map(idx => leads[idx]), groupMatches);
+      });
+  }
+
+  /**
+   * Keep the ids leads were stored under before: a business whose merged id
+   * came from its Google Maps listing keeps it in a run where only its
+   * TripAdvisor listing turned up (or the other way round), so status tracking,
+   * the delta and CRM ids follow it. `previousIds` maps listing id -> stored lead
+   * id (LeadStore.listingIds()); an id another lead of this run owns is left alone.
+   */
+  keepStableIds(leads, previousIds = new Map()) {
+    if (previousIds.size === 0) return leads;
+
+    const listingIds = lead => lead.mergedIds || [lead.id];
+    const owners = new Map();
+    leads.forEach(lead => listingIds(lead).forEach(id => owners.set(id, lead)));
+    const assigned = new Set();
+
+    return leads.map(lead => {
+      const storedId = [lead.id, ...listingIds(lead)].map(id => previousIds.get(id)).find(Boolean);
+      const owner = owners.get(storedId);
+      if (!storedId || storedId === lead.id || (owner && owner !== lead) || assigned.has(storedId)) {
+        return lead;
+      }
+
+      assigned.add(storedId);
+      return { ...lead, id: storedId, listingId: lead.id };
+    });
+  }
+
+  /**
+   * Similarity (0-1) between two leads plus the signals that agreed
+   */
+  compareLeads(a, b) {
+    return this.compareKeys(this.buildMatchKeys(a), this.buildMatchKeys(b));
+  }
+
+  compareKeys(a, b) {
+    const signals = {};
+
+    if (a.nameTokens.length > 0 && b.nameTokens.length > 0) {
+      signals.name = Math.max(
+        this.containment(a.nameTokens, b.nameTokens),
+        this.diceCoefficient(a.nameTokens.join(''), b.nameTokens.join(''))
+      );
+    }
+    if (a.phone && b.phone) signals.phone = a.phone === b.phone ? 1 : 0;
+    if (a.domain && b.domain) signals.domain = a.domain === b.domain ? 1 : 0;
+    if (a.streetTokens.length > 0 && b.streetTokens.length > 0) {
+      // Different street numbers mean different premises
+      signals.address = a.streetNumber && b.streetNumber && a.streetNumber !== b.streetNumber
+        ? 0
+        : this.jaccard(a.streetTokens, b.streetTokens);
+    }
+
+    // Never merge on contact details alone: the names have to look alike
+    if ((signals.name ?? 0) < 0.5) {
+      return { score: 0, signals, matchedOn: [] };
+    }
+
+    const available = Object.keys(signals);
+    const totalWeight = available.reduce((sum, key) => sum + SIGNAL_WEIGHTS[key], 0);
+    let score = available.reduce((sum, key) => sum + SIGNAL_WEIGHTS[key] * signals[key], 0) / totalWeight;
+
+    // A shared phone number with a similar name is conclusive. A shared website
+    // only counts when the addresses agree too (chains share one site).
+    const sameSite = signals.domain === 1 && (signals.address ?? 1) >= 0.5;
+    if ((signals.phone === 1 || sameSite) && signals.name >= 0.6) {
+      score = Math.max(score, this.threshold);
+    }
+    // Name-only evidence is not enough to merge
+    if (available.length === 1) {
+      score = Math.min(score, this.threshold - 0.01);
+    }
+
+    return {
+      score: parseFloat(score.toFixed(2)),
+      signals,
+      matchedOn: available.filter(key => signals[key] >= 0.6),
+    };
+  }
+
+  buildMatchKeys(lead) {
+    const addressTokens = this.tokenizeAddress(lead.address);
+
+    const nameTokens = this.tokenizeName(lead.name);
+    // Drop tokens that only repeat the location ("Joes Pizza NYC" vs "Joe's Pizza")
+    const distinctive = nameTokens.filter(token => (
+      !addressTokens.includes(token) && !this.isCityAbbreviation(token, lead.address)
+    ));
+
+    const streetTokens = this.tokenizeAddress((lead.address || '').split(',')[0]);
+
+    return {
+      nameTokens: distinctive.length > 0 ? distinctive : nameTokens,
+      phone: this.normalizePhone(lead.phone),
+      domain: this.normalizeDomain(lead.website),
+      streetTokens,
+      streetNumber: streetTokens.find(token => /^\d+[a-z]?$/.test(token)) || null,
+    };
+  }
+
+  /**
+   * Merge a group of matched leads, keeping every listing, review and URL
+   */
+  mergeLeads(group, matches = []) {
+    const ordered = [...group].sort((a, b) => (
+      this.sourceRank(a.source) - this.sourceRank(b.source)
+      || (b.totalReviews || 0) - (a.totalReviews || 0)
+    ));
+    const [primary] = ordered;
+    const firstValue = field => ordered.map(lead => lead[field]).find(value => value);
+
+    const totalReviews = ordered.reduce((sum, lead) => sum + (lead.totalReviews || 0), 0);
+    const weightedRating = totalReviews > 0
+      ? ordered.reduce((sum, lead) => sum + (lead.rating || 0) * (lead.totalReviews || 0), 0) / totalReviews
+      : primary.rating ?? null;
+
+    const listings = ordered.flatMap(lead => lead.listings || [{
+      id: lead.id,
+      source: lead.source,
+      name: lead.name,
+      rating: lead.rating,
+      totalReviews: lead.totalReviews || 0,
+      url: lead.url,
+    }]);
+
+    return {
+      ...primary,
+      name: primary.name,
+      rating: weightedRating === null ? null : parseFloat(weightedRating.toFixed(2)),
+      totalReviews,
+      phone: firstValue('phone') || null,
+      website: firstValue('website') || null,
+      email: firstValue('email') || null,
+      address: firstValue('address') || null,
+      coordinates: firstValue('coordinates') || null,
+      sources: [...new Set(listings.map(listing => listing.source))],
+      listings,
+      urls: [...new Set(listings.map(listing => listing.url).filter(Boolean))],
+      mergedIds: listings.map(listing => listing.id),
+      reviews: this.unionReviews(ordered.flatMap(lead => lead.reviews || [])),
+      // Campaign runs tag leads with the searches that found them
+      ...(ordered.some(lead => lead.searches) && {
+        searches: ordered.flatMap(lead => lead.searches || []),
+      }),
+      dedupe: {
+        matchScore: matches.length > 0 ? Math.min(...matches.map(match => match.score)) : null,
+        matchedOn: [...new Set(matches.flatMap(match => match.matchedOn))],
+      },
+    };
+  }
+
+  /**
+   * Combine reviews from several listings, dropping cross-posted duplicates
+   */
+  unionReviews(reviews) {
+    const seen = new Set();
+
+    return reviews
+      .filter(review => {
+        const text = (review.text || '').toLowerCase().replace(/\W+/g, ' ').trim().slice(0, 80);
+        const day = review.date ? String(review.date).slice(0, 10) : '';
+        const key = `${review.rating}|${day}|${text}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+
+  sourceRank(source) {
+    const idx = SOURCE_PRIORITY.indexOf(source);
+    return idx === -1 ? SOURCE_PRIORITY.length : idx;
+  }
+
+  tokenizeName(name) {
+    return (name || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/['’`]/g, '')
+      .replace(/&/g, ' and ')
+      .split(/[^a-z0-9]+/)
+      .filter(token => token && !NAME_STOPWORDS.has(token));
+  }
+
+  tokenizeAddress(address) {
+    return [...new Set((address || '')
+      .toLowerCase()
+      .replace(/['’`.]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .map(token => ADDRESS_ABBREVIATIONS[token] || token))];
+  }
+
+  /**
+   * "nyc" for "New York", "la" for "Los Angeles": initials of the address's city words
+   */
+  isCityAbbreviation(token, address) {
+    if (!address || token.length < 2 || token.length > 4) return false;
+
+    return address.split(',').some(part => {
+      const words = part.trim().toLowerCase().split(/\s+/).filter(word => /^[a-z]+$/.test(word));
+      const initials = words.map(word => word[0]).join('');
+      return words.length > 1 && (initials === token || `${initials}c` === token);
+    });
+  }
+
+  normalizePhone(phone) {
+    const digits = (phone || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : null;
+  }
+
+  normalizeDomain(website) {
+    if (!website) return null;
+    return website
+      .toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/^www\./, '')
+      .split(/[/?#]/)[0] || null;
+  }
+
+  /**
+   * Share of the smaller token set found in the larger one
+   */
+  containment(a, b) {
+    const setB = new Set(b);
+    const shared = new Set(a.filter(token => setB.has(token))).size;
+    return shared / Math.min(new Set(a).size, setB.size);
+  }
+
+  jaccard(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    const shared = [...setA].filter(token => setB.has(token)).length;
+    return shared / new Set([...setA, ...setB]).size;
+  }
+
+  /**
+   * Sørensen–Dice similarity on character bigrams (tolerates typos)
+   */
+  diceCoefficient(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = text => {
+      const counts = new Map();
+      for (let i = 0; i < text.length - 1; i += 1) {
+        const gram = text.slice(i, i + 2);
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+      }
+      return counts;
+    };
+
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+    let overlap = 0;
+    gramsA.forEach((count, gram) => {
+      overlap += Math.min(count, gramsB.get(gram) || 0);
+    });
+
+    return (2 * overlap) / (a.length - 1 + b.length - 1);
+  }
+}
+
+export default EntityResolver;
@@ -1,15 +1,62 @@
 #!/usr/bin/env node
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { createObjectCsvWriter } from 'csv-writer';
+import { dirname } from 'path';
+import { createObjectCsvWriter, createObjectCsvStringifier } from 'csv-writer';
+import LeadStatusTracker from './lead-status.js';
+import { Notifier } from './notify/index.js';
 
 /**
- * Lead Exporter - CSV export + optional WhatsApp digest
+ * Lead Exporter - CSV and GeoJSON export + the digest text notifications send
  */
 
+const LEAD_CSV_HEADER = [
+  { id: 'id', title: 'ID' },
+  { id: 'name', title: 'Business Name' },
+  { id: 'source', title: 'Source' },
+  { id: 'category', title: 'Category' },
+  { id: 'rating', title: 'Rating' },
+  { id: 'totalReviews', title: 'Total Reviews' },
+  { id: 'score', title: 'Lead Score' },
+  { id: 'priority', title: 'Priority' },
+  { id: 'status', title: 'Status' },
+  { id: 'address', title: 'Address' },
+  { id: 'latitude', title: 'Latitude' },
+  { id: 'longitude', title: 'Longitude' },
+  { id: 'territory', title: 'Territory' },
+  { id: 'rep', title: 'Rep' },
+  { id: 'phone', title: 'Phone' },
+  { id: 'email', title: 'Email' },
+  { id: 'emailType', title: 'Email Type' },
+  { id: 'website', title: 'Website' },
+  { id: 'url', title: 'Listing URL' },
+  { id: 'reviewTrend', title: 'Review Trend' },
+  { id: 'trendChange', title: 'Trend Change' },
+  { id: 'trendCategory', title: 'Trend Category' },
+  { id: 'trendSlope', title: 'Trend Slope (stars/month)' },
+  { id: 'responseRate', title: 'Response Rate' },
+  { id: 'negativeResponseRate', title: 'Negative Review Response Rate' },
+  { id: 'medianResponseDays', title: 'Median Response Days' },
+  { id: 'responseTone', title: 'Response Tone' },
+  { id: 'businessSize', title: 'Business Size' },
+  { id: 'ratingPercentile', title: 'Local Rating Percentile' },
+  { id: 'reviewVolumePercentile', title: 'Local Review Volume Percentile' },
+  { id: 'localMedianRating', title: 'Local Median Rating' },
+  { id: 'topCompetitors', title: 'Top Local Competitors' },
+  { id: 'lastNegativeReviewDate', title: 'Last Negative Review' },
+  { id: 'lastNegativeReviewDaysAgo', title: 'Days Since Negative' },
+  { id: 'negativeKeywords', title: 'Negative Keywords' },
+  { id: 'complaintAspects', title: 'Complaint Aspects' },
+  { id: 'scrapedAt', title: 'Scraped At' },
+];
+
 class LeadExporter {
-  ensureOutputDir() {
-    if (!existsSync('output')) {
-      mkdirSync('output', { recursive: true });
+  constructor(options = {}) {
+    this.statusTracker = options.statusTracker || new LeadStatusTracker();
+  }
+
+  ensureOutputDir(dir = 'output') {
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
     }
   }
 
@@ -34,31 +81,52 @@ class LeadExporter {
     const responseRate = lead.enrichment?.responseRate || {};
     const businessSize = lead.enrichment?.businessSize || {};
     const lastNegative = lead.enrichment?.lastNegativeReview || {};
+    const contactInfo = lead.enrichment?.contactInfo || {};
+    const benchmark = lead.enrichment?.benchmark || {};
     const negativeKeywords = (lead.enrichment?.negativeReviewKeywords || [])
       .map(k => `${k.word}:${k.count}`)
       .join(', ');
+    const complaintAspects = (lead.enrichment?.complaintAspects?.aspects || [])
+      .map(aspect => `${aspect.label}:${aspect.count}`)
+      .join(', ');
 
     return {
       id: lead.id,
       name: lead.name,
-      source: lead.source,
+      source: lead.sources ? lead.sources.join(', ') : lead.source,
       category: lead.category,
       rating: lead.rating,
       totalReviews: lead.totalReviews,
       score: lead.score,
       priority: lead.priority,
+      status: lead.status || 'new',
       address: lead.address,
-      phone: lead.phone,
-      email: lead.email,
+      latitude: lead.coordinates?.lat ?? null,
+      longitude: lead.coordinates?.lng ?? null,
+      territory: lead.territory?.name || null,
+      rep: lead.territory?.rep || null,
+      phone: contactInfo.phone || lead.phone,
+      email: contactInfo.email || lead.email,
+      emailType: contactInfo.emailType || null,
       website: lead.website,
-      url: lead.url,
+      url: lead.urls ? lead.urls.join(' ') : lead.url,
       reviewTrend: trend.trend,
       trendChange: trend.change,
+      trendCategory: trend.category || null,
+      trendSlope: trend.slope ?? null,
       responseRate: responseRate.percentage || null,
+      negativeResponseRate: responseRate.negative?.percentage || null,
+      medianResponseDays: responseRate.medianLatencyDays ?? null,
+      responseTone: responseRate.tone?.label || null,
       businessSize: businessSize.category,
+      ratingPercentile: benchmark.ratingPercentile ?? null,
+      reviewVolumePercentile: benchmark.reviewVolumePercentile ?? null,
+      localMedianRating: benchmark.medianRating ?? null,
+      topCompetitors: (benchmark.topCompetitors || []).map(peer => `${peer.name} (${peer.rating}★)`).join('; '),
       lastNegativeReviewDate: lastNegative.date || null,
       lastNegativeReviewDaysAgo: lastNegative.daysAgo ?? null,
       negativeKeywords,
+      complaintAspects,
       scrapedAt: lead.scrapedAt,
     };
   }
@@ -67,33 +135,11 @@ class LeadExporter {
    * Export scored leads to CSV
    */
   async exportToCsv(leads, filepath) {
-    this.ensureOutputDir();
+    this.ensureOutputDir(dirname(filepath));
 
     const csvWriter = createObjectCsvWriter({
       path: filepath,
-      header: [
-        { id: 'id', title: 'ID' },
-        { id: 'name', title: 'Business Name' },
-        { id: 'source', title: 'Source' },
-        { id: 'category', title: 'Category' },
-        { id: 'rating', title: 'Rating' },
-        { id: 'totalReviews', title: 'Total Reviews' },
-        { id: 'score', title: 'Lead Score' },
-        { id: 'priority', title: 'Priority' },
-        { id: 'address', title: 'Address' },
-        { id: 'phone', title: 'Phone' },
-        { id: 'email', title: 'Email' },
-        { id: 'website', title: 'Website' },
-        { id: 'url', title: 'Listing URL' },
-        { id: 'reviewTrend', title: 'Review Trend' },
-        { id: 'trendChange', title: 'Trend Change' },
-        { id: 'responseRate', title: 'Response Rate' },
-        { id: 'businessSize', title: 'Business Size' },
-        { id: 'lastNegativeReviewDate', title: 'Last Negative Review' },
-        { id: 'lastNegativeReviewDaysAgo', title: 'Days Since Negative' },
-        { id: 'negativeKeywords', title: 'Negative Keywords' },
-        { id: 'scrapedAt', title: 'Scraped At' },
-      ],
+      header: LEAD_CSV_HEADER,
     });
 
     const records = leads.map(lead => this.flattenLeadForCsv(lead));
@@ -102,9 +148,51 @@ class LeadExporter {
   }
 
   /**
-   * Create a short daily digest for WhatsApp or SMS
+   * Export leads with coordinates as a GeoJSON FeatureCollection of points
+   * (drops straight into geojson.io, QGIS, Mapbox or Google My Maps)
+   */
+  exportToGeoJson(leads, filepath) {
+    this.ensureOutputDir(dirname(filepath));
+
+    const features = leads
+      .filter(lead => Number.isFinite(lead.coordinates?.lat) && Number.isFinite(lead.coordinates?.lng))
+      .map(lead => {
+        const { id, name, category, address, rating, totalReviews, score, priority, status, url, website, phone } = this.flattenLeadForCsv(lead);
+        return {
+          type: 'Feature',
+          id,
+          geometry: { type: 'Point', coordinates: [lead.coordinates.lng, lead.coordinates.lat] },
+          properties: {
+            id, name, category, address, rating, totalReviews, score, priority, status, url, website, phone,
+            territory: lead.territory?.name || null,
+            rep: lead.territory?.rep || null,
+            coordinateSource: lead.coordinates.source || null,
+          },
+        };
+      });
+
+    writeFileSync(filepath, JSON.stringify({ type: 'FeatureCollection', features }, null, 2));
+    const skipped = leads.length - features.length;
+    console.log(`💾 Exported ${features.length} leads to ${filepath}${skipped ? ` (${skipped} without coordinates left out)` : ''}`);
+  }
+
+  /**
+   * Render scored leads as a CSV string (same columns as exportToCsv)
    */
-  generateDigest(leads, topCount = 5) {
+  leadsToCsv(leads) {
+    const stringifier = createObjectCsvStringifier({ header: LEAD_CSV_HEADER });
+    const records = leads.map(lead => this.flattenLeadForCsv(lead));
+    return stringifier.getHeaderString() + stringifier.stringifyRecords(records);
+  }
+
+  /**
+   * Create a short daily digest for chat, email or SMS
+   * Leads hidden by outreach status rules are left out; de-prioritized ones rank lower.
+   */
+  generateDigest(allLeads, topCount = 5) {
+    const leads = this.statusTracker.applyRules(allLeads);
+    const hiddenCount = allLeads.length - leads.length;
+
     const priorityCounts = {
       critical: leads.filter(l => l.priority === 'critical').length,
       high: leads.filter(l => l.priority === 'high').length,
@@ -118,6 +206,7 @@ class LeadExporter {
       'LeadMiner Daily Digest',
       `Total leads: ${leads.length}`,
       `Critical: ${priorityCounts.critical} | High: ${priorityCounts.high} | Medium: ${priorityCounts.medium} | Low: ${priorityCounts.low}`,
+      ...(hiddenCount > 0 ? [`Hidden (already worked): ${hiddenCount}`] : []),
       '',
       `Top ${topCount} Leads:`,
       ...top.map((lead, idx) => (
@@ -129,37 +218,100 @@ class LeadExporter {
   }
 
   /**
-   * Send digest via webhook (optional)
+   * Export the "what changed" leads (new, escalated, de-escalated, dropped) to CSV
    */
-  async sendWhatsappAlert(message) {
-    const webhookUrl = process.env.WHATSAPP_WEBHOOK_URL;
+  async exportDeltaCsv(delta, filepath) {
+    this.ensureOutputDir(dirname(filepath));
 
-    if (!webhookUrl) {
-      return { sent: false, reason: 'WHATSAPP_WEBHOOK_URL not set' };
-    }
+    const csvWriter = createObjectCsvWriter({
+      path: filepath,
+      header: [
+        { id: 'change', title: 'Change' },
+        { id: 'id', title: 'ID' },
+        { id: 'name', title: 'Business Name' },
+        { id: 'category', title: 'Category' },
+        { id: 'score', title: 'Lead Score' },
+        { id: 'previousScore', title: 'Previous Score' },
+        { id: 'scoreChange', title: 'Score Change' },
+        { id: 'priority', title: 'Priority' },
+        { id: 'previousPriority', title: 'Previous Priority' },
+        { id: 'phone', title: 'Phone' },
+        { id: 'email', title: 'Email' },
+        { id: 'website', title: 'Website' },
+      ],
+    });
 
-    try {
-      const response = await fetch(webhookUrl, {
-        method: 'POST',
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ message }),
+    const records = ['new', 'escalated', 'deescalated', 'dropped']
+      .flatMap(change => delta[change])
+      .map(entry => {
+        // Crawled contacts win over the listing's, as in the full CSV
+        const { category, phone, email, website } = this.flattenLeadForCsv(entry.lead);
+        return {
+          change: entry.change,
+          id: entry.id,
+          name: entry.name,
+          category,
+          score: entry.score,
+          previousScore: entry.previousScore,
+          scoreChange: entry.scoreChange,
+          priority: entry.priority,
+          previousPriority: entry.previousPriority,
+          phone,
+          email,
+          website,
+        };
       });
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
+    await csvWriter.writeRecords(records);
+    console.log(`💾 Exported ${records.length} changed leads to ${filepath}`);
+  }
 
-      return { sent: true };
-    } catch (error) {
-      return { sent: false, reason: error.message };
+  /**
+   * Create a "what changed" digest listing only new and escalated leads
+   */
+  generateDeltaDigest(delta, topCount = 5) {
+    // Skip changes on leads hidden by outreach status rules
+    const visibleIds = new Set(
+      this.statusTracker.applyRules([...delta.new, ...delta.escalated].map(entry => entry.lead)).map(lead => lead.id)
+    );
+    const newLeads = delta.new
+      .filter(entry => visibleIds.has(entry.id))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topCount);
+    const escalated = delta.escalated.filter(entry => visibleIds.has(entry.id)).slice(0, topCount);
+
+    const lines = [
+      'LeadMiner Daily Digest — What Changed',
+      delta.previousRunId
+        ? `Since last run (${delta.previousRunAt || delta.previousRunId})`
+        : 'First run — all leads are new',
+      `New: ${delta.new.length} | Escalated: ${delta.escalated.length} | De-escalated: ${delta.deescalated.length} | Dropped: ${delta.dropped.length}`,
+    ];
+
+    if (newLeads.length > 0) {
+      lines.push('', 'New Leads:', ...newLeads.map((entry, idx) => (
+        `${idx + 1}. ${entry.name} — Score ${entry.score} (${entry.priority})`
+      )));
+    }
+
+    if (escalated.length > 0) {
+      lines.push('', 'Escalated:', ...escalated.map((entry, idx) => (
+        `${idx + 1}. ${entry.name} — Score ${entry.previousScore} → ${entry.score} (${entry.previousPriority} → ${entry.priority})`
+      )));
+    }
+
+    if (newLeads.length === 0 && escalated.length === 0) {
+      lines.push('', 'No new or escalated leads since last run.');
     }
+
+    return lines.join('\n');
   }
 
   /**
    * Save digest to a local file for reference
    */
   saveDigest(message, filepath) {
-    this.ensureOutputDir();
+    this.ensureOutputDir(dirname(filepath));
     writeFileSync(filepath, message, 'utf8');
     console.log(`💾 Saved digest to ${filepath}`);
   }
@@ -180,13 +332,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   await exporter.exportToCsv(leads, 'output/leads.csv');
 
   const digest = exporter.generateDigest(leads);
-  const result = await exporter.sendWhatsappAlert(digest);
-
-  if (result.sent) {
-    console.log('✅ WhatsApp digest sent');
-  } else {
-    console.log(`ℹ️ WhatsApp digest not sent (${result.reason}). Saved locally instead.`);
-  }
+  await new Notifier().notifyDigest({ leads, exporter });
 
   exporter.saveDigest(digest, 'output/whatsapp-digest.txt');
 }
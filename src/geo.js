@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Geo - Lead coordinates, distance and polygon helpers
+ * Coordinates come from the source listing when it has them; otherwise a
+ * pluggable geocoder is asked, with every answer kept in a local cache so
+ * later runs (and offline runs) don't ask again.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+export function isCoordinate(point) {
+  return !!point
+    && Number.isFinite(point.lat) && Math.abs(point.lat) <= 90
+    && Number.isFinite(point.lng) && Math.abs(point.lng) <= 180;
+}
+
+/**
+ * Build { lat, lng } from loose values (strings from CSVs, TripAdvisor items)
+ */
+export function toCoordinate(lat, lng) {
+  const point = { lat: parseFloat(lat), lng: parseFloat(lng) };
+  return isCoordinate(point) ? point : null;
+}
+
+/**
+ * Great-circle distance in km
+ */
+export function haversineKm(a, b) {
+  const rad = degrees => (degrees * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Is the point on one of the ring's edges? Ray casting alone gives an
+ * arbitrary answer there.
+ */
+function onRing(point, ring) {
+  return ring.some(([xi, yi], i) => {
+    const [xj, yj] = ring[(i + 1) % ring.length];
+    const cross = (xj - xi) * (point.lat - yi) - (yj - yi) * (point.lng - xi);
+    return Math.abs(cross) < 1e-12
+      && point.lng >= Math.min(xi, xj) && point.lng <= Math.max(xi, xj)
+      && point.lat >= Math.min(yi, yj) && point.lat <= Math.max(yi, yj);
+  });
+}
+
+/**
+ * Ray casting against one GeoJSON ring ([[lng, lat], ...])
+ */
+function inRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > point.lat) !== (yj > point.lat)
+      && point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Is a point inside a GeoJSON Polygon or MultiPolygon geometry (holes respected)?
+ * A point on the boundary, including a hole's, counts as inside.
+ */
+export function pointInGeometry(point, geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.some(([outer, ...holes]) => (onRing(point, outer) || inRing(point, outer))
+    && !holes.some(hole => inRing(point, hole) && !onRing(point, hole)));
+}
+
+/**
+ * Geocoding answers by normalized address, persisted as JSON
+ * Misses are cached too (as null) so unknown addresses aren't retried every run.
+ */
+export class GeocodeCache {
+  constructor(options = {}) {
+    this.file = options.file || process.env.GEOCODE_CACHE || 'data/geocode-cache.json';
+    this.entries = null;
+  }
+
+  key(address) {
+    return address.toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+
+    try {
+      this.entries = existsSync(this.file) ? JSON.parse(readFileSync(this.file, 'utf8')) : {};
+    } catch (error) {
+      throw new Error(`Could not read the geocode cache ${this.file} (${error.message}). Repair or restore the file; nothing was overwritten`);
+    }
+    return this.entries;
+  }
+
+  has(address) {
+    return Object.hasOwn(this.load(), this.key(address));
+  }
+
+  get(address) {
+    return this.load()[this.key(address)]?.coordinates ?? null;
+  }
+
+  set(address, coordinates, provider) {
+    this.load()[this.key(address)] = { coordinates, provider, at: new Date().toISOString() };
+  }
+
+  save() {
+    if (!this.entries) return;
+    mkdirSync(dirname(this.file), { recursive: true });
+    writeFileSync(this.file, JSON.stringify(this.entries, null, 2));
+  }
+}
+
+/**
+ * OpenStreetMap Nominatim (free, one request per second, needs a contact User-Agent)
+ */
+export class NominatimGeocoder {
+  constructor(options = {}) {
+    this.id = 'nominatim';
+    this.fetch = options.fetch || globalThis.fetch;
+    this.baseUrl = options.baseUrl || process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org/search';
+    this.userAgent = options.userAgent || process.env.GEOCODER_USER_AGENT || 'LeadMiner/1.0 (lead geocoding)';
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.minIntervalMs = options.minIntervalMs ?? 1100;
+    this.lastRequest = 0;
+  }
+
+  async geocode(address) {
+    const wait = this.lastRequest + this.minIntervalMs - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    this.lastRequest = Date.now();
+
+    const url = `${this.baseUrl}?${new URLSearchParams({ q: address, format: 'json', limit: '1' })}`;
+    const response = await this.fetch(url, {
+      headers: { 'user-agent': this.userAgent, accept: 'application/json' },
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const [match] = await response.json();
+    return match ? toCoordinate(match.lat, match.lon) : null;
+  }
+}
+
+const GEOCODERS = {
+  none: () => null,
+  nominatim: options => new NominatimGeocoder(options),
+};
+
+/**
+ * Pick a geocoder by name (GEOCODER); "none" keeps the pipeline fully offline
+ */
+export function createGeocoder(name = process.env.GEOCODER || 'none', options = {}) {
+  if (!GEOCODERS[name]) {
+    throw new Error(`Unknown geocoder "${name}". Use: ${Object.keys(GEOCODERS).join(', ')}`);
+  }
+  return GEOCODERS[name](options);
+}
+
+class GeoLocator {
+  constructor(options = {}) {
+    // Anything with `async geocode(address) -> { lat, lng } | null` works
+    this.geocoder = options.geocoder !== undefined ? options.geocoder : createGeocoder(options.provider);
+    this.cache = options.cache || new GeocodeCache({ file: options.cacheFile });
+  }
+
+  /**
+   * Give every lead `coordinates` ({ lat, lng, source }) where possible:
+   * listing data first, then the cache, then the geocoder
+   */
+  async locateLeads(leads) {
+    const counts = { listing: 0, cache: 0, geocoded: 0, missing: 0 };
+    const located = [];
+
+    for (const lead of leads) {
+      const coordinates = await this.locate(lead, counts);
+      located.push(coordinates ? { ...lead, coordinates } : lead);
+    }
+
+    this.cache.save();
+    console.log(`📍 Coordinates: ${counts.listing} from listings, ${counts.cache} cached, ${counts.geocoded} geocoded, ${counts.missing} missing`);
+    return located;
+  }
+
+  async locate(lead, counts) {
+    if (isCoordinate(lead.coordinates)) {
+      counts.listing++;
+      return lead.coordinates;
+    }
+    if (!lead.address) {
+      counts.missing++;
+      return null;
+    }
+
+    if (this.cache.has(lead.address)) {
+      const cached = this.cache.get(lead.address);
+      counts[cached ? 'cache' : 'missing']++;
+      return cached ? { ...cached, source: 'cache' } : null;
+    }
+
+    if (!this.geocoder) {
+      counts.missing++;
+      return null;
+    }
+
+    try {
+      const point = await this.geocoder.geocode(lead.address);
+      this.cache.set(lead.address, point, this.geocoder.id || 'custom');
+      counts[point ? 'geocoded' : 'missing']++;
+      return point ? { ...point, source: this.geocoder.id || 'geocoder' } : null;
+    } catch (error) {
+      // Failures aren't cached: the next run tries again
+      console.error(`❌ Geocoding failed for "${lead.address}":`, error.message);
+      counts.missing++;
+      return null;
+    }
+  }
+}
+
+// CLI execution: geocode one address (through the cache)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const address = process.argv.slice(2).join(' ');
+
+  if (!address) {
+    console.error('❌ Usage: GEOCODER=nominatim node src/geo.js <address>');
+    process.exit(1);
+  }
+
+  const locator = new GeoLocator();
+  const [lead] = await locator.locateLeads([{ address }]);
+  console.log(lead.coordinates ? `${lead.coordinates.lat}, ${lead.coordinates.lng} (${lead.coordinates.source})` : 'Not found');
+}
+
+export default GeoLocator;
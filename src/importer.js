@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { basename, dirname, extname } from 'path';
+import { parse } from 'csv-parse/sync';
+import { analyzeSentiment } from './sentiment.js';
+import { toCoordinate } from './geo.js';
+import processLeads, { outputPaths } from './pipeline.js';
+
+/**
+ * Lead Importer - Loads leads from client review exports (CSV or JSON)
+ * Rows are mapped onto the common lead shape (same as the source adapters produce),
+ * grouped per business, and handed to the enrich/score/export pipeline.
+ */
+
+// Header names recognised without a mapping file (matched case-insensitively)
+const DEFAULT_MAPPING = {
+  business: {
+    id: ['id', 'business id', 'location id', 'place id', 'listing id'],
+    name: ['name', 'business name', 'business', 'location name', 'location', 'company', 'title'],
+    rating: ['overall rating', 'business rating', 'average rating', 'avg rating'],
+    totalReviews: ['total reviews', 'review count', 'reviews count', 'number of reviews'],
+    category: ['category', 'business category', 'type', 'industry'],
+    address: ['address', 'full address', 'street address', 'location address'],
+    latitude: ['latitude', 'lat', 'location.lat'],
+    longitude: ['longitude', 'lng', 'lon', 'long', 'location.lng'],
+    phone: ['phone', 'phone number', 'telephone'],
+    website: ['website', 'url website', 'web', 'site'],
+    email: ['email', 'email address'],
+    url: ['listing url', 'profile url', 'url', 'link'],
+  },
+  review: {
+    rating: ['review rating', 'rating', 'stars', 'star rating', 'score'],
+    text: ['review', 'review text', 'text', 'comment', 'content', 'body'],
+    date: ['review date', 'date', 'published', 'published at', 'created at', 'posted'],
+    ownerResponse: ['owner response', 'response', 'reply', 'business response', 'response text'],
+    ownerResponseDate: ['owner response date', 'response date', 'reply date', 'responded at'],
+  },
+  reviewsField: 'reviews',
+};
+
+class LeadImporter {
+  constructor(options = {}) {
+    this.mapping = this.mergeMapping(options.mapping);
+    this.source = options.source || this.mapping.source || 'import';
+    this.maxRating = options.maxRating ?? null;
+  }
+
+  /**
+   * Read a CSV or JSON export and return normalized leads
+   */
+  importFile(filepath) {
+    const rows = this.readRows(filepath);
+    const leads = this.normalizeRows(rows)
+      .filter(lead => this.maxRating === null || (lead.rating && lead.rating <= this.maxRating));
+
+    console.log(`📥 Imported ${leads.length} leads from ${rows.length} rows in ${filepath}`);
+    return leads;
+  }
+
+  /**
+   * Parse the file into plain row objects
+   */
+  readRows(filepath) {
+    const raw = readFileSync(filepath, 'utf8');
+
+    if (extname(filepath).toLowerCase() === '.json') {
+      const data = JSON.parse(raw);
+      const rows = Array.isArray(data) ? data : data.items || data.leads || data.reviews || data.data;
+      if (!Array.isArray(rows)) {
+        throw new Error(`${filepath} must contain an array (or an object with items/leads/reviews/data)`);
+      }
+      return rows;
+    }
+
+    return parse(raw, {
+      columns: true,
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+    });
+  }
+
+  /**
+   * Map rows onto leads; one row per review is grouped by business
+   */
+  normalizeRows(rows) {
+    const businesses = new Map();
+
+    rows.forEach(row => {
+      const business = this.pick(row, this.mapping.business);
+      if (!business.name) return;
+
+      const key = business.id || `${business.name}|${business.address || ''}`.toLowerCase();
+      if (!businesses.has(key)) {
+        businesses.set(key, { key, business, reviews: [] });
+      }
+
+      const entry = businesses.get(key);
+      // Later rows can fill in business fields the first row left blank
+      Object.entries(business).forEach(([field, value]) => {
+        if (!entry.business[field] && value) entry.business[field] = value;
+      });
+
+      const nested = this.getField(row, [this.mapping.reviewsField]);
+      const reviewRows = Array.isArray(nested) ? nested : [row];
+      reviewRows
+        .map(reviewRow => this.toReview(reviewRow, entry.business.category))
+        .filter(Boolean)
+        .forEach(review => entry.reviews.push(review));
+
+      // One row per business: a bare "rating" column is the business rating
+      if (!Array.isArray(nested) && entry.fallbackRating === undefined) {
+        entry.fallbackRating = this.parseNumber(this.pick(row, this.mapping.review).rating);
+      }
+    });
+
+    return [...businesses.values()].map(entry => this.toLead(entry));
+  }
+
+  toReview(row, category) {
+    const review = this.pick(row, this.mapping.review);
+    if (!review.text && !review.date) return null;
+
+    return {
+      rating: this.parseNumber(review.rating),
+      text: review.text || '',
+      date: this.parseDate(review.date),
+      sentiment: analyzeSentiment(review.text, { category }),
+      ownerResponse: review.ownerResponse
+        ? { text: review.ownerResponse, date: this.parseDate(review.ownerResponseDate) }
+        : null,
+    };
+  }
+
+  /**
+   * Build a lead in the same shape the source adapters produce
+   */
+  toLead({ key, business, reviews, fallbackRating }) {
+    const rated = reviews.filter(review => typeof review.rating === 'number');
+    const coordinates = toCoordinate(business.latitude, business.longitude);
+    const averageRating = rated.length > 0
+      ? parseFloat((rated.reduce((sum, review) => sum + review.rating, 0) / rated.length).toFixed(1))
+      : null;
+
+    return {
+      id: `${this.source}_${this.slugify(key)}`,
+      source: this.source,
+      name: business.name,
+      rating: this.parseNumber(business.rating) ?? averageRating ?? fallbackRating ?? null,
+      totalReviews: this.parseNumber(business.totalReviews) ?? reviews.length,
+      category: business.category || 'Business',
+      address: business.address || null,
+      coordinates: coordinates && { ...coordinates, source: this.source },
+      phone: business.phone || null,
+      website: business.website || null,
+      email: business.email || null,
+      reviews: reviews.sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0)),
+      url: business.url || null,
+      scrapedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Pick mapped fields from a row ({ field: column | [columns] })
+   */
+  pick(row, fieldMap) {
+    return Object.fromEntries(
+      Object.entries(fieldMap)
+        .map(([field, columns]) => [field, this.getField(row, [].concat(columns))])
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+  }
+
+  /**
+   * Read the first matching column (case-insensitive, dotted paths allowed)
+   */
+  getField(row, columns) {
+    const lowerKeys = new Map(Object.keys(row).map(key => [key.toLowerCase().trim(), key]));
+
+    for (const column of columns) {
+      if (column.includes('.') && !lowerKeys.has(column.toLowerCase())) {
+        const value = column.split('.').reduce((obj, part) => obj?.[part], row);
+        if (value !== undefined) return value;
+        continue;
+      }
+
+      const key = lowerKeys.get(column.toLowerCase());
+      if (key !== undefined && row[key] !== undefined) return row[key];
+    }
+
+    return undefined;
+  }
+
+  /**
+   * A mapping file replaces the default column list for each field it names
+   */
+  mergeMapping(custom = {}) {
+    return {
+      ...DEFAULT_MAPPING,
+      ...custom,
+      business: { ...DEFAULT_MAPPING.business, ...custom.business },
+      review: { ...DEFAULT_MAPPING.review, ...custom.review },
+    };
+  }
+
+  parseNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+
+    // Accept "4", "4.5", "4/5", "4 stars"
+    const match = String(value).replace(',', '.').match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  }
+
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+  }
+
+  slugify(text) {
+    return String(text)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+}
+
+/**
+ * Import a file and run it through the pipeline
+ */
+export async function runImport(filepath, options = {}) {
+  const importer = new LeadImporter({
+    mapping: options.mapping ? JSON.parse(readFileSync(options.mapping, 'utf8')) : undefined,
+    source: options.source,
+    maxRating: options.maxRating ?? null,
+  });
+
+  const leads = importer.importFile(filepath);
+
+  if (leads.length === 0) {
+    console.error('❌ No leads found in file. Check the column mapping (--mapping).');
+    process.exit(1);
+  }
+
+  const scrapedPath = outputPaths(options.outputDir).scraped;
+  if (!existsSync(dirname(scrapedPath))) {
+    mkdirSync(dirname(scrapedPath), { recursive: true });
+  }
+  writeFileSync(scrapedPath, JSON.stringify(leads, null, 2));
+  console.log(`💾 Saved ${leads.length} imported leads to ${scrapedPath}`);
+
+  return processLeads(leads, {
+    ...options,
+    crawl: false,
+    mode: 'import',
+    meta: { file: basename(filepath), importSource: importer.source },
+    isComparableRun: run => run.mode === 'import' && run.importSource === importer.source,
+  });
+}
+
+/**
+ * Helper: Read `--flag value` or `--flag=value` from argv
+ */
+function getArgValue(argv, flag) {
+  const idx = argv.indexOf(flag);
+  if (idx !== -1) return argv[idx + 1];
+  const inline = argv.find(arg => arg.startsWith(`${flag}=`));
+  return inline ? inline.slice(flag.length + 1) : undefined;
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const argv = process.argv.slice(2);
+  const filepath = argv.find((arg, idx) => !arg.startsWith('--') && !argv[idx - 1]?.startsWith('--'));
+
+  console.log('📥 LeadMiner Importer\n');
+
+  if (!filepath || !existsSync(filepath)) {
+    console.error('❌ Usage: npm run import -- <export.csv|export.json> [--mapping mapping.json] [--source name] [--max-rating 3]');
+    process.exit(1);
+  }
+
+  const maxRating = getArgValue(argv, '--max-rating');
+
+  await runImport(filepath, {
+    mapping: getArgValue(argv, '--mapping'),
+    source: getArgValue(argv, '--source'),
+    maxRating: maxRating ? parseFloat(maxRating) : null,
+  });
+
+  console.log('✅ Import pipeline complete!');
+}
+
+export default LeadImporter;
@@ -1,9 +1,11 @@
 #!/usr/bin/env node
 import { config } from 'dotenv';
-import LeadEnricher from './enricher.js';
-import LeadScorer from './scorer.js';
-import LeadExporter from './exporter.js';
+import processLeads, { outputPaths } from './pipeline.js';
+import { resolveConfig } from './config.js';
+import { scrapeCampaign, searchKey } from './campaign.js';
 import runDemo from './demo.js';
+import RunLock from './run-lock.js';
+import LeadStore from './lead-store.js';
 
 config();
 
@@ -13,66 +15,98 @@ function isDemoMode() {
     || process.argv.includes('--demo');
 }
 
-async function runPipeline() {
+// Runs recorded before campaigns stored a single query and its locations
+function previousSearchKey(run) {
+  if (run.searchKey) return run.searchKey;
+  return searchKey((run.locations || [run.location]).map(location => ({ query: run.query, location })));
+}
+
+/**
+ * Run the full pipeline under the run lock, so a manual run, an API run and a
+ * scheduled run never overlap (throws RunLockedError while another one is going)
+ */
+async function runPipeline(settings = resolveConfig(), options = {}) {
+  const lock = options.lock || new RunLock();
+  return lock.withLock(settings.campaign ? `campaign ${settings.campaign}` : 'run', () => scrapeAndProcess(settings));
+}
+
+async function scrapeAndProcess(settings) {
   console.log('🚀 LeadMiner Full Pipeline\n');
 
-  if (isDemoMode()) {
+  if (settings.demo || isDemoMode()) {
     console.log('🧪 Demo mode enabled (set `DEMO_MODE=1` or pass `--demo`).\n');
-    await runDemo();
-    return;
+    return runDemo(settings);
   }
 
   const apiToken = process.env.APIFY_TOKEN;
 
+  // Throw rather than exit so callers like the API server keep running
   if (!apiToken) {
-    console.error('❌ APIFY_TOKEN not found in .env file');
-    console.error('👉 Add your Apify token or run: npm run demo');
-    process.exit(1);
+    throw new Error('APIFY_TOKEN not found in .env file. Add your Apify token or run: npm run demo');
   }
 
-  const query = process.env.SEARCH_QUERY || 'restaurants';
-  const location = process.env.SEARCH_LOCATION || 'New York, NY';
-  const maxResults = parseInt(process.env.MAX_RESULTS || '50', 10);
-
   const { default: ReviewScraper } = await import('./review-scraper.js');
-  const scraper = new ReviewScraper(apiToken);
-  const enricher = new LeadEnricher();
-  const scorer = new LeadScorer();
-  const exporter = new LeadExporter();
-
-  const scraped = await scraper.scrapeAll(query, location, maxResults);
-
-  if (scraped.length === 0) {
-    console.error('❌ No leads scraped. Try a different query/location.');
-    process.exit(1);
-  }
-
-  const enriched = enricher.enrichLeads(scraped);
-  enricher.saveEnrichedLeads(enriched, 'output/enriched-leads.json');
-
-  const scored = scorer.scoreAllLeads(enriched);
-  scorer.saveScoredLeads(scored, 'output/scored-leads.json');
-  scorer.saveTopLeads(scored, 'output/top-leads.json', 10);
-
-  await exporter.exportToCsv(scored, 'output/leads.csv');
-
-  const digest = exporter.generateDigest(scored);
-  const result = await exporter.sendWhatsappAlert(digest);
+  const scraper = new ReviewScraper(apiToken, {
+    sources: settings.sources,
+    badReviewThreshold: settings.maxRating,
+    cacheTtl: settings.cacheTtl,
+    refresh: settings.refresh,
+    runTimeout: settings.runTimeout,
+    maxSpendUsd: settings.maxSpendUsd,
+    maxItems: settings.maxItems,
+  });
 
-  if (result.sent) {
-    console.log('✅ WhatsApp digest sent');
-  } else {
-    console.log(`ℹ️ WhatsApp digest not sent (${result.reason}). Saved locally instead.`);
+  // Every query × location pair runs as one campaign, deduped across all searches
+  const { leads: uniqueLeads, searches, yieldReport, market } = await scrapeCampaign(scraper, settings);
+  const scrapeReport = scraper.getRunReport();
+  scraper.printRunReport();
+  scraper.saveRunReport(outputPaths(settings.outputDir).scrapeReport);
+
+  if (uniqueLeads.length === 0) {
+    // Sources that answered with nothing vs sources that never answered
+    throw new Error(scrapeReport.failed + scrapeReport.skipped > 0
+      ? `No leads scraped: ${scrapeReport.failed} source searches failed and ${scrapeReport.skipped} were skipped. See ${outputPaths(settings.outputDir).scrapeReport}`
+      : 'No leads scraped. Try a different query/location.');
   }
 
-  exporter.saveDigest(digest, 'output/whatsapp-digest.txt');
+  // A business keeps the id it was stored under when its primary listing is missing this run
+  const store = new LeadStore();
+  const leads = scraper.resolver.keepStableIds(uniqueLeads, store.listingIds());
+
+  scraper.saveResults(leads, outputPaths(settings.outputDir).scraped);
+  scraper.saveMarketPlaces(market, outputPaths(settings.outputDir).market);
+
+  const campaign = settings.campaign || null;
+  const key = searchKey(searches);
+  const result = await processLeads(leads, {
+    ...settings,
+    store,
+    mode: 'live',
+    market,
+    failedScrapes: scrapeReport.searches.filter(entry => entry.error),
+    meta: {
+      campaign,
+      queries: [...new Set(searches.map(search => search.query))],
+      locations: [...new Set(searches.map(search => search.location))],
+      searchKey: key,
+      searchYield: yieldReport,
+      sources: scraper.sources.map(source => source.id),
+      scrapeUsage: scrapeReport.usage,
+      scrapeFailures: scrapeReport.searches.filter(entry => entry.error),
+    },
+    // Named campaigns compare against their last run; ad-hoc runs against the same searches
+    isComparableRun: run => run.mode === 'live' && (campaign
+      ? run.campaign === campaign
+      : !run.campaign && previousSearchKey(run) === key),
+  });
 
   console.log('✅ LeadMiner pipeline complete!');
+  return result;
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
   runPipeline().catch(error => {
-    console.error('\n❌ Pipeline failed:', error);
+    console.error('\n❌ Pipeline failed:', error.message);
     process.exit(1);
   });
 }
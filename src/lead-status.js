@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Lead Status - Outreach lifecycle per lead, persisted across runs
+ * Each lead has a status plus a timestamped activity log (status changes and notes).
+ * Status rules decide whether a lead is shown, hidden for a while, or ranked lower.
+ */
+
+export const LEAD_STATUSES = ['new', 'queued', 'contacted', 'replied', 'meeting', 'won', 'lost', 'do-not-contact'];
+
+export const RULE_ACTIONS = ['none', 'suppress', 'deprioritize', 'exclude'];
+
+// none: normal | suppress: hidden for `days` after the status was set |
+// deprioritize: ranked `penalty` points lower | exclude: never shown
+export const DEFAULT_STATUS_RULES = {
+  new: { action: 'none' },
+  queued: { action: 'none' },
+  contacted: { action: 'suppress', days: 14 },
+  replied: { action: 'deprioritize', penalty: 30 },
+  meeting: { action: 'exclude' },
+  won: { action: 'exclude' },
+  lost: { action: 'suppress', days: 90 },
+  'do-not-contact': { action: 'exclude' },
+};
+
+// Statuses from the first dashboard version
+const LEGACY_STATUSES = { ignored: 'do-not-contact' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LeadStatusTracker {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.LEAD_STORE_DIR || 'data/lead-store';
+    this.file = join(this.dir, 'lead-status.json');
+    this.rules = this.mergeRules(options.rules);
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Validate custom rules and lay them over the defaults
+   */
+  mergeRules(custom = {}) {
+    const rules = { ...DEFAULT_STATUS_RULES };
+
+    Object.entries(custom || {}).forEach(([status, rule]) => {
+      if (!LEAD_STATUSES.includes(status)) {
+        throw new Error(`Status rule for unknown status "${status}". Use: ${LEAD_STATUSES.join(', ')}`);
+      }
+      if (!RULE_ACTIONS.includes(rule?.action)) {
+        throw new Error(`Status rule for "${status}" needs an action: ${RULE_ACTIONS.join(', ')}`);
+      }
+      if (rule.action === 'suppress' && !(rule.days > 0)) {
+        throw new Error(`Status rule for "${status}" needs days > 0 to suppress`);
+      }
+      if (rule.action === 'deprioritize' && !(rule.penalty > 0)) {
+        throw new Error(`Status rule for "${status}" needs a penalty > 0 to deprioritize`);
+      }
+      rules[status] = rule;
+    });
+
+    // Do-not-contact is never shown, whatever the config says
+    rules['do-not-contact'] = { action: 'exclude' };
+    return rules;
+  }
+
+  /**
+   * All tracked leads (id -> { status, updatedAt, activity })
+   */
+  getAll() {
+    if (!existsSync(this.file)) return {};
+
+    // Never fall back to {}: the next save would wipe every status, do-not-contact included
+    let entries;
+    try {
+      entries = JSON.parse(readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read lead statuses from ${this.file} (${error.message}). Repair or restore the file; nothing was overwritten`);
+    }
+
+    return Object.fromEntries(Object.entries(entries).map(([id, entry]) => [id, {
+      ...entry,
+      status: LEGACY_STATUSES[entry.status] || entry.status,
+      activity: entry.activity || [],
+    }]));
+  }
+
+  get(leadId) {
+    return this.getAll()[leadId] || { status: 'new', updatedAt: null, activity: [] };
+  }
+
+  /**
+   * Change a lead's status, logging the change (and an optional note)
+   */
+  setStatus(leadId, status, note = null) {
+    if (!LEAD_STATUSES.includes(status)) {
+      throw new Error(`Unknown status "${status}". Use: ${LEAD_STATUSES.join(', ')}`);
+    }
+
+    const entries = this.getAll();
+    const entry = entries[leadId] || { status: 'new', updatedAt: null, activity: [] };
+    const at = this.now().toISOString();
+
+    entry.activity.push({ at, type: 'status', from: entry.status, status, ...(note && { note }) });
+    entry.status = status;
+    entry.updatedAt = at;
+    entries[leadId] = entry;
+
+    this.save(entries);
+    return entry;
+  }
+
+  /**
+   * Add a timestamped note without changing the status
+   */
+  addNote(leadId, note) {
+    if (!note || !String(note).trim()) {
+      throw new Error('A note needs some text');
+    }
+
+    const entries = this.getAll();
+    const entry = entries[leadId] || { status: 'new', updatedAt: null, activity: [] };
+
+    entry.activity.push({ at: this.now().toISOString(), type: 'note', note: String(note).trim() });
+    entries[leadId] = entry;
+
+    this.save(entries);
+    return entry;
+  }
+
+  save(entries) {
+    if (!existsSync(this.dir)) {
+      mkdirSync(this.dir, { recursive: true });
+    }
+    writeFileSync(this.file, JSON.stringify(entries, null, 2));
+  }
+
+  /**
+   * Work out how the status rules treat one lead
+   */
+  evaluate(lead, entry) {
+    const status = entry?.status || 'new';
+    const rule = this.rules[status] || { action: 'none' };
+    const outreach = {
+      status,
+      statusUpdatedAt: entry?.updatedAt || null,
+      action: rule.action,
+      hidden: false,
+      hiddenUntil: null,
+      rankScore: lead.score || 0,
+    };
+
+    if (rule.action === 'exclude') {
+      outreach.hidden = true;
+    } else if (rule.action === 'suppress' && entry?.updatedAt) {
+      const until = new Date(new Date(entry.updatedAt).getTime() + rule.days * DAY_MS);
+      outreach.hidden = this.now() < until;
+      outreach.hiddenUntil = outreach.hidden ? until.toISOString() : null;
+    } else if (rule.action === 'deprioritize') {
+      outreach.rankScore -= rule.penalty;
+    }
+
+    return outreach;
+  }
+
+  /**
+   * Annotate scored leads with `status` and `outreach`, rank them by the rules,
+   * and drop hidden leads unless includeHidden is set (they then sort last)
+   */
+  applyRules(leads, { includeHidden = false } = {}) {
+    const entries = this.getAll();
+
+    const ranked = leads
+      .map(lead => {
+        const outreach = this.evaluate(lead, entries[lead.id]);
+        return { ...lead, status: outreach.status, outreach };
+      })
+      .sort((a, b) => (
+        Number(a.outreach.hidden) - Number(b.outreach.hidden)
+        || b.outreach.rankScore - a.outreach.rankScore
+      ));
+
+    return includeHidden ? ranked : ranked.filter(lead => !lead.outreach.hidden);
+  }
+
+  /**
+   * Count hidden leads per status, for summaries
+   */
+  summarizeHidden(leads) {
+    return leads
+      .filter(lead => lead.outreach?.hidden)
+      .reduce((counts, lead) => ({ ...counts, [lead.status]: (counts[lead.status] || 0) + 1 }), {});
+  }
+
+  /**
+   * Print a lead's status and activity log
+   */
+  printActivity(leadId) {
+    const entry = this.get(leadId);
+
+    console.log(`📇 ${leadId}: ${entry.status}${entry.updatedAt ? ` (since ${entry.updatedAt})` : ''}\n`);
+    if (entry.activity.length === 0) {
+      console.log('   No activity recorded yet.');
+      return;
+    }
+
+    entry.activity.forEach(item => {
+      const change = item.type === 'status' ? `${item.from} → ${item.status}` : 'note';
+      console.log(`   ${item.at}  ${change}${item.note ? `  "${item.note}"` : ''}`);
+    });
+  }
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [leadId, status, ...noteWords] = process.argv.slice(2);
+  const tracker = new LeadStatusTracker();
+
+  if (!leadId) {
+    console.error(`❌ Usage: npm run status -- <lead-id> [${LEAD_STATUSES.join('|')}|note] [note text]`);
+    process.exit(1);
+  }
+
+  try {
+    if (status === 'note') {
+      tracker.addNote(leadId, noteWords.join(' '));
+    } else if (status) {
+      tracker.setStatus(leadId, status, noteWords.join(' ') || null);
+    }
+    tracker.printActivity(leadId);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+export default LeadStatusTracker;
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Lead Store - Local, file-based lead database
+ * Keeps run history and a snapshot of every lead per run (append-only JSONL)
+ * plus an index of the latest known state of each lead keyed by `id`.
+ */
+
+class LeadStore {
+  constructor(dir = process.env.LEAD_STORE_DIR || 'data/lead-store') {
+    this.dir = dir;
+    this.runsFile = join(dir, 'runs.jsonl');
+    this.snapshotsFile = join(dir, 'snapshots.jsonl');
+    this.indexFile = join(dir, 'leads.json');
+  }
+
+  ensureStoreDir() {
+    if (!existsSync(this.dir)) {
+      mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Start a new pipeline run (not persisted until finishRun)
+   */
+  beginRun(meta = {}) {
+    const startedAt = new Date().toISOString();
+
+    return {
+      id: `run_${startedAt.replace(/[-:.]/g, '')}`,
+      startedAt,
+      ...meta,
+    };
+  }
+
+  /**
+   * Insert or update leads for a run and snapshot each one
+   */
+  upsertLeads(run, leads) {
+    this.ensureStoreDir();
+
+    const index = this.loadIndex();
+    const recordedAt = new Date().toISOString();
+
+    const snapshots = leads.map(lead => {
+      const existing = index[lead.id];
+
+      index[lead.id] = {
+        id: lead.id,
+        name: lead.name,
+        source: lead.source,
+        firstSeenAt: existing?.firstSeenAt || recordedAt,
+        firstRunId: existing?.firstRunId || run.id,
+        lastSeenAt: recordedAt,
+        lastRunId: run.id,
+        runCount: (existing?.runCount || 0) + (existing?.lastRunId === run.id ? 0 : 1),
+        latest: lead,
+      };
+
+      return JSON.stringify({ runId: run.id, leadId: lead.id, recordedAt, lead });
+    });
+
+    if (snapshots.length > 0) {
+      appendFileSync(this.snapshotsFile, `${snapshots.join('\n')}\n`);
+    }
+    this.saveIndex(index);
+
+    return { upserted: leads.length };
+  }
+
+  /**
+   * Mark a run as finished and append it to the run history
+   */
+  finishRun(run, summary = {}) {
+    this.ensureStoreDir();
+
+    const finished = {
+      ...run,
+      ...summary,
+      finishedAt: new Date().toISOString(),
+    };
+
+    appendFileSync(this.runsFile, `${JSON.stringify(finished)}\n`);
+    return finished;
+  }
+
+  /**
+   * Record a complete run in one call (begin, upsert, finish)
+   */
+  recordRun(leads, meta = {}) {
+    const run = this.beginRun(meta);
+    this.upsertLeads(run, leads);
+    const finished = this.finishRun(run, { leadCount: leads.length });
+
+    console.log(`🗄️  Recorded run ${finished.id} (${leads.length} leads) in ${this.dir}`);
+    return finished;
+  }
+
+  /**
+   * List finished runs, oldest first
+   */
+  listRuns() {
+    return this.readJsonl(this.runsFile);
+  }
+
+  /**
+   * Get the most recent finished run, optionally matching a predicate
+   */
+  getLatestRun(predicate = () => true) {
+    const runs = this.listRuns().filter(predicate);
+    return runs.length > 0 ? runs[runs.length - 1] : null;
+  }
+
+  /**
+   * Get the lead snapshots recorded for a run
+   */
+  getRunLeads(runId) {
+    return this.readJsonl(this.snapshotsFile)
+      .filter(snapshot => snapshot.runId === runId)
+      .map(snapshot => snapshot.lead);
+  }
+
+  /**
+   * Get the latest known state of a lead
+   */
+  getLead(leadId) {
+    return this.loadIndex()[leadId] || null;
+  }
+
+  /**
+   * Map every listing id a stored lead was seen under to the lead's id
+   * (the most recently seen lead wins when a listing moved between leads)
+   */
+  listingIds() {
+    const ids = new Map();
+
+    Object.values(this.loadIndex())
+      .sort((a, b) => String(a.lastSeenAt).localeCompare(String(b.lastSeenAt)))
+      .forEach(entry => {
+        [entry.id, ...(entry.latest?.mergedIds || []), entry.latest?.listingId].filter(Boolean).forEach(id => ids.set(id, entry.id));
+      });
+    return ids;
+  }
+
+  /**
+   * Get every snapshot of a lead, oldest first
+   */
+  getLeadHistory(leadId) {
+    return this.readJsonl(this.snapshotsFile)
+      .filter(snapshot => snapshot.leadId === leadId)
+      .map(({ runId, recordedAt, lead }) => ({ runId, recordedAt, lead }));
+  }
+
+  /**
+   * Load the lead index (id -> latest state)
+   */
+  loadIndex() {
+    if (!existsSync(this.indexFile)) return {};
+
+    // Never fall back to {}: saveIndex would then replace the whole lead history
+    try {
+      return JSON.parse(readFileSync(this.indexFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read the lead index ${this.indexFile} (${error.message}). Repair or restore the file; nothing was overwritten`);
+    }
+  }
+
+  saveIndex(index) {
+    writeFileSync(this.indexFile, JSON.stringify(index, null, 2));
+  }
+
+  /**
+   * Helper: Read a JSONL file, skipping malformed lines
+   */
+  readJsonl(filepath) {
+    if (!existsSync(filepath)) return [];
+
+    return readFileSync(filepath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  /**
+   * Print the run history
+   */
+  printRunHistory() {
+    const runs = this.listRuns();
+
+    console.log('🗄️  LeadMiner Run History\n');
+
+    if (runs.length === 0) {
+      console.log('   No runs recorded yet. Run the pipeline first: npm start');
+      return;
+    }
+
+    runs.forEach(run => {
+      console.log(`   ${run.id}  ${run.mode || 'live'}  ${run.leadCount} leads  (finished ${run.finishedAt})`);
+    });
+    console.log(`\n   Leads tracked: ${Object.keys(this.loadIndex()).length}`);
+  }
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new LeadStore().printRunHistory();
+}
+
+export default LeadStore;
@@ -0,0 +1,91 @@
+/**
+ * Notification Channel - Contract every notification channel implements
+ *
+ * A channel is a class with a static `type` (used as `type:` in the notifications
+ * config), constructed with its config entry and a shared context `{ fetch }`.
+ * It must implement:
+ *   - static validate(config) -> list of problems (empty when valid)
+ *   - send(notification) -> Promise, rejecting with a NotificationError on failure
+ * A notification is `{ event, title, text, leads: [{ id, name, score, priority, ... }] }`.
+ */
+
+export class NotificationError extends Error {
+  constructor(message, { status = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'NotificationError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Fill {{placeholders}} in every string of a template (string, object or array)
+ * A string that is exactly one placeholder keeps the value's type, so
+ * `"leads": "{{leads}}"` becomes an array in a JSON payload.
+ */
+export function fillTemplate(template, variables) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*(\w+)\s*\}\}$/);
+    if (whole) return variables[whole[1]] ?? '';
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => {
+      const value = variables[name];
+      return value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) return template.map(item => fillTemplate(item, variables));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, fillTemplate(value, variables)]));
+  }
+  return template;
+}
+
+class NotificationChannel {
+  static type = null;
+
+  static validate() {
+    return [];
+  }
+
+  constructor(config = {}, context = {}) {
+    this.config = config;
+    this.name = config.name || this.constructor.type;
+    this.fetch = context.fetch || globalThis.fetch;
+    this.timeoutMs = config.timeoutMs ?? 10000;
+  }
+
+  get type() {
+    return this.constructor.type;
+  }
+
+  async send() {
+    throw new Error(`Channel "${this.type}" does not implement send()`);
+  }
+
+  /**
+   * Helper: POST a body and fail on non-2xx (4xx other than 429 isn't worth retrying)
+   */
+  async post(url, body, headers = {}) {
+    let response;
+    try {
+      response = await this.fetch(url, {
+        method: this.config.method || 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      throw new NotificationError(`Could not reach ${new URL(url).host}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => '')).slice(0, 200);
+      throw new NotificationError(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`, {
+        status: response.status,
+        retryable: response.status >= 500 || response.status === 429,
+      });
+    }
+    return response;
+  }
+}
+
+export default NotificationChannel;
@@ -0,0 +1,48 @@
+import NotificationChannel from './channel.js';
+import WebhookChannel from './webhook.js';
+import SlackChannel from './slack.js';
+import EmailChannel from './email.js';
+import TelegramChannel from './telegram.js';
+import FileChannel from './file.js';
+
+/**
+ * Channel registry - Notification channel types by their `type:` name
+ */
+
+const registry = new Map();
+
+/**
+ * Register a channel class under its static `type`
+ */
+export function registerChannel(Channel) {
+  if (!Channel?.type) {
+    throw new Error('Notification channels need a static `type`');
+  }
+  if (!(Channel.prototype instanceof NotificationChannel)) {
+    throw new Error(`Notification channel "${Channel.type}" must extend NotificationChannel`);
+  }
+
+  registry.set(Channel.type, Channel);
+}
+
+export function listChannelTypes() {
+  return [...registry.keys()];
+}
+
+export function getChannelClass(type) {
+  return registry.get(type) || null;
+}
+
+export function createChannel(config, context = {}) {
+  const Channel = registry.get(config.type);
+  if (!Channel) {
+    throw new Error(`Unknown notification channel type "${config.type}". Use: ${listChannelTypes().join(', ')}`);
+  }
+  return new Channel(config, context);
+}
+
+registerChannel(WebhookChannel);
+registerChannel(SlackChannel);
+registerChannel(EmailChannel);
+registerChannel(TelegramChannel);
+registerChannel(FileChannel);
@@ -0,0 +1,36 @@
+import { readFileSync, appendFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Delivery Log - One JSONL line per notification attempt outcome
+ * Records sent, failed and skipped deliveries with the attempt count and error,
+ * so a silent channel can be told apart from one that has been failing.
+ */
+
+class DeliveryLog {
+  constructor(options = {}) {
+    this.file = options.file || process.env.NOTIFICATION_LOG || 'data/notifications.jsonl';
+  }
+
+  record(entry) {
+    mkdirSync(dirname(this.file), { recursive: true });
+    appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  /**
+   * The latest deliveries, newest last, optionally for one channel
+   */
+  recent(limit = 20, channel = null) {
+    if (!existsSync(this.file)) return [];
+
+    return readFileSync(this.file, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(entry => !channel || entry.channel === channel)
+      .slice(-limit);
+  }
+}
+
+export default DeliveryLog;
@@ -0,0 +1,211 @@
+import net from 'net';
+import tls from 'tls';
+import { randomUUID } from 'crypto';
+import NotificationChannel, { NotificationError, fillTemplate } from './channel.js';
+
+/**
+ * Email - Plain-text mail over SMTP
+ * A small SMTP client (EHLO, STARTTLS when offered, AUTH PLAIN, one message per
+ * connection) so no mail library is needed. `secure: true` uses implicit TLS
+ * (port 465); otherwise the connection is upgraded when the server offers STARTTLS
+ * unless `starttls: false`, which is what a local stub server needs.
+ */
+
+/**
+ * Reads SMTP replies (multi-line "250-..." until "250 ...") from a socket
+ */
+class SmtpConnection {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiters = [];
+    this.error = null;
+
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('connection closed')));
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let end;
+    while ((end = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, end).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(end + 1);
+      this.lines.push(line);
+
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), text: this.lines.map(l => l.slice(4)).join('\n') };
+        this.lines = [];
+        const waiter = this.waiters.shift();
+        if (waiter) waiter.resolve(reply);
+        else this.replies.push(reply);
+      }
+    }
+  }
+
+  fail(error) {
+    if (this.error) return;
+    this.error = error;
+    for (const waiter of this.waiters.splice(0)) waiter.reject(error);
+  }
+
+  read() {
+    if (this.replies.length) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+  }
+
+  /**
+   * Send a command (null just reads the greeting) and expect one of the given codes
+   */
+  async command(line, expected, label = line?.split(' ')[0]) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+
+    let reply;
+    try {
+      reply = await this.read();
+    } catch (error) {
+      throw new NotificationError(`SMTP ${label || 'greeting'}: ${error.message}`);
+    }
+    if (!expected.includes(reply.code)) {
+      throw new NotificationError(`SMTP ${label || 'greeting'} rejected: ${reply.code} ${reply.text}`, {
+        status: reply.code,
+        retryable: reply.code < 500,
+      });
+    }
+    return reply;
+  }
+
+  /**
+   * Hand the socket over to a new reader (after the STARTTLS upgrade)
+   */
+  detach() {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('close');
+    this.socket.removeAllListeners('error');
+    return this.socket;
+  }
+}
+
+function connect({ host, port, secure, timeoutMs, rejectUnauthorized }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+      : net.connect({ host, port });
+
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    socket.once('error', error => reject(new NotificationError(`SMTP connect to ${host}:${port} failed: ${error.message}`)));
+    socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+  });
+}
+
+function upgrade(socket, { host, timeoutMs, rejectUnauthorized }) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host, rejectUnauthorized });
+    secured.setTimeout(timeoutMs, () => secured.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    secured.once('error', error => reject(new NotificationError(`SMTP STARTTLS failed: ${error.message}`)));
+    secured.once('secureConnect', () => resolve(secured));
+  });
+}
+
+/**
+ * RFC 2047 encode a header value when it isn't plain ASCII
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+export function buildMessage({ from, to, subject, text, date = new Date(), domain = 'localhost' }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+  // Dot-stuffing: a line starting with "." would otherwise end the DATA section early
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n`;
+}
+
+function addressOf(mailbox) {
+  const match = mailbox.match(/<([^>]+)>/);
+  return match ? match[1] : mailbox.trim();
+}
+
+class EmailChannel extends NotificationChannel {
+  static type = 'email';
+
+  static validate(config) {
+    const issues = [];
+    if (!config.host) issues.push('host is required');
+    if (!config.from) issues.push('from is required');
+    const to = [].concat(config.to || []);
+    if (to.length === 0) issues.push('to is required');
+    if (config.user && !config.pass) issues.push('pass is required with user');
+    return issues;
+  }
+
+  constructor(config = {}, context = {}) {
+    super(config, context);
+    this.now = context.now || (() => new Date());
+  }
+
+  async send(notification) {
+    const config = this.config;
+    const to = [].concat(config.to);
+    const options = {
+      host: config.host,
+      port: config.port || (config.secure ? 465 : 587),
+      secure: Boolean(config.secure),
+      timeoutMs: this.timeoutMs,
+      rejectUnauthorized: config.rejectUnauthorized !== false,
+    };
+    const clientName = config.clientName || 'lead-miner.local';
+
+    let smtp = new SmtpConnection(await connect(options));
+    try {
+      await smtp.command(null, [220]);
+      let hello = await smtp.command(`EHLO ${clientName}`, [250]);
+
+      if (!options.secure && config.starttls !== false && /^STARTTLS\b/mi.test(hello.text)) {
+        await smtp.command('STARTTLS', [220]);
+        smtp = new SmtpConnection(await upgrade(smtp.detach(), options));
+        hello = await smtp.command(`EHLO ${clientName}`, [250]);
+      }
+
+      if (config.user) {
+        const credentials = Buffer.from(`\0${config.user}\0${config.pass}`).toString('base64');
+        await smtp.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+      }
+
+      await smtp.command(`MAIL FROM:<${addressOf(config.from)}>`, [250], 'MAIL FROM');
+      for (const recipient of to) {
+        await smtp.command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251], 'RCPT TO');
+      }
+      await smtp.command('DATA', [354]);
+
+      const message = buildMessage({
+        from: config.from,
+        to,
+        subject: fillTemplate(config.subject || '{{title}}', { ...notification, count: notification.leads.length }),
+        text: notification.text,
+        date: this.now(),
+        domain: clientName,
+      });
+      await smtp.command(`${message}.`, [250], 'message');
+      await smtp.command('QUIT', [221]).catch(() => {});
+    } finally {
+      smtp.socket.destroy();
+    }
+  }
+}
+
+export default EmailChannel;
@@ -0,0 +1,36 @@
+import { appendFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import NotificationChannel from './channel.js';
+
+/**
+ * File - Appends notifications to a local file
+ * `format: text` (default) writes the digest text; `jsonl` writes one JSON line each.
+ */
+
+class FileChannel extends NotificationChannel {
+  static type = 'file';
+
+  static validate(config) {
+    const issues = [];
+    if (!config.path) issues.push('path is required');
+    if (config.format && !['text', 'jsonl'].includes(config.format)) issues.push('format must be text or jsonl');
+    return issues;
+  }
+
+  constructor(config = {}, context = {}) {
+    super(config, context);
+    this.now = context.now || (() => new Date());
+  }
+
+  async send(notification) {
+    const at = this.now().toISOString();
+    const entry = this.config.format === 'jsonl'
+      ? `${JSON.stringify({ at, ...notification })}\n`
+      : `--- ${at} · ${notification.event} ---\n${notification.text}\n\n`;
+
+    mkdirSync(dirname(this.config.path), { recursive: true });
+    appendFileSync(this.config.path, entry);
+  }
+}
+
+export default FileChannel;
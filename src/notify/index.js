@@ -0,0 +1,8 @@
+/**
+ * Notifications - Channels, routing rules, retries and the delivery log
+ */
+
+export { default as Notifier, NotificationConfigError, loadNotifications, compileNotifications, matchesRoute, NOTIFICATION_EVENTS } from './notifier.js';
+export { registerChannel, listChannelTypes, createChannel } from './channels.js';
+export { default as NotificationChannel, NotificationError, fillTemplate } from './channel.js';
+export { default as DeliveryLog } from './delivery-log.js';
@@ -0,0 +1,329 @@
+import { readFileSync, existsSync } from 'fs';
+import { extname } from 'path';
+import yaml from 'js-yaml';
+import { addressParts } from '../address.js';
+import { createChannel, getChannelClass, listChannelTypes } from './channels.js';
+import DeliveryLog from './delivery-log.js';
+
+/**
+ * Notifier - Delivers the run digest to every configured channel
+ *
+ *   channels:
+ *     - name: sales-slack
+ *       type: slack                 # webhook, slack, email, telegram, file
+ *       url: ${SLACK_WEBHOOK_URL}   # ${VAR} reads the environment
+ *       when:                       # routing rules, all optional
+ *         priority: [critical]
+ *         minScore: 80
+ *         category: [restaurant]
+ *         territory: [Austin Metro]
+ *         rep: [Dana]
+ *         events: [digest]
+ *       retries: 2                  # extra attempts, backoff doubles from backoffMs
+ *       backoffMs: 1000
+ *
+ * Each channel gets a digest of only the leads its rules match, and is skipped when
+ * lead rules match nothing. WHATSAPP_WEBHOOK_URL still works: it becomes a
+ * `whatsapp` webhook channel posting `{ message }`.
+ */
+
+export const NOTIFICATION_EVENTS = ['digest', 'test'];
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+const ROUTING_KEYS = ['events', 'priority', 'minScore', 'category', 'territory', 'rep'];
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 1000;
+
+export class NotificationConfigError extends Error {
+  constructor(source, issues) {
+    super(`Invalid notifications ${source}:\n  - ${issues.join('\n  - ')}`);
+    this.name = 'NotificationConfigError';
+    this.source = source;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Replace ${VAR} in every string with the environment value, so secrets stay in .env
+ */
+export function expandEnv(value, env = process.env) {
+  if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (_, name) => env[name] ?? '');
+  if (Array.isArray(value)) return value.map(item => expandEnv(item, env));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, env)]));
+  }
+  return value;
+}
+
+function lowerList(value) {
+  return [].concat(value).map(item => String(item).toLowerCase());
+}
+
+/**
+ * Check channel definitions and normalize their routing rules
+ */
+export function compileNotifications(definitions, source = 'config', env = process.env) {
+  if (!Array.isArray(definitions)) {
+    throw new NotificationConfigError(source, ['expected a list of channels (or `{ channels: [...] }`)']);
+  }
+
+  const issues = [];
+  const names = new Set();
+
+  const channels = definitions.map((definition, idx) => {
+    const config = expandEnv(definition || {}, env);
+    const name = config.name || config.type;
+    const label = name ? `channel "${name}"` : `channel #${idx + 1}`;
+
+    const Channel = getChannelClass(config.type);
+    if (!Channel) {
+      issues.push(`${label}: type must be one of ${listChannelTypes().join(', ')}`);
+    } else {
+      issues.push(...Channel.validate(config).map(issue => `${label}: ${issue}`));
+    }
+    if (names.has(name)) issues.push(`${label}: duplicate name (give each channel a unique \`name\`)`);
+    names.add(name);
+
+    if (config.retries !== undefined && !(Number.isInteger(config.retries) && config.retries >= 0)) {
+      issues.push(`${label}: retries must be a whole number ≥ 0`);
+    }
+    if (config.backoffMs !== undefined && !(config.backoffMs >= 0)) {
+      issues.push(`${label}: backoffMs must be a number ≥ 0`);
+    }
+
+    const when = config.when || {};
+    Object.keys(when).filter(key => !ROUTING_KEYS.includes(key)).forEach(key => {
+      issues.push(`${label}: unknown routing rule "${key}" (use ${ROUTING_KEYS.join(', ')})`);
+    });
+    if (when.events !== undefined) {
+      lowerList(when.events).filter(event => !NOTIFICATION_EVENTS.includes(event)).forEach(event => {
+        issues.push(`${label}: unknown event "${event}" (use ${NOTIFICATION_EVENTS.join(', ')})`);
+      });
+    }
+    if (when.priority !== undefined) {
+      lowerList(when.priority).filter(priority => !PRIORITIES.includes(priority)).forEach(priority => {
+        issues.push(`${label}: unknown priority "${priority}" (use ${PRIORITIES.join(', ')})`);
+      });
+    }
+    if (when.minScore !== undefined && typeof when.minScore !== 'number') {
+      issues.push(`${label}: minScore must be a number`);
+    }
+
+    return {
+      ...config,
+      name,
+      when: Object.fromEntries(Object.entries(when).map(([key, value]) => [key, key === 'minScore' ? value : lowerList(value)])),
+    };
+  });
+
+  if (issues.length > 0) {
+    throw new NotificationConfigError(source, issues);
+  }
+  return channels.filter(channel => channel.enabled !== false);
+}
+
+/**
+ * Load channels from a YAML/JSON file path, or inline config (a list or `{ channels }`);
+ * falls back to NOTIFICATIONS
+ */
+export function loadNotifications(source = process.env.NOTIFICATIONS, env = process.env) {
+  let data = source || [];
+  const label = typeof source === 'string' ? source : 'config';
+
+  if (typeof source === 'string') {
+    if (!existsSync(source)) {
+      throw new NotificationConfigError(source, ['file not found']);
+    }
+    try {
+      const raw = readFileSync(source, 'utf8');
+      data = extname(source).toLowerCase() === '.json' ? JSON.parse(raw) : yaml.load(raw);
+    } catch (error) {
+      throw new NotificationConfigError(source, [error.message]);
+    }
+  }
+
+  const channels = compileNotifications(Array.isArray(data) ? data : data?.channels || [], label, env);
+
+  if (env.WHATSAPP_WEBHOOK_URL && !channels.some(channel => channel.name === 'whatsapp')) {
+    channels.push({ name: 'whatsapp', type: 'webhook', url: env.WHATSAPP_WEBHOOK_URL, when: {} });
+  }
+  return channels;
+}
+
+/**
+ * Does a lead pass a channel's routing rules?
+ */
+export function matchesRoute(lead, when = {}) {
+  if (when.priority && !when.priority.includes(lead.priority)) return false;
+  if (when.minScore !== undefined && (lead.score || 0) < when.minScore) return false;
+  if (when.category && !when.category.includes(lead.category?.toLowerCase())) return false;
+  if (when.territory && !when.territory.includes(lead.territory?.name?.toLowerCase())) return false;
+  if (when.rep && !when.rep.includes(lead.territory?.rep?.toLowerCase())) return false;
+  return true;
+}
+
+function hasLeadRules(when) {
+  return ROUTING_KEYS.some(key => key !== 'events' && when[key] !== undefined);
+}
+
+/**
+ * The lead fields channels get (and webhook templates see as {{leads}})
+ */
+function summarizeLead(lead) {
+  return {
+    id: lead.id,
+    name: lead.name,
+    score: lead.score,
+    priority: lead.priority,
+    category: lead.category || null,
+    address: lead.address || null,
+    city: addressParts(lead.address).city,
+    phone: lead.phone || null,
+    email: lead.email || null,
+    website: lead.website || null,
+    url: lead.url || null,
+    territory: lead.territory?.name || null,
+    rep: lead.territory?.rep || null,
+  };
+}
+
+class Notifier {
+  /**
+   * `notifications` is a channels file path or inline config; falls back to NOTIFICATIONS.
+   * `fetch`, `sleep` and `now` are injectable for stub servers and tests.
+   */
+  constructor(notifications = process.env.NOTIFICATIONS, options = {}) {
+    this.now = options.now || (() => new Date());
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.log = options.log || new DeliveryLog();
+    this.channels = loadNotifications(notifications, options.env).map(config => ({
+      config,
+      channel: createChannel(config, { fetch: options.fetch, now: this.now }),
+    }));
+  }
+
+  get size() {
+    return this.channels.length;
+  }
+
+  /**
+   * A channel's share of the run: its routed leads and the digest text for them
+   */
+  digestFor(config, { leads, delta, exporter }) {
+    if (!delta) {
+      const routed = leads.filter(lead => matchesRoute(lead, config.when));
+      return { leads: routed, text: exporter.generateDigest(routed) };
+    }
+
+    const routed = { ...delta };
+    ['new', 'escalated', 'deescalated', 'dropped'].forEach(change => {
+      routed[change] = delta[change].filter(entry => matchesRoute(entry.lead, config.when));
+    });
+    return {
+      leads: exporter.statusTracker.applyRules([...routed.new, ...routed.escalated].map(entry => entry.lead)),
+      text: exporter.generateDeltaDigest(routed),
+    };
+  }
+
+  /**
+   * Send the digest to every channel routed for it
+   * With a delta, channels get the "what changed" digest; otherwise the top leads.
+   */
+  async notifyDigest({ leads = [], delta = null, exporter }) {
+    if (this.size === 0) {
+      console.log('ℹ️ No notification channels configured (NOTIFICATIONS or WHATSAPP_WEBHOOK_URL). Digest saved locally.');
+      return [];
+    }
+
+    const results = [];
+    for (const target of this.channels) {
+      const { config, channel } = target;
+      if (config.when.events && !config.when.events.includes('digest')) continue;
+
+      const { leads: routed, text } = this.digestFor(config, { leads, delta, exporter });
+      const notification = {
+        event: 'digest',
+        title: text.split('\n')[0],
+        text,
+        leads: routed.map(summarizeLead),
+      };
+
+      if (routed.length === 0 && hasLeadRules(config.when)) {
+        console.log(`ℹ️ ${channel.name}: no leads match its routing rules, skipped`);
+        results.push(this.record(channel, notification, 'skipped', 0, 'no matching leads'));
+        continue;
+      }
+      results.push(await this.deliver(target, notification));
+    }
+    return results;
+  }
+
+  /**
+   * Keep just the named channel (`lead-miner notify --channel`)
+   */
+  only(name) {
+    const targets = this.channels.filter(({ channel }) => channel.name === name);
+    if (targets.length === 0) {
+      throw new Error(`Unknown notification channel "${name}". Configured: ${this.channels.map(({ channel }) => channel.name).join(', ') || 'none'}`);
+    }
+    this.channels = targets;
+    return this;
+  }
+
+  /**
+   * Send a test message to every channel, ignoring routing rules
+   */
+  async sendTest() {
+    const notification = {
+      event: 'test',
+      title: 'LeadMiner test notification',
+      text: 'LeadMiner test notification — this channel is set up correctly.',
+      leads: [],
+    };
+
+    const results = [];
+    for (const target of this.channels) {
+      results.push(await this.deliver(target, notification));
+    }
+    return results;
+  }
+
+  /**
+   * Send with retries and exponential backoff; never throws, the outcome is logged
+   */
+  async deliver({ config, channel }, notification) {
+    const attempts = 1 + (config.retries ?? DEFAULT_RETRIES);
+    const backoffMs = config.backoffMs ?? DEFAULT_BACKOFF_MS;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await channel.send(notification);
+        console.log(`✅ Notified ${channel.name} (${channel.type})`);
+        return this.record(channel, notification, 'sent', attempt);
+      } catch (error) {
+        if (error.retryable === false || attempt >= attempts) {
+          console.log(`⚠️  Notification to ${channel.name} failed after ${attempt} attempt(s): ${error.message}`);
+          return this.record(channel, notification, 'failed', attempt, error.message);
+        }
+
+        const delay = backoffMs * 2 ** (attempt - 1);
+        console.log(`   ↻ ${channel.name}: ${error.message} — retrying in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  record(channel, notification, status, attempts, error = null) {
+    return this.log.record({
+      at: this.now().toISOString(),
+      channel: channel.name,
+      type: channel.type,
+      event: notification.event,
+      status,
+      attempts,
+      leads: notification.leads.length,
+      ...(error && { error }),
+    });
+  }
+}
+
+export default Notifier;
@@ -0,0 +1,52 @@
+import NotificationChannel from './channel.js';
+
+/**
+ * Slack - Incoming webhook (also Mattermost, Rocket.Chat and other Slack-compatible hooks)
+ * Sends the digest as text plus one block per lead, linked to its listing.
+ */
+
+const PRIORITY_EMOJI = { critical: ':red_circle:', high: ':large_orange_circle:', medium: ':large_yellow_circle:', low: ':white_circle:' };
+
+// Slack rejects messages with more than 50 blocks
+const MAX_LEAD_BLOCKS = 20;
+
+function escapeMrkdwn(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+class SlackChannel extends NotificationChannel {
+  static type = 'slack';
+
+  static validate(config) {
+    return config.url ? [] : ['url is required'];
+  }
+
+  payload(notification) {
+    const leadLines = notification.leads.slice(0, MAX_LEAD_BLOCKS).map(lead => {
+      const name = lead.url ? `<${lead.url}|${escapeMrkdwn(lead.name)}>` : `*${escapeMrkdwn(lead.name)}*`;
+      const where = [lead.category, lead.city].filter(Boolean).map(escapeMrkdwn).join(' · ');
+      return {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `${PRIORITY_EMOJI[lead.priority] || ''} ${name} — score ${lead.score} (${lead.priority})${where ? `\n${where}` : ''}` },
+      };
+    });
+
+    return {
+      text: notification.text,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: notification.title } },
+        { type: 'section', text: { type: 'mrkdwn', text: `\`\`\`${escapeMrkdwn(notification.text)}\`\`\`` } },
+        ...leadLines,
+      ],
+      ...(this.config.channel && { channel: this.config.channel }),
+      ...(this.config.username && { username: this.config.username }),
+      ...(this.config.iconEmoji && { icon_emoji: this.config.iconEmoji }),
+    };
+  }
+
+  async send(notification) {
+    await this.post(this.config.url, JSON.stringify(this.payload(notification)));
+  }
+}
+
+export default SlackChannel;
@@ -0,0 +1,39 @@
+import NotificationChannel, { NotificationError } from './channel.js';
+
+/**
+ * Telegram - Bot API `sendMessage` to a chat
+ * `apiUrl` defaults to https://api.telegram.org; point it at a stub server to test.
+ */
+
+// Telegram's limit for one message
+const MAX_TEXT = 4096;
+
+class TelegramChannel extends NotificationChannel {
+  static type = 'telegram';
+
+  static validate(config) {
+    const issues = [];
+    if (!config.token) issues.push('token is required');
+    if (config.chatId === undefined || config.chatId === '') issues.push('chatId is required');
+    return issues;
+  }
+
+  async send(notification) {
+    const apiUrl = (this.config.apiUrl || 'https://api.telegram.org').replace(/\/$/, '');
+    const text = notification.text.length > MAX_TEXT ? `${notification.text.slice(0, MAX_TEXT - 1)}…` : notification.text;
+
+    const response = await this.post(`${apiUrl}/bot${this.config.token}/sendMessage`, JSON.stringify({
+      chat_id: this.config.chatId,
+      text,
+      disable_web_page_preview: true,
+    }));
+
+    // The Bot API answers 200 with `ok: false` for some errors
+    const reply = await response.json().catch(() => ({}));
+    if (reply.ok === false) {
+      throw new NotificationError(`Telegram: ${reply.description || 'request failed'}`, { retryable: false });
+    }
+  }
+}
+
+export default TelegramChannel;
@@ -0,0 +1,52 @@
+import { createHmac } from 'crypto';
+import NotificationChannel, { fillTemplate } from './channel.js';
+
+/**
+ * Webhook - POSTs a JSON payload to any URL
+ * `payload` is a template filled with {{title}}, {{text}}, {{event}}, {{count}}
+ * and {{leads}} (default `{ "message": "{{text}}" }`, what the old WhatsApp webhook
+ * received). With a `secret`, the body is signed: `x-leadminer-signature:
+ * sha256=<hex HMAC of "<timestamp>.<body>">` plus `x-leadminer-timestamp`.
+ */
+
+class WebhookChannel extends NotificationChannel {
+  static type = 'webhook';
+
+  static validate(config) {
+    const issues = [];
+    if (!config.url) issues.push('url is required');
+    if (config.payload !== undefined && typeof config.payload !== 'object') issues.push('payload must be an object');
+    return issues;
+  }
+
+  constructor(config = {}, context = {}) {
+    super(config, context);
+    this.payload = config.payload || { message: '{{text}}' };
+    this.now = context.now || (() => new Date());
+  }
+
+  /**
+   * Signature headers for a body (receivers recompute the HMAC with the shared secret)
+   */
+  sign(body) {
+    if (!this.config.secret) return {};
+
+    const timestamp = String(Math.floor(this.now().getTime() / 1000));
+    const signature = createHmac('sha256', this.config.secret).update(`${timestamp}.${body}`).digest('hex');
+    return {
+      'x-leadminer-timestamp': timestamp,
+      [this.config.signatureHeader || 'x-leadminer-signature']: `sha256=${signature}`,
+    };
+  }
+
+  async send(notification) {
+    const body = JSON.stringify(fillTemplate(this.payload, {
+      ...notification,
+      count: notification.leads.length,
+    }));
+
+    await this.post(this.config.url, body, { ...this.config.headers, ...this.sign(body) });
+  }
+}
+
+export default WebhookChannel;
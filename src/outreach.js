@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
+import { join, extname } from 'path';
+import yaml from 'js-yaml';
+import { createObjectCsvWriter } from 'csv-writer';
+import { cityFromAddress } from './address.js';
+import LeadStatusTracker from './lead-status.js';
+
+/**
+ * Outreach Generator - Personalized cold emails/letters from review evidence
+ * Templates live in templates/outreach/ as Markdown with YAML front matter
+ * (id, offering, categories, subject). Bodies use {{variable}} placeholders,
+ * {{#variable}}...{{/variable}} sections (shown when set) and
+ * {{^variable}}...{{/variable}} sections (shown when empty).
+ */
+
+export class OutreachTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutreachTemplateError';
+  }
+}
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/;
+
+class OutreachGenerator {
+  constructor(options = {}) {
+    this.templatesDir = options.templatesDir || process.env.OUTREACH_TEMPLATES_DIR || 'templates/outreach';
+    this.offering = options.offering || process.env.OUTREACH_OFFERING || 'reputation-management';
+    this.sender = {
+      name: options.senderName || process.env.OUTREACH_FROM_NAME || 'Your Name',
+      email: options.senderEmail || process.env.OUTREACH_FROM_EMAIL || null,
+      company: options.senderCompany || process.env.OUTREACH_COMPANY || 'Your Agency',
+    };
+    this.templates = options.templates || this.loadTemplates(this.templatesDir);
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Load every .md template in a directory
+   */
+  loadTemplates(dir) {
+    if (!existsSync(dir)) {
+      throw new OutreachTemplateError(`Outreach templates directory not found: ${dir}`);
+    }
+
+    return readdirSync(dir)
+      .filter(file => extname(file).toLowerCase() === '.md')
+      .sort()
+      .map(file => this.parseTemplate(readFileSync(join(dir, file), 'utf8'), file));
+  }
+
+  parseTemplate(raw, file = 'template') {
+    const match = raw.match(FRONT_MATTER);
+    if (!match) {
+      throw new OutreachTemplateError(`${file}: missing front matter (--- id/offering/subject ---)`);
+    }
+
+    let meta;
+    try {
+      meta = yaml.load(match[1]) || {};
+    } catch (error) {
+      throw new OutreachTemplateError(`${file}: invalid front matter: ${error.message}`);
+    }
+
+    const missing = ['id', 'offering', 'subject'].filter(field => !meta[field]);
+    if (missing.length > 0) {
+      throw new OutreachTemplateError(`${file}: front matter needs ${missing.join(', ')}`);
+    }
+
+    return {
+      id: String(meta.id),
+      offering: String(meta.offering),
+      categories: [].concat(meta.categories || ['*']).map(category => String(category).toLowerCase()),
+      subject: String(meta.subject),
+      body: match[2].trim(),
+      file,
+    };
+  }
+
+  listOfferings() {
+    return [...new Set(this.templates.map(template => template.offering))];
+  }
+
+  /**
+   * Pick a template for a lead: category-specific beats generic ("*"),
+   * and leads are spread evenly across equally good templates
+   */
+  selectTemplate(lead, { offering = this.offering, templateId = null } = {}) {
+    if (templateId) {
+      const template = this.templates.find(candidate => candidate.id === templateId);
+      if (!template) {
+        throw new OutreachTemplateError(`Unknown outreach template "${templateId}"`);
+      }
+      return template;
+    }
+
+    const candidates = this.templates.filter(template => template.offering === offering);
+    if (candidates.length === 0) {
+      throw new OutreachTemplateError(
+        `No templates for offering "${offering}". Available: ${this.listOfferings().join(', ') || 'none'}`
+      );
+    }
+
+    const category = (lead.category || '').toLowerCase();
+    const specific = candidates.filter(template => template.categories.includes(category));
+    const generic = candidates.filter(template => template.categories.includes('*'));
+    const pool = specific.length > 0 ? specific : generic;
+
+    if (pool.length === 0) {
+      throw new OutreachTemplateError(`No "${offering}" template covers category "${lead.category}" (add one with categories: ["*"])`);
+    }
+
+    return pool[this.hash(lead.id || lead.name || '') % pool.length];
+  }
+
+  /**
+   * Values a template can reference
+   */
+  buildVariables(lead) {
+    const enrichment = lead.enrichment || {};
+    const contact = enrichment.contactInfo || {};
+    const trend = enrichment.reviewTrend || {};
+    const lastNegative = enrichment.lastNegativeReview || {};
+    const negativeResponses = enrichment.responseRate?.negative || {};
+    const benchmark = enrichment.benchmark || {};
+    const unanswered = (negativeResponses.total || 0) - (negativeResponses.responded || 0);
+    const aspects = enrichment.complaintAspects?.aspects || [];
+    // Leads enriched before complaint aspects existed only have keywords
+    const complaints = aspects.length > 0
+      ? aspects.slice(0, 3).map(aspect => aspect.mention)
+      : (enrichment.negativeReviewKeywords || []).slice(0, 3).map(keyword => `"${keyword.word}"`);
+    const category = lead.category || 'business';
+
+    return {
+      name: lead.name,
+      category,
+      categoryLower: category.toLowerCase(),
+      categoryPlural: this.pluralize(category.toLowerCase()),
+      city: lead.city || cityFromAddress(lead.address),
+      rating: lead.rating ?? '',
+      totalReviews: lead.totalReviews ?? 0,
+      score: lead.score,
+      priority: lead.priority,
+      email: contact.email || lead.email || '',
+      phone: contact.phone || lead.phone || '',
+      website: contact.website || lead.website || '',
+      topComplaints: this.formatList(complaints),
+      topComplaint: aspects[0]?.mention || enrichment.negativeReviewKeywords?.[0]?.word || 'service',
+      complaintQuote: aspects[0]?.examples[0]?.quote || '',
+      trend: trend.trend || '',
+      trendCategory: trend.category || '',
+      trendChange: trend.change ?? '',
+      recentAvg: trend.recentAvg ?? '',
+      olderAvg: trend.olderAvg ?? '',
+      trendSentence: this.describeTrend(trend),
+      daysSinceNegative: lastNegative.daysAgo ?? '',
+      localMedianRating: benchmark.medianRating ?? '',
+      ratingPercentile: benchmark.ratingPercentile ?? '',
+      topCompetitor: benchmark.topCompetitors?.[0]?.name || '',
+      topCompetitorRating: benchmark.topCompetitors?.[0]?.rating ?? '',
+      benchmarkSentence: this.describeBenchmark(benchmark, lead),
+      unansweredNegatives: unanswered > 0 ? unanswered : '',
+      negativeReviewCount: negativeResponses.total || '',
+      responseTone: enrichment.responseRate?.tone?.label || '',
+      lastNegativeWhen: this.describeDaysAgo(lastNegative.daysAgo),
+      senderName: this.sender.name,
+      senderEmail: this.sender.email || '',
+      senderCompany: this.sender.company,
+    };
+  }
+
+  describeTrend(trend) {
+    if (trend.category === 'sudden_drop') {
+      return `${trend.spike.count} one- and two-star reviews came in within ${trend.spike.windowDays} days recently, well above your usual pace.`;
+    }
+    if (trend.trend === 'worsening') {
+      return `Recent reviews average ${trend.recentAvg} stars, down from ${trend.olderAvg} before.`;
+    }
+    if (trend.trend === 'improving') {
+      return `Recent reviews are up to ${trend.recentAvg} stars from ${trend.olderAvg}, so there's momentum to build on.`;
+    }
+    return '';
+  }
+
+  describeBenchmark(benchmark, lead) {
+    if (!benchmark.scope || !(benchmark.ratingGap < 0)) return '';
+
+    const where = benchmark.scope === 'city' && benchmark.city ? ` in ${benchmark.city}` : '';
+    const peers = `${benchmark.peers} other ${(lead.category || 'local').toLowerCase()} businesses${where}`;
+    const [top] = benchmark.topCompetitors;
+    return `Compared with ${peers}, ${lead.name} is ${Math.abs(benchmark.ratingGap)} stars below the local median of ${benchmark.medianRating}${top ? `, and ${top.name} sits at ${top.rating}` : ''}.`;
+  }
+
+  describeDaysAgo(days) {
+    if (days === undefined || days === null) return '';
+    if (days <= 0) return 'today';
+    if (days === 1) return 'yesterday';
+    return `${days} days ago`;
+  }
+
+  /**
+   * Fill {{placeholders}} and {{#section}}/{{^section}} blocks
+   */
+  render(text, variables) {
+    const isSet = name => {
+      const value = variables[name];
+      return value !== undefined && value !== null && value !== '' && value !== false;
+    };
+
+    return text
+      .replace(/\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g, (_, type, name, inner) => (
+        (type === '#') === isSet(name) ? inner : ''
+      ))
+      .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => (isSet(name) ? String(variables[name]) : ''));
+  }
+
+  /**
+   * Render the outreach message for one lead
+   */
+  generate(lead, options = {}) {
+    const template = this.selectTemplate(lead, options);
+    const variables = this.buildVariables(lead);
+
+    return {
+      leadId: lead.id,
+      name: lead.name,
+      to: variables.email,
+      emailType: lead.enrichment?.contactInfo?.emailType || lead.emailType || null,
+      phone: variables.phone,
+      score: lead.score,
+      priority: lead.priority,
+      offering: template.offering,
+      template: template.id,
+      subject: this.render(template.subject, variables).replace(/\s+/g, ' ').trim(),
+      body: this.render(template.body, variables).replace(/\n{3,}/g, '\n\n').trim(),
+    };
+  }
+
+  generateAll(leads, options = {}) {
+    return leads.map(lead => this.generate(lead, options));
+  }
+
+  /**
+   * Draft email (.eml) that mail clients open ready to send
+   */
+  toEml(message) {
+    const from = this.sender.email ? `${this.sender.name} <${this.sender.email}>` : this.sender.name;
+    const headers = [
+      `From: ${this.encodeHeader(from)}`,
+      `To: ${message.to || ''}`,
+      `Subject: ${this.encodeHeader(message.subject)}`,
+      `Date: ${this.now().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: 8bit',
+      'X-Unsent: 1',
+      `X-LeadMiner-Lead-Id: ${message.leadId}`,
+    ];
+
+    return `${headers.join('\r\n')}\r\n\r\n${message.body.replace(/\r?\n/g, '\r\n')}\r\n`;
+  }
+
+  /**
+   * Printable letter / review copy
+   */
+  toMarkdown(message) {
+    const to = message.to ? `${message.to}${message.emailType ? ` (${message.emailType})` : ''}` : 'no email found';
+
+    return [
+      `# ${message.subject}`,
+      '',
+      `**To:** ${message.name} — ${to}  `,
+      `**Template:** ${message.template} (${message.offering})`,
+      '',
+      '---',
+      '',
+      message.body,
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * Write one .eml and .md per lead plus a mail-merge CSV
+   */
+  async writeMessages(messages, dir) {
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+
+    messages.forEach(message => {
+      const base = join(dir, this.slugify(message.leadId || message.name));
+      writeFileSync(`${base}.eml`, this.toEml(message));
+      writeFileSync(`${base}.md`, this.toMarkdown(message));
+    });
+
+    const csvPath = join(dir, 'mail-merge.csv');
+    const csvWriter = createObjectCsvWriter({
+      path: csvPath,
+      header: [
+        { id: 'leadId', title: 'Lead ID' },
+        { id: 'name', title: 'Business Name' },
+        { id: 'to', title: 'Email' },
+        { id: 'emailType', title: 'Email Type' },
+        { id: 'phone', title: 'Phone' },
+        { id: 'score', title: 'Lead Score' },
+        { id: 'priority', title: 'Priority' },
+        { id: 'offering', title: 'Offering' },
+        { id: 'template', title: 'Template' },
+        { id: 'subject', title: 'Subject' },
+        { id: 'body', title: 'Body' },
+      ],
+    });
+    await csvWriter.writeRecords(messages);
+
+    console.log(`💌 Wrote ${messages.length} outreach drafts (.eml + .md) and ${csvPath}`);
+    return csvPath;
+  }
+
+  /**
+   * Print a message to the console
+   */
+  printPreview(message) {
+    console.log(`To:       ${message.to || '(no email found)'}`);
+    console.log(`Subject:  ${message.subject}`);
+    console.log(`Template: ${message.template} (${message.offering})\n`);
+    console.log(message.body);
+    console.log('');
+  }
+
+  encodeHeader(value) {
+    // RFC 2047 encoded-word for non-ASCII subjects/names
+    return /^[\x20-\x7e]*$/.test(value)
+      ? value
+      : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+  }
+
+  formatList(items) {
+    if (items.length <= 1) return items[0] || '';
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+  }
+
+  pluralize(word) {
+    if (/(s|sh|ch|x)$/.test(word)) return `${word}es`;
+    if (/[^aeiou]y$/.test(word)) return `${word.slice(0, -1)}ies`;
+    return `${word}s`;
+  }
+
+  slugify(text) {
+    return String(text).replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  hash(text) {
+    return [...String(text)].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 7);
+  }
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [command, leadId] = process.argv.slice(2);
+  console.log('💌 LeadMiner Outreach\n');
+
+  let generator;
+  try {
+    generator = new OutreachGenerator();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!existsSync('output/scored-leads.json')) {
+    console.error('❌ No scored leads found. Run scorer first: npm run score');
+    process.exit(1);
+  }
+  const leads = JSON.parse(readFileSync('output/scored-leads.json', 'utf8'));
+
+  if (command === 'preview') {
+    const lead = leads.find(candidate => candidate.id === leadId);
+    if (!lead) {
+      console.error(`❌ Lead not found: ${leadId || '(missing id)'}. Usage: npm run outreach -- preview <lead-id>`);
+      process.exit(1);
+    }
+    generator.printPreview(generator.generate(lead));
+  } else {
+    const actionable = new LeadStatusTracker().applyRules(leads);
+    await generator.writeMessages(generator.generateAll(actionable), 'output/outreach');
+  }
+}
+
+export default OutreachGenerator;
@@ -0,0 +1,164 @@
+/**
+ * Owner Responses - How (and whether) a business answers its reviews
+ * Response rate overall and on negative reviews, median reply latency,
+ * and whether replies read as canned or defensive.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stock phrases of templated replies
+const CANNED_PHRASES = [
+  'thank you for your feedback', 'thanks for your feedback', 'thank you for taking the time',
+  'we apologize for any inconvenience', 'sorry for any inconvenience', 'sorry to hear about your experience',
+  'we value your feedback', 'your feedback is important', 'we strive to', 'please contact us',
+  'please reach out', 'feel free to contact', 'we hope to see you again', 'we look forward to serving you',
+  'not the experience we want', 'we take all feedback seriously',
+];
+
+// Replies that argue with or blame the reviewer
+const DEFENSIVE_PHRASES = [
+  'never happened', 'not true', 'simply untrue', 'you are lying', "you're lying", 'fake review', 'false review',
+  'our records show', 'we have no record', 'no record of you', 'you were rude', 'you were the one',
+  'you should have', 'if you had', 'you failed to', 'your fault', 'we stand by', 'clearly states',
+  'as stated in our policy', 'that is not what happened', 'you refused', 'we did nothing wrong', 'competitor',
+];
+
+const STOPWORDS = new Set([
+  'that', 'this', 'with', 'have', 'from', 'your', 'were', 'they', 'them', 'their', 'there', 'what', 'when',
+  'will', 'would', 'about', 'been', 'very', 'just', 'here', 'again', 'thank', 'thanks', 'sorry', 'please',
+  'experience', 'feedback', 'review', 'visit', 'time', 'hear', 'hope', 'team', 'service', 'customer',
+]);
+
+// Replies this similar (word overlap) to another reply are treated as copy-paste
+const DUPLICATE_SIMILARITY = 0.8;
+
+function contentWords(text) {
+  return new Set(
+    (String(text || '').toLowerCase().match(/[a-z']+/g) || [])
+      .filter(word => word.length >= 4 && !STOPWORDS.has(word))
+  );
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / new Set([...a, ...b]).size;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function rateOf(responded, total) {
+  const rate = total === 0 ? null : responded / total;
+  return {
+    rate: rate === null ? null : parseFloat(rate.toFixed(2)),
+    responded,
+    total,
+    percentage: rate === null ? null : `${Math.round(rate * 100)}%`,
+  };
+}
+
+/**
+ * The owner reply on a review, whatever shape it was captured in
+ * (`ownerResponse: { text, date }`, or a bare string from older data)
+ */
+export function getOwnerResponse(review) {
+  const response = review?.ownerResponse ?? review?.response;
+  if (!response) return null;
+  if (typeof response === 'string') return { text: response, date: null };
+  return response.text || response.date ? { text: response.text || '', date: response.date || null } : null;
+}
+
+class OwnerResponseAnalyzer {
+  constructor(options = {}) {
+    this.negativeRatingMax = options.negativeRatingMax ?? 2;
+  }
+
+  /**
+   * Classify one reply: `defensive`, `canned` or `personal`
+   * `others` are the business's other replies, used to spot copy-paste
+   */
+  classifyTone(response, review, others = []) {
+    const text = response.text.toLowerCase().replace(/[’]/g, "'");
+    if (DEFENSIVE_PHRASES.some(phrase => text.includes(phrase))) return 'defensive';
+
+    const words = contentWords(text);
+    const duplicated = others.some(other => similarity(words, contentWords(other.text)) >= DUPLICATE_SIMILARITY);
+    const stockPhrases = CANNED_PHRASES.filter(phrase => text.includes(phrase)).length;
+    // A reply that picks up nothing the reviewer said is generic
+    const specific = [...contentWords(review.text)].filter(word => words.has(word)).length >= 2;
+
+    if (duplicated || (stockPhrases >= 1 && !specific) || words.size < 3) return 'canned';
+    return 'personal';
+  }
+
+  /**
+   * Response stats for a lead's reviews
+   * Keeps the original fields (rate, responded, total, percentage, engagement).
+   */
+  analyze(reviews = []) {
+    const answered = reviews
+      .map(review => ({ review, response: getOwnerResponse(review) }))
+      .filter(({ response }) => response);
+
+    const overall = rateOf(answered.length, reviews.length);
+    const negativeReviews = reviews.filter(review => review.rating <= this.negativeRatingMax);
+    const negative = rateOf(
+      answered.filter(({ review }) => review.rating <= this.negativeRatingMax).length,
+      negativeReviews.length,
+    );
+
+    const latencies = answered
+      .filter(({ review, response }) => review.date && response.date)
+      .map(({ review, response }) => (new Date(response.date) - new Date(review.date)) / DAY_MS)
+      .filter(days => Number.isFinite(days) && days >= 0);
+    const medianLatency = median(latencies);
+
+    const tones = answered
+      .filter(({ response }) => response.text)
+      .map(({ review, response }, idx, all) => this.classifyTone(
+        response,
+        review,
+        all.filter((_, otherIdx) => otherIdx !== idx).map(other => other.response),
+      ));
+    const count = tone => tones.filter(value => value === tone).length;
+    const tone = {
+      personal: count('personal'),
+      canned: count('canned'),
+      defensive: count('defensive'),
+    };
+
+    return {
+      rate: overall.rate ?? 0,
+      responded: overall.responded,
+      total: overall.total,
+      percentage: overall.percentage ?? '0%',
+      engagement: overall.rate > 0.7 ? 'high' : overall.rate > 0.3 ? 'moderate' : 'low',
+      negative,
+      medianLatencyDays: medianLatency === null ? null : parseFloat(medianLatency.toFixed(1)),
+      tone: {
+        ...tone,
+        cannedShare: tones.length ? parseFloat((tone.canned / tones.length).toFixed(2)) : 0,
+        defensiveShare: tones.length ? parseFloat((tone.defensive / tones.length).toFixed(2)) : 0,
+        label: this.toneLabel(tone, tones.length),
+      },
+    };
+  }
+
+  /**
+   * Overall tone: defensive if more than a quarter of replies argue back,
+   * canned if most replies are templated
+   */
+  toneLabel(tone, total) {
+    if (total === 0) return 'none';
+    if (tone.defensive / total > 0.25) return 'defensive';
+    if (tone.canned / total > 0.5) return 'canned';
+    return 'personal';
+  }
+}
+
+export default OwnerResponseAnalyzer;
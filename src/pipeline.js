@@ -0,0 +1,192 @@
+import { join } from 'path';
+import LeadEnricher from './enricher.js';
+import LeadScorer from './scorer.js';
+import LeadExporter from './exporter.js';
+import LeadStore from './lead-store.js';
+import LeadDelta from './delta.js';
+import LeadStatusTracker from './lead-status.js';
+import GeoLocator from './geo.js';
+import TerritoryMap, { filterByLocation } from './territories.js';
+import { exportToCrm } from './crm/index.js';
+import { Notifier } from './notify/index.js';
+import { DEFAULT_FORMATS } from './config.js';
+
+/**
+ * Pipeline - Shared enrich → score → store → export steps
+ * Used by the live pipeline, demo mode and file imports once leads are scraped/loaded.
+ */
+
+/**
+ * File locations for every stage inside an output directory
+ */
+export function outputPaths(outputDir = 'output') {
+  return {
+    scraped: join(outputDir, 'scraped-leads.json'),
+    enriched: join(outputDir, 'enriched-leads.json'),
+    scored: join(outputDir, 'scored-leads.json'),
+    top: join(outputDir, 'top-leads.json'),
+    csv: join(outputDir, 'leads.csv'),
+    delta: join(outputDir, 'leads-delta.csv'),
+    digest: join(outputDir, 'whatsapp-digest.txt'),
+    market: join(outputDir, 'market-places.json'),
+    scrapeReport: join(outputDir, 'scrape-report.json'),
+    geojson: join(outputDir, 'leads.geojson'),
+    crm: join(outputDir, 'crm'),
+  };
+}
+
+/**
+ * Export scored leads in the requested formats (csv, delta, digest, json, geojson, crm)
+ * Leads hidden by outreach status rules, or outside the territory/radius filters,
+ * are left out of every export.
+ */
+export async function exportLeads(scored, options = {}) {
+  const {
+    delta = null,
+    formats = DEFAULT_FORMATS,
+    minScore = 0,
+    top = 10,
+  } = options;
+
+  const paths = { ...outputPaths(options.outputDir), ...options.paths };
+  const statusTracker = options.statusTracker || new LeadStatusTracker({ rules: options.statusRules });
+  const exporter = options.exporter || new LeadExporter({ statusTracker });
+  const visible = leads => filterByLocation(
+    statusTracker.applyRules(leads).filter(lead => (lead.score || 0) >= minScore),
+    options,
+  );
+  const exportable = visible(scored);
+  const changes = delta && visibleChanges(delta, exportable, visible);
+
+  if (formats.includes('json')) {
+    (options.scorer || new LeadScorer(options.profile || null, { statusTracker })).saveTopLeads(exportable, paths.top, top);
+  }
+
+  if (formats.includes('csv')) {
+    await exporter.exportToCsv(exportable, paths.csv);
+  }
+
+  if (formats.includes('geojson')) {
+    exporter.exportToGeoJson(exportable, paths.geojson);
+  }
+
+  if (formats.includes('crm')) {
+    await exportToCrm(exportable, {
+      crm: options.crm,
+      dir: paths.crm,
+      push: options.crmPush,
+      exporter,
+      externalIds: options.externalIds,
+      pusher: options.crmPusher,
+      // Status changes still reach records already in the CRM
+      statusUpdates: statusTracker.applyRules(scored, { includeHidden: true }).filter(lead => lead.outreach.hidden),
+    });
+  }
+
+  if (formats.includes('delta') && changes) {
+    await exporter.exportDeltaCsv(changes, paths.delta);
+  }
+
+  let digest = null;
+  if (formats.includes('digest')) {
+    const digestChanges = process.env.DIGEST_MODE === 'top' ? null : changes;
+    digest = digestChanges ? exporter.generateDeltaDigest(digestChanges) : exporter.generateDigest(exportable);
+
+    const notifier = options.notifier || new Notifier(options.notifications);
+    await notifier.notifyDigest({ leads: exportable, delta: digestChanges, exporter });
+
+    exporter.saveDigest(digest, paths.digest);
+  }
+
+  return { digest };
+}
+
+/**
+ * The delta restricted to exportable leads; dropped leads go through the same
+ * status, score and location filters as of their last run
+ */
+function visibleChanges(delta, exportable, visible) {
+  const exportableIds = new Set(exportable.map(lead => lead.id));
+  const droppedIds = new Set(visible(delta.dropped.map(entry => entry.lead)).map(lead => lead.id));
+
+  return {
+    ...delta,
+    new: delta.new.filter(entry => exportableIds.has(entry.id)),
+    escalated: delta.escalated.filter(entry => exportableIds.has(entry.id)),
+    deescalated: delta.deescalated.filter(entry => exportableIds.has(entry.id)),
+    unchanged: delta.unchanged.filter(entry => exportableIds.has(entry.id)),
+    dropped: delta.dropped.filter(entry => droppedIds.has(entry.id)),
+  };
+}
+
+/**
+ * Previous leads a failed or skipped source search would have found again.
+ * Missing from this run only because that search never answered, so they are
+ * left out of the comparison instead of being reported as dropped.
+ */
+export function missedByFailedScrapes(previousLeads, currentLeads, failedScrapes = []) {
+  if (failedScrapes.length === 0) return new Set();
+  const currentIds = new Set(currentLeads.map(lead => lead.id));
+
+  const missed = previousLeads.filter(lead => {
+    if (currentIds.has(lead.id)) return false;
+    const sources = lead.sources || [lead.source];
+    return failedScrapes.some(failure => sources.includes(failure.source)
+      && (!lead.searches || lead.searches.some(search => search.query === failure.query && search.location === failure.location)));
+  });
+  return new Set(missed.map(lead => lead.id));
+}
+
+/**
+ * Run scraped (or imported) leads through the rest of the pipeline
+ */
+export async function processLeads(leads, options = {}) {
+  const {
+    mode = 'live',
+    meta = {},
+    crawl = false,
+    isComparableRun = run => run.mode === mode,
+  } = options;
+
+  const paths = outputPaths(options.outputDir);
+  const enricher = options.enricher || new LeadEnricher({ now: options.now });
+  const statusTracker = options.statusTracker || new LeadStatusTracker({ rules: options.statusRules });
+  const scorer = options.scorer || new LeadScorer(options.profile || null, { statusTracker, now: options.now });
+  const store = options.store || new LeadStore();
+  const differ = options.differ || new LeadDelta();
+
+  const locator = options.locator || new GeoLocator();
+  const territories = options.territoryMap || new TerritoryMap(options.territories);
+
+  const located = territories.assignAll(await locator.locateLeads(leads));
+  const crawled = crawl ? await enricher.discoverContacts(located) : located;
+  const enriched = enricher.enrichLeads(crawled, { market: options.market });
+  enricher.saveEnrichedLeads(enriched, paths.enriched);
+
+  // Worked leads stay in the scored file and run history; exports leave them out
+  const scored = scorer.scoreAllLeads(enriched, { includeSuppressed: true });
+  scorer.saveScoredLeads(scored, paths.scored);
+
+  const previousRun = store.getLatestRun(isComparableRun);
+  const previousLeads = previousRun ? store.getRunLeads(previousRun.id) : [];
+  const missed = missedByFailedScrapes(previousLeads, scored, options.failedScrapes);
+  if (missed.size > 0) {
+    console.log(`⚠️  ${missed.size} previous leads come from searches that failed this run, not counting them as dropped`);
+  }
+  const delta = differ.compare(previousLeads.filter(lead => !missed.has(lead.id)), scored, previousRun);
+  differ.printDeltaSummary(delta);
+
+  const run = store.recordRun(scored, { mode, ...meta, scoringProfile: scorer.profile.name });
+
+  const { digest } = await exportLeads(scored, {
+    ...options,
+    delta,
+    scorer,
+    statusTracker,
+    formats: options.formats || DEFAULT_FORMATS,
+  });
+
+  return { enriched, scored, delta, run, digest };
+}
+
+export default processLeads;
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, statSync, unlinkSync } from 'fs';
+import { join, basename } from 'path';
+import { getSourceAdapter } from './sources/index.js';
+import { parseDuration } from './duration.js';
+
+/**
+ * Place Cache - Local copy of scraped places and their reviews, per source
+ * Keyed by the platform's place id (Google `placeId`, TripAdvisor `locationId`).
+ * A search whose places are all fresh makes no actor call. Otherwise the listing
+ * is fetched without reviews, and only places whose cached reviews expired get
+ * reviews again, newer than the latest one already cached. How long places stay
+ * fresh is set per source (SCRAPE_CACHE_TTL, else the adapter's `cacheTtl`).
+ */
+
+// As many reviews as the actors fetch per place
+const REVIEWS_KEPT = 20;
+
+/**
+ * "12h" (every source) or "google_maps=12h,tripadvisor=7d" -> { '*': ms, google_maps: ms, ... }
+ */
+export function parseTtlPolicy(value) {
+  if (!value) return {};
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([source, ttl]) => [source, parseDuration(ttl)]));
+  }
+
+  return Object.fromEntries(String(value).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [source, ttl] = part.includes('=') ? part.split('=') : ['*', part];
+    return [source.trim(), parseDuration(ttl)];
+  }));
+}
+
+function searchKey({ query, location }) {
+  return `${query}|${location}`.toLowerCase();
+}
+
+class PlaceCache {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.SCRAPE_CACHE_DIR || 'data/scrape-cache';
+    this.ttl = parseTtlPolicy(options.ttl || process.env.SCRAPE_CACHE_TTL);
+    this.now = options.now || (() => new Date());
+    this.data = new Map();
+  }
+
+  fileFor(sourceId) {
+    return join(this.dir, `${sourceId}.json`);
+  }
+
+  load(sourceId) {
+    if (this.data.has(sourceId)) return this.data.get(sourceId);
+
+    let data = { places: {}, searches: {} };
+    try {
+      if (existsSync(this.fileFor(sourceId))) data = JSON.parse(readFileSync(this.fileFor(sourceId), 'utf8'));
+    } catch (error) {
+      console.error(`❌ Failed to load ${this.fileFor(sourceId)}:`, error.message);
+    }
+    this.data.set(sourceId, data);
+    return data;
+  }
+
+  save(sourceId) {
+    mkdirSync(this.dir, { recursive: true });
+    writeFileSync(this.fileFor(sourceId), JSON.stringify(this.load(sourceId)));
+  }
+
+  /**
+   * Cached sources (one file each)
+   */
+  sourceIds() {
+    if (!existsSync(this.dir)) return [];
+    return readdirSync(this.dir).filter(file => file.endsWith('.json')).map(file => basename(file, '.json'));
+  }
+
+  ttlFor(sourceId) {
+    return this.ttl[sourceId] ?? this.ttl['*'] ?? parseDuration(getSourceAdapter(sourceId)?.cacheTtl ?? '24h');
+  }
+
+  isFresh(sourceId, iso) {
+    return Boolean(iso) && this.now() - new Date(iso) < this.ttlFor(sourceId);
+  }
+
+  /**
+   * Raw items for a search, from the cache where fresh and the source where not
+   * `refresh` treats everything as expired (reviews are still fetched incrementally).
+   */
+  async fetch(source, search, { refresh = false } = {}) {
+    const data = this.load(source.id);
+    const fresh = iso => !refresh && this.isFresh(source.id, iso);
+    const cachedSearch = data.searches[searchKey(search)];
+
+    if (cachedSearch && fresh(cachedSearch.fetchedAt) && cachedSearch.maxResults >= search.maxResults
+      && cachedSearch.keys.every(key => data.places[key])) {
+      const items = cachedSearch.keys.slice(0, search.maxResults)
+        .map(key => source.withReviews(data.places[key].item, data.places[key].reviews));
+      console.log(`🗃️  ${source.label}: ${items.length} places from cache (searched ${cachedSearch.fetchedAt})`);
+      return items;
+    }
+
+    if (typeof source.fetchReviews !== 'function') {
+      const items = await source.fetch(search);
+      this.store(source, search, items.map(item => ({ item, reviews: source.reviewsOf(item), reviewsFetched: true })));
+      return items;
+    }
+
+    // Listing only, then reviews for the places that need them
+    const listed = await source.fetch({ ...search, includeReviews: false });
+    const unseen = [];
+    const stale = [];
+    listed.forEach(item => {
+      const cached = data.places[source.placeKey(item)];
+      if (!cached?.reviewsFetchedAt) unseen.push(item);
+      else if (!fresh(cached.reviewsFetchedAt)) stale.push(item);
+    });
+
+    const lastDates = stale.map(item => data.places[source.placeKey(item)].lastReviewDate).filter(Boolean).sort();
+    const fetched = new Map();
+    for (const [places, since] of [[unseen, null], [stale, lastDates[0] || null]]) {
+      if (places.length === 0) continue;
+      (await source.fetchReviews(places, { since })).forEach(item => fetched.set(source.placeKey(item), item));
+    }
+
+    // Places asked for but not returned (e.g. TripAdvisor places without a URL) count as
+    // fetched with no new reviews, so they aren't paid for again on every run
+    const requested = new Set([...unseen, ...stale].map(item => source.placeKey(item)));
+    const entries = listed.map(item => {
+      const cached = data.places[source.placeKey(item)];
+      const update = fetched.get(source.placeKey(item));
+      if (update) {
+        return { item, reviews: this.mergeReviews(source, source.reviewsOf(update), cached?.reviews || []), reviewsFetched: true };
+      }
+      return requested.has(source.placeKey(item))
+        ? { item, reviews: cached?.reviews || [], reviewsFetched: true }
+        : { item, reviews: cached?.reviews || [], reviewsFetchedAt: cached?.reviewsFetchedAt };
+    });
+    this.store(source, search, entries);
+
+    const refreshed = places => places.filter(item => fetched.has(source.placeKey(item))).length;
+    const cachedCount = listed.length - unseen.length - stale.length;
+    console.log(`🗃️  ${source.label}: reviews for ${cachedCount} places from cache, ${refreshed(stale)} updated, ${refreshed(unseen)} new`);
+    return entries.map(({ item, reviews }) => source.withReviews(item, reviews));
+  }
+
+  /**
+   * New reviews first, then cached ones not fetched again; newest first, capped
+   */
+  mergeReviews(source, fetched, cached) {
+    const seen = new Set();
+    return [...fetched, ...cached]
+      .filter(review => {
+        const key = source.reviewKey(review);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => String(source.reviewDate(b) || '').localeCompare(String(source.reviewDate(a) || '')))
+      .slice(0, REVIEWS_KEPT);
+  }
+
+  store(source, search, entries) {
+    const data = this.load(source.id);
+    const now = this.now().toISOString();
+    const keys = [];
+
+    entries.forEach(({ item, reviews, reviewsFetched, reviewsFetchedAt }) => {
+      const key = source.placeKey(item);
+      if (!key) return;
+
+      const dates = reviews.map(review => source.reviewDate(review)).filter(Boolean).sort();
+      data.places[key] = {
+        item: source.withReviews(item, []),
+        reviews,
+        fetchedAt: now,
+        reviewsFetchedAt: reviewsFetched ? now : reviewsFetchedAt || null,
+        lastReviewDate: dates[dates.length - 1] || null,
+      };
+      keys.push(key);
+    });
+
+    // Searches with uncacheable places always go back to the source
+    if (keys.length === entries.length) {
+      data.searches[searchKey(search)] = { keys, maxResults: search.maxResults, fetchedAt: now };
+    }
+    this.save(source.id);
+  }
+
+  /**
+   * Per source: places, reviews, searches, how many are still fresh, and file size
+   */
+  stats() {
+    return this.sourceIds().map(sourceId => {
+      const data = this.load(sourceId);
+      const places = Object.values(data.places);
+      const fetchedAt = places.map(place => place.fetchedAt).sort();
+
+      return {
+        source: sourceId,
+        ttlMs: this.ttlFor(sourceId),
+        places: places.length,
+        freshPlaces: places.filter(place => this.isFresh(sourceId, place.reviewsFetchedAt)).length,
+        reviews: places.reduce((sum, place) => sum + place.reviews.length, 0),
+        searches: Object.keys(data.searches).length,
+        oldest: fetchedAt[0] || null,
+        newest: fetchedAt[fetchedAt.length - 1] || null,
+        bytes: statSync(this.fileFor(sourceId)).size,
+      };
+    });
+  }
+
+  /**
+   * Find a cached place by its place id, or by a lead id (gm_<placeId>, ta_<locationId>)
+   */
+  find(id) {
+    for (const sourceId of this.sourceIds()) {
+      const places = this.load(sourceId).places;
+      const key = [id, id.replace(/^[a-z]+_/, '')].find(candidate => places[candidate]);
+      if (key) return { source: sourceId, key, ...places[key] };
+    }
+    return null;
+  }
+
+  /**
+   * Drop one source's cache, or all of it
+   */
+  clear(sourceId = null) {
+    const sourceIds = sourceId ? [sourceId] : this.sourceIds();
+    sourceIds.filter(id => existsSync(this.fileFor(id))).forEach(id => {
+      unlinkSync(this.fileFor(id));
+      this.data.delete(id);
+    });
+    return sourceIds;
+  }
+
+  printStats() {
+    const stats = this.stats();
+    if (stats.length === 0) {
+      console.log(`🗃️  Place cache is empty (${this.dir})`);
+      return;
+    }
+
+    console.log(`🗃️  Place cache (${this.dir}):`);
+    stats.forEach(stat => {
+      console.log(`   ${stat.source}: ${stat.places} places (${stat.freshPlaces} fresh, TTL ${Math.round(stat.ttlMs / 3600000)}h), ${stat.reviews} reviews, ${stat.searches} searches, ${(stat.bytes / 1024).toFixed(0)} KB`);
+      if (stat.oldest) console.log(`      fetched ${stat.oldest} → ${stat.newest}`);
+    });
+  }
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new PlaceCache().printStats();
+}
+
+export default PlaceCache;
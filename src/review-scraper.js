@@ -2,234 +2,192 @@
 import { ApifyClient } from 'apify-client';
 import { config } from 'dotenv';
 import { writeFileSync, existsSync, mkdirSync } from 'fs';
-import Sentiment from 'sentiment';
+import { dirname } from 'path';
+import EntityResolver from './entity-resolver.js';
+import { analyzeSentiment } from './sentiment.js';
+import { createSources } from './sources/index.js';
+import ApifyRunner from './sources/apify-runner.js';
+import { toMarketPlace } from './benchmark.js';
+import PlaceCache from './place-cache.js';
 
 config();
 
-const sentiment = new Sentiment();
-
 /**
  * Review Scraper - Finds businesses with bad reviews
- * Uses Apify actors for Google Maps and TripAdvisor
+ * Pulls from pluggable source adapters (see src/sources/), Google Maps and TripAdvisor by default.
+ * Every source × search ends up in the run report as ok, empty (the source answered
+ * with nothing), skipped (budget used up) or failed.
  */
 
 class ReviewScraper {
-  constructor(apiToken) {
-    this.client = new ApifyClient({ token: apiToken });
-    this.badReviewThreshold = 3.0; // Reviews 1-3 stars
+  constructor(apiToken, options = {}) {
+    // `client` swaps in a fake Apify client (same actor()/dataset() shape)
+    this.client = options.client || new ApifyClient({ token: apiToken });
+    this.apify = new ApifyRunner(this.client, {
+      timeout: options.runTimeout,
+      maxSpendUsd: options.maxSpendUsd,
+      maxItems: options.maxItems,
+    });
+    this.report = [];
+    this.badReviewThreshold = options.badReviewThreshold ?? 3.0; // Reviews 1-3 stars
+    this.resolver = new EntityResolver();
+    // Every place seen, including well-rated ones filtered out of the leads (for benchmarking)
+    this.marketPlaces = new Map();
+    // Places and reviews kept between runs (SCRAPE_CACHE=0 turns it off)
+    this.cache = options.cache !== undefined
+      ? options.cache
+      : process.env.SCRAPE_CACHE === '0' ? null : new PlaceCache({ ttl: options.cacheTtl });
+    this.refresh = options.refresh || false;
+    this.sources = createSources(options.sources, {
+      client: this.client,
+      apify: this.apify,
+      analyzeSentiment: (text, options) => this.analyzeSentiment(text, options),
+    });
   }
 
   /**
-   * Scrape Google Maps for businesses with bad reviews
+   * Scrape one source for businesses with bad reviews
    */
-  async scrapeGoogleMaps(query, location, maxResults = 50) {
-    console.log(`🔍 Scraping Google Maps: "${query}" in ${location}`);
+  async scrapeSource(source, query, location, maxResults = 50) {
+    console.log(`🔍 Scraping ${source.label}: "${query}" in ${location}`);
+    const entry = { source: source.id, query, location, status: 'ok', found: 0, leads: 0, error: null };
+    this.report.push(entry);
 
     try {
-      // Using Google Maps Scraper actor
-      const run = await this.client.actor('nwua9Gu5YrADL7ZDj').call({
-        searchStringsArray: [`${query} in ${location}`],
-        maxCrawledPlacesPerSearch: maxResults,
-        language: 'en',
-        includeReviews: true,
-        maxReviews: 20, // Get recent reviews for analysis
-      });
-
-      const { items } = await this.client.dataset(run.defaultDatasetId).listItems();
-      
-      console.log(`✅ Found ${items.length} businesses on Google Maps`);
-      
-      // Filter for businesses with low ratings
-      const badReviewBusinesses = items
-        .filter(place => place.totalScore && place.totalScore <= this.badReviewThreshold)
-        .map(place => this.normalizeGoogleMapsData(place));
-
-      console.log(`🎯 ${badReviewBusinesses.length} businesses with rating ≤ ${this.badReviewThreshold}`);
-      
-      return badReviewBusinesses;
-    } catch (error) {
-      console.error('❌ Google Maps scraping error:', error.message);
-      return [];
-    }
-  }
+      const items = this.cache
+        ? await this.cache.fetch(source, { query, location, maxResults }, { refresh: this.refresh })
+        : await source.fetch({ query, location, maxResults });
 
-  /**
-   * Scrape TripAdvisor for businesses with bad reviews
-   */
-  async scrapeTripAdvisor(query, location, maxResults = 50) {
-    console.log(`🔍 Scraping TripAdvisor: "${query}" in ${location}`);
+      console.log(`✅ Found ${items.length} businesses on ${source.label}`);
 
-    try {
-      // Using TripAdvisor Scraper actor
-      const run = await this.client.actor('maxcopell/tripadvisor').call({
-        locationFullName: location,
-        searchQuery: query,
-        maxItems: maxResults,
-        includeReviews: true,
-        maxReviews: 20,
-      });
+      const places = items.map(item => source.normalize(item));
+      places.forEach(place => this.marketPlaces.set(place.id, toMarketPlace(place)));
 
-      const { items } = await this.client.dataset(run.defaultDatasetId).listItems();
-      
-      console.log(`✅ Found ${items.length} businesses on TripAdvisor`);
-      
       // Filter for businesses with low ratings
-      const badReviewBusinesses = items
-        .filter(place => place.rating && place.rating <= this.badReviewThreshold)
-        .map(place => this.normalizeTripAdvisorData(place));
+      const badReviewBusinesses = places
+        .filter(lead => lead.rating && lead.rating <= this.badReviewThreshold);
 
       console.log(`🎯 ${badReviewBusinesses.length} businesses with rating ≤ ${this.badReviewThreshold}`);
-      
+
+      Object.assign(entry, { status: items.length > 0 ? 'ok' : 'empty', found: items.length, leads: badReviewBusinesses.length });
       return badReviewBusinesses;
     } catch (error) {
-      console.error('❌ TripAdvisor scraping error:', error.message);
+      console.error(`❌ ${source.label} scraping error:`, error.message);
+      Object.assign(entry, { status: error.kind === 'budget' ? 'skipped' : 'failed', error: error.message });
       return [];
     }
   }
 
   /**
-   * Normalize Google Maps data to common format
+   * Analyze sentiment of review text (per sentence, with the category's domain words)
    */
-  normalizeGoogleMapsData(place) {
-    const recentReviews = (place.reviews || []).slice(0, 10);
-    
-    return {
-      id: `gm_${place.placeId}`,
-      source: 'google_maps',
-      name: place.title,
-      rating: place.totalScore,
-      totalReviews: place.reviewsCount || 0,
-      category: place.categoryName || place.categories?.[0] || 'Business',
-      address: place.address,
-      phone: place.phoneUnformatted || place.phone,
-      website: place.website,
-      email: this.extractEmail(place.website),
-      reviews: recentReviews.map(r => ({
-        rating: r.stars,
-        text: r.text,
-        date: r.publishedAtDate,
-        sentiment: this.analyzeSentiment(r.text),
-      })),
-      url: place.url,
-      scrapedAt: new Date().toISOString(),
-    };
-  }
-
-  /**
-   * Normalize TripAdvisor data to common format
-   */
-  normalizeTripAdvisorData(place) {
-    const recentReviews = (place.reviews || []).slice(0, 10);
-    
-    return {
-      id: `ta_${place.id || place.locationId}`,
-      source: 'tripadvisor',
-      name: place.name || place.title,
-      rating: place.rating,
-      totalReviews: place.numberOfReviews || 0,
-      category: place.category || 'Business',
-      address: place.address,
-      phone: place.phone,
-      website: place.website,
-      email: this.extractEmail(place.website),
-      reviews: recentReviews.map(r => ({
-        rating: r.rating,
-        text: r.text || r.title,
-        date: r.publishedDate,
-        sentiment: this.analyzeSentiment(r.text || r.title),
-      })),
-      url: place.url,
-      scrapedAt: new Date().toISOString(),
-    };
-  }
-
-  /**
-   * Analyze sentiment of review text
-   */
-  analyzeSentiment(text) {
-    if (!text) return { score: 0, sentiment: 'neutral' };
-    
-    const result = sentiment.analyze(text);
-    
-    return {
-      score: result.score,
-      comparative: result.comparative,
-      sentiment: result.score > 0 ? 'positive' : result.score < 0 ? 'negative' : 'neutral',
-      positive: result.positive,
-      negative: result.negative,
-    };
-  }
-
-  /**
-   * Extract email from website URL (basic pattern matching)
-   */
-  extractEmail(website) {
-    if (!website) return null;
-    
-    // Common patterns for business emails
-    const domain = website.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
-    
-    // Generate likely email patterns
-    return `info@${domain}`; // Placeholder - in production, would crawl website
+  analyzeSentiment(text, options = {}) {
+    return analyzeSentiment(text, options);
   }
 
   /**
    * Run full scraping pipeline
    */
-  async scrapeAll(query, location, maxResults = 50) {
+  async scrapeAll(query, location, maxResults = 50, outputPath = 'output/scraped-leads.json') {
     console.log('\n🚀 Starting LeadMiner Scraper...\n');
     
-    const [googleMaps, tripAdvisor] = await Promise.all([
-      this.scrapeGoogleMaps(query, location, maxResults),
-      this.scrapeTripAdvisor(query, location, maxResults),
-    ]);
+    const results = await Promise.all(
+      this.sources.map(source => this.scrapeSource(source, query, location, maxResults))
+    );
+
+    const entries = this.report.filter(entry => entry.query === query && entry.location === location);
+    // Nothing answered: a failed search, not an empty one
+    if (entries.length > 0 && entries.every(entry => entry.status === 'failed' || entry.status === 'skipped')) {
+      throw new Error(`every source failed (${entries.map(entry => `${entry.source}: ${entry.error}`).join('; ')})`);
+    }
 
-    const allLeads = [...googleMaps, ...tripAdvisor];
+    const allLeads = results.flat();
     
-    // Remove duplicates by name
+    // Merge the same business listed on several sources
     const uniqueLeads = this.deduplicateLeads(allLeads);
+    const mergedCount = uniqueLeads.filter(lead => lead.mergedIds).length;
     
     console.log(`\n📊 Summary:`);
     console.log(`   Total leads found: ${uniqueLeads.length}`);
-    console.log(`   Google Maps: ${googleMaps.length}`);
-    console.log(`   TripAdvisor: ${tripAdvisor.length}`);
+    console.log(`   Merged duplicates: ${allLeads.length - uniqueLeads.length} listings into ${mergedCount} leads`);
+    this.sources.forEach((source, idx) => {
+      const entry = entries.find(candidate => candidate.source === source.id);
+      const status = entry.status === 'ok' ? '' : ` (${entry.status}${entry.error ? `: ${entry.error}` : ''})`;
+      console.log(`   ${source.label}: ${results[idx].length}${status}`);
+    });
     
     // Save raw scraped data
-    this.saveResults(uniqueLeads, 'output/scraped-leads.json');
+    if (outputPath) {
+      this.saveResults(uniqueLeads, outputPath);
+    }
     
     return uniqueLeads;
   }
 
   /**
-   * Remove duplicate businesses (same name + similar address)
+   * Merge duplicate businesses across sources (fuzzy name/phone/domain/address match)
    */
   deduplicateLeads(leads) {
-    const seen = new Map();
-    
-    return leads.filter(lead => {
-      const key = `${lead.name.toLowerCase()}_${(lead.address || '').slice(0, 20).toLowerCase()}`;
-      
-      if (seen.has(key)) {
-        // Keep the one with more reviews
-        const existing = seen.get(key);
-        if (lead.totalReviews > existing.totalReviews) {
-          seen.set(key, lead);
-          return true;
-        }
-        return false;
-      }
-      
-      seen.set(key, lead);
-      return true;
+    return this.resolver.resolve(leads);
+  }
+
+  /**
+   * What each source returned per search, plus Apify usage against the budget
+   */
+  getRunReport() {
+    const count = status => this.report.filter(entry => entry.status === status).length;
+    return {
+      budget: { maxSpendUsd: this.apify.maxSpendUsd, maxItems: this.apify.maxItems, runTimeoutMs: this.apify.timeoutMs },
+      usage: { ...this.apify.usage, spentUsd: Math.round(this.apify.usage.spentUsd * 10000) / 10000 },
+      ok: count('ok'),
+      empty: count('empty'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+      searches: this.report,
+    };
+  }
+
+  printRunReport() {
+    const report = this.getRunReport();
+    const { usage, budget } = report;
+    const spend = budget.maxSpendUsd === null ? `$${usage.spentUsd}` : `$${usage.spentUsd} of $${budget.maxSpendUsd}`;
+    const items = budget.maxItems === null ? `${usage.items}` : `${usage.items} of ${budget.maxItems}`;
+
+    console.log(`\n🧾 Scrape report: ${report.ok} ok, ${report.empty} empty, ${report.skipped} skipped, ${report.failed} failed`);
+    console.log(`   Apify: ${usage.runs} runs (${usage.retries} retries, ${usage.timedOut} timed out), ${items} items, ${spend}`);
+    report.searches.filter(entry => entry.error).forEach(entry => {
+      console.log(`   ${entry.status === 'failed' ? '❌' : '⏭️ '} ${entry.source} "${entry.query}" in ${entry.location}: ${entry.error}`);
     });
   }
 
+  saveRunReport(filepath) {
+    mkdirSync(dirname(filepath), { recursive: true });
+    writeFileSync(filepath, JSON.stringify(this.getRunReport(), null, 2));
+    console.log(`💾 Saved scrape report to ${filepath}`);
+  }
+
+  /**
+   * All places seen so far, leads or not
+   */
+  getMarketPlaces() {
+    return [...this.marketPlaces.values()];
+  }
+
+  /**
+   * Save every place seen (the benchmarking market) next to the leads
+   */
+  saveMarketPlaces(places, filepath) {
+    mkdirSync(dirname(filepath), { recursive: true });
+    writeFileSync(filepath, JSON.stringify(places, null, 2));
+    console.log(`💾 Saved ${places.length} market places to ${filepath}`);
+  }
+
   /**
    * Save results to JSON file
    */
   saveResults(data, filepath) {
-    if (!existsSync('output')) {
-      mkdirSync('output', { recursive: true });
+    if (!existsSync(dirname(filepath))) {
+      mkdirSync(dirname(filepath), { recursive: true });
     }
     
     writeFileSync(filepath, JSON.stringify(data, null, 2));
@@ -253,7 +211,10 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   const maxResults = parseInt(process.env.MAX_RESULTS || '50');
 
   scraper.scrapeAll(query, location, maxResults)
-    .then(() => console.log('\n✅ Scraping complete!'))
+    .then(() => {
+      scraper.printRunReport();
+      console.log('\n✅ Scraping complete!');
+    })
     .catch(err => {
       console.error('\n❌ Scraping failed:', err);
       process.exit(1);
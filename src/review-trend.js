@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+import { readFileSync } from 'fs';
+
+/**
+ * Review Trend - Time-aware rating trend for a lead's reviews
+ * Monthly and rolling averages, a least-squares slope (stars per month) with a
+ * confidence level, bursts of negative reviews, and one trend category to score on.
+ */
+
+export const TREND_CATEGORIES = ['sudden_drop', 'declining', 'stable', 'improving', 'insufficient_data'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_DAYS = 30.44;
+
+// Two-sided critical t of the slope by degrees of freedom (99% high, 90% medium);
+// between rows the smaller df is used, so few reviews never overstate confidence
+const CONFIDENCE_T = [
+  [1, 63.657, 6.314], [2, 9.925, 2.92], [3, 5.841, 2.353], [4, 4.604, 2.132], [5, 4.032, 2.015],
+  [6, 3.707, 1.943], [7, 3.499, 1.895], [8, 3.355, 1.86], [9, 3.25, 1.833], [10, 3.169, 1.812],
+  [12, 3.055, 1.782], [15, 2.947, 1.753], [20, 2.845, 1.725], [30, 2.75, 1.697], [60, 2.66, 1.671],
+  [120, 2.617, 1.658],
+];
+
+function criticalT(df) {
+  const [, high, medium] = CONFIDENCE_T.filter(([rowDf]) => rowDf <= df).pop() || CONFIDENCE_T[0];
+  return { high, medium };
+}
+
+function round(value, digits = 2) {
+  return parseFloat(value.toFixed(digits));
+}
+
+function average(values) {
+  return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+class ReviewTrendAnalyzer {
+  constructor(options = {}) {
+    this.now = options.now || (() => new Date());
+    this.minReviews = options.minReviews ?? 3;
+    this.minSpanDays = options.minSpanDays ?? 14;
+    this.rollingMonths = options.rollingMonths ?? 3;
+    // Smallest slope (stars per month) that counts as a real change
+    this.minSlope = options.minSlope ?? 0.1;
+    this.negativeRatingMax = options.negativeRatingMax ?? 2;
+    this.spikeWindowDays = options.spikeWindowDays ?? 14;
+    this.spikeMinCount = options.spikeMinCount ?? 3;
+    // A burst must be this many times the lead's usual rate of negative reviews
+    this.spikeRatio = options.spikeRatio ?? 2;
+    this.recentDays = options.recentDays ?? 30;
+  }
+
+  /**
+   * Full trend picture for one lead's reviews
+   * Keeps the original fields (trend, change, recentAvg, olderAvg, trendScore).
+   */
+  analyze(reviews = []) {
+    const dated = reviews
+      .filter(review => typeof review.rating === 'number' && review.date && !Number.isNaN(new Date(review.date).getTime()))
+      .map(review => ({ rating: review.rating, time: new Date(review.date).getTime() }))
+      .sort((a, b) => a.time - b.time);
+
+    const spanDays = dated.length > 0 ? (dated[dated.length - 1].time - dated[0].time) / DAY_MS : 0;
+
+    if (dated.length < this.minReviews || spanDays < this.minSpanDays) {
+      return {
+        trend: 'insufficient_data',
+        category: 'insufficient_data',
+        trendScore: 'low',
+        change: 0,
+        reviewsUsed: dated.length,
+        spanDays: round(spanDays, 1),
+      };
+    }
+
+    const monthly = this.monthlyAverages(dated);
+    const regression = this.regression(dated);
+    const spike = this.detectSpike(dated, spanDays);
+
+    // Compare the newer and older halves of the time span
+    const midpoint = dated[0].time + (spanDays * DAY_MS) / 2;
+    const recentAvg = average(dated.filter(review => review.time >= midpoint).map(review => review.rating));
+    const olderAvg = average(dated.filter(review => review.time < midpoint).map(review => review.rating));
+    const change = recentAvg !== null && olderAvg !== null ? recentAvg - olderAvg : 0;
+
+    const category = this.categorize(regression, spike);
+
+    return {
+      trend: category === 'sudden_drop' || category === 'declining' ? 'worsening' : category,
+      category,
+      trendScore: this.severity(category, regression),
+      change: round(change),
+      recentAvg: recentAvg === null ? null : round(recentAvg),
+      olderAvg: olderAvg === null ? null : round(olderAvg),
+      slope: round(regression.slope, 3),
+      slopeConfidence: regression.confidence,
+      rSquared: round(regression.rSquared),
+      reviewsUsed: dated.length,
+      spanDays: round(spanDays, 1),
+      monthly,
+      spike,
+    };
+  }
+
+  /**
+   * Average rating per calendar month plus a rolling average over the last few months
+   */
+  monthlyAverages(dated) {
+    const months = new Map();
+    dated.forEach(review => {
+      const month = new Date(review.time).toISOString().slice(0, 7);
+      const ratings = months.get(month) || [];
+      ratings.push(review.rating);
+      months.set(month, ratings);
+    });
+
+    const entries = [...months.entries()].sort(([a], [b]) => a.localeCompare(b));
+    return entries.map(([month, ratings], idx) => {
+      const window = entries.slice(Math.max(0, idx - this.rollingMonths + 1), idx + 1).flatMap(([, values]) => values);
+      return {
+        month,
+        count: ratings.length,
+        average: round(average(ratings)),
+        rollingAverage: round(average(window)),
+      };
+    });
+  }
+
+  /**
+   * Least-squares line of rating over time; slope in stars per month
+   */
+  regression(dated) {
+    const start = dated[0].time;
+    const xs = dated.map(review => (review.time - start) / DAY_MS / MONTH_DAYS);
+    const ys = dated.map(review => review.rating);
+    const n = dated.length;
+    const meanX = average(xs);
+    const meanY = average(ys);
+
+    const sxx = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    const sxy = xs.reduce((sum, x, idx) => sum + (x - meanX) * (ys[idx] - meanY), 0);
+    const syy = ys.reduce((sum, y) => sum + (y - meanY) ** 2, 0);
+
+    const slope = sxy / sxx;
+    const residual = ys.reduce((sum, y, idx) => sum + (y - (meanY + slope * (xs[idx] - meanX))) ** 2, 0);
+    const rSquared = syy === 0 ? 0 : 1 - residual / syy;
+
+    // Standard error of the slope; a perfect fit is as confident as it gets
+    const standardError = n > 2 ? Math.sqrt(residual / (n - 2) / sxx) : Infinity;
+    const t = standardError === 0 ? (slope === 0 ? 0 : Infinity) : Math.abs(slope) / standardError;
+    const critical = criticalT(n - 2);
+    const confidence = t >= critical.high ? 'high' : t >= critical.medium ? 'medium' : 'low';
+
+    return { slope, rSquared, standardError, t, confidence };
+  }
+
+  /**
+   * Find the busiest window of negative reviews and compare it with the lead's usual rate
+   */
+  detectSpike(dated, spanDays) {
+    const negatives = dated.filter(review => review.rating <= this.negativeRatingMax);
+    const windowMs = this.spikeWindowDays * DAY_MS;
+    const expected = (negatives.length / Math.max(spanDays, this.spikeWindowDays)) * this.spikeWindowDays;
+
+    let best = null;
+    negatives.forEach((review, idx) => {
+      const inWindow = negatives.filter(other => other.time >= review.time && other.time < review.time + windowMs);
+      if (!best || inWindow.length > best.count || (inWindow.length === best.count && idx > best.idx)) {
+        best = { idx, count: inWindow.length, start: review.time, end: inWindow[inWindow.length - 1].time };
+      }
+    });
+
+    const detected = !!best
+      && best.count >= this.spikeMinCount
+      && best.count >= expected * this.spikeRatio;
+
+    if (!detected) {
+      return { detected: false, recent: false };
+    }
+
+    const daysAgo = Math.floor((this.now().getTime() - best.end) / DAY_MS);
+    return {
+      detected: true,
+      recent: daysAgo <= this.recentDays,
+      count: best.count,
+      expected: round(expected, 1),
+      windowDays: this.spikeWindowDays,
+      start: new Date(best.start).toISOString(),
+      end: new Date(best.end).toISOString(),
+      daysAgo,
+    };
+  }
+
+  /**
+   * One label for the scorer: a recent burst of bad reviews beats the long-run slope
+   */
+  categorize(regression, spike) {
+    if (spike.recent) return 'sudden_drop';
+    if (regression.confidence === 'low' || Math.abs(regression.slope) < this.minSlope) return 'stable';
+    return regression.slope < 0 ? 'declining' : 'improving';
+  }
+
+  /**
+   * How urgent the trend is for outreach (improving businesses are never urgent)
+   */
+  severity(category, regression) {
+    if (category === 'sudden_drop') return 'critical';
+    if (category === 'declining') {
+      return regression.confidence === 'high' && regression.slope <= -0.25 ? 'critical' : 'high';
+    }
+    if (category === 'stable' && regression.slope <= -this.minSlope) return 'moderate';
+    return 'low';
+  }
+}
+
+// CLI execution: trend for every lead in a JSON file
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const filepath = process.argv[2] || 'output/enriched-leads.json';
+  const analyzer = new ReviewTrendAnalyzer();
+
+  try {
+    const leads = JSON.parse(readFileSync(filepath, 'utf8'));
+    console.log(`📈 Review trends for ${leads.length} leads in ${filepath}\n`);
+
+    leads.forEach(lead => {
+      const trend = analyzer.analyze(lead.reviews);
+      const slope = trend.slope === undefined ? '' : `  ${trend.slope >= 0 ? '+' : ''}${trend.slope}★/month (${trend.slopeConfidence})`;
+      const spike = trend.spike?.detected ? `  spike: ${trend.spike.count} bad reviews in ${trend.spike.windowDays}d` : '';
+      console.log(`   ${trend.category.padEnd(17)} ${lead.name}${slope}${spike}`);
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+export default ReviewTrendAnalyzer;
@@ -0,0 +1,111 @@
+import { readFileSync, writeFileSync, mkdirSync, openSync, closeSync, unlinkSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Run Lock - One pipeline run at a time across processes
+ * Taken by live/demo pipeline runs (CLI, API server, scheduler) so they never write
+ * the same output and lead store files at once. The lock file holds the owner's
+ * pid; a lock left by a dead process or older than `staleMs` is taken over. The
+ * process already holding the lock can take it again (the scheduler holds it
+ * around the pipeline it starts).
+ */
+
+const DEFAULT_STALE_MS = 6 * 60 * 60 * 1000;
+
+export class RunLockedError extends Error {
+  constructor(holder) {
+    super(`Another pipeline run is in progress (pid ${holder?.pid ?? '?'}, ${holder?.owner ?? 'unknown'} since ${holder?.startedAt ?? '?'})`);
+    this.name = 'RunLockedError';
+    this.holder = holder;
+  }
+}
+
+class RunLock {
+  constructor(options = {}) {
+    this.file = options.file || process.env.RUN_LOCK_FILE || 'data/pipeline.lock';
+    this.staleMs = options.staleMs ?? DEFAULT_STALE_MS;
+    this.clock = options.clock || { now: () => new Date() };
+  }
+
+  /**
+   * Try to take the lock: `{ held: true, reentrant }` or `{ held: false, holder }`
+   */
+  acquire(owner) {
+    mkdirSync(dirname(this.file), { recursive: true });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const fd = openSync(this.file, 'wx');
+        writeFileSync(fd, JSON.stringify({ pid: process.pid, owner, startedAt: this.clock.now().toISOString() }));
+        closeSync(fd);
+        return { held: true, reentrant: false };
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // An unreadable lock may be one another process is still writing
+      const holder = this.read();
+      if (holder?.pid === process.pid) return { held: true, reentrant: true };
+      if (!holder || !this.isStale(holder)) return { held: false, holder };
+      console.log(`🔓 Removing stale run lock from pid ${holder.pid} (${holder.owner})`);
+      try {
+        unlinkSync(this.file);
+      } catch (error) {
+        // Another process got there first
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return { held: false, holder: this.read() };
+  }
+
+  /**
+   * Give back a lock from acquire(); a reentrant hold leaves it to the outer one
+   */
+  release(lock) {
+    if (!lock?.held || lock.reentrant) return;
+    if (this.read()?.pid === process.pid) unlinkSync(this.file);
+  }
+
+  /**
+   * The live holder of the lock, or null when it is free (or stale)
+   */
+  holder() {
+    const holder = this.read();
+    return holder && (holder.pid === process.pid || !this.isStale(holder)) ? holder : null;
+  }
+
+  read() {
+    try {
+      return JSON.parse(readFileSync(this.file, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  isStale(holder) {
+    if (this.clock.now() - new Date(holder.startedAt) > this.staleMs) return true;
+    try {
+      // Signal 0 only checks the process exists
+      process.kill(holder.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+
+  /**
+   * Run `task` holding the lock; throws RunLockedError when another process has it
+   */
+  async withLock(owner, task) {
+    const lock = this.acquire(owner);
+    if (!lock.held) throw new RunLockedError(lock.holder);
+
+    try {
+      return await task();
+    } finally {
+      this.release(lock);
+    }
+  }
+}
+
+export default RunLock;
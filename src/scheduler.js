@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync } from 'fs';
+import { basename, dirname, extname, join, resolve } from 'path';
+import yaml from 'js-yaml';
+import { resolveConfig } from './config.js';
+import { parseCron, nextRun } from './cron.js';
+import runPipeline from './index.js';
+import RunLock from './run-lock.js';
+
+/**
+ * Scheduler - Runs campaigns on cron schedules from a long-running process
+ *
+ *   schedules:
+ *     - name: dentists
+ *       cron: "0 9 * * 1-5"            # weekdays at 9:00, local time
+ *       campaign: campaigns/dentists.yaml
+ *     - name: demo
+ *       cron: "@hourly"
+ *       settings: { demo: true }     # inline settings, override the campaign file
+ *       catchUp: false               # don't run slots missed while stopped
+ *
+ * Only one pipeline runs at a time across processes (the run lock, shared with
+ * manual runs and the API server), every run's
+ * outcome is appended to runs.jsonl, and the last slot each schedule ran for is
+ * kept in state.json. After a restart, slots missed while stopped run once
+ * (or are skipped with `catchUp: false`).
+ */
+
+// A slot this late was missed (the scheduler was stopped, or busy with another run)
+const MISSED_AFTER_MS = 5 * 60 * 1000;
+const MAX_SLEEP_MS = 60 * 1000;
+const LOCK_RETRY_MS = 30 * 1000;
+
+export class ScheduleError extends Error {
+  constructor(source, issues) {
+    super(`Invalid schedules ${source}:\n  - ${issues.join('\n  - ')}`);
+    this.name = 'ScheduleError';
+    this.source = source;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Real time; tests pass a clock whose `now` they control and whose `sleep` returns at once
+ */
+export const systemClock = {
+  now: () => new Date(),
+  sleep: (ms, signal) => new Promise(done => {
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      done();
+    }, { once: true });
+  }),
+};
+
+/**
+ * Check schedule definitions; campaign paths are resolved against `baseDir`
+ */
+export function compileSchedules(definitions, source = 'config', baseDir = process.cwd()) {
+  if (!Array.isArray(definitions)) {
+    throw new ScheduleError(source, ['expected a list of schedules (or `{ schedules: [...] }`)']);
+  }
+
+  const issues = [];
+  const names = new Set();
+
+  const schedules = definitions.map((definition, idx) => {
+    const label = definition?.name ? `schedule "${definition.name}"` : `schedule #${idx + 1}`;
+    if (!definition?.name) issues.push(`${label}: name is required`);
+    if (names.has(definition?.name)) issues.push(`${label}: duplicate name`);
+    names.add(definition?.name);
+
+    let cron = null;
+    try {
+      cron = parseCron(definition?.cron);
+    } catch (error) {
+      issues.push(`${label}: ${error.message}`);
+    }
+
+    const campaign = definition?.campaign ? resolve(baseDir, definition.campaign) : null;
+    if (campaign && !existsSync(campaign)) issues.push(`${label}: campaign file not found (${definition.campaign})`);
+    if (definition?.settings !== undefined && (typeof definition.settings !== 'object' || Array.isArray(definition.settings))) {
+      issues.push(`${label}: settings must be an object`);
+    }
+
+    return {
+      name: definition?.name,
+      cron,
+      campaign,
+      settings: definition?.settings || {},
+      catchUp: definition?.catchUp !== false,
+      enabled: definition?.enabled !== false,
+    };
+  });
+
+  if (issues.length > 0) {
+    throw new ScheduleError(source, issues);
+  }
+  return schedules.filter(schedule => schedule.enabled);
+}
+
+/**
+ * Load schedules from a YAML/JSON file (a list, or `{ schedules: [...] }`)
+ */
+export function loadSchedules(filepath = process.env.SCHEDULES || 'schedules.yaml') {
+  if (!existsSync(filepath)) {
+    throw new ScheduleError(filepath, ['file not found (pass --schedules <file> or set SCHEDULES)']);
+  }
+
+  let data;
+  try {
+    const raw = readFileSync(filepath, 'utf8');
+    data = extname(filepath).toLowerCase() === '.json' ? JSON.parse(raw) : yaml.load(raw);
+  } catch (error) {
+    throw new ScheduleError(filepath, [error.message]);
+  }
+
+  return compileSchedules(Array.isArray(data) ? data : data?.schedules, filepath, dirname(resolve(filepath)));
+}
+
+class Scheduler {
+  /**
+   * `schedules` is a file path or a list of definitions; falls back to SCHEDULES.
+   * `clock` and `run` (the pipeline, `runPipeline` from index.js) are injectable.
+   * The run lock is the shared one (RUN_LOCK_FILE) unless `dir` or `lock` is given.
+   */
+  constructor(schedules = process.env.SCHEDULES, options = {}) {
+    this.schedules = Array.isArray(schedules) ? compileSchedules(schedules) : loadSchedules(schedules);
+    this.clock = options.clock || systemClock;
+    this.run = options.run || runPipeline;
+    this.dir = options.dir || process.env.SCHEDULER_DIR || 'data/scheduler';
+    this.stateFile = join(this.dir, 'state.json');
+    this.runsFile = join(this.dir, 'runs.jsonl');
+    this.lock = options.lock || new RunLock({
+      file: options.dir ? join(options.dir, 'run.lock') : undefined,
+      staleMs: options.lockStaleMs,
+      clock: this.clock,
+    });
+    this.running = false;
+    this.controller = null;
+    // Slots waiting for another process's run to finish, by schedule name
+    this.waiting = new Map();
+  }
+
+  loadState() {
+    try {
+      return existsSync(this.stateFile) ? JSON.parse(readFileSync(this.stateFile, 'utf8')) : {};
+    } catch (error) {
+      console.error(`❌ Failed to load ${this.stateFile}:`, error.message);
+      return {};
+    }
+  }
+
+  saveState(state) {
+    mkdirSync(this.dir, { recursive: true });
+    writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
+  }
+
+  recordOutcome(outcome) {
+    mkdirSync(this.dir, { recursive: true });
+    appendFileSync(this.runsFile, `${JSON.stringify(outcome)}\n`);
+    return outcome;
+  }
+
+  /**
+   * Recorded run outcomes, newest last
+   */
+  listOutcomes(limit = 20) {
+    if (!existsSync(this.runsFile)) return [];
+    return readFileSync(this.runsFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line)).slice(-limit);
+  }
+
+  /**
+   * The latest slot due since `last`, and how many slots that covers (0 if none is due)
+   */
+  dueSlot(schedule, last, now) {
+    let slot = nextRun(schedule.cron, last);
+    if (!slot || slot > now) return { slot: null, slots: 0 };
+
+    let slots = 1;
+    for (let next = nextRun(schedule.cron, slot); next && next <= now; next = nextRun(schedule.cron, next)) {
+      slot = next;
+      slots += 1;
+    }
+    return { slot, slots };
+  }
+
+  /**
+   * Settings for one run: inline settings > campaign file > .env > defaults
+   */
+  settingsFor(schedule) {
+    const settings = resolveConfig({ ...schedule.settings, ...(schedule.campaign && { config: schedule.campaign }) });
+    return {
+      ...settings,
+      campaign: settings.campaign || (schedule.campaign ? basename(schedule.campaign, extname(schedule.campaign)) : null),
+    };
+  }
+
+  /**
+   * Run every schedule that is due; returns the outcomes recorded
+   */
+  async tick() {
+    const state = this.loadState();
+    const outcomes = [];
+
+    for (const schedule of this.schedules) {
+      const now = this.clock.now();
+
+      // First time we see a schedule: start counting from now, don't replay its past
+      if (!state[schedule.name]) {
+        state[schedule.name] = { lastScheduledFor: now.toISOString() };
+        this.saveState(state);
+        continue;
+      }
+
+      const { slot, slots } = this.dueSlot(schedule, new Date(state[schedule.name].lastScheduledFor), now);
+      if (!slot) continue;
+
+      const late = now - slot > MISSED_AFTER_MS;
+      const outcome = late && !schedule.catchUp
+        ? this.skipMissed(schedule, slot, slots)
+        : await this.runSchedule(schedule, slot, { catchUp: late || slots > 1, slots });
+      if (!outcome) continue;
+
+      state[schedule.name] = {
+        lastScheduledFor: slot.toISOString(),
+        lastStatus: outcome.status,
+        lastFinishedAt: outcome.finishedAt,
+      };
+      this.saveState(state);
+      outcomes.push(outcome);
+    }
+
+    return outcomes;
+  }
+
+  skipMissed(schedule, slot, slots) {
+    console.log(`⏭️  ${schedule.name}: skipping ${slots} missed run(s) (catchUp is off)`);
+    const at = this.clock.now().toISOString();
+    return this.recordOutcome({
+      schedule: schedule.name,
+      scheduledFor: slot.toISOString(),
+      startedAt: at,
+      finishedAt: at,
+      status: 'missed',
+      slots,
+    });
+  }
+
+  /**
+   * Run one schedule under the lock; returns null when another process holds it
+   * (the slot stays due and runs once the lock is free)
+   */
+  async runSchedule(schedule, slot, { catchUp = false, slots = 1 } = {}) {
+    const lock = this.lock.acquire(`schedule ${schedule.name}`);
+    if (!lock.held) {
+      if (this.waiting.get(schedule.name) !== slot.getTime()) {
+        this.waiting.set(schedule.name, slot.getTime());
+        console.log(`⏳ ${schedule.name}: another run is in progress (pid ${lock.holder?.pid}, ${lock.holder?.owner}); waiting`);
+        this.recordOutcome({
+          schedule: schedule.name,
+          scheduledFor: slot.toISOString(),
+          at: this.clock.now().toISOString(),
+          status: 'waiting',
+          lockedBy: lock.holder,
+        });
+      }
+      return null;
+    }
+    this.waiting.delete(schedule.name);
+
+    const startedAt = this.clock.now();
+    console.log(`\n⏰ ${schedule.name}: ${catchUp ? `catching up (${slots} missed slot(s), latest ` : 'run for '}${slot.toISOString()}${catchUp ? ')' : ''}`);
+
+    const outcome = {
+      schedule: schedule.name,
+      scheduledFor: slot.toISOString(),
+      startedAt: startedAt.toISOString(),
+      catchUp,
+      slots,
+    };
+
+    try {
+      const result = await this.run(this.settingsFor(schedule));
+      Object.assign(outcome, {
+        status: 'success',
+        runId: result?.run?.id || null,
+        leadCount: result?.scored?.length ?? null,
+      });
+    } catch (error) {
+      console.error(`❌ ${schedule.name} failed:`, error.message);
+      Object.assign(outcome, { status: 'failed', error: error.message });
+    } finally {
+      this.lock.release(lock);
+    }
+
+    const finishedAt = this.clock.now();
+    Object.assign(outcome, { finishedAt: finishedAt.toISOString(), durationMs: finishedAt - startedAt });
+    return this.recordOutcome(outcome);
+  }
+
+  /**
+   * Milliseconds until the next slot of any schedule (capped, so clock changes are noticed)
+   */
+  msUntilNext(now = this.clock.now()) {
+    const state = this.loadState();
+    const waits = this.schedules.map(schedule => {
+      if (this.waiting.has(schedule.name)) return LOCK_RETRY_MS;
+      const last = state[schedule.name] ? new Date(state[schedule.name].lastScheduledFor) : now;
+      const next = nextRun(schedule.cron, last);
+      return next ? next - now : MAX_SLEEP_MS;
+    });
+    const soonest = waits.length > 0 ? Math.min(...waits) : MAX_SLEEP_MS;
+    return Math.min(MAX_SLEEP_MS, Math.max(1000, soonest));
+  }
+
+  /**
+   * Upcoming run and last outcome per schedule
+   */
+  describe(now = this.clock.now()) {
+    const state = this.loadState();
+    return this.schedules.map(schedule => ({
+      name: schedule.name,
+      cron: schedule.cron.expression,
+      campaign: schedule.campaign,
+      catchUp: schedule.catchUp,
+      nextRun: nextRun(schedule.cron, now),
+      lastScheduledFor: state[schedule.name]?.lastScheduledFor || null,
+      lastStatus: state[schedule.name]?.lastStatus || null,
+    }));
+  }
+
+  printSchedules() {
+    console.log(`⏰ ${this.schedules.length} schedule(s):`);
+    this.describe().forEach(schedule => {
+      const last = schedule.lastStatus ? `last ${schedule.lastStatus} for ${schedule.lastScheduledFor}` : 'not run yet';
+      console.log(`   ${schedule.name.padEnd(16)} ${schedule.cron.padEnd(16)} next ${schedule.nextRun?.toISOString() || 'never'} · ${last}`);
+    });
+  }
+
+  /**
+   * Run until stop(): tick, then sleep until the next slot
+   */
+  async start() {
+    this.running = true;
+    this.controller = new AbortController();
+    this.printSchedules();
+
+    while (this.running) {
+      await this.tick();
+      if (!this.running) break;
+      await this.clock.sleep(this.msUntilNext(), this.controller.signal);
+    }
+    console.log('👋 Scheduler stopped');
+  }
+
+  /**
+   * Stop after the run in progress (if any) finishes
+   */
+  stop() {
+    this.running = false;
+    this.controller?.abort();
+  }
+
+  /**
+   * Ctrl-C / SIGTERM stop the daemon cleanly instead of leaving a lock behind
+   */
+  stopOnSignals() {
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+      console.log(`\n${signal} received, stopping after the current run…`);
+      this.stop();
+    }));
+    return this;
+  }
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    await new Scheduler(process.argv[2]).stopOnSignals().start();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+export default Scheduler;
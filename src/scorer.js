@@ -1,19 +1,64 @@
 #!/usr/bin/env node
-import { readFileSync, writeFileSync } from 'fs';
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { loadScoringProfile, prepareScoringProfile, getProfileSelection, matchesCondition } from './scoring-profile.js';
+import LeadStatusTracker from './lead-status.js';
 
 /**
  * Lead Scorer - Ranks leads by opportunity potential
  * Higher score = better sales opportunity
+ * Weights, thresholds and priority bands come from a scoring profile
+ * (scoring-profiles/default.json unless SCORING_PROFILE or --profile says otherwise)
+ * Outreach status rules (lead-status.js) hide or down-rank leads already worked.
  */
 
+const PRIORITY_ICONS = { critical: '🔴', high: '🟠', medium: '🟡', low: '🟢' };
+
 class LeadScorer {
-  constructor() {
-    this.weights = {
-      recentNegatives: 40,
-      lowResponseRate: 30,
-      businessSize: 20,
-      ratingDecline: 10,
+  constructor(profile = null, options = {}) {
+    this.statusTracker = options.statusTracker || new LeadStatusTracker();
+    // What "recent" is measured from (demo runs pin it to their reference date)
+    this.now = options.now || (() => new Date());
+
+    // Metric extractors that scoring-profile factors can reference by name
+    this.metrics = {
+      recentNegatives: lead => this.countRecentNegatives(lead),
+      responseRate: lead => lead.enrichment?.responseRate?.rate || 0,
+      // Falls back to the overall rate when a lead has no negative reviews
+      negativeResponseRate: lead => (
+        lead.enrichment?.responseRate?.negative?.rate ?? lead.enrichment?.responseRate?.rate ?? 0
+      ),
+      responseLatencyDays: lead => lead.enrichment?.responseRate?.medianLatencyDays ?? null,
+      responseTone: lead => lead.enrichment?.responseRate?.tone?.label || 'none',
+      // Competitor benchmark (null when there are too few local peers)
+      ratingPercentile: lead => lead.enrichment?.benchmark?.ratingPercentile ?? null,
+      reviewVolumePercentile: lead => lead.enrichment?.benchmark?.reviewVolumePercentile ?? null,
+      ratingGap: lead => lead.enrichment?.benchmark?.ratingGap ?? null,
+      totalReviews: lead => lead.totalReviews || 0,
+      trend: lead => lead.enrichment?.reviewTrend?.trend,
+      trendScore: lead => lead.enrichment?.reviewTrend?.trendScore,
+      trendCategory: lead => lead.enrichment?.reviewTrend?.category,
+      trendSlope: lead => lead.enrichment?.reviewTrend?.slope ?? 0,
+      negativeSpike: lead => !!lead.enrichment?.reviewTrend?.spike?.recent,
     };
+
+    // Field names used for each metric in `scoringDetails`
+    this.detailFields = {
+      recentNegatives: 'count',
+      responseRate: 'rate',
+      totalReviews: 'reviews',
+    };
+
+    // Accept a profile object, a profile name/path, or nothing (SCORING_PROFILE / --profile);
+    // objects are validated the same way as files
+    const knownMetrics = Object.keys(this.metrics);
+    this.profile = profile && typeof profile === 'object'
+      ? prepareScoringProfile(profile, { knownMetrics })
+      : loadScoringProfile(profile || getProfileSelection(), { knownMetrics });
+
+    this.weights = Object.fromEntries(
+      Object.entries(this.profile.factors).map(([name, factor]) => [name, factor.weight])
+    );
   }
 
   /**
@@ -23,59 +68,14 @@ class LeadScorer {
     let score = 0;
     const details = {};
 
-    // 1. Recent negative spike = urgent opportunity
-    const recentNegatives = this.countRecentNegatives(lead);
-    if (recentNegatives >= 5) {
-      score += this.weights.recentNegatives;
-      details.recentNegatives = { count: recentNegatives, points: this.weights.recentNegatives };
-    } else if (recentNegatives >= 3) {
-      const partial = Math.round(this.weights.recentNegatives * 0.6);
-      score += partial;
-      details.recentNegatives = { count: recentNegatives, points: partial };
-    } else if (recentNegatives >= 1) {
-      const partial = Math.round(this.weights.recentNegatives * 0.3);
-      score += partial;
-      details.recentNegatives = { count: recentNegatives, points: partial };
-    }
-
-    // 2. Low response rate = not managing reputation
-    const responseRate = lead.enrichment?.responseRate?.rate || 0;
-    if (responseRate < 0.2) {
-      score += this.weights.lowResponseRate;
-      details.lowResponseRate = { rate: responseRate, points: this.weights.lowResponseRate };
-    } else if (responseRate < 0.5) {
-      const partial = Math.round(this.weights.lowResponseRate * 0.5);
-      score += partial;
-      details.lowResponseRate = { rate: responseRate, points: partial };
-    }
-
-    // 3. Large business = bigger contract potential
-    const reviewCount = lead.totalReviews || 0;
-    if (reviewCount > 100) {
-      score += this.weights.businessSize;
-      details.businessSize = { reviews: reviewCount, points: this.weights.businessSize };
-    } else if (reviewCount > 50) {
-      const partial = Math.round(this.weights.businessSize * 0.7);
-      score += partial;
-      details.businessSize = { reviews: reviewCount, points: partial };
-    } else if (reviewCount > 20) {
-      const partial = Math.round(this.weights.businessSize * 0.4);
-      score += partial;
-      details.businessSize = { reviews: reviewCount, points: partial };
-    }
+    Object.entries(this.profile.factors).forEach(([name, factor]) => {
+      const tier = factor.tiers.find(candidate => this.matchesTier(lead, factor, candidate));
+      if (!tier) return;
 
-    // 4. Rating declining = getting worse
-    const trend = lead.enrichment?.reviewTrend?.trend;
-    const trendScore = lead.enrichment?.reviewTrend?.trendScore;
-    
-    if (trend === 'worsening' || trendScore === 'critical') {
-      score += this.weights.ratingDecline;
-      details.ratingDecline = { trend, trendScore, points: this.weights.ratingDecline };
-    } else if (trendScore === 'high') {
-      const partial = Math.round(this.weights.ratingDecline * 0.5);
-      score += partial;
-      details.ratingDecline = { trend, trendScore, points: partial };
-    }
+      const points = Math.round(factor.weight * tier.fraction);
+      score += points;
+      details[name] = { ...this.describeFactorMetrics(lead, factor), points };
+    });
 
     return {
       score: Math.min(score, 100), // Cap at 100
@@ -85,17 +85,45 @@ class LeadScorer {
   }
 
   /**
-   * Count negative reviews in the last 30 days
+   * Check whether a lead meets a factor tier (`any` = at least one condition holds)
+   */
+  matchesTier(lead, factor, tier) {
+    if (Array.isArray(tier.any)) {
+      return tier.any.some(condition => (
+        matchesCondition(this.metrics[condition.metric](lead), condition)
+      ));
+    }
+
+    return matchesCondition(this.metrics[factor.metric](lead), tier);
+  }
+
+  /**
+   * Collect the metric values a factor looked at, for `scoringDetails`
+   */
+  describeFactorMetrics(lead, factor) {
+    const metricNames = new Set([
+      factor.metric,
+      ...factor.tiers.flatMap(tier => (tier.any || []).map(condition => condition.metric)),
+    ]);
+
+    return Object.fromEntries(
+      [...metricNames].map(metric => [this.detailFields[metric] || metric, this.metrics[metric](lead)])
+    );
+  }
+
+  /**
+   * Count negative reviews within the profile's recent window (default 30 days)
    */
   countRecentNegatives(lead) {
     if (!lead.reviews || lead.reviews.length === 0) return 0;
 
-    const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
+    const { recentWindowDays, negativeRatingMax } = this.profile.settings;
+    const windowStart = this.now().getTime() - (recentWindowDays * 24 * 60 * 60 * 1000);
 
     return lead.reviews.filter(review => {
       const reviewDate = new Date(review.date).getTime();
-      const isRecent = reviewDate >= thirtyDaysAgo;
-      const isNegative = review.rating <= 2;
+      const isRecent = reviewDate >= windowStart;
+      const isNegative = review.rating <= negativeRatingMax;
       return isRecent && isNegative;
     }).length;
   }
@@ -104,16 +132,30 @@ class LeadScorer {
    * Get priority level based on score
    */
   getPriorityLevel(score) {
-    if (score >= 80) return 'critical';
-    if (score >= 60) return 'high';
-    if (score >= 40) return 'medium';
-    return 'low';
+    const bands = this.profile.priorityBands;
+    const band = bands.find(candidate => score >= candidate.min);
+    return (band || bands[bands.length - 1]).priority;
+  }
+
+  /**
+   * Human-readable score range for each priority band, e.g. "60-79"
+   */
+  describePriorityBands() {
+    return this.profile.priorityBands.map((band, idx, bands) => {
+      const upper = bands[idx - 1]?.min;
+      let range;
+      if (upper === undefined) range = `${band.min}+`;
+      else if (band.min === 0) range = `<${upper}`;
+      else range = `${band.min}-${upper - 1}`;
+      return { ...band, range };
+    });
   }
 
   /**
-   * Score all leads and sort by score
+   * Score all leads and rank them by score and outreach status
+   * Leads hidden by status rules are dropped unless includeSuppressed is set.
    */
-  scoreAllLeads(leads) {
+  scoreAllLeads(leads, { includeSuppressed = false } = {}) {
     console.log(`\n🎯 Scoring ${leads.length} leads...\n`);
 
     const scored = leads.map((lead, idx) => {
@@ -131,29 +173,34 @@ class LeadScorer {
       };
     });
 
-    // Sort by score (highest first)
-    scored.sort((a, b) => b.score - a.score);
+    // Highest score first, with worked leads ranked down or hidden per status rules
+    const ranked = this.statusTracker.applyRules(scored, { includeHidden: true });
 
     console.log(`✅ Scoring complete!\n`);
-    this.printScoreSummary(scored);
+    this.printScoreSummary(ranked.filter(lead => !lead.outreach.hidden));
+    this.printSuppressedSummary(ranked);
+
+    return includeSuppressed ? ranked : ranked.filter(lead => !lead.outreach.hidden);
+  }
+
+  printSuppressedSummary(leads) {
+    const hidden = Object.entries(this.statusTracker.summarizeHidden(leads));
+    if (hidden.length === 0) return;
 
-    return scored;
+    const total = hidden.reduce((sum, [, count]) => sum + count, 0);
+    console.log(`🙈 Hidden by outreach status: ${total} (${hidden.map(([status, count]) => `${status}: ${count}`).join(', ')})\n`);
   }
 
   /**
    * Print score summary statistics
    */
   printScoreSummary(leads) {
-    const critical = leads.filter(l => l.priority === 'critical').length;
-    const high = leads.filter(l => l.priority === 'high').length;
-    const medium = leads.filter(l => l.priority === 'medium').length;
-    const low = leads.filter(l => l.priority === 'low').length;
-
-    console.log('📊 Score Distribution:');
-    console.log(`   🔴 Critical (80+): ${critical}`);
-    console.log(`   🟠 High (60-79): ${high}`);
-    console.log(`   🟡 Medium (40-59): ${medium}`);
-    console.log(`   🟢 Low (<40): ${low}`);
+    console.log(`📊 Score Distribution (profile: ${this.profile.name}):`);
+    this.describePriorityBands().forEach(band => {
+      const count = leads.filter(l => l.priority === band.priority).length;
+      const label = band.priority.charAt(0).toUpperCase() + band.priority.slice(1);
+      console.log(`   ${PRIORITY_ICONS[band.priority]} ${label} (${band.range}): ${count}`);
+    });
     console.log('');
 
     // Show top 5
@@ -181,6 +228,7 @@ class LeadScorer {
    * Save scored leads
    */
   saveScoredLeads(leads, filepath) {
+    mkdirSync(dirname(filepath), { recursive: true });
     writeFileSync(filepath, JSON.stringify(leads, null, 2));
     console.log(`💾 Saved ${leads.length} scored leads to ${filepath}`);
   }
@@ -190,6 +238,7 @@ class LeadScorer {
    */
   saveTopLeads(leads, filepath, count = 10) {
     const top = leads.slice(0, count);
+    mkdirSync(dirname(filepath), { recursive: true });
     writeFileSync(filepath, JSON.stringify(top, null, 2));
     console.log(`💾 Saved top ${count} leads to ${filepath}`);
   }
@@ -197,7 +246,14 @@ class LeadScorer {
 
 // CLI execution
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const scorer = new LeadScorer();
+  let scorer;
+
+  try {
+    scorer = new LeadScorer();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
   
   console.log('🎯 LeadMiner Scorer\n');
   
@@ -208,9 +264,10 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     process.exit(1);
   }
 
-  const scored = scorer.scoreAllLeads(leads);
+  // The scored file keeps leads hidden by outreach status (the dashboard lists them)
+  const scored = scorer.scoreAllLeads(leads, { includeSuppressed: true });
   scorer.saveScoredLeads(scored, 'output/scored-leads.json');
-  scorer.saveTopLeads(scored, 'output/top-leads.json', 10);
+  scorer.saveTopLeads(scored.filter(lead => !lead.outreach.hidden), 'output/top-leads.json', 10);
   
   console.log('✅ Scoring complete!');
 }
@@ -0,0 +1,218 @@
+import { readFileSync, existsSync } from 'fs';
+import { dirname, extname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+/**
+ * Scoring Profile - Loads and validates scoring models from JSON/YAML files
+ * Profiles define factors, tier thresholds, partial-credit fractions and priority bands.
+ */
+
+const PROFILE_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'scoring-profiles');
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+const NUMERIC_OPS = ['gte', 'gt', 'lte', 'lt'];
+
+export class ScoringProfileError extends Error {
+  constructor(source, issues) {
+    super(`Invalid scoring profile ${source}:\n  - ${issues.join('\n  - ')}`);
+    this.name = 'ScoringProfileError';
+    this.source = source;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Pick the profile to use: `--profile <name|path>` wins over SCORING_PROFILE
+ */
+export function getProfileSelection(argv = process.argv, env = process.env) {
+  const flagIndex = argv.indexOf('--profile');
+  if (flagIndex !== -1 && argv[flagIndex + 1]) return argv[flagIndex + 1];
+
+  const inline = argv.find(arg => arg.startsWith('--profile='));
+  if (inline) return inline.slice('--profile='.length);
+
+  return env.SCORING_PROFILE || 'default';
+}
+
+/**
+ * Resolve a profile name (looked up in scoring-profiles/) or a file path
+ */
+export function resolveProfilePath(selection) {
+  if (extname(selection) || selection.includes('/') || selection.includes('\\')) {
+    return resolve(selection);
+  }
+
+  const candidates = PROFILE_EXTENSIONS.map(ext => join(PROFILE_DIR, `${selection}${ext}`));
+  return candidates.find(candidate => existsSync(candidate)) || candidates[0];
+}
+
+/**
+ * Load, parse and validate a scoring profile
+ */
+export function loadScoringProfile(selection = getProfileSelection(), options = {}) {
+  const filepath = resolveProfilePath(selection);
+
+  if (!existsSync(filepath)) {
+    throw new ScoringProfileError(selection, [`file not found: ${filepath}`]);
+  }
+
+  let profile;
+  try {
+    const raw = readFileSync(filepath, 'utf8');
+    profile = extname(filepath) === '.json' ? JSON.parse(raw) : yaml.load(raw);
+  } catch (error) {
+    throw new ScoringProfileError(filepath, [`could not parse file: ${error.message}`]);
+  }
+
+  return { ...prepareScoringProfile(profile, { ...options, name: selection, source: filepath }), path: filepath };
+}
+
+/**
+ * Validate a profile object and fill in its defaults, whether it was read from
+ * a file or built in code
+ */
+export function prepareScoringProfile(profile, options = {}) {
+  const issues = validateScoringProfile(profile, options.knownMetrics);
+  if (issues.length > 0) {
+    throw new ScoringProfileError(options.source || profile?.path || profile?.name || 'inline profile', issues);
+  }
+
+  return {
+    ...profile,
+    name: profile.name || options.name || 'custom',
+    settings: { recentWindowDays: 30, negativeRatingMax: 2, ...profile.settings },
+    priorityBands: [...profile.priorityBands].sort((a, b) => b.min - a.min),
+  };
+}
+
+/**
+ * Validate a parsed profile, returning a list of human-readable issues
+ */
+export function validateScoringProfile(profile, knownMetrics = null) {
+  const issues = [];
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['profile must be an object'];
+  }
+
+  const settings = profile.settings || {};
+  ['recentWindowDays', 'negativeRatingMax'].forEach(key => {
+    if (settings[key] !== undefined && !isNonNegativeNumber(settings[key])) {
+      issues.push(`settings.${key} must be a non-negative number`);
+    }
+  });
+
+  const factors = profile.factors;
+  if (!factors || typeof factors !== 'object' || Object.keys(factors).length === 0) {
+    issues.push('factors must define at least one factor');
+  } else {
+    Object.entries(factors).forEach(([name, factor]) => {
+      issues.push(...validateFactor(`factors.${name}`, factor, knownMetrics));
+    });
+  }
+
+  if (!Array.isArray(profile.priorityBands) || profile.priorityBands.length === 0) {
+    issues.push('priorityBands must be a non-empty list');
+  } else {
+    profile.priorityBands.forEach((band, idx) => {
+      const path = `priorityBands[${idx}]`;
+      if (!PRIORITIES.includes(band?.priority)) {
+        issues.push(`${path}.priority must be one of ${PRIORITIES.join(', ')}`);
+      }
+      if (!isNonNegativeNumber(band?.min)) {
+        issues.push(`${path}.min must be a non-negative number`);
+      }
+    });
+
+    if (!profile.priorityBands.some(band => band?.min === 0)) {
+      issues.push('priorityBands must include a band with min 0 so every score gets a priority');
+    }
+  }
+
+  return issues;
+}
+
+function validateFactor(path, factor, knownMetrics) {
+  const issues = [];
+
+  if (!factor || typeof factor !== 'object') {
+    return [`${path} must be an object`];
+  }
+  if (!isNonNegativeNumber(factor.weight)) {
+    issues.push(`${path}.weight must be a non-negative number`);
+  }
+  issues.push(...validateMetric(`${path}.metric`, factor.metric, knownMetrics));
+
+  if (!Array.isArray(factor.tiers) || factor.tiers.length === 0) {
+    issues.push(`${path}.tiers must be a non-empty list`);
+    return issues;
+  }
+
+  factor.tiers.forEach((tier, idx) => {
+    const tierPath = `${path}.tiers[${idx}]`;
+
+    if (typeof tier?.fraction !== 'number' || tier.fraction < 0 || tier.fraction > 1) {
+      issues.push(`${tierPath}.fraction must be a number between 0 and 1`);
+    }
+
+    if (Array.isArray(tier?.any)) {
+      if (tier.any.length === 0) issues.push(`${tierPath}.any must not be empty`);
+      tier.any.forEach((condition, conditionIdx) => {
+        const conditionPath = `${tierPath}.any[${conditionIdx}]`;
+        issues.push(...validateMetric(`${conditionPath}.metric`, condition?.metric, knownMetrics));
+        issues.push(...validateCondition(conditionPath, condition));
+      });
+    } else {
+      issues.push(...validateCondition(tierPath, tier));
+    }
+  });
+
+  return issues;
+}
+
+function validateMetric(path, metric, knownMetrics) {
+  if (typeof metric !== 'string' || !metric) {
+    return [`${path} must be a metric name`];
+  }
+  if (knownMetrics && !knownMetrics.includes(metric)) {
+    return [`${path} "${metric}" is not a known metric (${knownMetrics.join(', ')})`];
+  }
+  return [];
+}
+
+function validateCondition(path, condition) {
+  const issues = [];
+  const ops = [...NUMERIC_OPS, 'in'].filter(op => condition?.[op] !== undefined);
+
+  if (ops.length === 0) {
+    issues.push(`${path} needs a condition (${[...NUMERIC_OPS, 'in', 'any'].join(', ')})`);
+  }
+
+  NUMERIC_OPS
+    .filter(op => condition?.[op] !== undefined && typeof condition[op] !== 'number')
+    .forEach(op => issues.push(`${path}.${op} must be a number`));
+
+  if (condition?.in !== undefined && !Array.isArray(condition.in)) {
+    issues.push(`${path}.in must be a list`);
+  }
+
+  return issues;
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Check a metric value against a tier condition (all given operators must hold)
+ */
+export function matchesCondition(value, condition) {
+  if (condition.in !== undefined && !condition.in.includes(value)) return false;
+  if (NUMERIC_OPS.some(op => condition[op] !== undefined) && typeof value !== 'number') return false;
+  if (condition.gte !== undefined && !(value >= condition.gte)) return false;
+  if (condition.gt !== undefined && !(value > condition.gt)) return false;
+  if (condition.lte !== undefined && !(value <= condition.lte)) return false;
+  if (condition.lt !== undefined && !(value < condition.lt)) return false;
+  return true;
+}
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+import { readFileSync, existsSync } from 'fs';
+import { createRequire } from 'module';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+/**
+ * Review sentiment - shared by the scraper, importer and demo data
+ * Scores each sentence with the AFINN word list (from the `sentiment` package)
+ * plus domain words from sentiment-lexicon.yaml, handling negation
+ * ("not bad at all"), intensifiers ("very rude") and "but" contrasts.
+ */
+
+const AFINN = createRequire(import.meta.url)('sentiment/languages/en/labels.json');
+const DEFAULT_LEXICON = join(dirname(fileURLToPath(import.meta.url)), '..', 'sentiment-lexicon.yaml');
+
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'without', 'hardly', 'barely', 'neither', 'nor', 'non',
+  'isnt', 'wasnt', 'arent', 'werent', 'dont', 'didnt', 'doesnt', 'cant', 'couldnt', 'wont', 'wouldnt',
+  'hasnt', 'havent', 'hadnt', 'shouldnt', 'aint',
+]);
+
+// Multipliers for the word right after them
+const INTENSIFIERS = {
+  very: 1.5, really: 1.5, so: 1.5, super: 1.5, too: 1.25, totally: 1.5, completely: 1.5,
+  extremely: 2, incredibly: 2, absolutely: 1.75, truly: 1.5, pretty: 1.25, most: 1.5,
+  slightly: 0.5, somewhat: 0.5, fairly: 0.75, kinda: 0.5, little: 0.5, bit: 0.5,
+};
+
+// A negator reaches forward to the end of its clause, up to this many words
+// ("I can't say it was good"); a negated word keeps half its weight, flipped
+// ("not good" is mildly negative, not the opposite of "good")
+const NEGATION_WINDOW = 6;
+const NEGATION_FACTOR = -0.5;
+// Words that start a new clause, ending a negation ("not clean and rude")
+const CLAUSE_BREAKS = new Set(['but', 'and', 'or', 'yet', 'although', 'though', 'because', 'while', 'however']);
+// After "but" the second half of a sentence carries more weight
+const BEFORE_BUT = 0.5;
+const AFTER_BUT = 1.5;
+
+/**
+ * Does a business category contain one of these names as a whole word?
+ */
+export function matchesCategory(category, names = []) {
+  const text = String(category || '').toLowerCase();
+  return names.some(name => new RegExp(`\\b${String(name).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text));
+}
+
+/**
+ * Load a domain lexicon file ({ words, categories: [{ match, words }] })
+ */
+export function loadSentimentLexicon(filepath = process.env.SENTIMENT_LEXICON || DEFAULT_LEXICON) {
+  const resolved = resolve(filepath);
+  if (!existsSync(resolved)) {
+    throw new Error(`Sentiment lexicon not found: ${resolved}`);
+  }
+
+  const lexicon = yaml.load(readFileSync(resolved, 'utf8')) || {};
+  const isScores = words => words === undefined || (
+    typeof words === 'object' && Object.values(words).every(score => typeof score === 'number' && Math.abs(score) <= 5)
+  );
+
+  const invalid = !isScores(lexicon.words)
+    || (lexicon.categories !== undefined && !Array.isArray(lexicon.categories))
+    || (lexicon.categories || []).some(entry => !Array.isArray(entry?.match) || !isScores(entry.words));
+  if (invalid) {
+    throw new Error(`Invalid sentiment lexicon ${resolved}: words must map to scores from -5 to 5, categories need match + words`);
+  }
+
+  return { words: lexicon.words || {}, categories: lexicon.categories || [] };
+}
+
+function tokenize(sentence) {
+  return (sentence.toLowerCase().replace(/[’‘]/g, "'").match(/[a-z0-9][a-z0-9'-]*|[,;:]/g) || [])
+    .map(token => token.replace(/'/g, ''));
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+function label(score) {
+  return score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral';
+}
+
+export class SentimentAnalyzer {
+  constructor(options = {}) {
+    this.lexicon = options.lexicon || loadSentimentLexicon(options.path);
+    this.wordLists = new Map();
+  }
+
+  /**
+   * AFINN plus the domain words for a category (cached per category)
+   */
+  wordsFor(category = '') {
+    const key = String(category || '').toLowerCase();
+    if (!this.wordLists.has(key)) {
+      const overrides = this.lexicon.categories
+        .filter(entry => matchesCategory(key, entry.match))
+        .map(entry => entry.words);
+      this.wordLists.set(key, Object.assign({}, AFINN, this.lexicon.words, ...overrides));
+    }
+    return this.wordLists.get(key);
+  }
+
+  /**
+   * Score one sentence word by word
+   */
+  analyzeSentence(sentence, words) {
+    const tokens = tokenize(sentence);
+    const butIndex = tokens.lastIndexOf('but');
+    const positive = [];
+    const negative = [];
+    let score = 0;
+
+    tokens.forEach((token, idx) => {
+      if (!Object.hasOwn(words, token) || words[token] === 0) return;
+
+      let value = words[token];
+      const intensity = INTENSIFIERS[tokens[idx - 1]];
+      if (intensity) value *= intensity;
+
+      // Look back for a negator, stopping at the start of the clause
+      let negated = false;
+      for (let back = idx - 1; back >= Math.max(0, idx - NEGATION_WINDOW); back--) {
+        if (/^[,;:]$/.test(tokens[back]) || CLAUSE_BREAKS.has(tokens[back])) break;
+        if (NEGATORS.has(tokens[back])) {
+          negated = true;
+          break;
+        }
+      }
+      if (negated) value *= NEGATION_FACTOR;
+
+      if (butIndex !== -1) value *= idx < butIndex ? BEFORE_BUT : AFTER_BUT;
+
+      const word = negated ? `not ${token}` : token;
+      if (value > 0) positive.push(word);
+      if (value < 0) negative.push(word);
+      score += value;
+    });
+
+    return {
+      text: sentence,
+      score: round(score),
+      sentiment: label(score),
+      positive,
+      negative,
+      tokenCount: tokens.filter(token => !/^[,;:]$/.test(token)).length,
+    };
+  }
+
+  /**
+   * Analyze review text; `category` picks the domain words to use
+   */
+  analyze(text, { category } = {}) {
+    if (!text) return { score: 0, comparative: 0, sentiment: 'neutral', positive: [], negative: [], sentences: [] };
+
+    const words = this.wordsFor(category);
+    const sentences = String(text)
+      .replace(/\s+/g, ' ')
+      .trim()
+      .split(/(?<=[.!?])\s+|\s*\n+\s*/)
+      .filter(Boolean)
+      .map(sentence => this.analyzeSentence(sentence, words));
+
+    const score = sentences.reduce((sum, sentence) => sum + sentence.score, 0);
+    const tokenCount = sentences.reduce((sum, sentence) => sum + sentence.tokenCount, 0);
+    const negativeSentences = sentences.filter(sentence => sentence.sentiment === 'negative').length;
+    const positiveSentences = sentences.filter(sentence => sentence.sentiment === 'positive').length;
+
+    return {
+      score: round(score),
+      comparative: tokenCount > 0 ? round(score / tokenCount) : 0,
+      sentiment: label(score),
+      positive: sentences.flatMap(sentence => sentence.positive),
+      negative: sentences.flatMap(sentence => sentence.negative),
+      mixed: negativeSentences > 0 && positiveSentences > 0,
+      negativeSentences,
+      sentences: sentences.map(({ text: sentenceText, score: sentenceScore, sentiment }) => ({
+        text: sentenceText,
+        score: sentenceScore,
+        sentiment,
+      })),
+    };
+  }
+}
+
+let defaultAnalyzer = null;
+
+/**
+ * Analyze sentiment of review text
+ */
+export function analyzeSentiment(text, options = {}) {
+  defaultAnalyzer ??= new SentimentAnalyzer();
+  return defaultAnalyzer.analyze(text, options);
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const categoryIndex = args.indexOf('--category');
+  const category = categoryIndex === -1 ? undefined : args.splice(categoryIndex, 2)[1];
+
+  if (args.length === 0) {
+    console.error('❌ Usage: node src/sentiment.js [--category <category>] <review text>');
+    process.exit(1);
+  }
+
+  const result = analyzeSentiment(args.join(' '), { category });
+  console.log(`${result.sentiment} (${result.score})${result.mixed ? ', mixed' : ''}`);
+  result.sentences.forEach(sentence => console.log(`   ${sentence.sentiment.padEnd(8)} ${String(sentence.score).padStart(6)}  ${sentence.text}`));
+}
+
+export default analyzeSentiment;
@@ -0,0 +1,549 @@
+#!/usr/bin/env node
+import { createServer } from 'http';
+import { existsSync, readFileSync } from 'fs';
+import { extname, join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { config } from 'dotenv';
+import { resolveConfig } from './config.js';
+import { outputPaths } from './pipeline.js';
+import LeadScorer from './scorer.js';
+import LeadExporter from './exporter.js';
+import LeadStore from './lead-store.js';
+import LeadStatusTracker, { LEAD_STATUSES } from './lead-status.js';
+import runPipeline from './index.js';
+import RunLock from './run-lock.js';
+import { cityFromAddress } from './address.js';
+import { filterByLocation, parsePoint } from './territories.js';
+
+config();
+
+/**
+ * LeadMiner API - Local HTTP server for scored leads and pipeline runs
+ * Also serves the dashboard (dashboard/) at /.
+ *
+ *   GET  /leads        Scored leads (filters: priority, category, minScore, maxScore,
+ *                      source, city, status, hidden, territory, rep, near + radiusKm;
+ *                      sort; page/pageSize; format=csv)
+ *   GET  /leads/:id    One lead with enrichment, scoringDetails, score history and activity
+ *   PUT  /leads/:id/status  Set the outreach status ({"status": "contacted", "note": "..."})
+ *   POST /leads/:id/notes   Add an activity note ({"note": "..."})
+ *   GET  /runs         Recorded runs plus runs started through the API
+ *   GET  /runs/:id     One run or API job
+ *   POST /runs         Start the pipeline (JSON body takes the RUN_KEYS config keys, e.g. {"demo": true})
+ *
+ * Requests must come from this machine's own pages: a Host other than the bound or
+ * loopback names (DNS rebinding) or a foreign Origin is refused, and bodies must be
+ * sent as application/json, which a cross-site form or text/plain fetch can't do.
+ */
+
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+const SORT_FIELDS = ['score', 'priority', 'rating', 'totalReviews', 'name', 'category', 'city', 'status'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+const MAX_BODY_BYTES = 1024 * 1024;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+// Config keys POST /runs accepts; notification, CRM, territory and output settings stay server-side
+const RUN_KEYS = [
+  'demo', 'seed', 'count', 'query', 'queries', 'location', 'locations', 'searches', 'campaign',
+  'maxResults', 'maxRating', 'minScore', 'top', 'profile', 'refresh',
+];
+
+const DASHBOARD_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'dashboard');
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+};
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+class LeadServer {
+  constructor(options = {}) {
+    this.flags = options.flags || {};
+    this.settings = resolveConfig(this.flags);
+    this.port = Number(options.port ?? process.env.API_PORT ?? 3000);
+    this.host = options.host || process.env.API_HOST || '127.0.0.1';
+    this.statusTracker = options.statusTracker || new LeadStatusTracker({ rules: this.settings.statusRules });
+    this.scorer = options.scorer || new LeadScorer(this.settings.profile || null, { statusTracker: this.statusTracker });
+    this.exporter = options.exporter || new LeadExporter({ statusTracker: this.statusTracker });
+    this.store = options.store || new LeadStore();
+    this.runPipeline = options.runPipeline || runPipeline;
+    this.runLock = options.runLock || new RunLock();
+    // Extra Host names to answer to (API_ALLOWED_HOSTS), e.g. when bound to 0.0.0.0
+    this.allowedHosts = [
+      ...LOOPBACK_HOSTS,
+      this.host,
+      ...(options.allowedHosts || (process.env.API_ALLOWED_HOSTS || '').split(',')),
+    ].map(host => host.trim().toLowerCase()).filter(Boolean);
+
+    this.jobs = new Map();
+    this.activeJob = null;
+    this.server = null;
+
+    this.routes = [
+      { method: 'GET', pattern: /^\/$/, handler: this.serveDashboard },
+      { method: 'GET', pattern: /^\/dashboard\/([\w-]+\.(?:html|js|css))$/, handler: this.serveDashboard },
+      { method: 'GET', pattern: /^\/leads\/?$/, handler: this.listLeads },
+      { method: 'GET', pattern: /^\/leads\/([^/]+)$/, handler: this.getLead },
+      { method: 'PUT', pattern: /^\/leads\/([^/]+)\/status$/, handler: this.setLeadStatus },
+      { method: 'POST', pattern: /^\/leads\/([^/]+)\/notes$/, handler: this.addLeadNote },
+      { method: 'GET', pattern: /^\/runs\/?$/, handler: this.listRuns },
+      { method: 'GET', pattern: /^\/runs\/([^/]+)$/, handler: this.getRun },
+      { method: 'POST', pattern: /^\/runs\/?$/, handler: this.startRun },
+    ];
+  }
+
+  /**
+   * Start listening; resolves once the port is bound
+   */
+  listen() {
+    this.server = createServer((req, res) => this.handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        console.log(`🌐 LeadMiner API listening on http://${this.host}:${this.port}`);
+        resolve(this.server);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  /**
+   * Route a request and write the JSON (or CSV/static file) response
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      this.checkOrigin(req);
+      const route = this.matchRoute(req.method, url.pathname);
+      const result = await route.handler.call(this, { req, url, params: route.params });
+
+      if (result.raw !== undefined) {
+        res.writeHead(200, { 'Content-Type': result.contentType });
+        res.end(result.raw);
+        return;
+      }
+
+      this.sendJson(res, result.status || 200, result.body, result.headers);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) {
+        console.error(`❌ ${req.method} ${url.pathname} failed:`, error.message);
+      }
+      this.sendJson(res, status, { error: error.message });
+    }
+  }
+
+  /**
+   * Refuse requests addressed to another host name or sent from another site's page
+   */
+  checkOrigin(req) {
+    const hostname = host => {
+      try {
+        return new URL(`http://${host}`).hostname;
+      } catch {
+        return null;
+      }
+    };
+
+    if (!this.allowedHosts.includes(hostname(req.headers.host || ''))) {
+      throw new HttpError(403, `Host not allowed: ${req.headers.host || '(none)'}`);
+    }
+
+    const origin = req.headers.origin;
+    if (origin === undefined) return;
+    let parsed = null;
+    try {
+      parsed = new URL(origin);
+    } catch {
+      // "null" and other opaque origins
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || parsed.host !== req.headers.host.toLowerCase()) {
+      throw new HttpError(403, `Origin not allowed: ${origin}`);
+    }
+  }
+
+  matchRoute(method, pathname) {
+    const matching = this.routes.filter(route => route.pattern.test(pathname));
+    if (matching.length === 0) {
+      throw new HttpError(404, `Not found: ${pathname}`);
+    }
+
+    const route = matching.find(candidate => candidate.method === method);
+    if (!route) {
+      throw new HttpError(405, `${method} not allowed on ${pathname}`);
+    }
+
+    let params;
+    try {
+      params = pathname.match(route.pattern).slice(1).map(decodeURIComponent);
+    } catch {
+      throw new HttpError(400, `Malformed path: ${pathname}`);
+    }
+    return { handler: route.handler, params };
+  }
+
+  sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  serveDashboard({ params: [file = 'index.html'] }) {
+    const filepath = join(DASHBOARD_DIR, file);
+    if (!existsSync(filepath)) {
+      throw new HttpError(404, `Not found: ${file}`);
+    }
+    return { raw: readFileSync(filepath), contentType: CONTENT_TYPES[extname(file)] };
+  }
+
+  /**
+   * Load the latest scored leads from the output directory, ranked by the
+   * current outreach status rules (leads they hide come last, flagged `outreach.hidden`)
+   */
+  loadLeads() {
+    const filepath = outputPaths(this.settings.outputDir).scored;
+    const leads = existsSync(filepath) ? this.scorer.loadLeads(filepath) : [];
+
+    return this.statusTracker.applyRules(leads, { includeHidden: true }).map(lead => ({
+      ...lead,
+      city: lead.city || cityFromAddress(lead.address),
+    }));
+  }
+
+  listLeads({ url }) {
+    const query = url.searchParams;
+    const all = this.loadLeads();
+    const leads = this.sortLeads(this.filterLeads(all, query), query.get('sort'));
+
+    if (query.get('format') === 'csv') {
+      return { raw: this.exporter.leadsToCsv(leads), contentType: 'text/csv; charset=utf-8' };
+    }
+
+    const { items, pagination } = this.paginate(leads, query);
+    return {
+      body: {
+        data: items.map(lead => ({
+          ...this.exporter.flattenLeadForCsv(lead),
+          city: lead.city,
+          hidden: lead.outreach.hidden,
+          hiddenUntil: lead.outreach.hiddenUntil,
+        })),
+        pagination,
+        facets: this.buildFacets(all),
+      },
+    };
+  }
+
+  /**
+   * Values available to filter on, across all leads
+   */
+  buildFacets(leads) {
+    const distinct = field => [...new Set(leads.map(lead => lead[field]).filter(Boolean))].sort();
+
+    return {
+      categories: distinct('category'),
+      cities: distinct('city'),
+      territories: [...new Set(leads.map(lead => lead.territory?.name).filter(Boolean))].sort(),
+      reps: [...new Set(leads.map(lead => lead.territory?.rep).filter(Boolean))].sort(),
+      sources: [...new Set(leads.flatMap(lead => lead.sources || [lead.source]))].sort(),
+      priorities: PRIORITIES,
+      statuses: LEAD_STATUSES,
+    };
+  }
+
+  async setLeadStatus({ req, params: [id] }) {
+    const { status, note } = await this.readJsonBody(req);
+    if (!LEAD_STATUSES.includes(status)) {
+      throw new HttpError(400, `status must be one of: ${LEAD_STATUSES.join(', ')}`);
+    }
+    this.requireLead(id);
+
+    return { body: { data: { id, ...this.statusTracker.setStatus(id, status, note || null) } } };
+  }
+
+  async addLeadNote({ req, params: [id] }) {
+    const { note } = await this.readJsonBody(req);
+    if (typeof note !== 'string' || !note.trim()) {
+      throw new HttpError(400, 'note must be a non-empty string');
+    }
+    this.requireLead(id);
+
+    return { status: 201, body: { data: { id, ...this.statusTracker.addNote(id, note) } } };
+  }
+
+  requireLead(id) {
+    const lead = this.loadLeads().find(candidate => candidate.id === id);
+    if (!lead) {
+      throw new HttpError(404, `Lead not found: ${id}`);
+    }
+    return lead;
+  }
+
+  getLead({ params: [id] }) {
+    const lead = this.requireLead(id);
+
+    const history = this.store.getLeadHistory(id).map(({ runId, recordedAt, lead: snapshot }) => ({
+      runId,
+      recordedAt,
+      score: snapshot.score,
+      priority: snapshot.priority,
+    }));
+
+    const { activity } = this.statusTracker.get(id);
+    return { body: { data: { ...lead, history, activity } } };
+  }
+
+  /**
+   * Apply the list filters from the query string
+   */
+  filterLeads(leads, query) {
+    const priorities = this.listParam(query, 'priority');
+    const unknown = priorities.filter(priority => !PRIORITIES.includes(priority));
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Unknown priority: ${unknown.join(', ')}. Use: ${PRIORITIES.join(', ')}`);
+    }
+
+    const category = query.get('category')?.toLowerCase();
+    const statuses = this.listParam(query, 'status');
+    const hidden = query.get('hidden');
+    const sources = this.listParam(query, 'source');
+    const city = query.get('city')?.toLowerCase();
+    const minScore = this.numberParam(query, 'minScore');
+    const maxScore = this.numberParam(query, 'maxScore');
+    const territory = this.listParam(query, 'territory');
+    const reps = this.listParam(query, 'rep').map(rep => rep.toLowerCase());
+    const near = query.get('near');
+    const radiusKm = this.numberParam(query, 'radiusKm');
+    if (near && (!parsePoint(near) || !radiusKm)) {
+      throw new HttpError(400, 'near must be "lat,lng" and needs radiusKm');
+    }
+
+    return filterByLocation(leads, { territory, near, radiusKm }).filter(lead => {
+      const leadSources = lead.sources || [lead.source];
+      const places = [lead.address, ...(lead.searches || []).map(search => search.location)];
+
+      return (priorities.length === 0 || priorities.includes(lead.priority))
+        && (!category || (lead.category || '').toLowerCase().includes(category))
+        && (statuses.length === 0 || statuses.includes(lead.status))
+        && (hidden === null || String(lead.outreach.hidden) === hidden)
+        && (sources.length === 0 || sources.some(source => leadSources.includes(source)))
+        && (!city || places.some(place => place && place.toLowerCase().includes(city)))
+        && (minScore === null || (lead.score || 0) >= minScore)
+        && (maxScore === null || (lead.score || 0) <= maxScore)
+        && (reps.length === 0 || reps.includes((lead.territory?.rep || '').toLowerCase()));
+    });
+  }
+
+  /**
+   * Sort by a field; prefix with "-" for descending (default: -score)
+   */
+  sortLeads(leads, sort) {
+    if (!sort) return leads;
+
+    const field = sort.replace(/^-/, '');
+    if (!SORT_FIELDS.includes(field)) {
+      throw new HttpError(400, `Cannot sort by "${field}". Use: ${SORT_FIELDS.join(', ')}`);
+    }
+
+    const direction = sort.startsWith('-') ? -1 : 1;
+    // Priorities sort by rank (low → critical), not alphabetically
+    const value = lead => (field === 'priority'
+      ? PRIORITIES.length - PRIORITIES.indexOf(lead.priority)
+      : lead[field] ?? '');
+
+    return [...leads].sort((a, b) => {
+      const left = value(a);
+      const right = value(b);
+      const order = typeof left === 'string' || typeof right === 'string'
+        ? String(left).localeCompare(String(right))
+        : left - right;
+      return order * direction;
+    });
+  }
+
+  paginate(items, query) {
+    const page = this.numberParam(query, 'page') ?? 1;
+    const pageSize = this.numberParam(query, 'pageSize') ?? DEFAULT_PAGE_SIZE;
+
+    if (!Number.isInteger(page) || page < 1) {
+      throw new HttpError(400, 'page must be a positive integer');
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      throw new HttpError(400, `pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const start = (page - 1) * pageSize;
+    return {
+      items: items.slice(start, start + pageSize),
+      pagination: {
+        page,
+        pageSize,
+        total: items.length,
+        totalPages: Math.ceil(items.length / pageSize),
+      },
+    };
+  }
+
+  listRuns() {
+    return {
+      body: {
+        data: [...this.store.listRuns()].reverse(),
+        jobs: [...this.jobs.values()].reverse(),
+      },
+    };
+  }
+
+  getRun({ params: [id] }) {
+    const run = this.jobs.get(id) || this.store.listRuns().find(candidate => candidate.id === id);
+    if (!run) {
+      throw new HttpError(404, `Run not found: ${id}`);
+    }
+    return { body: { data: run } };
+  }
+
+  /**
+   * Start a pipeline run in the background; one run at a time
+   */
+  async startRun({ req }) {
+    const body = await this.readJsonBody(req);
+    const unknown = Object.keys(body).filter(key => !RUN_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Unsupported run setting(s): ${unknown.join(', ')}. Use: ${RUN_KEYS.join(', ')}`);
+    }
+    if (body.profile !== undefined && typeof body.profile !== 'string') {
+      throw new HttpError(400, 'profile must be a scoring profile name');
+    }
+
+    // From here to setting activeJob nothing awaits, so two requests can't both start a run
+    if (this.activeJob) {
+      throw new HttpError(409, `Run ${this.activeJob.id} is still in progress`);
+    }
+    // A scheduled or manual run in another process
+    const holder = this.runLock.holder();
+    if (holder && holder.pid !== process.pid) {
+      throw new HttpError(409, `A pipeline run is in progress in another process (pid ${holder.pid}, ${holder.owner})`);
+    }
+
+    let settings;
+    try {
+      // Runs always write to the directory this server reads from
+      settings = resolveConfig({ ...this.flags, ...body, config: this.flags.config, outputDir: this.settings.outputDir });
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+
+    const job = {
+      id: `job_${this.jobs.size + 1}`,
+      status: 'running',
+      mode: settings.demo ? 'demo' : 'live',
+      queries: settings.queries,
+      locations: settings.locations,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      runId: null,
+      leadCount: null,
+      delta: null,
+      error: null,
+    };
+    this.jobs.set(job.id, job);
+    this.activeJob = job;
+
+    this.runPipeline(settings)
+      .then(result => {
+        Object.assign(job, {
+          status: 'completed',
+          runId: result?.run?.id ?? null,
+          leadCount: result?.scored?.length ?? null,
+          delta: result?.delta ? {
+            new: result.delta.new.length,
+            escalated: result.delta.escalated.length,
+            deescalated: result.delta.deescalated.length,
+            dropped: result.delta.dropped.length,
+          } : null,
+        });
+      })
+      .catch(error => {
+        Object.assign(job, { status: 'failed', error: error.message });
+        console.error(`❌ Run ${job.id} failed:`, error.message);
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        this.activeJob = null;
+      });
+
+    return { status: 202, body: { data: job }, headers: { Location: `/runs/${job.id}` } };
+  }
+
+  readJsonBody(req) {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+      req.resume();
+      return Promise.reject(new HttpError(415, 'Send the body as Content-Type: application/json'));
+    }
+
+    return new Promise((resolve, reject) => {
+      let raw = '';
+
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        raw += chunk;
+        if (raw.length > MAX_BODY_BYTES) {
+          reject(new HttpError(413, 'Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        if (!raw.trim()) return resolve({});
+        try {
+          const body = JSON.parse(raw);
+          if (typeof body !== 'object' || Array.isArray(body) || body === null) {
+            throw new Error('expected a JSON object');
+          }
+          resolve(body);
+        } catch (error) {
+          reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  listParam(query, name) {
+    return query.getAll(name).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+  }
+
+  numberParam(query, name) {
+    const value = query.get(name);
+    if (value === null || value === '') return null;
+
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+      throw new HttpError(400, `${name} must be a number (got "${value}")`);
+    }
+    return number;
+  }
+}
+
+// CLI execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    await new LeadServer().listen();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+export default LeadServer;
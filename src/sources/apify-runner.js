@@ -0,0 +1,163 @@
+import { parseDuration } from '../duration.js';
+
+/**
+ * Apify Runner - Actor calls and dataset reads shared by the source adapters
+ *
+ * Retries transient failures (network errors, 429/5xx, runs that FAILED or were
+ * ABORTED) with exponential backoff, gives every run a timeout, reads datasets
+ * page by page, and keeps the whole scrape within a spend and item budget:
+ *   - APIFY_RUN_TIMEOUT  run timeout on Apify ("10m"); a timed-out run keeps what it scraped
+ *   - APIFY_MAX_SPEND_USD  no new runs once this much was spent
+ *   - APIFY_MAX_ITEMS  dataset items read across all runs
+ *   - APIFY_RETRIES  extra attempts per call (default 2), backoff doubles from 2s
+ */
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 2000;
+const DEFAULT_RUN_TIMEOUT = '10m';
+const PAGE_SIZE = 1000;
+const NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_SOCKET'];
+
+export class ApifyRunError extends Error {
+  constructor(message, { actorId = null, run = null, retryable = false, kind = 'failed' } = {}) {
+    super(message);
+    this.name = 'ApifyRunError';
+    this.actorId = actorId;
+    this.run = run;
+    this.retryable = retryable;
+    // failed | budget
+    this.kind = kind;
+  }
+}
+
+/**
+ * Worth another attempt? Rate limits, server errors and dropped connections are;
+ * bad input, auth and missing credit (4xx) are not.
+ */
+export function isTransient(error) {
+  if (typeof error.retryable === 'boolean') return error.retryable;
+  if (error.statusCode) return error.statusCode === 429 || error.statusCode >= 500;
+  return NETWORK_ERRORS.includes(error.code) || NETWORK_ERRORS.includes(error.cause?.code);
+}
+
+function optionalNumber(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new Error(`${name} must be a number ≥ 0 (got "${value}")`);
+  }
+  return number;
+}
+
+class ApifyRunner {
+  /**
+   * `client` is an ApifyClient (or anything with the same actor()/dataset() shape)
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.retries = optionalNumber(options.retries ?? process.env.APIFY_RETRIES, 'retries') ?? DEFAULT_RETRIES;
+    this.backoffMs = options.backoffMs ?? DEFAULT_BACKOFF_MS;
+    this.timeoutMs = parseDuration(options.timeout || process.env.APIFY_RUN_TIMEOUT || DEFAULT_RUN_TIMEOUT);
+    this.maxSpendUsd = optionalNumber(options.maxSpendUsd ?? process.env.APIFY_MAX_SPEND_USD, 'maxSpendUsd');
+    this.maxItems = optionalNumber(options.maxItems ?? process.env.APIFY_MAX_ITEMS, 'maxItems');
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.usage = { runs: 0, retries: 0, timedOut: 0, items: 0, spentUsd: 0 };
+  }
+
+  /**
+   * Budget left before another run may start (null: unlimited)
+   */
+  remaining() {
+    return {
+      usd: this.maxSpendUsd === null ? null : Math.max(0, this.maxSpendUsd - this.usage.spentUsd),
+      items: this.maxItems === null ? null : Math.max(0, this.maxItems - this.usage.items),
+    };
+  }
+
+  checkBudget(actorId) {
+    const { usd, items } = this.remaining();
+    if (usd === 0) {
+      throw new ApifyRunError(`spend budget of $${this.maxSpendUsd} used up`, { actorId, kind: 'budget' });
+    }
+    if (items === 0) {
+      throw new ApifyRunError(`item budget of ${this.maxItems} used up`, { actorId, kind: 'budget' });
+    }
+  }
+
+  /**
+   * Run an actor to completion and return its run; a timed-out run is returned
+   * (with `timedOut`) so its partial dataset can still be read
+   */
+  async call(actorId, input) {
+    return this.withRetries(`${actorId} run`, async () => {
+      this.checkBudget(actorId);
+      const { usd, items } = this.remaining();
+
+      const run = await this.client.actor(actorId).call(input, {
+        timeout: Math.ceil(this.timeoutMs / 1000),
+        ...(items !== null && { maxItems: items }),
+        ...(usd !== null && { maxTotalChargeUsd: usd }),
+      });
+
+      this.usage.runs++;
+      this.usage.spentUsd += run.usageTotalUsd || 0;
+
+      if (run.status === 'TIMED-OUT') {
+        this.usage.timedOut++;
+        console.log(`⚠️  ${actorId} run ${run.id} timed out after ${Math.round(this.timeoutMs / 1000)}s, keeping its partial results`);
+        return { ...run, timedOut: true };
+      }
+      if (run.status !== 'SUCCEEDED') {
+        throw new ApifyRunError(`run ${run.id} ${String(run.status).toLowerCase()}${run.statusMessage ? `: ${run.statusMessage}` : ''}`, {
+          actorId,
+          run,
+          retryable: true,
+        });
+      }
+      return run;
+    });
+  }
+
+  /**
+   * Every item of a run's default dataset, read in pages, up to the item budget
+   */
+  async readDataset(run) {
+    const dataset = this.client.dataset(run.defaultDatasetId);
+    const items = [];
+
+    for (let offset = 0; ; offset = items.length) {
+      const left = this.remaining().items;
+      const limit = left === null ? PAGE_SIZE : Math.min(PAGE_SIZE, left);
+      if (limit === 0) {
+        console.log(`⚠️  Item budget of ${this.maxItems} reached, dataset ${run.defaultDatasetId} cut at ${items.length} items`);
+        break;
+      }
+
+      const page = await this.withRetries(`dataset ${run.defaultDatasetId}`, () => dataset.listItems({ offset, limit }));
+      items.push(...page.items);
+      this.usage.items += page.items.length;
+
+      const total = page.total ?? items.length;
+      if (page.items.length < limit || items.length >= total) break;
+    }
+
+    return items;
+  }
+
+  async withRetries(label, task) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await task();
+      } catch (error) {
+        if (error.kind === 'budget' || !isTransient(error) || attempt > this.retries) throw error;
+
+        const delay = this.backoffMs * 2 ** (attempt - 1);
+        this.usage.retries++;
+        console.log(`   ↻ ${label}: ${error.message} — retrying in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+}
+
+export default ApifyRunner;
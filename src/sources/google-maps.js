@@ -0,0 +1,82 @@
+import SourceAdapter from './source-adapter.js';
+import { toCoordinate } from '../geo.js';
+
+/**
+ * Google Maps source - Apify Google Maps Scraper actor
+ */
+
+const ACTOR_ID = 'nwua9Gu5YrADL7ZDj';
+
+class GoogleMapsSource extends SourceAdapter {
+  static id = 'google_maps';
+  static label = 'Google Maps';
+  static cacheTtl = '24h';
+
+  async fetch({ query, location, maxResults = 50, includeReviews = true }) {
+    return this.runActor(ACTOR_ID, {
+      searchStringsArray: [`${query} in ${location}`],
+      maxCrawledPlacesPerSearch: maxResults,
+      language: 'en',
+      includeReviews,
+      maxReviews: includeReviews ? 20 : 0, // Get recent reviews for analysis
+    });
+  }
+
+  /**
+   * Newest reviews of known places, only those published after `since` when given
+   */
+  async fetchReviews(places, { since = null } = {}) {
+    return this.runActor(ACTOR_ID, {
+      placeIds: places.map(place => place.placeId),
+      language: 'en',
+      includeReviews: true,
+      maxReviews: 20,
+      reviewsSort: 'newest',
+      ...(since && { reviewsStartDate: since }),
+    });
+  }
+
+  placeKey(place) {
+    return place.placeId || null;
+  }
+
+  reviewDate(review) {
+    return review.publishedAtDate || null;
+  }
+
+  /**
+   * Normalize Google Maps data to common format
+   */
+  normalize(place) {
+    const recentReviews = (place.reviews || []).slice(0, 10);
+    const category = place.categoryName || place.categories?.[0] || 'Business';
+    const coordinates = toCoordinate(place.location?.lat, place.location?.lng);
+
+    return {
+      id: `gm_${place.placeId}`,
+      source: GoogleMapsSource.id,
+      name: place.title,
+      rating: place.totalScore,
+      totalReviews: place.reviewsCount || 0,
+      category,
+      address: place.address,
+      coordinates: coordinates && { ...coordinates, source: GoogleMapsSource.id },
+      phone: place.phoneUnformatted || place.phone,
+      website: place.website,
+      email: place.email || null,
+      reviews: recentReviews.map(r => ({
+        rating: r.stars,
+        text: r.text,
+        date: r.publishedAtDate,
+        sentiment: this.analyzeSentiment(r.text, { category }),
+        ownerResponse: r.responseFromOwnerText || r.responseFromOwnerDate
+          ? { text: r.responseFromOwnerText || '', date: r.responseFromOwnerDate || null }
+          : null,
+      })),
+      url: place.url,
+      scrapedAt: new Date().toISOString(),
+    };
+  }
+}
+
+export default GoogleMapsSource;
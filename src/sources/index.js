@@ -0,0 +1,63 @@
+import SourceAdapter from './source-adapter.js';
+import GoogleMapsSource from './google-maps.js';
+import TripAdvisorSource from './tripadvisor.js';
+import ApifyRunner from './apify-runner.js';
+
+/**
+ * Source registry - Review platforms the scraper can pull leads from
+ * Register a new adapter with registerSource() and select it with SOURCES.
+ */
+
+const registry = new Map();
+
+/**
+ * Register a source adapter class under its static `id`
+ */
+export function registerSource(Adapter) {
+  if (!Adapter?.id) {
+    throw new Error('Source adapters need a static `id`');
+  }
+  if (typeof Adapter.prototype.fetch !== 'function' || typeof Adapter.prototype.normalize !== 'function') {
+    throw new Error(`Source "${Adapter.id}" must implement fetch() and normalize()`);
+  }
+
+  registry.set(Adapter.id, Adapter);
+}
+
+export function getSourceAdapter(id) {
+  return registry.get(id) || null;
+}
+
+export function listSources() {
+  return [...registry.keys()];
+}
+
+/**
+ * Turn a selection ("google_maps,tripadvisor", an array, or SOURCES) into source ids
+ */
+export function resolveSourceIds(selection = process.env.SOURCES) {
+  const ids = Array.isArray(selection)
+    ? selection
+    : (selection || '').split(',').map(id => id.trim()).filter(Boolean);
+
+  if (ids.length === 0) return listSources();
+
+  const unknown = ids.filter(id => !registry.has(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown source(s): ${unknown.join(', ')}. Available: ${listSources().join(', ')}`);
+  }
+
+  return ids;
+}
+
+/**
+ * Instantiate the selected adapters with a shared context
+ */
+export function createSources(selection, context) {
+  return resolveSourceIds(selection).map(id => new (registry.get(id))(context));
+}
+
+registerSource(GoogleMapsSource);
+registerSource(TripAdvisorSource);
+
+export { SourceAdapter, ApifyRunner };
@@ -0,0 +1,90 @@
+import ApifyRunner from './apify-runner.js';
+
+/**
+ * Source Adapter - Contract every review platform implements
+ *
+ * An adapter is a class with a static `id` (used in lead ids/`source` and in
+ * SOURCES config) and a static `label`, constructed with a shared context
+ * `{ client, apify, analyzeSentiment }`. Actor runs go through runActor(), which
+ * retries, times out and counts against the scrape budget (apify-runner.js).
+ * It must implement:
+ *   - fetch({ query, location, maxResults }) -> Promise<raw items[]>
+ *   - normalize(item) -> lead in the common shape (id, source, name, rating,
+ *     totalReviews, category, address, coordinates, phone, website, email, reviews, url, scrapedAt)
+ *
+ * For the place cache (place-cache.js) an adapter also implements placeKey(item),
+ * and for incremental runs fetchReviews(items, { since }) -> raw items carrying
+ * their reviews (only those newer than `since` when the platform can filter),
+ * with fetch() honouring `includeReviews: false`. `static cacheTtl` is how long
+ * its cached places are trusted.
+ */
+
+class SourceAdapter {
+  static id = null;
+  static label = null;
+  static cacheTtl = '24h';
+
+  constructor(context = {}) {
+    this.client = context.client;
+    this.apify = context.apify || new ApifyRunner(context.client);
+    this.analyzeSentiment = context.analyzeSentiment || (() => ({ score: 0, sentiment: 'neutral', sentences: [] }));
+  }
+
+  get id() {
+    return this.constructor.id;
+  }
+
+  get label() {
+    return this.constructor.label || this.constructor.id;
+  }
+
+  async fetch() {
+    throw new Error(`Source "${this.id}" does not implement fetch()`);
+  }
+
+  normalize() {
+    throw new Error(`Source "${this.id}" does not implement normalize()`);
+  }
+
+  /**
+   * Stable id of a raw item for the place cache (null: don't cache it)
+   */
+  placeKey() {
+    return null;
+  }
+
+  reviewsOf(item) {
+    return item.reviews || [];
+  }
+
+  withReviews(item, reviews) {
+    return { ...item, reviews };
+  }
+
+  reviewDate(review) {
+    return review.date || null;
+  }
+
+  /**
+   * Identity of a raw review, to merge newly fetched reviews into cached ones
+   */
+  reviewKey(review) {
+    return review.id || review.reviewId || `${this.reviewDate(review)}|${String(review.text || '').slice(0, 80)}`;
+  }
+
+  /**
+   * Helper: Run an Apify actor and read every item of its default dataset
+   */
+  async runActor(actorId, input) {
+    return this.readDataset(await this.apify.call(actorId, input));
+  }
+
+  /**
+   * Helper: Read every item of an Apify run's default dataset, page by page
+   */
+  async readDataset(run) {
+    return this.apify.readDataset(run);
+  }
+}
+
+export default SourceAdapter;
@@ -0,0 +1,85 @@
+import SourceAdapter from './source-adapter.js';
+import { toCoordinate } from '../geo.js';
+
+/**
+ * TripAdvisor source - Apify TripAdvisor Scraper actor
+ */
+
+const ACTOR_ID = 'maxcopell/tripadvisor';
+
+class TripAdvisorSource extends SourceAdapter {
+  static id = 'tripadvisor';
+  static label = 'TripAdvisor';
+  // Listings and reviews move slower than on Google Maps
+  static cacheTtl = '7d';
+
+  async fetch({ query, location, maxResults = 50, includeReviews = true }) {
+    return this.runActor(ACTOR_ID, {
+      locationFullName: location,
+      searchQuery: query,
+      maxItems: maxResults,
+      includeReviews,
+      maxReviews: includeReviews ? 20 : 0,
+    });
+  }
+
+  /**
+   * Latest reviews of known places; the actor can't filter by date, so `since`
+   * is left to the cache, which keeps only reviews it hasn't seen
+   */
+  async fetchReviews(places) {
+    // Places without a URL can't be asked for; the cache counts them as fetched
+    const startUrls = places.filter(place => place.webUrl || place.url).map(place => ({ url: place.webUrl || place.url }));
+    if (startUrls.length === 0) return [];
+
+    return this.runActor(ACTOR_ID, {
+      startUrls,
+      includeReviews: true,
+      maxReviews: 20,
+    });
+  }
+
+  placeKey(place) {
+    return place.id || place.locationId ? String(place.id || place.locationId) : null;
+  }
+
+  reviewDate(review) {
+    return review.publishedDate || null;
+  }
+
+  /**
+   * Normalize TripAdvisor data to common format
+   */
+  normalize(place) {
+    const recentReviews = (place.reviews || []).slice(0, 10);
+    const category = place.category || 'Business';
+    const coordinates = toCoordinate(place.latitude, place.longitude);
+
+    return {
+      id: `ta_${place.id || place.locationId}`,
+      source: TripAdvisorSource.id,
+      name: place.name || place.title,
+      rating: place.rating,
+      totalReviews: place.numberOfReviews || 0,
+      category,
+      address: place.address,
+      coordinates: coordinates && { ...coordinates, source: TripAdvisorSource.id },
+      phone: place.phone,
+      website: place.website,
+      email: place.email || null,
+      reviews: recentReviews.map(r => ({
+        rating: r.rating,
+        text: r.text || r.title,
+        date: r.publishedDate,
+        sentiment: this.analyzeSentiment(r.text || r.title, { category }),
+        ownerResponse: r.ownerResponse
+          ? { text: r.ownerResponse.text || '', date: r.ownerResponse.publishedDate || null }
+          : null,
+      })),
+      url: place.url,
+      scrapedAt: new Date().toISOString(),
+    };
+  }
+}
+
+export default TripAdvisorSource;
@@ -0,0 +1,176 @@
+import { readFileSync, existsSync } from 'fs';
+import { dirname, extname, resolve } from 'path';
+import yaml from 'js-yaml';
+import { haversineKm, pointInGeometry, isCoordinate, toCoordinate } from './geo.js';
+
+/**
+ * Territories - Named sales areas (a radius around a point, or GeoJSON polygons)
+ * Each territory can name the rep who works it; leads are assigned to the first
+ * territory that contains them.
+ */
+
+export class TerritoryError extends Error {
+  constructor(source, issues) {
+    super(`Invalid territories ${source}:\n  - ${issues.join('\n  - ')}`);
+    this.name = 'TerritoryError';
+    this.source = source;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Parse "30.27,-97.74" (or { lat, lng }) into a coordinate
+ */
+export function parsePoint(value) {
+  if (isCoordinate(value)) return value;
+  const [lat, lng] = String(value ?? '').split(',');
+  return toCoordinate(lat, lng);
+}
+
+function readStructured(filepath) {
+  const raw = readFileSync(filepath, 'utf8');
+  return ['.json', '.geojson'].includes(extname(filepath).toLowerCase()) ? JSON.parse(raw) : yaml.load(raw);
+}
+
+/**
+ * Polygon or MultiPolygon geometries from a GeoJSON object (Feature, FeatureCollection or bare geometry)
+ */
+function geometriesOf(geojson) {
+  if (!geojson || typeof geojson !== 'object') return [];
+  if (geojson.type === 'FeatureCollection') return (geojson.features || []).flatMap(geometriesOf);
+  if (geojson.type === 'Feature') return geometriesOf(geojson.geometry);
+  return ['Polygon', 'MultiPolygon'].includes(geojson.type) ? [geojson] : [];
+}
+
+/**
+ * Load territory definitions from a YAML/JSON file (a list, or `{ territories: [...] }`)
+ */
+export function loadTerritories(filepath = process.env.TERRITORIES) {
+  if (!filepath) return [];
+  if (!existsSync(filepath)) {
+    throw new TerritoryError(filepath, ['file not found']);
+  }
+
+  let data;
+  try {
+    data = readStructured(filepath);
+  } catch (error) {
+    throw new TerritoryError(filepath, [error.message]);
+  }
+
+  return compileTerritories(Array.isArray(data) ? data : data?.territories, filepath);
+}
+
+/**
+ * Check definitions and resolve their shapes; `geojson` may be inline or a path
+ * relative to the territories file
+ */
+export function compileTerritories(definitions, source = 'config', baseDir = dirname(source)) {
+  if (!Array.isArray(definitions)) {
+    throw new TerritoryError(source, ['expected a list of territories']);
+  }
+
+  const issues = [];
+  const names = new Set();
+
+  const territories = definitions.map((definition, idx) => {
+    const label = definition?.name ? `"${definition.name}"` : `#${idx + 1}`;
+    if (!definition?.name) issues.push(`territory ${label}: name is required`);
+    if (names.has(definition?.name)) issues.push(`territory ${label}: duplicate name`);
+    names.add(definition?.name);
+
+    const territory = { name: definition?.name, rep: definition?.rep || null };
+
+    if (definition?.center !== undefined || definition?.radiusKm !== undefined) {
+      territory.center = parsePoint(definition.center);
+      territory.radiusKm = parseFloat(definition.radiusKm);
+      if (!territory.center) issues.push(`territory ${label}: center must be "lat,lng" or { lat, lng }`);
+      if (!(territory.radiusKm > 0)) issues.push(`territory ${label}: radiusKm must be a positive number`);
+    } else if (definition?.geojson) {
+      try {
+        const geojson = typeof definition.geojson === 'string'
+          ? readStructured(resolve(baseDir, definition.geojson))
+          : definition.geojson;
+        territory.geometries = geometriesOf(geojson);
+        if (territory.geometries.length === 0) issues.push(`territory ${label}: geojson has no Polygon or MultiPolygon`);
+      } catch (error) {
+        issues.push(`territory ${label}: could not read geojson (${error.message})`);
+      }
+    } else {
+      issues.push(`territory ${label}: needs center + radiusKm or geojson`);
+    }
+
+    return territory;
+  });
+
+  if (issues.length > 0) {
+    throw new TerritoryError(source, issues);
+  }
+  return territories;
+}
+
+class TerritoryMap {
+  /**
+   * `territories` is a list of definitions or a path to a territories file;
+   * falls back to TERRITORIES
+   */
+  constructor(territories = process.env.TERRITORIES) {
+    this.territories = typeof territories === 'string' || territories === undefined
+      ? loadTerritories(territories)
+      : compileTerritories(territories, 'config', process.cwd());
+  }
+
+  get size() {
+    return this.territories.length;
+  }
+
+  contains(territory, point) {
+    if (territory.center) return haversineKm(territory.center, point) <= territory.radiusKm;
+    return territory.geometries.some(geometry => pointInGeometry(point, geometry));
+  }
+
+  /**
+   * The territory (and rep) a lead falls in, or null
+   */
+  assign(lead) {
+    const point = lead.coordinates;
+    if (!isCoordinate(point)) return null;
+
+    const territory = this.territories.find(candidate => this.contains(candidate, point));
+    if (!territory) return null;
+
+    return {
+      name: territory.name,
+      rep: territory.rep,
+      distanceKm: territory.center ? parseFloat(haversineKm(territory.center, point).toFixed(1)) : null,
+    };
+  }
+
+  assignAll(leads) {
+    if (this.size === 0) return leads;
+
+    const assigned = leads.map(lead => ({ ...lead, territory: this.assign(lead) }));
+    const matched = assigned.filter(lead => lead.territory).length;
+    console.log(`🗺️  Territories: ${matched}/${leads.length} leads fall in one of ${this.size} territories`);
+    return assigned;
+  }
+}
+
+/**
+ * Keep leads in the named territories and/or within `radiusKm` of `near`
+ * Leads without coordinates never match a geographic filter.
+ */
+export function filterByLocation(leads, { territory = [], near = null, radiusKm = null } = {}) {
+  const names = new Set(territory.map(name => name.toLowerCase()));
+  const center = near ? parsePoint(near) : null;
+
+  return leads.filter(lead => {
+    if (names.size > 0 && !names.has(lead.territory?.name?.toLowerCase())) return false;
+    if (center && radiusKm) {
+      return isCoordinate(lead.coordinates) && haversineKm(center, lead.coordinates) <= radiusKm;
+    }
+    return true;
+  });
+}
+
+export default TerritoryMap;
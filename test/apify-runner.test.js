@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ApifyRunner from '../src/sources/apify-runner.js';
+import ReviewScraper from '../src/review-scraper.js';
+
+function httpError(statusCode) {
+  return Object.assign(new Error(`HTTP ${statusCode}`), { statusCode });
+}
+
+// Fake Apify client: each actor call takes the next outcome (a run, or an error to throw)
+function fakeClient(outcomes, datasets = {}) {
+  const client = {
+    calls: [],
+    pages: [],
+    actor: actorId => ({
+      call: async (input, options) => {
+        client.calls.push({ actorId, input, options });
+        const outcome = outcomes.shift();
+        if (outcome instanceof Error) throw outcome;
+        return { defaultDatasetId: 'ds', usageTotalUsd: 0, ...outcome };
+      },
+    }),
+    dataset: id => ({
+      listItems: async ({ offset, limit }) => {
+        client.pages.push({ offset, limit });
+        const items = datasets[id] || [];
+        return { items: items.slice(offset, offset + limit), total: items.length };
+      },
+    }),
+  };
+  return client;
+}
+
+function runner(client, options = {}) {
+  const delays = [];
+  const apify = new ApifyRunner(client, { retries: 2, backoffMs: 100, sleep: async ms => { delays.push(ms); }, ...options });
+  return { apify, delays };
+}
+
+test('retries 429 and 5xx responses with doubling backoff', async () => {
+  const client = fakeClient([httpError(429), httpError(503), { id: 'run1', status: 'SUCCEEDED' }]);
+  const { apify, delays } = runner(client);
+
+  const run = await apify.call('actor', {});
+  assert.equal(run.id, 'run1');
+  assert.equal(client.calls.length, 3);
+  assert.deepEqual(delays, [100, 200]);
+  assert.equal(apify.usage.retries, 2);
+});
+
+test('retries runs that end FAILED and gives up after the last attempt', async () => {
+  const client = fakeClient([
+    { id: 'run1', status: 'FAILED', statusMessage: 'crashed' },
+    { id: 'run2', status: 'ABORTED' },
+    { id: 'run3', status: 'FAILED' },
+  ]);
+  const { apify } = runner(client);
+
+  await assert.rejects(apify.call('actor', {}), { name: 'ApifyRunError', message: 'run run3 failed' });
+  assert.equal(client.calls.length, 3);
+  assert.equal(apify.usage.runs, 3);
+});
+
+test('does not retry auth and not-found errors', async () => {
+  for (const statusCode of [401, 404]) {
+    const client = fakeClient([httpError(statusCode), { id: 'run1', status: 'SUCCEEDED' }]);
+    const { apify, delays } = runner(client);
+
+    await assert.rejects(apify.call('actor', {}), { statusCode });
+    assert.equal(client.calls.length, 1);
+    assert.deepEqual(delays, []);
+  }
+});
+
+test('keeps the partial dataset of a timed-out run', async () => {
+  const client = fakeClient([{ id: 'run1', status: 'TIMED-OUT' }], { ds: [{ id: 'a' }, { id: 'b' }] });
+  const { apify } = runner(client, { timeout: '90s' });
+
+  const run = await apify.call('actor', {});
+  assert.equal(run.timedOut, true);
+  assert.equal(client.calls[0].options.timeout, 90);
+  assert.deepEqual(await apify.readDataset(run), [{ id: 'a' }, { id: 'b' }]);
+  assert.equal(apify.usage.timedOut, 1);
+});
+
+test('reads datasets larger than one page', async () => {
+  const items = Array.from({ length: 2500 }, (_, i) => ({ id: i }));
+  const client = fakeClient([], { ds: items });
+  const { apify } = runner(client);
+
+  const read = await apify.readDataset({ defaultDatasetId: 'ds' });
+  assert.equal(read.length, 2500);
+  assert.deepEqual(read.at(-1), { id: 2499 });
+  assert.deepEqual(client.pages.map(page => page.offset), [0, 1000, 2000]);
+  assert.equal(apify.usage.items, 2500);
+});
+
+test('cuts datasets at the item budget and passes what is left to the next run', async () => {
+  const client = fakeClient([{ id: 'run1', status: 'SUCCEEDED' }], { ds: Array.from({ length: 50 }, (_, i) => ({ id: i })) });
+  const { apify } = runner(client, { maxItems: 30 });
+
+  const run = await apify.call('actor', {});
+  assert.equal(client.calls[0].options.maxItems, 30);
+  assert.equal((await apify.readDataset(run)).length, 30);
+  await assert.rejects(apify.call('actor', {}), { kind: 'budget' });
+  assert.equal(client.calls.length, 1);
+});
+
+test('reports searches past the spend budget as skipped', async () => {
+  const client = fakeClient([{ id: 'run1', status: 'SUCCEEDED', usageTotalUsd: 1.5 }]);
+  const scraper = new ReviewScraper('token', { client, cache: null, sources: ['google_maps', 'tripadvisor'], maxSpendUsd: 1 });
+  scraper.apify.sleep = async () => {};
+
+  for (const source of scraper.sources) {
+    await scraper.scrapeSource(source, 'restaurants', 'Austin, TX');
+  }
+
+  const report = scraper.getRunReport();
+  assert.deepEqual(report.searches.map(entry => entry.status), ['empty', 'skipped']);
+  assert.match(report.searches[1].error, /spend budget of \$1 used up/);
+  assert.equal(client.calls.length, 1);
+});
+
+test('scrapeAll fails when every source failed but not when no source ran', async () => {
+  const client = fakeClient([httpError(401), httpError(401)]);
+  const scraper = new ReviewScraper('token', { client, cache: null, sources: ['google_maps', 'tripadvisor'] });
+
+  await assert.rejects(scraper.scrapeAll('restaurants', 'Austin, TX', 10, null), /every source failed/);
+
+  scraper.sources = [];
+  assert.deepEqual(await scraper.scrapeAll('cafes', 'Austin, TX', 10, null), []);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ReputationAudit from '../src/audit.js';
+
+const audit = new ReputationAudit({ company: 'Acme & Sons', now: () => new Date('2026-10-01T12:00:00Z') });
+
+test('escapes lead, review and brand text', () => {
+  const html = audit.render({
+    name: 'Bob\'s <script>alert(1)</script> Diner',
+    category: 'Restaurant',
+    address: '1 Main St, Austin, TX 78701',
+    rating: 3.1,
+    totalReviews: 40,
+    priority: 'high',
+    enrichment: {
+      complaintAspects: {
+        aspects: [{ label: 'Food quality', mention: 'the food', share: 0.5, examples: [{ quote: 'Fries were "cold" & <soggy>' }] }],
+      },
+    },
+  });
+
+  assert.match(html, /<title>Reputation audit – Bob&#39;s &lt;script&gt;alert\(1\)&lt;\/script&gt; Diner<\/title>/);
+  assert.match(html, /<blockquote>“Fries were &quot;cold&quot; &amp; &lt;soggy&gt;”<\/blockquote>/);
+  assert.match(html, /<strong>Acme &amp; Sons<\/strong><div class="meta">Oct 1, 2026<\/div>/);
+  assert.doesNotMatch(html, /<script>|<soggy>/);
+});
+
+test('a lead with no enrichment gets the empty-data notes', () => {
+  const html = audit.render({ name: 'Quiet Cafe', priority: 'low' });
+
+  assert.match(html, /Not enough comparable businesses were found nearby/);
+  assert.match(html, /Not enough dated reviews yet to chart a trend/);
+  assert.match(html, /No recurring complaint themes/);
+  assert.match(html, /No reviews to assess/);
+  assert.match(html, /<li>Keep replying to reviews and asking satisfied customers to leave one\.<\/li>/);
+  assert.match(html, /Local standing<b>—<\/b><span>percentile<\/span>/);
+  assert.doesNotMatch(html, /undefined|null|NaN/);
+});
+
+test('a benchmarked lead without a rating has no percentile', () => {
+  const html = audit.render({
+    name: 'New Place',
+    category: 'Cafe',
+    address: '9 Oak St, Austin, TX',
+    priority: 'medium',
+    enrichment: {
+      benchmark: { scope: 'city', peers: 6, ratingPercentile: null, reviewVolumePercentile: null, medianRating: 4.2, ratingGap: null, topCompetitors: [] },
+    },
+  });
+
+  assert.match(html, /Local standing<b>—<\/b><span>percentile<\/span>/);
+  assert.match(html, /No rating yet to compare with the median of 6 cafe businesses in Austin\./);
+  assert.doesNotMatch(html, /nullth|undefined|Collect more reviews/);
+});
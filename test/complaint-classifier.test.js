@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ComplaintClassifier, { validateComplaintAspects, compileTerm } from '../src/complaint-classifier.js';
+
+const classifier = new ComplaintClassifier();
+const aspects = (text, category) => classifier.classifyReview({ text }, category).map(hit => hit.aspect).sort();
+
+test('finds each aspect a review complains about', () => {
+  const [service, waitTime] = classifier.classifyReview({ text: 'Waited forever for a table. The host was rude.' }, 'Dentist')
+    .sort((a, b) => a.aspect.localeCompare(b.aspect));
+
+  assert.deepEqual(service, { aspect: 'service', terms: ['rude'], quote: 'The host was rude.' });
+  assert.equal(waitTime.aspect, 'waitTime');
+  assert.deepEqual(waitTime.terms.sort(), ['forever', 'waited']);
+  assert.deepEqual(aspects('They overcharged us and the bathroom smelled', 'Dentist'), ['cleanliness', 'price']);
+});
+
+test('negation on either side cancels a complaint', () => {
+  assert.deepEqual(aspects("The room wasn't dirty", 'Dentist'), []);
+  assert.deepEqual(aspects('No wait at all', 'Dentist'), []);
+  assert.deepEqual(aspects("The wait wasn't long", 'Dentist'), []);
+  // ...but only within its clause
+  assert.deepEqual(aspects('Not cheap, and the staff were rude', 'Dentist'), ['service']);
+});
+
+test('praise only counts when negated', () => {
+  assert.deepEqual(aspects('Very clean and friendly', 'Dentist'), []);
+  assert.deepEqual(classifier.classifyReview({ text: 'The office was not clean' }, 'Dentist')[0].terms, ['not clean']);
+});
+
+test('category overrides add terms and rename aspects', () => {
+  const [hit] = classifier.classifyReview({ text: 'My pasta was cold' }, 'Italian Restaurant');
+  assert.equal(hit.aspect, 'quality');
+  assert.equal(classifier.buildProfile([{ text: 'My pasta was cold', rating: 1 }], 'Italian Restaurant').aspects[0].label, 'Food quality');
+
+  assert.deepEqual(aspects('The house is still cold', 'HVAC contractor'), []);
+  assert.deepEqual(aspects('The pipe is still leaking', 'Plumber'), ['quality']);
+  assert.deepEqual(aspects('The pipe is still leaking', 'Italian Restaurant'), []);
+});
+
+test('terms only match whole words', () => {
+  assert.deepEqual(aspects('The soup could have been colder', 'Italian Restaurant'), []);
+  assert.deepEqual(aspects('Our waitress was lovely', 'Italian Restaurant'), []);
+  assert.equal(compileTerm('overcharg*').test('overcharging'), true);
+  assert.equal(compileTerm('rude').test('prudent'), false);
+});
+
+test('builds a profile ranked by how many reviews mention each aspect', () => {
+  const profile = classifier.buildProfile([
+    { text: 'Rude staff.', rating: 1, date: '2026-09-01' },
+    { text: 'So rude, and we waited an hour.', rating: 1, date: '2026-09-20' },
+    { text: 'Just not for me.', rating: 2, date: '2026-09-10' },
+  ], 'Dentist');
+
+  assert.equal(profile.reviewsClassified, 2);
+  assert.equal(profile.topAspect, 'service');
+  assert.deepEqual(profile.aspects.map(entry => [entry.aspect, entry.count]), [['service', 2], ['waitTime', 1]]);
+  assert.equal(profile.aspects[0].examples[0].date, '2026-09-20');
+});
+
+test('reports every problem in an aspects config', () => {
+  const issues = validateComplaintAspects({
+    aspects: { service: { terms: [] } },
+    categories: [{ match: [], aspects: { unknown: { add: 'cold' } } }],
+  });
+
+  assert.deepEqual(issues, [
+    'aspect "service" needs a label',
+    'aspect "service" needs at least one term',
+    'categories[0] needs a `match` list of category names',
+    'categories[0] overrides unknown aspect "unknown"',
+    'categories[0].aspects.unknown.add must be a list of terms',
+  ]);
+});
@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import ContactCrawler from '../src/contact-crawler.js';
+
+const PAGES = {
+  '/robots.txt': 'User-agent: *\nDisallow: /private\nAllow: /private/open\n',
+  '/': `<html><body>
+    <a href="/get-in-touch">Reach the team</a>
+    <a href="/private/staff">Contact the owners</a>
+    <a href="mailto:sales%ZZ@shop.test">Broken link</a>
+    <a href="https://www.instagram.com/shoptest">Instagram</a>
+    <a href="https://www.facebook.com/sharer/sharer.php?u=x">Share</a>
+    <p>Orders: orders [at] shop [dot] test</p>
+  </body></html>`,
+  '/get-in-touch': `<html><body>
+    <a href="mailto:hello@shop.test?subject=Hi">Email us</a>
+    <a href="tel:+1%20512-555-0199">Call</a>
+    <p>Bookings: bookings at shop dot test</p>
+  </body></html>`,
+  '/private/staff': '<a href="mailto:owner@shop.test">Owner</a>',
+};
+
+let server;
+let baseUrl;
+let bigPage = { requested: false, closedEarly: false };
+
+before(async () => {
+  server = createServer((req, res) => {
+    if (req.url === '/big') {
+      // Endless page: only a crawler that stops reading ends this response
+      bigPage.requested = true;
+      res.writeHead(200, { 'content-type': 'text/html' });
+      res.on('close', () => { bigPage.closedEarly = !res.writableFinished; });
+      const chunk = `<p>${'x'.repeat(16 * 1024)}</p>`;
+      const write = () => {
+        if (res.destroyed) return;
+        if (res.write(chunk)) setImmediate(write);
+        else res.once('drain', write);
+      };
+      write();
+      return;
+    }
+
+    const page = PAGES[req.url];
+    if (page === undefined) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': req.url.endsWith('.txt') ? 'text/plain' : 'text/html' }).end(page);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('finds contacts on the homepage and discovered contact pages', async () => {
+  const found = await new ContactCrawler({ maxPages: 6 }).crawl(baseUrl);
+
+  assert.ok(found.pagesCrawled.includes(`${baseUrl}/get-in-touch`));
+  assert.deepEqual(found.emails.map(email => email.address).sort(), ['bookings@shop.test', 'hello@shop.test', 'orders@shop.test']);
+  assert.equal(found.emails.find(email => email.address === 'hello@shop.test').method, 'mailto');
+  assert.equal(found.emails.find(email => email.address === 'orders@shop.test').method, 'obfuscated');
+  assert.ok(found.emails.every(email => email.emailType === 'found_on_page'));
+  assert.equal(found.phones[0].number, '+1 512-555-0199');
+  assert.equal(found.socialProfiles.instagram.url, 'https://www.instagram.com/shoptest');
+  assert.equal(found.socialProfiles.facebook, undefined);
+});
+
+test('skips pages robots.txt disallows', async () => {
+  const found = await new ContactCrawler({ maxPages: 6 }).crawl(baseUrl);
+
+  assert.ok(!found.pagesCrawled.includes(`${baseUrl}/private/staff`));
+  assert.ok(found.errors.some(error => error.url === `${baseUrl}/private/staff` && /robots/.test(error.error)));
+  assert.ok(!found.emails.some(email => email.address === 'owner@shop.test'));
+});
+
+test('records malformed mailto links instead of failing', async () => {
+  const found = await new ContactCrawler({ maxPages: 1 }).crawl(baseUrl);
+  assert.ok(found.errors.some(error => /malformed link/.test(error.error)));
+});
+
+test('stops reading a page at maxBodyBytes', async () => {
+  const crawler = new ContactCrawler({ maxPages: 1, maxBodyBytes: 64 * 1024, timeoutMs: 5000 });
+  const result = { errors: [] };
+  const body = await crawler.fetchPage(`${baseUrl}/big`, result);
+
+  assert.equal(Buffer.byteLength(body), 64 * 1024);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.ok(bigPage.requested && bigPage.closedEarly);
+});
+
+test('one failing site does not sink the batch', async () => {
+  const crawler = new ContactCrawler({ maxPages: 2 });
+  crawler.crawl = async website => {
+    if (website === 'boom.test') throw new Error('boom');
+    return ContactCrawler.prototype.crawl.call(crawler, website);
+  };
+
+  const leads = await crawler.crawlLeads([{ id: 'a', website: 'boom.test' }, { id: 'b', website: baseUrl }]);
+  assert.equal(leads[0].discoveredContacts.errors[0].error, 'boom');
+  assert.ok(leads[1].discoveredContacts.pagesCrawled.length > 0);
+});
@@ -0,0 +1,105 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { exportToCrm, ExternalIdStore, CrmPusher } from '../src/crm/index.js';
+import { createMockCrmServer } from '../src/crm/mock-server.js';
+import { exportLeads } from '../src/pipeline.js';
+import LeadStatusTracker from '../src/lead-status.js';
+
+let dir;
+let mock;
+let url;
+
+const lead = (id, extra = {}) => ({
+  id,
+  name: `Business ${id}`,
+  source: 'google_maps',
+  score: 80,
+  priority: 'high',
+  address: '12 Main St, Austin, TX 78701',
+  ...extra,
+});
+
+// One export as `lead-miner crm salesforce --push` does it, with a fresh id store read from disk
+function push(leads, options = {}) {
+  return exportToCrm(leads, {
+    crm: 'salesforce',
+    dir: join(dir, 'crm'),
+    push: true,
+    externalIds: new ExternalIdStore({ file: join(dir, 'external-ids.json') }),
+    pusher: new CrmPusher({ url }),
+    ...options,
+  });
+}
+
+before(async () => {
+  mock = createMockCrmServer();
+  await new Promise(resolve => mock.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${mock.address().port}/records`;
+});
+
+after(async () => {
+  rmSync(dir, { recursive: true, force: true });
+  await new Promise(resolve => mock.close(resolve));
+});
+
+beforeEach(() => {
+  if (dir) rmSync(dir, { recursive: true, force: true });
+  dir = mkdtempSync(join(tmpdir(), 'lead-miner-crm-'));
+  mock.records.clear();
+});
+
+test('pushing the same leads twice updates them instead of duplicating', async () => {
+  const leads = [lead('gm_1'), lead('gm_2')];
+
+  const first = await push(leads);
+  const second = await push(leads);
+
+  assert.deepEqual(first.pushed.map(({ created, updated }) => ({ created, updated })), [{ created: 2, updated: 0 }]);
+  assert.deepEqual(second.pushed.map(({ created, updated }) => ({ created, updated })), [{ created: 0, updated: 2 }]);
+  assert.deepEqual([...mock.records.get('Lead').keys()].sort(), ['lm_gm_1', 'lm_gm_2']);
+});
+
+test('a lead keeps its external id when its primary listing changes', async () => {
+  await push([lead('ta_1', { source: 'tripadvisor' })]);
+  const second = await push([lead('gm_9', { mergedIds: ['gm_9', 'ta_1'] })]);
+
+  assert.deepEqual(second.pushed.map(({ created, updated }) => ({ created, updated })), [{ created: 0, updated: 1 }]);
+  assert.deepEqual([...mock.records.get('Lead').keys()], ['lm_ta_1']);
+});
+
+test('leads marked do-not-contact after reaching the CRM are updated there', async () => {
+  const statusTracker = new LeadStatusTracker({ dir: join(dir, 'store') });
+  const externalIds = () => new ExternalIdStore({ file: join(dir, 'external-ids.json') });
+  const run = leads => exportLeads(leads, {
+    outputDir: dir,
+    formats: ['crm'],
+    crm: 'salesforce',
+    crmPush: true,
+    statusTracker,
+    externalIds: externalIds(),
+    crmPusher: new CrmPusher({ url }),
+  });
+
+  await run([lead('gm_1')]);
+  statusTracker.setStatus('gm_1', 'do-not-contact');
+  statusTracker.setStatus('gm_2', 'do-not-contact');
+  await run([lead('gm_1'), lead('gm_2')]);
+
+  const records = mock.records.get('Lead');
+  assert.equal(records.get('lm_gm_1').DoNotCall, true);
+  assert.equal(records.get('lm_gm_1').HasOptedOutOfEmail, true);
+  // Never exported before, so it is not sent at all
+  assert.equal(records.has('lm_gm_2'), false);
+});
+
+test('a corrupt external id file is never overwritten', async () => {
+  const file = join(dir, 'external-ids.json');
+  writeFileSync(file, '{"gm_1": "lm_gm_1"');
+
+  await assert.rejects(push([lead('gm_1')]), /Could not read CRM external ids/);
+  assert.equal(readFileSync(file, 'utf8'), '{"gm_1": "lm_gm_1"');
+  assert.equal(mock.records.size, 0);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextRun, CronError } from '../src/cron.js';
+
+test('parses lists, ranges, steps and names', () => {
+  const cron = parseCron('*/20 9-17/4 * jan,jul mon-fri');
+  assert.deepEqual([...cron.minutes], [0, 20, 40]);
+  assert.deepEqual([...cron.hours], [9, 13, 17]);
+  assert.deepEqual([...cron.months], [1, 7]);
+  assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+});
+
+test('rejects empty list entries and empty values', () => {
+  [',5 * * * *', '5, * * * *', '1,,2 * * * *', '-5 * * * *', '/15 * * * *'].forEach(expression => {
+    assert.throws(() => parseCron(expression), CronError, expression);
+  });
+});
+
+test('finds the next slot, and none for impossible dates', () => {
+  assert.deepEqual(nextRun('30 9 * * *', new Date(2026, 9, 1, 9, 30)), new Date(2026, 9, 2, 9, 30));
+  assert.equal(nextRun('0 0 31 2 *', new Date(2026, 0, 1)), null);
+});
@@ -0,0 +1,53 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateDemoLeads, DEMO_REFERENCE_DATE } from '../src/demo.js';
+import LeadEnricher from '../src/enricher.js';
+import LeadScorer from '../src/scorer.js';
+import LeadStatusTracker from '../src/lead-status.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Enrich and score the demo leads the way runDemo does, with the clock at `clockAt`
+function scoreDemoAt(clockAt) {
+  mock.timers.enable({ apis: ['Date'], now: clockAt });
+  try {
+    const now = () => new Date(DEMO_REFERENCE_DATE);
+    const leads = new LeadEnricher({ now }).enrichLeads(generateDemoLeads(50, 42));
+    const scorer = new LeadScorer(null, { now, statusTracker: new LeadStatusTracker({ dir: '/nonexistent/lead-store' }) });
+    return scorer.scoreAllLeads(leads, { includeSuppressed: true });
+  } finally {
+    mock.timers.reset();
+  }
+}
+
+test('a seed always generates the same leads', () => {
+  assert.deepEqual(
+    generateDemoLeads(20, 7).map(({ reviews, ...lead }) => lead),
+    generateDemoLeads(20, 7).map(({ reviews, ...lead }) => lead),
+  );
+  assert.deepEqual(generateDemoLeads(5, 7)[0].reviews.map(review => review.date), generateDemoLeads(5, 7)[0].reviews.map(review => review.date));
+});
+
+test('ids follow the business, not its position', () => {
+  const first = generateDemoLeads(50, 42);
+  const second = generateDemoLeads(50, 7);
+  const byId = new Map(first.map(lead => [lead.id, lead]));
+
+  assert.equal(new Set(first.map(lead => lead.id)).size, first.length);
+  second.filter(lead => byId.has(lead.id)).forEach(lead => {
+    assert.equal(lead.name, byId.get(lead.id).name);
+    assert.equal(lead.address.split(', ').slice(1).join(', '), byId.get(lead.id).address.split(', ').slice(1).join(', '));
+  });
+});
+
+test('demo scores do not depend on the day the demo runs', () => {
+  const reference = new Date(DEMO_REFERENCE_DATE).getTime();
+  const summary = scored => scored.map(lead => [lead.id, lead.score, lead.priority, lead.scoringDetails.recentNegatives?.count]);
+
+  const onTheDay = scoreDemoAt(reference);
+  const monthsLater = scoreDemoAt(reference + 90 * DAY_MS);
+
+  assert.deepEqual(summary(monthsLater), summary(onTheDay));
+  assert.ok(onTheDay.some(lead => ['critical', 'high'].includes(lead.priority)));
+  assert.ok(onTheDay.some(lead => lead.scoringDetails.recentNegatives?.count > 0));
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import EntityResolver from '../src/entity-resolver.js';
+
+const resolver = new EntityResolver({ threshold: 0.75 });
+
+const listing = (id, source, fields) => ({ id, source, totalReviews: 10, rating: 3, reviews: [], ...fields });
+
+test('"Joe\'s Pizza" and "Joes Pizza NYC" at the same address are one business', () => {
+  const google = listing('gm_1', 'google_maps', { name: "Joe's Pizza", address: '7 Carmine St, New York, NY 10014', phone: '(212) 366-1182' });
+  const tripadvisor = listing('ta_1', 'tripadvisor', { name: 'Joes Pizza NYC', address: '7 Carmine Street, New York, NY', phone: '+1 212-366-1182' });
+
+  const match = resolver.compareLeads(google, tripadvisor);
+  assert.ok(match.score >= 0.75);
+  assert.deepEqual(match.matchedOn.sort(), ['address', 'name', 'phone']);
+
+  const [merged, ...rest] = resolver.resolve([tripadvisor, google]);
+  assert.equal(rest.length, 0);
+  assert.equal(merged.id, 'gm_1');
+  assert.deepEqual(merged.mergedIds, ['gm_1', 'ta_1']);
+  assert.deepEqual(merged.sources, ['google_maps', 'tripadvisor']);
+  assert.equal(merged.totalReviews, 20);
+});
+
+test('chain branches sharing a website stay apart', () => {
+  const uptown = listing('gm_1', 'google_maps', { name: 'Shake Shack', address: '691 8th Ave, New York, NY', website: 'https://shakeshack.com/' });
+  const downtown = listing('ta_2', 'tripadvisor', { name: 'Shake Shack', address: '200 Broadway, New York, NY', website: 'http://www.shakeshack.com' });
+
+  assert.ok(resolver.compareLeads(uptown, downtown).score < 0.75);
+  assert.equal(resolver.resolve([uptown, downtown]).length, 2);
+});
+
+test('different street numbers on the same street are different premises', () => {
+  const a = listing('gm_1', 'google_maps', { name: 'Main Street Dental', address: '100 Main St, Austin, TX' });
+  const b = listing('ta_1', 'tripadvisor', { name: 'Main Street Dental', address: '250 Main Street, Austin, TX' });
+
+  const match = resolver.compareLeads(a, b);
+  assert.equal(match.signals.address, 0);
+  assert.ok(match.score < 0.75);
+});
+
+test('a matching name alone never merges', () => {
+  const a = listing('gm_1', 'google_maps', { name: 'Blue Door Cafe' });
+  const b = listing('ta_1', 'tripadvisor', { name: 'Blue Door Cafe' });
+
+  assert.ok(resolver.compareLeads(a, b).score < 0.75);
+});
+
+test('contact details alone never merge unrelated names', () => {
+  const a = listing('gm_1', 'google_maps', { name: 'Blue Door Cafe', phone: '512-555-0100' });
+  const b = listing('ta_1', 'tripadvisor', { name: 'Hilltop Auto Repair', phone: '512-555-0100' });
+
+  assert.equal(resolver.compareLeads(a, b).score, 0);
+});
+
+test('a listing matching two others that do not match each other does not chain them', () => {
+  // B shares A's phone and C's address; A and C share nothing but the name
+  const a = listing('gm_1', 'google_maps', { name: 'Luigi Trattoria', phone: '512-555-0100' });
+  const b = listing('ta_1', 'tripadvisor', { name: 'Luigi Trattoria', phone: '512-555-0100', address: '10 Oak St, Austin, TX' });
+  const c = listing('gm_2', 'google_maps', { name: 'Luigi Trattoria', address: '10 Oak Street, Austin, TX' });
+
+  assert.ok(resolver.compareLeads(a, b).score >= 0.75);
+  assert.ok(resolver.compareLeads(b, c).score >= 0.75);
+  assert.ok(resolver.compareLeads(a, c).score < 0.75);
+
+  const resolved = resolver.resolve([a, b, c]);
+  assert.equal(resolved.length, 2);
+  assert.deepEqual(resolved.find(lead => lead.mergedIds)?.mergedIds, ['gm_1', 'ta_1']);
+});
+
+test('a business keeps its stored id when its Google Maps listing is missing', () => {
+  const google = listing('gm_1', 'google_maps', { name: "Joe's Pizza", address: '7 Carmine St, New York, NY', phone: '212-366-1182' });
+  const tripadvisor = listing('ta_1', 'tripadvisor', { name: 'Joes Pizza', address: '7 Carmine Street, New York, NY', phone: '212-366-1182' });
+  const [merged] = resolver.resolve([google, tripadvisor]);
+  const previousIds = new Map(merged.mergedIds.map(id => [id, merged.id]));
+
+  const [alone] = resolver.keepStableIds(resolver.resolve([tripadvisor]), previousIds);
+  assert.equal(alone.id, 'gm_1');
+  assert.equal(alone.listingId, 'ta_1');
+
+  // An id another lead of the run still owns is not taken over
+  const other = listing('gm_1', 'google_maps', { name: 'Somewhere Else', address: '1 Far Rd, Albany, NY' });
+  const leads = resolver.keepStableIds([tripadvisor, other], previousIds);
+  assert.deepEqual(leads.map(lead => lead.id), ['ta_1', 'gm_1']);
+});
@@ -0,0 +1,43 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import LeadStatusTracker from '../src/lead-status.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'lead-miner-status-'));
+});
+
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+test('records status changes and notes in the activity log', () => {
+  const tracker = new LeadStatusTracker({ dir, now: () => new Date('2026-10-01T12:00:00Z') });
+  tracker.setStatus('gm_1', 'contacted', 'Left voicemail');
+  tracker.addNote('gm_1', 'Wants pricing');
+
+  const entry = new LeadStatusTracker({ dir }).get('gm_1');
+  assert.equal(entry.status, 'contacted');
+  assert.deepEqual(entry.activity.map(item => item.type), ['status', 'note']);
+});
+
+test('do-not-contact leads are hidden whatever the rules say', () => {
+  const tracker = new LeadStatusTracker({ dir, rules: { 'do-not-contact': { action: 'none' } } });
+  tracker.setStatus('gm_1', 'do-not-contact');
+
+  assert.deepEqual(tracker.applyRules([{ id: 'gm_1', score: 90 }, { id: 'gm_2', score: 10 }]).map(lead => lead.id), ['gm_2']);
+});
+
+test('a corrupt status file is never overwritten', () => {
+  const file = join(dir, 'lead-status.json');
+  const corrupt = '{"gm_1": {"status": "do-not-contact", "activity": [';
+  writeFileSync(file, corrupt);
+  const tracker = new LeadStatusTracker({ dir });
+
+  assert.throws(() => tracker.setStatus('gm_2', 'contacted'), /Could not read lead statuses/);
+  assert.throws(() => tracker.addNote('gm_2', 'Called back'), /Could not read lead statuses/);
+  assert.throws(() => tracker.applyRules([{ id: 'gm_1' }]), /Could not read lead statuses/);
+  assert.equal(readFileSync(file, 'utf8'), corrupt);
+});
@@ -0,0 +1,75 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import LeadStore from '../src/lead-store.js';
+
+let dir;
+let store;
+
+const lead = (id, score) => ({ id, name: `Business ${id}`, source: 'google_maps', score });
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'lead-miner-store-'));
+  store = new LeadStore(dir);
+});
+
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+test('upserts keep when a lead was first seen and count its runs', () => {
+  const first = store.beginRun({ mode: 'demo' });
+  store.upsertLeads(first, [lead('gm_1', 40)]);
+  // Upserting again within the same run doesn't count twice
+  store.upsertLeads(first, [lead('gm_1', 45)]);
+  const second = { ...store.beginRun({ mode: 'demo' }), id: 'run_second' };
+  store.upsertLeads(second, [lead('gm_1', 70), lead('gm_2', 20)]);
+
+  const indexed = store.getLead('gm_1');
+  assert.equal(indexed.firstRunId, first.id);
+  assert.equal(indexed.lastRunId, 'run_second');
+  assert.equal(indexed.runCount, 2);
+  assert.equal(indexed.latest.score, 70);
+  assert.equal(store.getLead('gm_2').runCount, 1);
+  assert.equal(store.getLead('gm_3'), null);
+  assert.deepEqual(store.getLeadHistory('gm_1').map(entry => entry.lead.score), [40, 45, 70]);
+});
+
+test('records runs and returns the leads of each', () => {
+  const demo = store.recordRun([lead('gm_1', 40), lead('gm_2', 60)], { mode: 'demo' });
+  const live = { ...store.beginRun({ mode: 'live' }), id: 'run_live' };
+  store.upsertLeads(live, [lead('gm_1', 80)]);
+  store.finishRun(live, { leadCount: 1 });
+
+  assert.deepEqual(store.listRuns().map(run => [run.id, run.mode, run.leadCount]), [[demo.id, 'demo', 2], ['run_live', 'live', 1]]);
+  assert.equal(store.getLatestRun().id, 'run_live');
+  assert.equal(store.getLatestRun(run => run.mode === 'demo').id, demo.id);
+  assert.equal(store.getLatestRun(run => run.mode === 'import'), null);
+  assert.deepEqual(store.getRunLeads(demo.id).map(entry => entry.id), ['gm_1', 'gm_2']);
+  assert.deepEqual(store.getRunLeads('run_live'), [lead('gm_1', 80)]);
+});
+
+test('maps every listing a stored lead was seen under to its id', () => {
+  store.recordRun([
+    { ...lead('gm_1', 40), mergedIds: ['gm_1', 'ta_1'] },
+    { ...lead('gm_2', 30), listingId: 'ta_2' },
+  ]);
+
+  assert.deepEqual(Object.fromEntries(store.listingIds()), { gm_1: 'gm_1', ta_1: 'gm_1', gm_2: 'gm_2', ta_2: 'gm_2' });
+});
+
+test('skips malformed history lines', () => {
+  store.recordRun([lead('gm_1', 40)], { mode: 'demo' });
+  writeFileSync(join(dir, 'runs.jsonl'), `${readFileSync(join(dir, 'runs.jsonl'), 'utf8')}{"id": "run_cut`);
+
+  assert.equal(store.listRuns().length, 1);
+});
+
+test('a corrupt lead index is never overwritten', () => {
+  const file = join(dir, 'leads.json');
+  writeFileSync(file, '{"gm_1": {"id": "gm_1"');
+
+  assert.throws(() => store.recordRun([lead('gm_2', 50)]), /Could not read the lead index/);
+  assert.equal(readFileSync(file, 'utf8'), '{"gm_1": {"id": "gm_1"');
+  assert.equal(store.listRuns().length, 0);
+});
@@ -0,0 +1,152 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import net from 'net';
+import { createHmac } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Notifier, DeliveryLog, createChannel } from '../src/notify/index.js';
+
+const NOW = new Date('2026-10-01T12:00:00Z');
+const requests = [];
+const failuresLeft = { '/flaky': 2, '/down': Infinity };
+let http;
+let httpUrl;
+let smtp;
+let smtpPort;
+let smtpMessages;
+let dir;
+
+before(async () => {
+  dir = mkdtempSync(join(tmpdir(), 'lead-miner-notify-'));
+
+  http = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body });
+      if (failuresLeft[req.url] > 0) {
+        failuresLeft[req.url]--;
+        res.writeHead(503).end('busy');
+      } else if (req.url === '/bad-request') {
+        res.writeHead(400).end('nope');
+      } else if (req.url.endsWith('/sendMessage')) {
+        res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify({ ok: true }));
+      } else {
+        res.writeHead(200).end('ok');
+      }
+    });
+  });
+  await new Promise(resolve => http.listen(0, '127.0.0.1', resolve));
+  httpUrl = `http://127.0.0.1:${http.address().port}`;
+
+  // Minimal SMTP server: accepts everything, keeps each DATA section as sent on the wire
+  smtpMessages = [];
+  smtp = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 stub ready\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        smtpMessages.push(buffer.slice(0, end));
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 queued\r\n');
+      }
+      let line;
+      while (!inData && (line = buffer.indexOf('\r\n')) !== -1) {
+        const command = buffer.slice(0, line);
+        buffer = buffer.slice(line + 2);
+        if (/^EHLO/i.test(command)) socket.write('250-stub\r\n250 AUTH PLAIN\r\n');
+        else if (/^DATA/i.test(command)) { inData = true; socket.write('354 go ahead\r\n'); }
+        else if (/^QUIT/i.test(command)) { socket.end('221 bye\r\n'); }
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise(resolve => smtp.listen(0, '127.0.0.1', resolve));
+  smtpPort = smtp.address().port;
+});
+
+after(async () => {
+  await new Promise(resolve => http.close(resolve));
+  await new Promise(resolve => smtp.close(resolve));
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function notifier(channels, logName) {
+  return new Notifier({ channels }, {
+    now: () => NOW,
+    sleep: async () => {},
+    log: new DeliveryLog({ file: join(dir, `${logName}.jsonl`) }),
+    env: {},
+  });
+}
+
+test('webhook bodies carry a verifiable HMAC signature', async () => {
+  const [result] = await notifier([{ name: 'signed', type: 'webhook', url: `${httpUrl}/signed`, secret: 's3cret' }], 'signed').sendTest();
+  assert.equal(result.status, 'sent');
+
+  const request = requests.find(req => req.path === '/signed');
+  const timestamp = request.headers['x-leadminer-timestamp'];
+  assert.equal(timestamp, String(NOW.getTime() / 1000));
+  const expected = createHmac('sha256', 's3cret').update(`${timestamp}.${request.body}`).digest('hex');
+  assert.equal(request.headers['x-leadminer-signature'], `sha256=${expected}`);
+  assert.match(JSON.parse(request.body).message, /test notification/);
+});
+
+test('5xx answers are retried and every outcome lands in the delivery log', async () => {
+  const target = notifier([
+    { name: 'flaky', type: 'slack', url: `${httpUrl}/flaky`, retries: 2 },
+    { name: 'down', type: 'webhook', url: `${httpUrl}/down`, retries: 1 },
+    { name: 'rejected', type: 'webhook', url: `${httpUrl}/bad-request`, retries: 3 },
+  ], 'retries');
+  const results = await target.sendTest();
+
+  assert.deepEqual(results.map(result => [result.channel, result.status, result.attempts]), [
+    ['flaky', 'sent', 3],
+    ['down', 'failed', 2],
+    ['rejected', 'failed', 1],
+  ]);
+  assert.equal(requests.filter(req => req.path === '/flaky').length, 3);
+
+  const logged = target.log.recent();
+  assert.deepEqual(logged.map(entry => [entry.channel, entry.status, entry.event]), [
+    ['flaky', 'sent', 'test'],
+    ['down', 'failed', 'test'],
+    ['rejected', 'failed', 'test'],
+  ]);
+  assert.match(logged[1].error, /HTTP 503/);
+  assert.equal(logged[0].at, NOW.toISOString());
+});
+
+test('telegram posts to the bot sendMessage endpoint', async () => {
+  const [result] = await notifier([{ name: 'tg', type: 'telegram', token: 'abc', chatId: 42, apiUrl: httpUrl }], 'telegram').sendTest();
+  assert.equal(result.status, 'sent');
+
+  const request = requests.find(req => req.path === '/botabc/sendMessage');
+  assert.equal(JSON.parse(request.body).chat_id, 42);
+});
+
+test('email dot-stuffs the body and encodes a non-ASCII subject', async () => {
+  const channel = createChannel({
+    name: 'mail',
+    type: 'email',
+    host: '127.0.0.1',
+    port: smtpPort,
+    starttls: false,
+    from: 'LeadMiner <bot@agency.test>',
+    to: ['sales@agency.test'],
+    subject: 'Résumé {{count}} leads',
+  }, { now: () => NOW });
+
+  await channel.send({ event: 'digest', title: 'Digest', text: 'First line\n.hidden line\n..two dots', leads: [] });
+
+  const [message] = smtpMessages;
+  assert.match(message, new RegExp(`Subject: =\\?UTF-8\\?B\\?${Buffer.from('Résumé 0 leads').toString('base64').replace(/[+/=]/g, '\\$&')}\\?=`));
+  assert.match(message, /\r\n\.\.hidden line\r\n\.\.\.two dots/);
+});
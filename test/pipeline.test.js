@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { exportLeads, missedByFailedScrapes, outputPaths } from '../src/pipeline.js';
+import LeadDelta from '../src/delta.js';
+import LeadStatusTracker from '../src/lead-status.js';
+
+const search = { query: 'restaurants', location: 'Austin, TX' };
+const previous = [
+  { id: 'gm_1', source: 'google_maps', searches: [search] },
+  { id: 'gm_2', source: 'google_maps', searches: [search] },
+  { id: 'ta_1', source: 'tripadvisor', searches: [search] },
+  { id: 'ta_2', source: 'tripadvisor', searches: [{ query: 'cafes', location: 'Austin, TX' }] },
+  { id: 'merged_1', source: 'google_maps', sources: ['google_maps', 'tripadvisor'], searches: [search] },
+];
+
+test('leaves out previous leads a failed search would have found again', () => {
+  const current = [{ id: 'gm_1' }];
+  const failed = [{ source: 'tripadvisor', ...search, status: 'failed', error: 'HTTP 503' }];
+
+  assert.deepEqual([...missedByFailedScrapes(previous, current, failed)].sort(), ['merged_1', 'ta_1']);
+});
+
+test('keeps every previous lead when nothing failed', () => {
+  assert.equal(missedByFailedScrapes(previous, [], []).size, 0);
+  assert.equal(missedByFailedScrapes(previous, []).size, 0);
+});
+
+test('matches on source alone for leads stored without searches', () => {
+  const stored = [{ id: 'ta_9', source: 'tripadvisor' }, { id: 'gm_9', source: 'google_maps' }];
+  const failed = [{ source: 'tripadvisor', ...search, status: 'skipped' }];
+
+  assert.deepEqual([...missedByFailedScrapes(stored, [], failed)], ['ta_9']);
+});
+
+test('the delta CSV leaves out leads hidden from the other exports', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'lead-miner-pipeline-'));
+  try {
+    const statusTracker = new LeadStatusTracker({ dir });
+    statusTracker.setStatus('gm_dnc', 'do-not-contact');
+    statusTracker.setStatus('gm_gone_dnc', 'do-not-contact');
+
+    const lead = (id, score, extra = {}) => ({ id, name: id, source: 'google_maps', score, priority: 'high', ...extra });
+    const previous = [lead('gm_gone', 70), lead('gm_gone_dnc', 70)];
+    const current = [
+      lead('gm_new', 80, { email: 'listing@example.com', enrichment: { contactInfo: { email: 'owner@example.com' } } }),
+      lead('gm_dnc', 90),
+      lead('gm_low', 10),
+    ];
+    const delta = new LeadDelta().compare(previous, current);
+
+    await exportLeads(current, { outputDir: dir, formats: ['delta'], delta, statusTracker, minScore: 50 });
+
+    const csv = readFileSync(outputPaths(dir).delta, 'utf8');
+    assert.match(csv, /^new,gm_new,.*owner@example\.com/m);
+    assert.match(csv, /^dropped,gm_gone,/m);
+    assert.doesNotMatch(csv, /gm_dnc|gm_low|gm_gone_dnc|listing@example/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
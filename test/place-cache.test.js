@@ -0,0 +1,78 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import PlaceCache from '../src/place-cache.js';
+import TripAdvisorSource from '../src/sources/tripadvisor.js';
+import ApifyRunner from '../src/sources/apify-runner.js';
+
+let dir;
+let now;
+let calls;
+
+// Fake Apify client: listing runs return the places, review runs return the places asked for by URL
+function fakeClient(places) {
+  const datasets = {};
+  return {
+    actor: () => ({
+      call: async input => {
+        calls.push(input);
+        const items = input.startUrls
+          ? places.filter(place => input.startUrls.some(({ url }) => url === place.webUrl)).map(place => ({ ...place, reviews: [{ id: `r_${place.id}`, publishedDate: '2026-09-30', text: 'Cold food' }] }))
+          : places.map(place => ({ ...place, reviews: [] }));
+        datasets[`ds${calls.length}`] = items;
+        return { id: `run${calls.length}`, status: 'SUCCEEDED', defaultDatasetId: `ds${calls.length}`, usageTotalUsd: 0 };
+      },
+    }),
+    dataset: id => ({
+      listItems: async ({ offset, limit }) => ({ items: datasets[id].slice(offset, offset + limit), total: datasets[id].length }),
+    }),
+  };
+}
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'lead-miner-cache-'));
+  now = new Date('2026-10-01T12:00:00Z');
+  calls = [];
+});
+
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+test('places without a URL are not requested again on every run', async () => {
+  const client = fakeClient([
+    { id: 1, name: 'With URL', webUrl: 'https://tripadvisor.test/1' },
+    { id: 2, name: 'No URL' },
+  ]);
+  const source = new TripAdvisorSource({ client, apify: new ApifyRunner(client) });
+  const cache = new PlaceCache({ dir, ttl: '1h', now: () => now });
+  const search = { query: 'cafes', location: 'Austin, TX', maxResults: 10 };
+
+  const first = await cache.fetch(source, search);
+  assert.deepEqual(first.map(item => item.reviews.length), [1, 0]);
+  assert.equal(calls.length, 2);
+
+  // Past the TTL: one listing run, one review run for the place with a URL only
+  now = new Date('2026-10-01T14:00:00Z');
+  calls = [];
+  await cache.fetch(source, search, { refresh: false });
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls[1].startUrls, [{ url: 'https://tripadvisor.test/1' }]);
+
+  // Within the TTL again: everything, including the place without a URL, is fresh
+  now = new Date('2026-10-01T14:30:00Z');
+  calls = [];
+  const cached = await cache.fetch(source, search);
+  assert.equal(calls.length, 0);
+  assert.equal(cached.length, 2);
+});
+
+test('a review request with no URLs makes no actor run', async () => {
+  const client = fakeClient([{ id: 2, name: 'No URL' }]);
+  const source = new TripAdvisorSource({ client, apify: new ApifyRunner(client) });
+  const cache = new PlaceCache({ dir, now: () => now });
+
+  await cache.fetch(source, { query: 'bars', location: 'Austin, TX', maxResults: 10 });
+  assert.equal(calls.length, 1);
+  assert.equal(cache.find('ta_2').reviewsFetchedAt, now.toISOString());
+});
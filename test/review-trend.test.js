@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import ReviewTrendAnalyzer from '../src/review-trend.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/review-histories.json', import.meta.url), 'utf8'));
+const analyzer = new ReviewTrendAnalyzer({ now: () => new Date(fixtures.now) });
+
+const SLOPE_SIGNS = {
+  negative: slope => slope < 0,
+  positive: slope => slope > 0,
+  flat: slope => Math.abs(slope) < analyzer.minSlope,
+};
+
+Object.entries(fixtures.histories).forEach(([name, { expect, reviews }]) => {
+  test(`${name} history`, () => {
+    const trend = analyzer.analyze(reviews);
+
+    assert.equal(trend.category, expect.category);
+    if (expect.slope) assert.ok(SLOPE_SIGNS[expect.slope](trend.slope), `slope ${trend.slope} should be ${expect.slope}`);
+    if (expect.confidence) assert.equal(trend.slopeConfidence, expect.confidence);
+    if (expect.spike !== undefined) assert.equal(trend.spike.detected, expect.spike);
+  });
+});
+
+test('spike history flags a recent burst of bad reviews', () => {
+  const { spike } = analyzer.analyze(fixtures.histories.spike.reviews);
+  assert.equal(spike.recent, true);
+  assert.equal(spike.count, 4);
+});
+
+test('insufficient data has no slope', () => {
+  const trend = analyzer.analyze(fixtures.histories.insufficient_data.reviews);
+  assert.equal(trend.slope, undefined);
+  assert.equal(trend.reviewsUsed, 2);
+});
+
+test('confidence thresholds depend on the number of reviews', () => {
+  // t ≈ 2.8 with 2 degrees of freedom: below the 90% critical value of 2.92
+  const start = Date.UTC(2026, 0, 1);
+  const reviews = [4, 4, 2, 2].map((rating, idx) => ({ rating, date: new Date(start + idx * 31 * 86400000).toISOString() }));
+  const trend = analyzer.analyze(reviews);
+
+  assert.ok(trend.slope < 0);
+  assert.equal(trend.slopeConfidence, 'low');
+  assert.equal(trend.category, 'stable');
+});
@@ -0,0 +1,45 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import RunLock, { RunLockedError } from '../src/run-lock.js';
+import runPipeline from '../src/index.js';
+
+let dir;
+let lock;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'lead-miner-lock-'));
+  lock = new RunLock({ file: join(dir, 'pipeline.lock') });
+});
+
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+function holdElsewhere() {
+  writeFileSync(lock.file, JSON.stringify({ pid: process.ppid, owner: 'schedule nightly', startedAt: new Date().toISOString() }));
+}
+
+test('the holding process can take the lock again; only the outer hold releases it', () => {
+  const outer = lock.acquire('schedule nightly');
+  const inner = lock.acquire('run');
+  assert.deepEqual([outer.held, outer.reentrant, inner.held, inner.reentrant], [true, false, true, true]);
+
+  lock.release(inner);
+  assert.ok(existsSync(lock.file));
+  lock.release(outer);
+  assert.ok(!existsSync(lock.file));
+});
+
+test('withLock refuses to run while another process holds the lock', async () => {
+  holdElsewhere();
+  let ran = false;
+  await assert.rejects(lock.withLock('run', async () => { ran = true; }), RunLockedError);
+  assert.equal(ran, false);
+  assert.equal(lock.holder().owner, 'schedule nightly');
+});
+
+test('a manual pipeline run does not overlap a scheduled one', async () => {
+  holdElsewhere();
+  await assert.rejects(runPipeline({ demo: true }, { lock }), /Another pipeline run is in progress/);
+});
@@ -0,0 +1,130 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Scheduler from '../src/scheduler.js';
+
+// Dates are local time, like cron
+const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute);
+// Nothing runs with this pid (Linux pids stay far below it)
+const DEAD_PID = 2 ** 30;
+
+let dir;
+let clock;
+let runs;
+
+function scheduler(definition = {}) {
+  return new Scheduler([{ name: 'hourly', cron: '0 * * * *', settings: { demo: true }, ...definition }], {
+    dir,
+    clock,
+    run: async settings => {
+      runs.push({ at: clock.now(), settings });
+      return { run: { id: `run_${runs.length}` }, scored: [] };
+    },
+  });
+}
+
+function holdLock(pid, startedAt) {
+  writeFileSync(join(dir, 'run.lock'), JSON.stringify({ pid, owner: 'run', startedAt: startedAt.toISOString() }));
+}
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'lead-miner-scheduler-'));
+  let now = at(1, 10, 30);
+  clock = { now: () => now, set: date => { now = date; }, sleep: async () => {} };
+  runs = [];
+});
+
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+test('a new schedule starts counting from now instead of replaying the past', async () => {
+  const outcomes = await scheduler().tick();
+  assert.deepEqual(outcomes, []);
+  assert.equal(runs.length, 0);
+});
+
+test('runs a due slot on time', async () => {
+  const target = scheduler();
+  await target.tick();
+
+  clock.set(at(1, 11, 0));
+  const [outcome] = await target.tick();
+  assert.equal(outcome.status, 'success');
+  assert.equal(outcome.catchUp, false);
+  assert.equal(outcome.runId, 'run_1');
+  assert.equal(runs[0].settings.demo, true);
+  assert.ok(!existsSync(join(dir, 'run.lock')));
+});
+
+test('catches up once for the slots missed during downtime', async () => {
+  const target = scheduler();
+  await target.tick();
+
+  clock.set(at(1, 14, 10));
+  const [outcome] = await target.tick();
+  assert.equal(runs.length, 1);
+  assert.equal(outcome.catchUp, true);
+  assert.equal(outcome.slots, 4);
+  assert.equal(outcome.scheduledFor, at(1, 14).toISOString());
+
+  // Nothing more until the next slot
+  assert.deepEqual(await target.tick(), []);
+});
+
+test('catchUp: false records missed slots without running them', async () => {
+  const target = scheduler({ catchUp: false });
+  await target.tick();
+
+  clock.set(at(1, 14, 10));
+  const [outcome] = await target.tick();
+  assert.equal(runs.length, 0);
+  assert.equal(outcome.status, 'missed');
+  assert.equal(outcome.slots, 4);
+
+  clock.set(at(1, 15, 1));
+  const [next] = await target.tick();
+  assert.equal(next.status, 'success');
+});
+
+test('takes over a lock left by a dead process', async () => {
+  const target = scheduler();
+  await target.tick();
+
+  holdLock(DEAD_PID, at(1, 10, 45));
+  clock.set(at(1, 11, 0));
+  const [outcome] = await target.tick();
+  assert.equal(outcome.status, 'success');
+});
+
+test('takes over a live process lock older than the stale timeout', async () => {
+  const target = scheduler();
+  await target.tick();
+
+  holdLock(process.ppid, at(1, 4, 0));
+  clock.set(at(1, 11, 0));
+  const [outcome] = await target.tick();
+  assert.equal(outcome.status, 'success');
+});
+
+test('waits while another process holds the lock, then runs the slot', async () => {
+  const target = scheduler();
+  await target.tick();
+
+  holdLock(process.ppid, at(1, 10, 55));
+  clock.set(at(1, 11, 0));
+  assert.deepEqual(await target.tick(), []);
+  clock.set(at(1, 11, 1));
+  assert.deepEqual(await target.tick(), []);
+  assert.equal(runs.length, 0);
+
+  const waiting = target.listOutcomes().filter(outcome => outcome.status === 'waiting');
+  assert.equal(waiting.length, 1);
+  assert.equal(waiting[0].lockedBy.pid, process.ppid);
+
+  rmSync(join(dir, 'run.lock'));
+  clock.set(at(1, 11, 2));
+  const [outcome] = await target.tick();
+  assert.equal(outcome.status, 'success');
+  assert.equal(outcome.scheduledFor, at(1, 11).toISOString());
+});
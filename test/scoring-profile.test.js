@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import LeadScorer from '../src/scorer.js';
+import LeadStatusTracker from '../src/lead-status.js';
+import { loadScoringProfile, validateScoringProfile } from '../src/scoring-profile.js';
+
+const statusTracker = new LeadStatusTracker({ dir: '/nonexistent/lead-store' });
+
+const profile = (overrides = {}) => ({
+  factors: {
+    size: { weight: 100, metric: 'totalReviews', tiers: [{ gte: 50, fraction: 1 }, { gte: 10, fraction: 0.5 }] },
+  },
+  priorityBands: [{ priority: 'low', min: 0 }, { priority: 'high', min: 80 }],
+  ...overrides,
+});
+
+test('the bundled profiles load and validate', () => {
+  const knownMetrics = Object.keys(new LeadScorer('default', { statusTracker }).metrics);
+  for (const name of ['default', 'large-accounts', 'local-benchmark']) {
+    const loaded = loadScoringProfile(name, { knownMetrics });
+    assert.equal(loaded.name, name);
+    assert.equal(loaded.priorityBands.at(-1).min, 0);
+  }
+});
+
+test('reports bad weights, fractions and thresholds', () => {
+  const issues = validateScoringProfile(profile({
+    factors: {
+      size: { weight: -5, metric: 'totalReviews', tiers: [{ gte: 'fifty', fraction: 1.5 }] },
+    },
+  }));
+
+  assert.deepEqual(issues, [
+    'factors.size.weight must be a non-negative number',
+    'factors.size.tiers[0].fraction must be a number between 0 and 1',
+    'factors.size.tiers[0].gte must be a number',
+  ]);
+});
+
+test('requires a priority band starting at 0', () => {
+  const issues = validateScoringProfile(profile({ priorityBands: [{ priority: 'high', min: 80 }] }));
+  assert.deepEqual(issues, ['priorityBands must include a band with min 0 so every score gets a priority']);
+});
+
+test('rejects metrics the scorer does not know', () => {
+  const issues = validateScoringProfile(profile({
+    factors: { size: { weight: 10, metric: 'followers', tiers: [{ gte: 1, fraction: 1 }] } },
+  }), ['totalReviews']);
+
+  assert.deepEqual(issues, ['factors.size.metric "followers" is not a known metric (totalReviews)']);
+});
+
+test('an unknown profile name fails with the path it looked for', () => {
+  assert.throws(() => loadScoringProfile('no-such-profile'), {
+    name: 'ScoringProfileError',
+    message: /Invalid scoring profile no-such-profile:\n {2}- file not found: .*no-such-profile\.json/,
+  });
+});
+
+test('an invalid profile file fails before any lead is scored', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'lead-miner-profile-'));
+  try {
+    const file = join(dir, 'broken.json');
+    writeFileSync(file, JSON.stringify(profile({ priorityBands: [{ priority: 'urgent', min: 0 }] })));
+
+    assert.throws(() => new LeadScorer(file, { statusTracker }), {
+      name: 'ScoringProfileError',
+      source: file,
+      issues: ['priorityBands[0].priority must be one of critical, high, medium, low'],
+    });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a profile object passed to the scorer is validated and given defaults', () => {
+  assert.throws(() => new LeadScorer(profile({ factors: { size: { weight: 10, metric: 'followers', tiers: [{ gte: 1, fraction: 1 }] } } }), { statusTracker }), {
+    name: 'ScoringProfileError',
+    message: /factors\.size\.metric "followers" is not a known metric/,
+  });
+
+  const scorer = new LeadScorer(profile(), { statusTracker });
+  assert.deepEqual(scorer.profile.settings, { recentWindowDays: 30, negativeRatingMax: 2 });
+  assert.deepEqual(scorer.profile.priorityBands.map(band => band.min), [80, 0]);
+  assert.deepEqual(scorer.calculateLeadScore({ totalReviews: 60 }), {
+    score: 100,
+    details: { size: { reviews: 60, points: 100 } },
+    priority: 'high',
+  });
+});
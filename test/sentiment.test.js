@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SentimentAnalyzer, matchesCategory } from '../src/sentiment.js';
+
+const analyzer = new SentimentAnalyzer();
+const score = (text, options) => analyzer.analyze(text, options).score;
+
+test('negation flips and softens the words it reaches', () => {
+  assert.ok(score('The food was bad') < 0);
+  assert.ok(score('Not bad at all') > 0);
+  assert.ok(score('The service was not good') < 0);
+  assert.ok(score('The service was not good') > -score('The service was good'));
+  assert.deepEqual(analyzer.analyze('Not bad at all').positive, ['not bad']);
+});
+
+test('negation reaches to the end of its clause', () => {
+  assert.ok(score("I can't say it was good") < 0);
+  assert.ok(score('We never had a single bad meal here') > 0);
+  // "and" starts a new clause: "rude" stays negative, "clean" is negated
+  assert.deepEqual(analyzer.analyze('The room was not clean and the staff were rude').negative, ['not clean', 'rude']);
+  assert.ok(score('Not good, terrible actually') < score('Not good'));
+});
+
+test('intensifiers scale the next word', () => {
+  assert.ok(score('The waiter was very rude') < score('The waiter was rude'));
+  assert.ok(score('The waiter was slightly rude') > score('The waiter was rude'));
+  assert.ok(score('The service was not very good') < 0);
+});
+
+test('the part after "but" weighs more', () => {
+  assert.equal(analyzer.analyze('The food was good but the service was terrible').sentiment, 'negative');
+  assert.equal(analyzer.analyze('The wait was bad but the food was amazing').sentiment, 'positive');
+});
+
+test('domain words depend on the business category', () => {
+  assert.ok(score('The soup was cold', { category: 'Italian Restaurant' }) < 0);
+  assert.equal(score('The house is cold', { category: 'HVAC contractor' }), 0);
+  assert.ok(score('Totally overpriced') < 0);
+});
+
+test('scores each sentence and flags mixed reviews', () => {
+  const result = analyzer.analyze('Great location. The staff were rude!');
+
+  assert.deepEqual(result.sentences.map(sentence => sentence.sentiment), ['positive', 'negative']);
+  assert.equal(result.mixed, true);
+  assert.equal(result.negativeSentences, 1);
+  assert.equal(analyzer.analyze('').sentiment, 'neutral');
+});
+
+test('category names match whole words only', () => {
+  assert.equal(matchesCategory('Italian Restaurant', ['Restaurant']), true);
+  assert.equal(matchesCategory('Barber shop', ['Bar']), false);
+});
@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import LeadServer from '../src/server.js';
+import LeadStore from '../src/lead-store.js';
+import RunLock from '../src/run-lock.js';
+
+let dir;
+let server;
+let finishRun;
+
+function send(method, path, body = null, { slowBody = false, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = request({
+      host: '127.0.0.1',
+      port: server.port,
+      method,
+      path,
+      headers: { ...(body && { 'Content-Type': 'application/json' }), ...headers },
+    }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    if (!body) return req.end();
+
+    const text = JSON.stringify(body);
+    if (!slowBody) return req.end(text);
+    // Trickle the body so the other request is handled while this one is still being read
+    req.write(text.slice(0, 1));
+    setTimeout(() => req.end(text.slice(1)), 50);
+  });
+}
+
+before(async () => {
+  dir = mkdtempSync(join(tmpdir(), 'lead-miner-server-'));
+  server = new LeadServer({
+    port: 0,
+    flags: { outputDir: dir },
+    store: new LeadStore(join(dir, 'store')),
+    runLock: new RunLock({ file: join(dir, 'run.lock') }),
+    runPipeline: () => new Promise(resolve => { finishRun = resolve; }),
+  });
+  await server.listen();
+});
+
+after(async () => {
+  finishRun?.({});
+  await server.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('a malformed path escape is a 400, not a 500', async () => {
+  const res = await send('GET', '/leads/%E0%A4%A');
+  assert.equal(res.status, 400);
+});
+
+test('concurrent run requests start one run', async () => {
+  const results = await Promise.all([
+    send('POST', '/runs', { demo: true }, { slowBody: true }),
+    send('POST', '/runs', { demo: true }, { slowBody: true }),
+  ]);
+
+  assert.deepEqual(results.map(res => res.status).sort(), [202, 409]);
+});
+
+test('bodies that are not application/json are refused', async () => {
+  const res = await send('POST', '/runs', { demo: true }, { headers: { 'Content-Type': 'text/plain' } });
+  assert.equal(res.status, 415);
+
+  const empty = await send('POST', '/runs');
+  assert.equal(empty.status, 415);
+});
+
+test('requests from another site or host name are refused', async () => {
+  const foreign = await send('POST', '/runs', { demo: true }, { headers: { Origin: 'https://evil.example' } });
+  assert.equal(foreign.status, 403);
+
+  const rebound = await send('GET', '/leads', null, { headers: { Host: `evil.example:${server.port}` } });
+  assert.equal(rebound.status, 403);
+
+  const sameOrigin = await send('GET', '/leads', null, { headers: { Origin: `http://127.0.0.1:${server.port}` } });
+  assert.equal(sameOrigin.status, 200);
+});
+
+test('runs only take whitelisted settings', async () => {
+  const res = await send('POST', '/runs', { demo: true, notifications: { channels: [{ type: 'webhook', url: 'http://evil.example' }] } });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /notifications/);
+
+  const crm = await send('POST', '/runs', { demo: true, crmPush: true });
+  assert.equal(crm.status, 400);
+});
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import GeoLocator, { GeocodeCache, haversineKm, pointInGeometry } from '../src/geo.js';
+import TerritoryMap, { filterByLocation, parsePoint } from '../src/territories.js';
+
+const austin = { lat: 30.2672, lng: -97.7431 };
+const dallas = { lat: 32.7767, lng: -96.7970 };
+
+// A 1°×1° square with a 0.2°×0.2° hole in the middle; GeoJSON rings are [lng, lat]
+const square = {
+  type: 'Polygon',
+  coordinates: [
+    [[-98, 30], [-97, 30], [-97, 31], [-98, 31], [-98, 30]],
+    [[-97.6, 30.4], [-97.4, 30.4], [-97.4, 30.6], [-97.6, 30.6], [-97.6, 30.4]],
+  ],
+};
+
+test('haversine distance matches known great-circle distances', () => {
+  assert.equal(haversineKm(austin, austin), 0);
+  assert.ok(Math.abs(haversineKm({ lat: 0, lng: 0 }, { lat: 0, lng: 1 }) - 111.19) < 0.01);
+  assert.ok(Math.abs(haversineKm(austin, dallas) - 293.1) < 0.1);
+  assert.equal(haversineKm(austin, dallas), haversineKm(dallas, austin));
+});
+
+test('points inside, outside and in a hole of a polygon', () => {
+  assert.equal(pointInGeometry({ lat: 30.2, lng: -97.8 }, square), true);
+  assert.equal(pointInGeometry({ lat: 31.5, lng: -97.5 }, square), false);
+  assert.equal(pointInGeometry({ lat: 30.5, lng: -96.5 }, square), false);
+  assert.equal(pointInGeometry({ lat: 30.5, lng: -97.5 }, square), false);
+});
+
+test('points on the boundary count as inside on every side', () => {
+  const boundary = [
+    { lat: 30, lng: -97.5 }, // bottom edge
+    { lat: 31, lng: -97.5 }, // top edge
+    { lat: 30.5, lng: -98 }, // left edge
+    { lat: 30.5, lng: -97 }, // right edge
+    { lat: 31, lng: -97 }, // corner
+    { lat: 30.5, lng: -97.4 }, // edge of the hole
+  ];
+
+  boundary.forEach(point => assert.equal(pointInGeometry(point, square), true, JSON.stringify(point)));
+});
+
+test('MultiPolygon matches any of its polygons', () => {
+  const islands = {
+    type: 'MultiPolygon',
+    coordinates: [
+      [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]],
+      [[[5, 5], [6, 5], [6, 6], [5, 6], [5, 5]]],
+    ],
+  };
+
+  assert.equal(pointInGeometry({ lat: 5.5, lng: 5.5 }, islands), true);
+  assert.equal(pointInGeometry({ lat: 3, lng: 3 }, islands), false);
+});
+
+test('filters leads by radius, leaving out leads without coordinates', () => {
+  const leads = [
+    { id: 'here', coordinates: austin },
+    { id: 'near', coordinates: { lat: 30.4, lng: -97.7431 } }, // ~14.8 km north
+    { id: 'far', coordinates: dallas },
+    { id: 'unknown' },
+  ];
+
+  assert.deepEqual(filterByLocation(leads, { near: '30.2672,-97.7431', radiusKm: 15 }).map(lead => lead.id), ['here', 'near']);
+  assert.deepEqual(filterByLocation(leads, { near: '30.2672,-97.7431', radiusKm: 14 }).map(lead => lead.id), ['here']);
+  assert.equal(filterByLocation(leads).length, 4);
+});
+
+test('parses "lat,lng" strings and rejects out-of-range points', () => {
+  assert.deepEqual(parsePoint('30.2672, -97.7431'), austin);
+  assert.deepEqual(parsePoint(austin), austin);
+  assert.equal(parsePoint('97.7,30.2'), null);
+  assert.equal(parsePoint('downtown'), null);
+});
+
+test('assigns leads to the first territory that contains them', () => {
+  const map = new TerritoryMap([
+    { name: 'Austin Metro', rep: 'Dana', center: '30.2672,-97.7431', radiusKm: 25 },
+    { name: 'Hill Country', rep: 'Sam', geojson: { type: 'Feature', geometry: square } },
+  ]);
+  const leads = [
+    { id: 'downtown', coordinates: austin },
+    { id: 'marble-falls', coordinates: { lat: 30.58, lng: -97.95 } },
+    { id: 'dallas', coordinates: dallas },
+    { id: 'unknown' },
+  ];
+
+  const assigned = map.assignAll(leads);
+  assert.deepEqual(assigned[0].territory, { name: 'Austin Metro', rep: 'Dana', distanceKm: 0 });
+  assert.deepEqual(assigned[1].territory, { name: 'Hill Country', rep: 'Sam', distanceKm: null });
+  assert.equal(assigned[2].territory, null);
+  assert.equal(assigned[3].territory, null);
+  assert.deepEqual(filterByLocation(assigned, { territory: ['hill country'] }).map(lead => lead.id), ['marble-falls']);
+});
+
+test('rejects territories without a usable shape', () => {
+  assert.throws(() => new TerritoryMap([{ name: 'Nowhere', center: 'somewhere', radiusKm: 0 }, { rep: 'Sam' }]), {
+    name: 'TerritoryError',
+    issues: [
+      'territory "Nowhere": center must be "lat,lng" or { lat, lng }',
+      'territory "Nowhere": radiusKm must be a positive number',
+      'territory #2: name is required',
+      'territory #2: needs center + radiusKm or geojson',
+    ],
+  });
+});
+
+test('geocodes each address once, caching misses too', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'lead-miner-geo-'));
+  try {
+    const asked = [];
+    const geocoder = { id: 'fake', geocode: async address => { asked.push(address); return address.startsWith('1') ? austin : null; } };
+    const locator = () => new GeoLocator({ geocoder, cacheFile: join(dir, 'geocode-cache.json') });
+    const leads = [{ address: '1 Congress Ave, Austin' }, { address: 'Nowhere Rd' }, { coordinates: dallas }];
+
+    const first = await locator().locateLeads(leads);
+    const second = await locator().locateLeads(leads);
+
+    assert.deepEqual(asked, ['1 Congress Ave, Austin', 'Nowhere Rd']);
+    assert.deepEqual(first.map(lead => lead.coordinates?.source), ['fake', undefined, undefined]);
+    assert.deepEqual(second.map(lead => lead.coordinates?.source), ['cache', undefined, undefined]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a corrupt geocode cache is never overwritten', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'lead-miner-geo-'));
+  try {
+    const file = join(dir, 'geocode-cache.json');
+    writeFileSync(file, '{"1 congress ave": {');
+    const locator = new GeoLocator({ geocoder: { geocode: async () => austin }, cache: new GeocodeCache({ file }) });
+
+    await assert.rejects(locator.locateLeads([{ address: '1 Congress Ave' }]), /Could not read the geocode cache/);
+    assert.equal(readFileSync(file, 'utf8'), '{"1 congress ave": {');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});